@@ -1,38 +1,40 @@
 import { useState, useEffect } from 'react';
-import { Plane, Settings, RotateCcw } from 'lucide-react';
+import { Plane, Settings, RotateCcw, History, Sparkles, WifiOff, Layers, Lock, LockOpen, BarChart3, Columns3, ListChecks } from 'lucide-react';
 import './App.css';
 
 import MessageInput from './components/MessageInput';
 import ScannerAnimation from './components/ScannerAnimation';
 import ResultsPanel from './components/ResultsPanel';
 import APIKeyModal from './components/APIKeyModal';
+import HistoryPanel from './components/HistoryPanel';
+import RewriteStylesModal from './components/RewriteStylesModal';
+import StyleRulesModal from './components/StyleRulesModal';
+import BatchPanel from './components/BatchPanel';
+import ComparePanel from './components/ComparePanel';
+import UnlockModal from './components/UnlockModal';
+import UsagePanel from './components/UsagePanel';
 import { useChat, CHAT_STATUS } from './hooks/useChat';
+import { useBatch } from './hooks/useBatch';
+import { useCompare } from './hooks/useCompare';
+import { EMPTY_MESSAGE_CONTEXT, normalizeMessageContext } from './utils/messageContext';
+import { parseThread, threadToText } from './utils/thread';
+import { detectSensitiveData, summarizeFindings } from './utils/sensitive';
+import { BUDGET_MODES, BUDGET_STATUS, formatCost } from './utils/usage';
+import { normalizeLanguageSettings } from './utils/language';
 
-// Regex patterns for sensitive data detection
-const SENSITIVE_PATTERNS = [
-  { pattern: /\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/g, label: 'Phone number' },
-  { pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, label: 'Email address' },
-  { pattern: /\b\d{5}(-\d{4})?\b/g, label: 'ZIP code' },
-  { pattern: /\b\d{1,5}\s+[\w\s]+(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|way|court|ct|boulevard|blvd)\b/gi, label: 'Street address' },
-  { pattern: /\b(?:\d{4}[-\s]?){3}\d{4}\b/g, label: 'Credit card number' },
-  { pattern: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g, label: 'SSN' },
-];
-
-function detectSensitiveInfo(text) {
-  const found = [];
-  for (const { pattern, label } of SENSITIVE_PATTERNS) {
-    const matches = text.match(pattern);
-    if (matches) {
-      found.push(`${label}: ${matches[0]}`);
-    }
-  }
-  return found;
-}
+// Main area: one message, a batch, or one message across several models
+const VIEWS = {
+  SINGLE: 'single',
+  BATCH: 'batch',
+  COMPARE: 'compare',
+};
 
 export default function App() {
   const {
     status,
     result,
+    partialResult,
+    attemptInfo,
     error,
     isScanning,
     hasResult,
@@ -40,45 +42,122 @@ export default function App() {
     isReady,
     apiKey,
     setApiKey,
-    hasApiKey,
+    isConfigured,
+    keyVault,
+    selectedProvider,
+    setSelectedProvider,
+    allProviderSettings,
+    updateProviderSettings,
     selectedModel,
     setSelectedModel,
+    preferences,
+    updatePreferences,
+    rewriteStyles,
+    setRewriteStyles,
+    styleRules,
+    setStyleRules,
     submitMessage,
+    analyze,
+    refine,
+    quickCheck,
+    cancelRequest,
     reset,
+    historyStore,
+    loadFromHistory,
+    removeFromHistory,
+    clearHistory,
+    importHistory,
+    importSettings,
+    usageLog,
+    budget,
+    clearUsage,
   } = useChat();
 
+  const batch = useBatch(analyze);
+  const comparison = useCompare(analyze);
+
   const [message, setMessage] = useState('');
+  const [messageContext, setMessageContext] = useState(EMPTY_MESSAGE_CONTEXT);
+  const [inputMode, setInputMode] = useState('single');
+  const [threadText, setThreadText] = useState('');
   const [safetyCheck, setSafetyCheck] = useState(true);
   const [safetyWarnings, setSafetyWarnings] = useState([]);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isStylesOpen, setIsStylesOpen] = useState(false);
+  const [isRulesOpen, setIsRulesOpen] = useState(false);
+  const [view, setView] = useState(VIEWS.SINGLE);
+  const [isUnlockOpen, setIsUnlockOpen] = useState(false);
+  const [isUsageOpen, setIsUsageOpen] = useState(false);
 
-  // Show modal on first load if no API key
+  // Escape cancels an in-flight scan
   useEffect(() => {
-    if (isReady && !hasApiKey) {
-      setIsModalOpen(true);
-    }
-  }, [isReady, hasApiKey]);
+    if (!isScanning) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        cancelRequest();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isScanning, cancelRequest]);
 
-  const handleScan = async () => {
-    if (!message.trim()) return;
+  const scanMessage = async (text) => {
+    if (!text.trim()) return;
 
     // Run safety check if enabled
     if (safetyCheck) {
-      const warnings = detectSensitiveInfo(message);
-      setSafetyWarnings(warnings);
+      const findings = detectSensitiveData(text, {
+        customPatterns: preferences.sensitivePatterns
+      });
+      setSafetyWarnings(summarizeFindings(findings));
     } else {
       setSafetyWarnings([]);
     }
 
-    await submitMessage(message);
+    await submitMessage(text, messageContext, {
+      thread: inputMode === 'thread' ? parseThread(threadText) : []
+    });
+  };
+
+  const handleScan = () => scanMessage(message);
+
+  // A refined rewrite replaces the message and gets a fresh verdict
+  const handleRescreen = (text) => {
+    setMessage(text);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+    scanMessage(text);
+  };
+
+  const handleRunOffline = () => {
+    submitMessage(message, messageContext, {
+      offline: true,
+      thread: inputMode === 'thread' ? parseThread(threadText) : []
+    });
   };
 
   const handleReset = () => {
     setMessage('');
+    setMessageContext(EMPTY_MESSAGE_CONTEXT);
+    setThreadText('');
     setSafetyWarnings([]);
     reset();
   };
 
+  const handleOpenHistoryEntry = (entry) => {
+    setMessage(entry.originalMessage);
+    setMessageContext(normalizeMessageContext(entry.context));
+    setInputMode(entry.thread?.length > 0 ? 'thread' : 'single');
+    setThreadText(threadToText(entry.thread));
+    // Safety warnings are not stored with history entries
+    setSafetyWarnings([]);
+    loadFromHistory(entry.id);
+    setIsHistoryOpen(false);
+    setView(VIEWS.SINGLE);
+  };
+
   return (
     <div className="app">
       <header className="header">
@@ -89,17 +168,122 @@ export default function App() {
           </div>
           <p className="tagline">Your message has been cleared for takeoff.</p>
         </div>
-        <button
-          className="btn btn-icon settings-btn"
-          onClick={() => setIsModalOpen(true)}
-          title="API Settings"
-        >
-          <Settings size={20} />
-        </button>
+        <div className="header-actions">
+          <button
+            className={`btn btn-icon batch-btn ${view === VIEWS.BATCH ? 'active' : ''}`}
+            onClick={() => setView(view === VIEWS.BATCH ? VIEWS.SINGLE : VIEWS.BATCH)}
+            title={view === VIEWS.BATCH ? 'Back to single message' : 'Batch Screening'}
+            disabled={isScanning || batch.isRunning || comparison.isRunning}
+          >
+            <Layers size={20} />
+          </button>
+          <button
+            className={`btn btn-icon batch-btn ${view === VIEWS.COMPARE ? 'active' : ''}`}
+            onClick={() => setView(view === VIEWS.COMPARE ? VIEWS.SINGLE : VIEWS.COMPARE)}
+            title={view === VIEWS.COMPARE ? 'Back to single message' : 'Compare Models'}
+            disabled={isScanning || batch.isRunning || comparison.isRunning}
+          >
+            <Columns3 size={20} />
+          </button>
+          <button
+            className="btn btn-icon history-btn"
+            onClick={() => setIsHistoryOpen(true)}
+            title="Scan History"
+            disabled={isScanning}
+          >
+            <History size={20} />
+          </button>
+          <button
+            className={`btn btn-icon usage-btn ${budget.status}`}
+            onClick={() => setIsUsageOpen(true)}
+            title="Usage & Budget"
+          >
+            <BarChart3 size={20} />
+          </button>
+          <button
+            className="btn btn-icon styles-btn"
+            onClick={() => setIsStylesOpen(true)}
+            title="Rewrite Styles"
+            disabled={isScanning}
+          >
+            <Sparkles size={20} />
+          </button>
+          <button
+            className={`btn btn-icon rules-btn ${styleRules.some(rule => rule.enabled) ? 'active' : ''}`}
+            onClick={() => setIsRulesOpen(true)}
+            title="Team Style Guide"
+            disabled={isScanning}
+          >
+            <ListChecks size={20} />
+          </button>
+          {keyVault.isEncrypted && (
+            <button
+              className="btn btn-icon lock-btn"
+              onClick={() => (keyVault.isLocked ? setIsUnlockOpen(true) : keyVault.lock())}
+              title={keyVault.isLocked ? 'Unlock API key' : 'Lock API key'}
+            >
+              {keyVault.isLocked ? <Lock size={20} /> : <LockOpen size={20} />}
+            </button>
+          )}
+          <button
+            className="btn btn-icon settings-btn"
+            onClick={() => setIsModalOpen(true)}
+            title="API Settings"
+          >
+            <Settings size={20} />
+          </button>
+        </div>
       </header>
 
       <main className="main">
-        {status === CHAT_STATUS.IDLE && (
+        {isConfigured && [BUDGET_STATUS.WARNING, BUDGET_STATUS.EXCEEDED].includes(budget.status) && (
+          <div className={`offline-notice budget-notice ${budget.status}`}>
+            <span>
+              {budget.status === BUDGET_STATUS.EXCEEDED
+                ? `Monthly budget reached: ${formatCost(budget.spent)} of ${formatCost(budget.limit)}.`
+                : `${formatCost(budget.spent)} of your ${formatCost(budget.limit)} monthly budget used.`}
+              {budget.status === BUDGET_STATUS.EXCEEDED && preferences.budgetMode === BUDGET_MODES.BLOCK
+                && ' Model scans are paused until next month.'}
+            </span>
+            <button className="btn btn-ghost" onClick={() => setIsUsageOpen(true)}>
+              View Usage
+            </button>
+          </div>
+        )}
+
+        {view === VIEWS.BATCH && (
+          <BatchPanel
+            items={batch.items}
+            isRunning={batch.isRunning}
+            progress={batch.progress}
+            onStart={batch.start}
+            onCancel={batch.cancel}
+            onReset={batch.reset}
+            rewriteStyles={rewriteStyles}
+          />
+        )}
+
+        {view === VIEWS.COMPARE && (
+          <ComparePanel
+            key={selectedProvider}
+            columns={comparison.columns}
+            comparedMessage={comparison.message}
+            isRunning={comparison.isRunning}
+            onStart={comparison.start}
+            onCancel={comparison.cancel}
+            onReset={comparison.reset}
+            initialMessage={message}
+            context={messageContext}
+            provider={selectedProvider}
+            selectedModel={selectedModel}
+            favorites={preferences.favoriteModels}
+            isConfigured={isConfigured}
+            onConfigure={() => setIsModalOpen(true)}
+            rewriteStyles={rewriteStyles}
+          />
+        )}
+
+        {view === VIEWS.SINGLE && status === CHAT_STATUS.IDLE && (
           <MessageInput
             message={message}
             setMessage={setMessage}
@@ -107,18 +291,54 @@ export default function App() {
             isScanning={isScanning}
             safetyCheck={safetyCheck}
             setSafetyCheck={setSafetyCheck}
+            redact={preferences.redactSensitive}
+            setRedact={(value) => updatePreferences({ redactSensitive: value })}
+            context={messageContext}
+            setContext={setMessageContext}
+            isOffline={isReady && !isConfigured}
+            onConfigure={() => setIsModalOpen(true)}
+            isLocked={keyVault.isLocked}
+            onUnlock={() => setIsUnlockOpen(true)}
+            mode={inputMode}
+            setMode={setInputMode}
+            threadText={threadText}
+            setThreadText={setThreadText}
+            language={normalizeLanguageSettings(preferences.language)}
+            setLanguage={(language) => updatePreferences({ language })}
           />
         )}
 
-        {status === CHAT_STATUS.SCANNING && (
-          <ScannerAnimation message={message} />
+        {view === VIEWS.SINGLE && status === CHAT_STATUS.SCANNING && (
+          <>
+            <ScannerAnimation
+              message={message}
+              partialResult={partialResult}
+              attemptInfo={attemptInfo}
+              onCancel={cancelRequest}
+            />
+            {partialResult && (
+              <ResultsPanel
+                results={partialResult}
+                originalMessage={message}
+                safetyWarnings={safetyWarnings}
+                rewriteStyles={rewriteStyles}
+                isStreaming
+              />
+            )}
+          </>
         )}
 
-        {hasResult && (
+        {view === VIEWS.SINGLE && hasResult && (
           <>
             <ResultsPanel
               results={result}
+              originalMessage={message}
               safetyWarnings={safetyWarnings}
+              rewriteStyles={rewriteStyles}
+              onRefine={isConfigured ? refine : undefined}
+              onRescreen={handleRescreen}
+              onQuickCheck={quickCheck}
+              sensitivePatterns={preferences.sensitivePatterns}
             />
             <div className="reset-container">
               <button className="btn btn-secondary" onClick={handleReset}>
@@ -129,11 +349,11 @@ export default function App() {
           </>
         )}
 
-        {hasError && (
+        {view === VIEWS.SINGLE && hasError && (
           <div className="error-container">
             <div className="error-message">
               <p>{error?.message || 'An error occurred'}</p>
-              {error?.type === 'INVALID_API_KEY' && (
+              {['INVALID_API_KEY', 'NO_API_KEY', 'NOT_CONFIGURED'].includes(error?.type) && (
                 <button
                   className="btn btn-primary"
                   onClick={() => setIsModalOpen(true)}
@@ -141,6 +361,17 @@ export default function App() {
                   Update API Key
                 </button>
               )}
+              {error?.type === 'BUDGET_EXCEEDED' && (
+                <button className="btn btn-primary" onClick={() => setIsUsageOpen(true)}>
+                  View Usage
+                </button>
+              )}
+              {['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'RATE_LIMITED', 'BUDGET_EXCEEDED'].includes(error?.type) && (
+                <button className="btn btn-secondary" onClick={handleRunOffline}>
+                  <WifiOff size={16} />
+                  Run Offline Checks
+                </button>
+              )}
               <button className="btn btn-secondary" onClick={handleReset}>
                 Try Again
               </button>
@@ -149,13 +380,76 @@ export default function App() {
         )}
       </main>
 
+      {/* Remounted on open and on unlock so the draft starts from the saved settings */}
       <APIKeyModal
+        key={`${isModalOpen ? 'open' : 'closed'}-${keyVault.isLocked ? 'locked' : 'unlocked'}`}
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
         apiKey={apiKey}
         setApiKey={setApiKey}
         model={selectedModel}
         setModel={setSelectedModel}
+        provider={selectedProvider}
+        setProvider={setSelectedProvider}
+        providerSettings={allProviderSettings}
+        setProviderSettings={updateProviderSettings}
+        preferences={preferences}
+        setPreferences={updatePreferences}
+        keyVault={keyVault}
+        onUnlock={() => setIsUnlockOpen(true)}
+      />
+
+      <UnlockModal
+        key={isUnlockOpen ? 'open' : 'closed'}
+        isOpen={isUnlockOpen}
+        onClose={() => setIsUnlockOpen(false)}
+        onUnlock={keyVault.unlock}
+        onForget={keyVault.removeApiKey}
+      />
+
+      <HistoryPanel
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        historyStore={historyStore}
+        onSelect={handleOpenHistoryEntry}
+        onRemove={removeFromHistory}
+        onClear={clearHistory}
+        settings={{
+          preferences,
+          selectedProvider,
+          selectedModel
+        }}
+        onImport={importHistory}
+        onImportSettings={importSettings}
+      />
+
+      {/* Remounted on open so the budget field starts from the saved value */}
+      <UsagePanel
+        key={isUsageOpen ? 'usage-open' : 'usage-closed'}
+        isOpen={isUsageOpen}
+        onClose={() => setIsUsageOpen(false)}
+        usageLog={usageLog}
+        budget={budget}
+        preferences={preferences}
+        setPreferences={updatePreferences}
+        onClear={clearUsage}
+      />
+
+      {/* Remounted on open so the draft starts from the saved styles */}
+      <RewriteStylesModal
+        key={isStylesOpen ? 'open' : 'closed'}
+        isOpen={isStylesOpen}
+        onClose={() => setIsStylesOpen(false)}
+        styles={rewriteStyles}
+        onSave={setRewriteStyles}
+      />
+
+      <StyleRulesModal
+        key={isRulesOpen ? 'rules-open' : 'rules-closed'}
+        isOpen={isRulesOpen}
+        onClose={() => setIsRulesOpen(false)}
+        rules={styleRules}
+        onSave={setStyleRules}
       />
     </div>
   );
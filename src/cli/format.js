@@ -0,0 +1,124 @@
+/**
+ * Plain-text and JSON output for the CLI.
+ */
+
+import { ISSUE_LABELS } from '../utils/highlight';
+import { describeLanguage } from '../utils/language';
+import { describeMessageContext } from '../utils/messageContext';
+import { DEFAULT_REWRITE_STYLES } from '../utils/rewriteStyles';
+import { TONE_SHIFTS } from '../utils/thread';
+import { formatCost, formatTokens } from '../utils/usage';
+
+const VERDICT_LABELS = {
+  good_to_send: 'CLEARED',
+  needs_edit: 'REVIEW',
+  high_risk: 'FLAGGED',
+};
+
+// ANSI colours for the verdict: green, yellow, red
+const VERDICT_COLORS = {
+  good_to_send: 32,
+  needs_edit: 33,
+  high_risk: 31,
+};
+
+const indent = (text, prefix = '    ') => text.split('\n').map((line) => `${prefix}${line}`).join('\n');
+
+/**
+ * Formats one result for a terminal.
+ *
+ * @param {Object} result - Analysis result
+ * @param {Object} options - Output options
+ * @param {string} options.label - Name of the input (file name or "stdin")
+ * @param {boolean} options.color - Colour the verdict with ANSI codes
+ * @param {boolean} options.rewrites - Include the rewrites (default: true)
+ * @returns {string} Text ending in a newline
+ */
+export function formatResultText(result, { label, color = false, rewrites = true } = {}) {
+  const verdictLabel = VERDICT_LABELS[result.verdict] || result.verdict;
+  const stamp = color ? `\u001b[1;${VERDICT_COLORS[result.verdict] || 0}m${verdictLabel}\u001b[0m` : verdictLabel;
+  const meta = result._meta || {};
+  const details = [
+    describeMessageContext(meta.context),
+    describeLanguage(meta.language),
+    meta.model,
+  ].filter(Boolean).join(' · ');
+
+  const lines = [`${label ? `${label}: ` : ''}${stamp}${details ? ` (${details})` : ''}`];
+  if (result.verdictReason) {
+    lines.push(indent(result.verdictReason, '  '));
+  }
+
+  if (result.risks?.length > 0) {
+    lines.push('', 'Misread risks:');
+    for (const risk of result.risks) {
+      lines.push(`  - "${risk.text}" [${ISSUE_LABELS[risk.issue] || risk.issue}]`);
+      if (risk.why) lines.push(indent(risk.why));
+    }
+  }
+
+  if (result.styleViolations?.length > 0) {
+    lines.push('', 'Style guide:');
+    for (const violation of result.styleViolations) {
+      const subject = violation.text === null ? 'Missing' : `"${violation.text}"`;
+      lines.push(`  - ${subject} [${violation.severity}] ${violation.message}`);
+      if (violation.replacement) lines.push(indent(`Instead: "${violation.replacement}"`));
+    }
+  }
+
+  if (result.missing?.length > 0) {
+    lines.push('', 'What readers will ask:');
+    for (const item of result.missing) {
+      lines.push(`  - ${item}`);
+    }
+  }
+
+  if (result.thread && typeof result.thread === 'object') {
+    const { toneShift, questions } = result.thread;
+    const asked = Array.isArray(questions) ? questions.filter((item) => item?.question) : [];
+    if (TONE_SHIFTS[toneShift] || asked.length > 0) {
+      lines.push('', `Reply fit${TONE_SHIFTS[toneShift] ? `: ${TONE_SHIFTS[toneShift]}` : ''}`);
+    }
+    for (const item of asked) {
+      lines.push(`  ${item.addressed ? '[x]' : '[ ]'} ${item.question}`);
+    }
+  }
+
+  const styles = meta.rewriteStyles || DEFAULT_REWRITE_STYLES;
+  const written = styles.filter((style) => result.rewrites?.[style.id]);
+  if (rewrites && written.length > 0) {
+    lines.push('', 'Rewrites:');
+    for (const style of written) {
+      lines.push(`  ${style.label}:`, indent(result.rewrites[style.id]));
+    }
+  }
+  if (rewrites && result.suggestedOpener) {
+    lines.push('', 'Better subject / opener:', indent(result.suggestedOpener));
+  }
+
+  if (meta.usage) {
+    const cost = meta.usage.cost === null ? 'cost unknown' : `~${formatCost(meta.usage.cost)}`;
+    lines.push('', `${formatTokens(meta.usage.totalTokens)} tokens · ${cost}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * The JSON the CLI prints for one input.
+ *
+ * @param {Object} result - Analysis result
+ * @param {string} source - Name of the input
+ * @returns {Object} Result with the input name and without internal metadata
+ */
+export function toJsonResult(result, source) {
+  const { _meta: meta = {}, ...fields } = result;
+  return {
+    source,
+    ...fields,
+    provider: meta.provider,
+    model: meta.model,
+    language: meta.language || null,
+    usage: meta.usage || null,
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * messageclearance: screens messages from the command line, for scripts
+ * and git hooks.
+ *
+ *   messageclearance check notes.txt
+ *   git log -1 --format=%B | messageclearance check --json
+ *
+ * It runs the same analysis as the web app (prompt, parser and validator
+ * in ai.js), reading the API key from MESSAGECLEARANCE_API_KEY; without
+ * one it runs the offline checks. Exit codes: 0 when every input passes,
+ * 1 when one reaches the --fail-on verdict (high_risk by default), 2 for
+ * usage and request errors.
+ *
+ * Built into dist-cli/ with `npm run build:cli`, since the app's modules
+ * use bundler-style imports that Node can't load directly.
+ */
+
+import { readFile } from 'node:fs/promises';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { analyzeMessage, AIError, getDefaultModel } from '../utils/ai';
+import { analyzeMessageOffline } from '../utils/heuristics';
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider, isProviderConfigured } from '../utils/providers';
+import { RECIPIENT_OPTIONS, CHANNEL_OPTIONS, MAX_OUTCOME_LENGTH } from '../utils/messageContext';
+import { parseThread } from '../utils/thread';
+import { LANGUAGES, AUTO_LANGUAGE } from '../utils/language';
+import { parseRulePack } from '../utils/styleRules';
+import { formatResultText, toJsonResult } from './format';
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED_CHECK: 1,
+  ERROR: 2,
+};
+
+const VERDICT_RANK = { good_to_send: 0, needs_edit: 1, high_risk: 2 };
+const FAIL_ON_OPTIONS = ['high_risk', 'needs_edit', 'never'];
+
+const USAGE = `Usage: messageclearance check [options] [file...]
+
+Screens each file (or stdin when no file or "-" is given) and prints the
+verdict, misread risks and rewrites.
+
+Options:
+  --json                 Print JSON (an array when there are several inputs)
+  --no-rewrites          Leave the rewrites out of the text output
+  --fail-on <verdict>    Exit 1 at this verdict or worse: high_risk (default),
+                         needs_edit or never
+  --strip-comments       Drop "#" lines and everything below git's scissors
+                         line, as git does for commit messages
+  --channel <id>         ${CHANNEL_OPTIONS.map((option) => option.id).join(', ')}
+  --recipient <id>       ${RECIPIENT_OPTIONS.map((option) => option.id).join(', ')}
+  --outcome <text>       What you want the message to achieve
+  --thread <file>        Conversation being replied to ("Name: text" lines)
+  --rules <file>         Team style guide rule pack (exported from the web app)
+  --language <code>      Explain in this language (default: the message's)
+  --translate-to <code>  Write the rewrites in this language
+  --redact               Replace sensitive details with placeholders before sending
+  --offline              Run the rule-based checks only, without a provider
+  --provider <id>        ${Object.keys(PROVIDERS).join(', ')}
+  --model <id>           Model or deployment name
+  --base-url <url>       Endpoint for Azure OpenAI or a local server
+  --api-version <v>      Azure OpenAI API version
+  -h, --help             Show this help
+
+Environment:
+  MESSAGECLEARANCE_API_KEY   API key for the provider
+  MESSAGECLEARANCE_PROVIDER, MESSAGECLEARANCE_MODEL, MESSAGECLEARANCE_BASE_URL
+                             Defaults for --provider, --model and --base-url
+  NO_COLOR                   Disable coloured output
+`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  'no-rewrites': { type: 'boolean' },
+  'fail-on': { type: 'string' },
+  'strip-comments': { type: 'boolean' },
+  channel: { type: 'string' },
+  recipient: { type: 'string' },
+  outcome: { type: 'string' },
+  thread: { type: 'string' },
+  rules: { type: 'string' },
+  language: { type: 'string' },
+  'translate-to': { type: 'string' },
+  redact: { type: 'boolean' },
+  offline: { type: 'boolean' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  'base-url': { type: 'string' },
+  'api-version': { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Bad arguments or unreadable input (exit code 2).
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function checkChoice(value, choices, flag) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new UsageError(`Unknown ${flag} "${value}". Use one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Removes what git leaves out of a commit message: comment lines and
+ * anything below the scissors line (`git commit -v`).
+ *
+ * @param {string} text - Commit message file contents
+ * @returns {string} Message text
+ */
+function stripCommitComments(text) {
+  const lines = text.split('\n');
+  const scissors = lines.findIndex((line) => /^# -+ >8 -+$/.test(line));
+  return (scissors === -1 ? lines : lines.slice(0, scissors))
+    .filter((line) => !line.startsWith('#'))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Turns command-line values and the environment into analysis options.
+ *
+ * @param {Object} values - Parsed options
+ * @param {Object} env - Environment variables
+ * @returns {Object} { offline, apiKey, options, failOn }
+ */
+function resolveOptions(values, env) {
+  const providerId = checkChoice(values.provider || env.MESSAGECLEARANCE_PROVIDER, Object.keys(PROVIDERS), '--provider')
+    || DEFAULT_PROVIDER;
+  const provider = getProvider(providerId);
+  const apiKey = (env.MESSAGECLEARANCE_API_KEY || '').trim();
+  const baseUrl = values['base-url'] || env.MESSAGECLEARANCE_BASE_URL || provider.defaultBaseUrl || '';
+  const providerSettings = {
+    baseUrl,
+    ...(provider.defaultApiVersion ? { apiVersion: values['api-version'] || provider.defaultApiVersion } : {}),
+  };
+  const languageCodes = LANGUAGES.map((language) => language.code);
+
+  const outcome = values.outcome?.trim() || '';
+  if (outcome.length > MAX_OUTCOME_LENGTH) {
+    throw new UsageError(`--outcome is limited to ${MAX_OUTCOME_LENGTH} characters`);
+  }
+
+  return {
+    offline: Boolean(values.offline) || !isProviderConfigured(providerId, apiKey, providerSettings),
+    apiKey,
+    failOn: checkChoice(values['fail-on'], FAIL_ON_OPTIONS, '--fail-on') || 'high_risk',
+    options: {
+      provider: providerId,
+      providerSettings,
+      model: values.model || env.MESSAGECLEARANCE_MODEL || getDefaultModel(providerId),
+      redact: Boolean(values.redact),
+      context: {
+        recipient: checkChoice(values.recipient, RECIPIENT_OPTIONS.map((option) => option.id), '--recipient') || '',
+        channel: checkChoice(values.channel, CHANNEL_OPTIONS.map((option) => option.id), '--channel') || '',
+        outcome,
+      },
+      language: {
+        output: checkChoice(values.language, languageCodes, '--language') || AUTO_LANGUAGE,
+        translateTo: checkChoice(values['translate-to'], languageCodes, '--translate-to') || '',
+      },
+    },
+  };
+}
+
+async function readStdin(stdin) {
+  const chunks = [];
+  for await (const chunk of stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Reads a rule pack for --rules.
+ *
+ * @param {string} file - Rule pack path ("-" for stdin)
+ * @param {Object} stdin - Standard input stream
+ * @returns {Promise<Array>} Style rules
+ */
+async function readRulePack(file, stdin) {
+  const source = await readSource(file, stdin);
+  try {
+    const { rules } = parseRulePack(source);
+    return rules;
+  } catch (err) {
+    throw new UsageError(`${file}: ${err.message}`);
+  }
+}
+
+async function readSource(source, stdin) {
+  if (source === '-') {
+    return readStdin(stdin);
+  }
+  try {
+    return await readFile(source, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Can't read ${source}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} io - { env, stdin, stdout, stderr }
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+async function run(argv, { env, stdin, stdout, stderr }) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...files] = positionals;
+  if (values.help || command === 'help') {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (command !== 'check') {
+    stderr.write(`${command ? `Unknown command "${command}"` : 'Missing command'}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  let config;
+  let thread;
+  let styleRules = [];
+  try {
+    config = resolveOptions(values, env);
+    thread = values.thread ? parseThread(await readSource(values.thread, stdin)) : undefined;
+    styleRules = values.rules ? await readRulePack(values.rules, stdin) : [];
+  } catch (err) {
+    stderr.write(`${err.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+
+  if (config.offline && !values.offline) {
+    stderr.write('No API key set (MESSAGECLEARANCE_API_KEY); running the offline checks only.\n');
+  }
+
+  const sources = files.length > 0 ? files : ['-'];
+  const color = Boolean(stdout.isTTY) && !env.NO_COLOR;
+  const results = [];
+  let exitCode = EXIT_CODES.OK;
+
+  for (const source of sources) {
+    const label = source === '-' ? 'stdin' : source;
+    try {
+      const raw = await readSource(source, stdin);
+      const message = values['strip-comments'] ? stripCommitComments(raw) : raw.trim();
+      if (!message) {
+        throw new UsageError(`${label} is empty`);
+      }
+
+      const result = config.offline
+        ? analyzeMessageOffline(message, { context: config.options.context, styleRules })
+        : await analyzeMessage(message, config.apiKey, { ...config.options, thread, styleRules });
+
+      if (values.json) {
+        results.push(toJsonResult(result, label));
+      } else {
+        stdout.write(`${results.length > 0 ? '\n' : ''}${formatResultText(result, {
+          label: sources.length > 1 || source !== '-' ? label : '',
+          color,
+          rewrites: !values['no-rewrites'],
+        })}`);
+        results.push(result);
+      }
+
+      if (config.failOn !== 'never' && VERDICT_RANK[result.verdict] >= VERDICT_RANK[config.failOn]) {
+        exitCode = Math.max(exitCode, EXIT_CODES.FAILED_CHECK);
+      }
+    } catch (err) {
+      const reason = err instanceof AIError || err instanceof UsageError ? err.message : `Unexpected error: ${err.message}`;
+      stderr.write(`${label}: ${reason}\n`);
+      exitCode = EXIT_CODES.ERROR;
+    }
+  }
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(sources.length === 1 ? results[0] ?? null : results, null, 2)}\n`);
+  }
+  return exitCode;
+}
+
+run(process.argv.slice(2), process).then((code) => {
+  process.exitCode = code;
+});
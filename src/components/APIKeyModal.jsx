@@ -1,12 +1,12 @@
 import { useState } from 'react';
-import { Settings, Key, X, ExternalLink } from 'lucide-react';
-
-const MODELS = [
-  { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet (Recommended)', tier: 'quality' },
-  { id: 'anthropic/claude-3-haiku', name: 'Claude 3 Haiku (Fast & Cheap)', tier: 'fast' },
-  { id: 'openai/gpt-4o-mini', name: 'GPT-4o Mini (Budget)', tier: 'fast' },
-  { id: 'openai/gpt-4o', name: 'GPT-4o (Premium)', tier: 'quality' }
-];
+import { Settings, Key, X, ExternalLink, Lock } from 'lucide-react';
+import { getDefaultModel } from '../utils/ai';
+import { PROVIDERS, DEFAULT_PROVIDER, getProvider, validateKeyFormat } from '../utils/providers';
+import { parseCustomPatterns, formatCustomPatterns } from '../utils/sensitive';
+import { RETENTION_ENTRY_OPTIONS, RETENTION_AGE_OPTIONS } from '../utils/historyStore';
+import { validatePassphrase, AUTO_LOCK_OPTIONS } from '../utils/keyVault';
+import { favoriteKey } from '../utils/modelCatalog';
+import ModelPicker from './ModelPicker';
 
 export default function APIKeyModal({
   isOpen,
@@ -15,18 +15,119 @@ export default function APIKeyModal({
   setApiKey,
   model,
   setModel,
+  provider = DEFAULT_PROVIDER,
+  setProvider,
+  providerSettings = {},
+  setProviderSettings,
+  preferences = {},
+  setPreferences,
+  keyVault = {},
+  onUnlock,
   onSave
 }) {
+  const { isEncrypted = false, isLocked = false, enableEncryption, disableEncryption } = keyVault;
   const [tempKey, setTempKey] = useState(apiKey || '');
-  const [tempModel, setTempModel] = useState(model || MODELS[0].id);
+  const [tempModel, setTempModel] = useState(model || getDefaultModel(provider));
+  const [tempProvider, setTempProvider] = useState(provider);
+  const [tempBaseUrl, setTempBaseUrl] = useState(
+    providerSettings[provider]?.baseUrl || getProvider(provider).defaultBaseUrl || ''
+  );
+  const [tempApiVersion, setTempApiVersion] = useState(
+    providerSettings[provider]?.apiVersion || getProvider(provider).defaultApiVersion || ''
+  );
+  const [tempStream, setTempStream] = useState(preferences.streamResults ?? true);
+  const [tempHeuristics, setTempHeuristics] = useState(preferences.heuristicPrePass ?? true);
+  const [tempPatterns, setTempPatterns] = useState(formatCustomPatterns(preferences.sensitivePatterns));
+  const [tempMaxEntries, setTempMaxEntries] = useState(preferences.historyMaxEntries ?? 0);
+  const [tempMaxAgeDays, setTempMaxAgeDays] = useState(preferences.historyMaxAgeDays ?? 0);
+  const [tempEncrypt, setTempEncrypt] = useState(isEncrypted);
+  const [tempPassphrase, setTempPassphrase] = useState('');
+  const [tempPassphraseConfirm, setTempPassphraseConfirm] = useState('');
+  const [tempAutoLock, setTempAutoLock] = useState(preferences.autoLockMinutes ?? 15);
+  const [tempFavorites, setTempFavorites] = useState(preferences.favoriteModels || []);
+  const [saveError, setSaveError] = useState(null);
 
   if (!isOpen) return null;
 
-  const handleSave = () => {
-    setApiKey(tempKey);
-    setModel(tempModel);
-    localStorage.setItem('openrouter_api_key', tempKey);
-    localStorage.setItem('openrouter_model', tempModel);
+  const providerInfo = getProvider(tempProvider);
+  const keyError = tempKey.trim() ? validateKeyFormat(tempProvider, tempKey) : null;
+  const customPatterns = parseCustomPatterns(tempPatterns);
+  // A new passphrase is needed to turn encryption on; when it's already on, entering one changes it
+  const needsPassphrase = tempEncrypt && !isLocked && tempKey.trim() && (!isEncrypted || tempPassphrase);
+  const passphraseError = needsPassphrase
+    ? validatePassphrase(tempPassphrase)
+      || (tempPassphrase !== tempPassphraseConfirm ? 'Passphrases do not match' : null)
+    : null;
+  // A locked key can't be replaced, so it would go to the new provider
+  const canSave = (!providerInfo.requiresKey || tempKey.trim() || isLocked)
+    && (!isLocked || tempProvider === provider)
+    && (!providerInfo.requiresBaseUrl || tempBaseUrl.trim())
+    && tempModel.trim()
+    && !keyError
+    && customPatterns.errors.length === 0
+    && !passphraseError;
+
+  const handleProviderChange = (providerId) => {
+    const next = getProvider(providerId);
+    setTempProvider(providerId);
+    // The key belongs to the saved provider; don't offer it to another one
+    setTempKey(providerId === provider ? apiKey || '' : '');
+    setTempModel(getDefaultModel(providerId));
+    setTempBaseUrl(providerSettings[providerId]?.baseUrl || next.defaultBaseUrl || '');
+    setTempApiVersion(providerSettings[providerId]?.apiVersion || next.defaultApiVersion || '');
+  };
+
+  const toggleFavorite = (modelId) => {
+    const key = favoriteKey(tempProvider, modelId);
+    setTempFavorites(prev => (
+      prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]
+    ));
+  };
+
+  const saveKey = async () => {
+    // A locked key can't be read or re-encrypted, so it's left as it is
+    if (isLocked) return;
+
+    const key = tempKey.trim();
+    if (!key) {
+      await setApiKey('');
+    } else if (tempEncrypt && (!isEncrypted || tempPassphrase)) {
+      await enableEncryption(tempPassphrase, key);
+    } else if (tempEncrypt) {
+      await setApiKey(key);
+    } else if (isEncrypted) {
+      disableEncryption(key);
+    } else {
+      await setApiKey(key);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveKey();
+    } catch (error) {
+      setSaveError(error.message);
+      return;
+    }
+    setModel(tempModel.trim());
+    if (setProvider) setProvider(tempProvider);
+    if (setProviderSettings && providerInfo.requiresBaseUrl) {
+      setProviderSettings(tempProvider, {
+        baseUrl: tempBaseUrl.trim(),
+        ...(providerInfo.defaultApiVersion ? { apiVersion: tempApiVersion.trim() } : {})
+      });
+    }
+    if (setPreferences) {
+      setPreferences({
+        streamResults: tempStream,
+        heuristicPrePass: tempHeuristics,
+        sensitivePatterns: customPatterns.patterns,
+        historyMaxEntries: tempMaxEntries,
+        historyMaxAgeDays: tempMaxAgeDays,
+        autoLockMinutes: tempAutoLock,
+        favoriteModels: tempFavorites
+      });
+    }
     if (onSave) onSave();
     onClose();
   };
@@ -34,7 +135,7 @@ export default function APIKeyModal({
   const handleClear = () => {
     setTempKey('');
     setApiKey('');
-    localStorage.removeItem('openrouter_api_key');
+    setTempEncrypt(false);
   };
 
   return (
@@ -57,43 +158,245 @@ export default function APIKeyModal({
         </div>
 
         <p className="modal-description">
-          Enter your OpenRouter API key to analyze messages. Your key is stored
-          locally in your browser and never sent to our servers.
-          {' '}
-          <a
-            href="https://openrouter.ai/keys"
-            target="_blank"
-            rel="noopener noreferrer"
-            style={{ color: 'var(--color-primary)', textDecoration: 'none' }}
-          >
-            Get a key <ExternalLink size={12} style={{ verticalAlign: 'middle' }} />
-          </a>
+          Enter your {providerInfo.name} API key to analyze messages. Your key is stored
+          locally in your browser, optionally encrypted with a passphrase, and never sent
+          to our servers.
+          {providerInfo.keyUrl && (
+            <>
+              {' '}
+              <a
+                href={providerInfo.keyUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={{ color: 'var(--color-primary)', textDecoration: 'none' }}
+              >
+                Get a key <ExternalLink size={12} style={{ verticalAlign: 'middle' }} />
+              </a>
+            </>
+          )}
+          {' '}Without a key, messages get rule-based offline checks only.
         </p>
 
-        <input
-          type="password"
-          className="api-key-input"
-          placeholder="sk-or-v1-..."
-          value={tempKey}
-          onChange={(e) => setTempKey(e.target.value)}
-          autoComplete="off"
-        />
-
-        <div className="model-selector">
-          <label>Model Selection</label>
+        <div className="model-selector" style={{ marginTop: 0, marginBottom: 'var(--space-4)' }}>
+          <label>Provider</label>
           <select
             className="model-select"
-            value={tempModel}
-            onChange={(e) => setTempModel(e.target.value)}
+            value={tempProvider}
+            onChange={(e) => handleProviderChange(e.target.value)}
           >
-            {MODELS.map(m => (
-              <option key={m.id} value={m.id}>
-                {m.name}
+            {Object.values(PROVIDERS).map(p => (
+              <option key={p.id} value={p.id}>
+                {p.name}
               </option>
             ))}
           </select>
         </div>
 
+        {isLocked ? (
+          <div className="offline-notice">
+            <Lock size={16} />
+            <span>
+              {tempProvider === provider
+                ? 'Your key is encrypted and locked. Unlock it to view or change it.'
+                : 'Your key is encrypted and locked. Unlock it to switch providers.'}
+            </span>
+            <button className="btn btn-ghost" onClick={onUnlock}>
+              Unlock
+            </button>
+          </div>
+        ) : (
+          <input
+            type="password"
+            className="api-key-input"
+            placeholder={providerInfo.keyPlaceholder}
+            value={tempKey}
+            onChange={(e) => setTempKey(e.target.value)}
+            autoComplete="off"
+          />
+        )}
+        {keyError && <p className="api-key-error">{keyError}</p>}
+
+        {enableEncryption && !isLocked && tempKey.trim() && (
+          <>
+            <div className="safety-toggle">
+              <div
+                className={`toggle-switch ${tempEncrypt ? 'active' : ''}`}
+                onClick={() => setTempEncrypt(!tempEncrypt)}
+                role="switch"
+                aria-checked={tempEncrypt}
+                tabIndex={0}
+                onKeyDown={(e) => e.key === 'Enter' && setTempEncrypt(!tempEncrypt)}
+              />
+              <span className="toggle-label">
+                <Lock size={14} />
+                Encrypt the key with a passphrase
+              </span>
+            </div>
+
+            {tempEncrypt && (
+              <div className="model-selector">
+                <label>{isEncrypted ? 'New passphrase (leave blank to keep the current one)' : 'Passphrase'}</label>
+                <div className="passphrase-row">
+                  <input
+                    type="password"
+                    className="api-key-input"
+                    placeholder="Passphrase"
+                    value={tempPassphrase}
+                    onChange={(e) => setTempPassphrase(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                  <input
+                    type="password"
+                    className="api-key-input"
+                    placeholder="Confirm passphrase"
+                    value={tempPassphraseConfirm}
+                    onChange={(e) => setTempPassphraseConfirm(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                </div>
+                {passphraseError && (tempPassphrase || tempPassphraseConfirm) && (
+                  <p className="api-key-error">{passphraseError}</p>
+                )}
+                <p className="passphrase-hint">
+                  The passphrase isn't stored anywhere. If you forget it, you'll need to enter your key again.
+                </p>
+              </div>
+            )}
+          </>
+        )}
+
+        {(tempEncrypt || isLocked) && (
+          <div className="model-selector">
+            <label htmlFor="auto-lock">Lock the key after inactivity</label>
+            <select
+              id="auto-lock"
+              className="model-select"
+              value={tempAutoLock}
+              onChange={(e) => setTempAutoLock(Number(e.target.value))}
+            >
+              {AUTO_LOCK_OPTIONS.map(minutes => (
+                <option key={minutes} value={minutes}>
+                  {minutes ? `After ${minutes} minutes` : 'Only when I lock it'}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {providerInfo.requiresBaseUrl && (
+          <div className="model-selector">
+            <label>Endpoint URL</label>
+            <input
+              type="url"
+              className="api-key-input"
+              placeholder={providerInfo.baseUrlPlaceholder}
+              value={tempBaseUrl}
+              onChange={(e) => setTempBaseUrl(e.target.value)}
+              autoComplete="off"
+            />
+          </div>
+        )}
+
+        {providerInfo.defaultApiVersion && (
+          <div className="model-selector">
+            <label>API Version</label>
+            <input
+              type="text"
+              className="api-key-input"
+              placeholder={providerInfo.defaultApiVersion}
+              value={tempApiVersion}
+              onChange={(e) => setTempApiVersion(e.target.value)}
+              autoComplete="off"
+            />
+          </div>
+        )}
+
+        <ModelPicker
+          providerId={tempProvider}
+          value={tempModel}
+          onChange={setTempModel}
+          apiKey={tempKey}
+          providerSettings={{ baseUrl: tempBaseUrl, apiVersion: tempApiVersion }}
+          favorites={tempFavorites}
+          onToggleFavorite={toggleFavorite}
+        />
+
+        <div className="safety-toggle">
+          <div
+            className={`toggle-switch ${tempStream ? 'active' : ''}`}
+            onClick={() => setTempStream(!tempStream)}
+            role="switch"
+            aria-checked={tempStream}
+            tabIndex={0}
+            onKeyDown={(e) => e.key === 'Enter' && setTempStream(!tempStream)}
+          />
+          <span className="toggle-label">
+            Stream results as they arrive
+          </span>
+        </div>
+
+        <div className="safety-toggle">
+          <div
+            className={`toggle-switch ${tempHeuristics ? 'active' : ''}`}
+            onClick={() => setTempHeuristics(!tempHeuristics)}
+            role="switch"
+            aria-checked={tempHeuristics}
+            tabIndex={0}
+            onKeyDown={(e) => e.key === 'Enter' && setTempHeuristics(!tempHeuristics)}
+          />
+          <span className="toggle-label">
+            Add rule-based findings the model misses
+          </span>
+        </div>
+
+        <div className="model-selector">
+          <label htmlFor="sensitive-patterns">Extra sensitive patterns</label>
+          <textarea
+            id="sensitive-patterns"
+            className="api-key-input sensitive-patterns-input"
+            placeholder={'One per line, e.g.\nProject codename: /project (falcon|osprey)/i'}
+            value={tempPatterns}
+            onChange={(e) => setTempPatterns(e.target.value)}
+            rows={3}
+            spellCheck={false}
+          />
+          {customPatterns.errors.map(error => (
+            <p key={error} className="api-key-error">{error}</p>
+          ))}
+        </div>
+
+        <div className="model-selector">
+          <label>Scan history</label>
+          <div className="retention-row">
+            <select
+              className="model-select"
+              value={tempMaxEntries}
+              onChange={(e) => setTempMaxEntries(Number(e.target.value))}
+              aria-label="Scans to keep"
+            >
+              {RETENTION_ENTRY_OPTIONS.map(count => (
+                <option key={count} value={count}>
+                  {count ? `Keep the last ${count} scans` : 'Keep every scan'}
+                </option>
+              ))}
+            </select>
+            <select
+              className="model-select"
+              value={tempMaxAgeDays}
+              onChange={(e) => setTempMaxAgeDays(Number(e.target.value))}
+              aria-label="Days to keep scans"
+            >
+              {RETENTION_AGE_OPTIONS.map(days => (
+                <option key={days} value={days}>
+                  {days ? `Delete after ${days} days` : 'Never delete by age'}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {saveError && <p className="api-key-error">{saveError}</p>}
+
         <div className="modal-footer">
           {tempKey && (
             <button className="btn btn-ghost" onClick={handleClear}>
@@ -103,7 +406,7 @@ export default function APIKeyModal({
           <button
             className="btn btn-primary"
             onClick={handleSave}
-            disabled={!tempKey.trim()}
+            disabled={!canSave}
           >
             Save Settings
           </button>
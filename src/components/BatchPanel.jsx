@@ -0,0 +1,282 @@
+import { useState, useMemo, useRef } from 'react';
+import { Layers, Upload, Download, X, RotateCcw, ChevronDown, ArrowUpDown } from 'lucide-react';
+import ResultsPanel from './ResultsPanel';
+import { parseBatchText, parseBatchFile, batchToCSV, MAX_BATCH_SIZE } from '../utils/batch';
+import { downloadFile, fileDateStamp } from '../utils/download';
+import { VERDICT_STAMPS, SCAN_STATUS_LABELS } from '../utils/verdicts';
+
+// Worst first; unfinished and failed rows sink to the bottom
+const VERDICT_RANK = { high_risk: 0, needs_edit: 1, good_to_send: 2 };
+
+const sortModes = [
+  { id: 'order', label: 'Original order' },
+  { id: 'worst', label: 'Worst first' },
+  { id: 'best', label: 'Cleared first' }
+];
+
+const SNIPPET_LENGTH = 90;
+
+function rankOf(item) {
+  const rank = VERDICT_RANK[item.result?.verdict];
+  return rank === undefined ? 3 : rank;
+}
+
+function downloadCSV(items) {
+  downloadFile(batchToCSV(items), `message-clearance-batch-${fileDateStamp()}.csv`, 'text/csv;charset=utf-8');
+}
+
+export default function BatchPanel({
+  items,
+  isRunning,
+  progress,
+  onStart,
+  onCancel,
+  onReset,
+  rewriteStyles
+}) {
+  const [input, setInput] = useState('');
+  const [fileItems, setFileItems] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [fileError, setFileError] = useState(null);
+  const [sortMode, setSortMode] = useState('order');
+  const [expandedId, setExpandedId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const pastedItems = useMemo(() => parseBatchText(input), [input]);
+  const queued = fileItems || pastedItems;
+
+  const sortedItems = useMemo(() => {
+    if (sortMode === 'order') return items;
+    const direction = sortMode === 'worst' ? 1 : -1;
+    return [...items].sort((a, b) => {
+      const rankA = rankOf(a);
+      const rankB = rankOf(b);
+      // Keep unfinished rows last in both directions
+      if (rankA === 3 || rankB === 3) return rankA - rankB;
+      return (rankA - rankB) * direction;
+    });
+  }, [items, sortMode]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseBatchFile(file.name, await file.text());
+      setFileItems(parsed);
+      setFileName(file.name);
+      setFileError(parsed.length === 0 ? 'No messages found in this file' : null);
+    } catch (error) {
+      setFileItems(null);
+      setFileName('');
+      setFileError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const clearFile = () => {
+    setFileItems(null);
+    setFileName('');
+    setFileError(null);
+  };
+
+  // Input stage
+  if (items.length === 0) {
+    return (
+      <div className="input-section">
+        <h2 className="section-title">
+          <Layers size={24} />
+          Batch Screening
+        </h2>
+        <p className="section-subtitle">
+          Paste several messages separated by a line of <code>---</code>, or upload a
+          CSV (with a "message" column), JSON or text file. Up to {MAX_BATCH_SIZE} messages.
+        </p>
+
+        {fileName ? (
+          <div className="batch-file">
+            <Upload size={16} />
+            <span>{fileName}</span>
+            <button className="btn btn-icon" onClick={clearFile} title="Remove file">
+              <X size={16} />
+            </button>
+          </div>
+        ) : (
+          <textarea
+            className="message-textarea"
+            placeholder={`First message...
+---
+Second message...
+---
+Third message...`}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+        )}
+
+        {fileError && <p className="api-key-error">{fileError}</p>}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,.txt,text/plain,text/csv,application/json"
+          onChange={handleFile}
+          hidden
+        />
+
+        <div className="input-actions">
+          <button className="btn btn-ghost" onClick={() => fileInputRef.current?.click()}>
+            <Upload size={16} />
+            Upload File
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => onStart(queued)}
+            disabled={queued.length === 0}
+          >
+            <Layers size={18} />
+            Screen {queued.length || ''} Message{queued.length === 1 ? '' : 's'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Results stage
+  const finished = progress.done + progress.failed;
+  const percent = progress.total > 0 ? Math.round((finished / progress.total) * 100) : 0;
+
+  return (
+    <div className="batch-section">
+      <div className="batch-toolbar">
+        <h2 className="section-title" style={{ marginBottom: 0 }}>
+          <Layers size={24} />
+          Batch Results
+        </h2>
+        <span className="batch-progress-text">
+          {finished} / {progress.total} screened
+          {progress.failed > 0 && ` · ${progress.failed} failed`}
+        </span>
+        <div className="batch-actions">
+          {isRunning ? (
+            <button className="btn btn-ghost" onClick={onCancel}>
+              <X size={16} />
+              Cancel
+            </button>
+          ) : (
+            <button className="btn btn-ghost" onClick={onReset}>
+              <RotateCcw size={16} />
+              New Batch
+            </button>
+          )}
+          <button
+            className="btn btn-secondary"
+            onClick={() => downloadCSV(sortedItems)}
+            disabled={progress.done === 0}
+          >
+            <Download size={16} />
+            Export CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="batch-progress">
+        <div className="batch-progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+
+      <div className="batch-sort">
+        <ArrowUpDown size={14} />
+        {sortModes.map(mode => (
+          <button
+            key={mode.id}
+            className={`view-toggle-btn ${sortMode === mode.id ? 'active' : ''}`}
+            onClick={() => setSortMode(mode.id)}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <table className="batch-table">
+        <thead>
+          <tr>
+            <th>Message</th>
+            <th>Verdict</th>
+            <th>Risks</th>
+            <th aria-label="Details" />
+          </tr>
+        </thead>
+        <tbody>
+          {sortedItems.map(item => {
+            const stamp = VERDICT_STAMPS[item.result?.verdict];
+            const isExpanded = expandedId === item.id;
+            const snippet = item.text.length > SNIPPET_LENGTH
+              ? item.text.slice(0, SNIPPET_LENGTH) + '...'
+              : item.text;
+
+            return (
+              <BatchRow
+                key={item.id}
+                item={item}
+                stamp={stamp}
+                snippet={snippet}
+                isExpanded={isExpanded}
+                onToggle={() => setExpandedId(isExpanded ? null : item.id)}
+                rewriteStyles={rewriteStyles}
+              />
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function BatchRow({ item, stamp, snippet, isExpanded, onToggle, rewriteStyles }) {
+  const canExpand = item.status === 'done';
+
+  return (
+    <>
+      <tr
+        className={`batch-row ${canExpand ? 'expandable' : ''} ${isExpanded ? 'expanded' : ''}`}
+        onClick={canExpand ? onToggle : undefined}
+      >
+        <td>
+          <div className="batch-label">{item.label}</div>
+          <div className="batch-snippet">{snippet}</div>
+          {item.status === 'error' && item.error && (
+            <div className="batch-error">{item.error}</div>
+          )}
+        </td>
+        <td>
+          {stamp ? (
+            <span className={`history-stamp ${stamp.class}`}>{stamp.label}</span>
+          ) : (
+            <span className={`batch-status ${item.status}`} title={item.error || undefined}>
+              {SCAN_STATUS_LABELS[item.status] || item.status}
+            </span>
+          )}
+        </td>
+        <td className="batch-count">
+          {item.result ? (item.result.risks || []).length : '–'}
+        </td>
+        <td>
+          {canExpand && (
+            <ChevronDown size={16} className={`context-chevron ${isExpanded ? 'open' : ''}`} />
+          )}
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="batch-detail">
+          <td colSpan={4}>
+            <ResultsPanel
+              results={item.result}
+              originalMessage={item.text}
+              rewriteStyles={rewriteStyles}
+            />
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
@@ -21,19 +21,27 @@ const verdictConfig = {
   }
 };
 
-export default function BoardingPass({ verdict, flightNumber = 'MC-2024' }) {
+export default function BoardingPass({ verdict, flightNumber = 'MC-2024', destination, language, message, compact = false }) {
   const config = verdictConfig[verdict] || verdictConfig.needs_edit;
   const VerdictIcon = config.icon;
 
   return (
-    <div className="boarding-pass">
+    <div className={`boarding-pass ${compact ? 'compact' : ''}`}>
       <div className="boarding-pass-header">
         <div>
           <div className="boarding-pass-title">
             <Plane size={18} style={{ marginRight: '8px' }} />
             Message Clearance
           </div>
-          <div className="boarding-pass-flight">Flight {flightNumber}</div>
+          {!compact && (
+            <div className="boarding-pass-flight">Flight {flightNumber}</div>
+          )}
+          {destination && (
+            <div className="boarding-pass-flight">To {destination}</div>
+          )}
+          {language && (
+            <div className="boarding-pass-flight">Language {language}</div>
+          )}
         </div>
       </div>
 
@@ -42,7 +50,7 @@ export default function BoardingPass({ verdict, flightNumber = 'MC-2024' }) {
         {config.label}
       </div>
 
-      <p className="verdict-message">{config.message}</p>
+      <p className="verdict-message">{message || config.message}</p>
     </div>
   );
 }
@@ -0,0 +1,362 @@
+import { useState, useMemo } from 'react';
+import { Columns3, X, RotateCcw, Plus, AlertTriangle, HelpCircle } from 'lucide-react';
+import { AVAILABLE_MODELS, getModelInfo } from '../utils/ai';
+import { getFavoriteModels } from '../utils/modelCatalog';
+import { getProvider } from '../utils/providers';
+import { ISSUE_LABELS } from '../utils/highlight';
+import { VERDICT_STAMPS, SCAN_STATUS_LABELS } from '../utils/verdicts';
+import { describeMessageContext } from '../utils/messageContext';
+import {
+  MIN_COMPARE_MODELS,
+  MAX_COMPARE_MODELS,
+  summarizeAgreement,
+  findAgreement
+} from '../utils/compare';
+import { formatCost, formatTokens } from '../utils/usage';
+import { getStyleIcon } from './styleIcons';
+
+function modelName(model, provider) {
+  return getModelInfo(model, provider)?.name || model;
+}
+
+function AgreementBadge({ group, total }) {
+  if (!group || total < 2) return null;
+  const count = group.models.length;
+  return (
+    <span
+      className={`agreement-badge ${count === total ? 'all' : count > total / 2 ? 'most' : ''}`}
+      title={`${count} of ${total} models`}
+    >
+      {count}/{total}
+    </span>
+  );
+}
+
+export default function ComparePanel({
+  columns,
+  comparedMessage,
+  isRunning,
+  onStart,
+  onCancel,
+  onReset,
+  initialMessage,
+  context,
+  provider,
+  selectedModel,
+  favorites,
+  isConfigured,
+  onConfigure,
+  rewriteStyles
+}) {
+  const providerInfo = getProvider(provider);
+  // Built-in models plus the ones starred in settings
+  const suggestedModels = [...new Set([
+    ...Object.keys(AVAILABLE_MODELS[provider] || {}),
+    ...getFavoriteModels(favorites, provider)
+  ])];
+  const [extraModels, setExtraModels] = useState(
+    selectedModel && !suggestedModels.includes(selectedModel) ? [selectedModel] : []
+  );
+  const modelOptions = [...suggestedModels, ...extraModels];
+
+  const [input, setInput] = useState(initialMessage || '');
+  const [chosen, setChosen] = useState(() => (
+    [selectedModel, ...modelOptions.filter(model => model !== selectedModel)]
+      .filter(Boolean)
+      .slice(0, MIN_COMPARE_MODELS)
+  ));
+  const [customModel, setCustomModel] = useState('');
+  const [activeRewrite, setActiveRewrite] = useState(null);
+
+  const agreement = useMemo(() => summarizeAgreement(columns), [columns]);
+  const destination = describeMessageContext(context);
+
+  const toggleModel = (model) => {
+    setChosen(prev => (
+      prev.includes(model)
+        ? prev.filter(id => id !== model)
+        : prev.length < MAX_COMPARE_MODELS ? [...prev, model] : prev
+    ));
+  };
+
+  const addCustomModel = () => {
+    const model = customModel.trim();
+    if (!model) return;
+    if (!modelOptions.includes(model)) {
+      setExtraModels(prev => [...prev, model]);
+    }
+    if (!chosen.includes(model) && chosen.length < MAX_COMPARE_MODELS) {
+      setChosen(prev => [...prev, model]);
+    }
+    setCustomModel('');
+  };
+
+  // Input stage
+  if (columns.length === 0) {
+    const canStart = isConfigured && input.trim() && chosen.length >= MIN_COMPARE_MODELS;
+
+    return (
+      <div className="input-section">
+        <h2 className="section-title">
+          <Columns3 size={24} />
+          Compare Models
+        </h2>
+        <p className="section-subtitle">
+          Run one message through {MIN_COMPARE_MODELS} to {MAX_COMPARE_MODELS} {providerInfo.name} models
+          at once and see where they agree.
+        </p>
+
+        {!isConfigured && (
+          <div className="offline-notice">
+            Comparing models needs a configured provider.
+            <button className="btn btn-ghost" onClick={onConfigure}>
+              Add API Key
+            </button>
+          </div>
+        )}
+
+        <textarea
+          className="message-textarea"
+          placeholder="Paste the message to compare..."
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+        />
+        {destination && <p className="compare-context">To: {destination}</p>}
+
+        <div className="compare-models">
+          {modelOptions.map(model => (
+            <label
+              key={model}
+              className={`compare-model ${chosen.includes(model) ? 'active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={chosen.includes(model)}
+                onChange={() => toggleModel(model)}
+                disabled={!chosen.includes(model) && chosen.length >= MAX_COMPARE_MODELS}
+              />
+              <span>{modelName(model, provider)}</span>
+              {getModelInfo(model, provider)?.description && (
+                <span className="compare-model-description">
+                  {getModelInfo(model, provider).description}
+                </span>
+              )}
+            </label>
+          ))}
+        </div>
+
+        {providerInfo.freeformModel && (
+          <div className="retention-row compare-add-model">
+            <input
+              type="text"
+              className="api-key-input"
+              placeholder={`Another ${(providerInfo.modelLabel || 'model name').toLowerCase()}`}
+              value={customModel}
+              onChange={(e) => setCustomModel(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addCustomModel()}
+            />
+            <button className="btn btn-ghost" onClick={addCustomModel} disabled={!customModel.trim()}>
+              <Plus size={16} />
+              Add
+            </button>
+          </div>
+        )}
+
+        <div className="input-actions">
+          <span className="batch-progress-text">
+            {chosen.length} of {MAX_COMPARE_MODELS} models selected
+          </span>
+          <button
+            className="btn btn-primary"
+            onClick={() => onStart(input.trim(), chosen, context)}
+            disabled={!canStart}
+          >
+            <Columns3 size={18} />
+            Compare {chosen.length} Models
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Results stage
+  const finished = columns.filter(column => column.status === 'done' || column.status === 'error').length;
+  const styleId = rewriteStyles.some(style => style.id === activeRewrite)
+    ? activeRewrite
+    : rewriteStyles[0]?.id;
+  const sharedRisks = agreement.risks.filter(group => group.models.length > 1);
+
+  return (
+    <div className="batch-section">
+      <div className="batch-toolbar">
+        <h2 className="section-title" style={{ marginBottom: 0 }}>
+          <Columns3 size={24} />
+          Model Comparison
+        </h2>
+        <span className="batch-progress-text">
+          {finished} / {columns.length} models finished
+        </span>
+        <div className="batch-actions">
+          {isRunning ? (
+            <button className="btn btn-ghost" onClick={onCancel}>
+              <X size={16} />
+              Cancel
+            </button>
+          ) : (
+            <button className="btn btn-ghost" onClick={onReset}>
+              <RotateCcw size={16} />
+              New Comparison
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="compare-message">{comparedMessage}</div>
+
+      {agreement.total > 1 && (
+        <div className="compare-summary">
+          <div className="compare-summary-verdict">
+            {agreement.consensus ? (
+              <>
+                <span className={`history-stamp ${VERDICT_STAMPS[agreement.consensus].class}`}>
+                  {VERDICT_STAMPS[agreement.consensus].label}
+                </span>
+                {agreement.verdicts[agreement.consensus].length} of {agreement.total} models agree
+              </>
+            ) : (
+              <>No majority verdict: the models disagree</>
+            )}
+          </div>
+          {sharedRisks.length > 0 ? (
+            <ul className="compare-summary-risks">
+              {sharedRisks.map(group => (
+                <li key={group.keys[0]}>
+                  <AgreementBadge group={group} total={agreement.total} />
+                  "{group.text}"
+                  <span className="compare-summary-models">
+                    {group.models.map(model => modelName(model, provider)).join(', ')}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="compare-summary-empty">No phrase was flagged by more than one model.</p>
+          )}
+        </div>
+      )}
+
+      {rewriteStyles.length > 0 && (
+        <div className="rewrite-tabs">
+          {rewriteStyles.map(style => {
+            const Icon = getStyleIcon(style);
+            return (
+              <button
+                key={style.id}
+                className={`rewrite-tab ${styleId === style.id ? 'active' : ''}`}
+                onClick={() => setActiveRewrite(style.id)}
+              >
+                <Icon size={16} />
+                {style.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div
+        className="compare-columns"
+        style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(220px, 1fr))` }}
+      >
+        {columns.map(column => (
+          <CompareColumn
+            key={column.model}
+            column={column}
+            provider={provider}
+            agreement={agreement}
+            styleId={styleId}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CompareColumn({ column, provider, agreement, styleId }) {
+  const { result } = column;
+  const stamp = VERDICT_STAMPS[result?.verdict];
+  const risks = (result?.risks || []).filter(risk => risk && risk.text);
+  const missing = (result?.missing || []).filter(Boolean);
+  const usage = result?._meta?.usage;
+
+  return (
+    <div className="compare-column">
+      <div className="compare-column-header">
+        <div className="batch-label">{modelName(column.model, provider)}</div>
+        {stamp ? (
+          <span className={`history-stamp ${stamp.class}`}>{stamp.label}</span>
+        ) : (
+          <span className={`batch-status ${column.status}`} title={column.error || undefined}>
+            {SCAN_STATUS_LABELS[column.status] || column.status}
+          </span>
+        )}
+      </div>
+
+      {column.status === 'error' && column.error && (
+        <div className="batch-error">{column.error}</div>
+      )}
+
+      {result && (
+        <>
+          {result.verdictReason && (
+            <p className="compare-reason">{result.verdictReason}</p>
+          )}
+
+          <div className="compare-block">
+            <div className="compare-block-title">
+              <AlertTriangle size={14} />
+              Risks ({risks.length})
+            </div>
+            {risks.length === 0 && <p className="compare-summary-empty">None flagged</p>}
+            {risks.map((risk, index) => (
+              <div key={index} className={`compare-risk issue-${risk.issue}`}>
+                <div className="compare-risk-header">
+                  {ISSUE_LABELS[risk.issue] || risk.issue}
+                  <AgreementBadge group={findAgreement(agreement.risks, risk.text)} total={agreement.total} />
+                </div>
+                <div className="alert-text">"{risk.text}"</div>
+              </div>
+            ))}
+          </div>
+
+          {missing.length > 0 && (
+            <div className="compare-block">
+              <div className="compare-block-title">
+                <HelpCircle size={14} />
+                Missing
+              </div>
+              <div className="missing-tags">
+                {missing.map((item, index) => (
+                  <span key={index} className="missing-tag">
+                    {item}
+                    <AgreementBadge group={findAgreement(agreement.missing, item)} total={agreement.total} />
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="rewrite-content compare-rewrite">
+            {result.rewrites?.[styleId] || 'No rewrite for this style.'}
+          </div>
+
+          {usage && (
+            <div className="scan-usage">
+              {formatTokens(usage.totalTokens)} tokens
+              {usage.cost !== null && ` · ~${formatCost(usage.cost)}`}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
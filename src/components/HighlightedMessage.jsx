@@ -0,0 +1,76 @@
+import { ScanLine, AlertTriangle } from 'lucide-react';
+import { ISSUE_LABELS, segmentMessage } from '../utils/highlight';
+
+export default function HighlightedMessage({
+  message,
+  risks,
+  spans,
+  unmatched,
+  activeRisk,
+  onHoverRisk,
+  onSelectRisk
+}) {
+  if (!message) return null;
+
+  const segments = segmentMessage(message, spans);
+  const issuesPresent = [...new Set(spans.map(span => span.issue))];
+
+  return (
+    <div className="highlighted-message-section">
+      <h3 className="section-title" style={{ fontSize: '1.125rem', marginBottom: '12px' }}>
+        <ScanLine size={20} />
+        Your Message, Scanned
+      </h3>
+
+      <div className="highlighted-message">
+        {segments.map((segment, i) => {
+          if (!segment.span) {
+            return <span key={i}>{segment.text}</span>;
+          }
+
+          const { riskIndex, issue } = segment.span;
+          return (
+            <mark
+              key={i}
+              className={`risk-highlight issue-${issue} ${activeRisk === riskIndex ? 'active' : ''}`}
+              title={risks[riskIndex]?.why}
+              onMouseEnter={() => onHoverRisk(riskIndex)}
+              onMouseLeave={() => onHoverRisk(null)}
+              onClick={() => onSelectRisk(riskIndex)}
+            >
+              {segment.text}
+            </mark>
+          );
+        })}
+      </div>
+
+      {issuesPresent.length > 0 && (
+        <div className="highlight-legend">
+          {issuesPresent.map(issue => (
+            <span key={issue} className={`highlight-legend-item issue-${issue}`}>
+              {ISSUE_LABELS[issue] || issue}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {unmatched.length > 0 && (
+        <div className="alert-card warning" style={{ marginTop: '12px', marginBottom: 0 }}>
+          <div className="alert-header">
+            <AlertTriangle size={16} />
+            Quoted text not found in your message
+          </div>
+          <p className="alert-explanation">
+            The analysis quoted text that doesn't appear in what you wrote. It may be
+            paraphrased or invented, so weigh these risks accordingly:
+          </p>
+          <ul className="detected-items">
+            {unmatched.map(index => (
+              <li key={index} className="detected-item">"{risks[index]?.text}"</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
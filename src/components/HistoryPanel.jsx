@@ -0,0 +1,352 @@
+import { useState, useRef } from 'react';
+import { History, X, Search, Trash2, RotateCcw, Download, Upload } from 'lucide-react';
+import { getModelInfo } from '../utils/ai';
+import { describeMessageContext } from '../utils/messageContext';
+import { EXPORT_FORMATS, IMPORT_MODES, exportHistory, parseImport } from '../utils/historyTransfer';
+import { downloadFile, fileDateStamp } from '../utils/download';
+import { VERDICTS, VERDICT_LABELS, VERDICT_STAMPS } from '../utils/verdicts';
+import { useHistoryQuery } from '../hooks/useHistory';
+import { chatHistoryStorage } from '../utils/storage';
+
+const verdictFilters = [
+  { id: 'all', label: 'All' },
+  ...VERDICTS.map(id => ({ id, label: VERDICT_LABELS[id] }))
+];
+
+const SNIPPET_LENGTH = 120;
+
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+function describeImportCounts({ added, duplicates, dropped }) {
+  const parts = [`Imported ${added} scan${added === 1 ? '' : 's'}`];
+  if (duplicates > 0) parts.push(`${duplicates} already in history`);
+  if (dropped > 0) parts.push(`${dropped} oldest over the limit not kept`);
+  return parts.join(' · ');
+}
+
+export default function HistoryPanel({
+  isOpen,
+  onClose,
+  historyStore,
+  onSelect,
+  onRemove,
+  onClear,
+  settings,
+  onImport,
+  onImportSettings
+}) {
+  const [query, setQuery] = useState('');
+  const [verdictFilter, setVerdictFilter] = useState('all');
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [includeSettings, setIncludeSettings] = useState(false);
+  const [transferMessage, setTransferMessage] = useState(null);
+  const [modelFilter, setModelFilter] = useState('');
+  const fileInputRef = useRef(null);
+
+  // Newest first, one page at a time
+  const { entries, total, models, hasMore, loadMore, isLoading } = useHistoryQuery(
+    historyStore.revision,
+    {
+      query: query.trim(),
+      verdict: verdictFilter === 'all' ? '' : verdictFilter,
+      model: modelFilter
+    },
+    isOpen
+  );
+  const historyCount = historyStore.count;
+
+  if (!isOpen) return null;
+
+  const handleClear = () => {
+    onClear();
+    setConfirmingClear(false);
+  };
+
+  const handleExport = async (format) => {
+    setIsExportMenuOpen(false);
+    downloadFile(
+      exportHistory(format.id, await historyStore.getAll(), settings),
+      `message-clearance-history-${fileDateStamp()}.${format.extension}`,
+      format.mimeType
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseImport(await file.text());
+      if (parsed.history.length === 0 && !parsed.settings) {
+        setTransferMessage({ type: 'error', text: `No valid scans found in ${file.name}` });
+        return;
+      }
+      const knownIds = new Set(await historyStore.getIds());
+      setPendingImport({
+        ...parsed,
+        fileName: file.name,
+        newCount: parsed.history.filter(entry => !knownIds.has(entry.id)).length
+      });
+      // Settings change how the next scans run, so they're opt-in
+      setIncludeSettings(false);
+      setTransferMessage(null);
+    } catch (error) {
+      setTransferMessage({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleImport = async (mode) => {
+    const counts = await onImport(pendingImport.history, mode);
+    if (includeSettings && pendingImport.settings) {
+      onImportSettings(pendingImport.settings);
+    }
+    setTransferMessage({
+      type: 'success',
+      text: describeImportCounts(counts) + (includeSettings && pendingImport.settings ? ' · settings applied' : '')
+    });
+    setPendingImport(null);
+  };
+
+  return (
+    <div className="modal-overlay history-overlay" onClick={onClose}>
+      <aside className="history-drawer" onClick={e => e.stopPropagation()}>
+        <div className="history-header">
+          <h2 className="history-title">
+            <History size={20} />
+            Scan History
+          </h2>
+          <button
+            className="btn btn-icon"
+            onClick={onClose}
+            style={{ marginLeft: 'auto', color: 'var(--color-text-muted)' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="history-search">
+          <Search size={16} />
+          <input
+            type="search"
+            placeholder="Search messages and rewrites..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+
+        <div className="history-filters">
+          {verdictFilters.map(filter => (
+            <button
+              key={filter.id}
+              className={`history-filter ${verdictFilter === filter.id ? 'active' : ''}`}
+              onClick={() => setVerdictFilter(filter.id)}
+            >
+              {filter.label}
+            </button>
+          ))}
+          {models.length > 1 && (
+            <select
+              className="history-model-filter"
+              value={modelFilter}
+              onChange={(e) => setModelFilter(e.target.value)}
+              aria-label="Filter by model"
+            >
+              <option value="">All models</option>
+              {models.map(model => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {!historyStore.isUnlimited && (
+          <p className="history-limit-note">
+            This browser can't keep a full history, so only the {chatHistoryStorage.MAX_HISTORY_ITEMS} most recent scans are saved.
+          </p>
+        )}
+
+        <ul className="history-list">
+          {!isLoading && entries.length === 0 && (
+            <li className="empty-state">
+              <History size={32} className="empty-icon" />
+              <div className="empty-title">
+                {historyCount === 0 ? 'No scans yet' : 'No matching scans'}
+              </div>
+              <p className="empty-description">
+                {historyCount === 0
+                  ? 'Screened messages will show up here.'
+                  : 'Try a different search or verdict filter.'}
+              </p>
+            </li>
+          )}
+
+          {entries.map(entry => {
+            const stamp = VERDICT_STAMPS[entry.result?.verdict] || VERDICT_STAMPS.needs_edit;
+            const message = entry.originalMessage || '';
+            const snippet = message.length > SNIPPET_LENGTH
+              ? message.slice(0, SNIPPET_LENGTH) + '...'
+              : message;
+
+            return (
+              <li key={entry.id} className="history-item">
+                <button
+                  className="history-item-body"
+                  onClick={() => onSelect(entry)}
+                  title="Reopen this scan"
+                >
+                  <div className="history-item-meta">
+                    <span className={`history-stamp ${stamp.class}`}>{stamp.label}</span>
+                    <span>{formatTimestamp(entry.timestamp)}</span>
+                  </div>
+                  <p className="history-snippet">{snippet}</p>
+                  <div className="history-model">
+                    {getModelInfo(entry.model, entry.provider)?.name || entry.model}
+                    {describeMessageContext(entry.context) && ` · for ${describeMessageContext(entry.context)}`}
+                  </div>
+                </button>
+                <button
+                  className="btn btn-icon history-remove"
+                  onClick={() => onRemove(entry.id)}
+                  title="Delete from history"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            );
+          })}
+          {hasMore && (
+            <li className="history-more">
+              <button className="btn btn-ghost" onClick={loadMore}>
+                Show more ({entries.length} of {total})
+              </button>
+            </li>
+          )}
+        </ul>
+
+        {pendingImport && (
+          <div className="history-import">
+            <div className="history-import-summary">
+              <strong>{pendingImport.fileName}</strong>
+              <span>
+                {pendingImport.history.length} scan{pendingImport.history.length === 1 ? '' : 's'}
+                {' · '}{pendingImport.newCount} new
+                {pendingImport.errors.length > 0 && ` · ${pendingImport.errors.length} problem${pendingImport.errors.length === 1 ? '' : 's'}`}
+              </span>
+            </div>
+            {pendingImport.errors.length > 0 && (
+              <ul className="history-import-errors">
+                {pendingImport.errors.slice(0, 3).map(error => <li key={error}>{error}</li>)}
+                {pendingImport.errors.length > 3 && <li>...and {pendingImport.errors.length - 3} more</li>}
+              </ul>
+            )}
+            {pendingImport.settings && (
+              <div className="safety-toggle">
+                <div
+                  className={`toggle-switch ${includeSettings ? 'active' : ''}`}
+                  onClick={() => setIncludeSettings(!includeSettings)}
+                  role="switch"
+                  aria-checked={includeSettings}
+                  tabIndex={0}
+                  onKeyDown={(e) => e.key === 'Enter' && setIncludeSettings(!includeSettings)}
+                />
+                <span className="toggle-label">
+                  Also import settings (API keys are never exported)
+                </span>
+              </div>
+            )}
+            <div className="history-import-actions">
+              <button className="btn btn-ghost" onClick={() => setPendingImport(null)}>
+                Cancel
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleImport(IMPORT_MODES.REPLACE)}
+                title="Delete current history and keep only the imported scans"
+              >
+                Replace History
+              </button>
+              <button className="btn btn-primary" onClick={() => handleImport(IMPORT_MODES.MERGE)}>
+                Merge
+              </button>
+            </div>
+          </div>
+        )}
+
+        {transferMessage && (
+          <p className={`history-transfer-message ${transferMessage.type}`}>
+            {transferMessage.text}
+          </p>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFile}
+          hidden
+        />
+
+        {!pendingImport && (
+          <div className="history-footer">
+            {confirmingClear ? (
+              <>
+                <span className="history-confirm-text">
+                  Delete all {historyCount} scans?
+                </span>
+                <button className="btn btn-ghost" onClick={() => setConfirmingClear(false)}>
+                  Cancel
+                </button>
+                <button className="btn btn-secondary history-clear-confirm" onClick={handleClear}>
+                  <Trash2 size={16} />
+                  Clear All
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="history-export">
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+                    disabled={historyCount === 0}
+                    aria-expanded={isExportMenuOpen}
+                  >
+                    <Download size={16} />
+                    Export
+                  </button>
+                  {isExportMenuOpen && (
+                    <div className="history-export-menu">
+                      {EXPORT_FORMATS.map(format => (
+                        <button key={format.id} onClick={() => handleExport(format)}>
+                          {format.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <button className="btn btn-ghost" onClick={() => fileInputRef.current?.click()}>
+                  <Upload size={16} />
+                  Import
+                </button>
+                {historyCount > 0 && (
+                  <button
+                    className="btn btn-ghost history-clear"
+                    onClick={() => setConfirmingClear(true)}
+                  >
+                    <RotateCcw size={16} />
+                    Clear History
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -1,5 +1,25 @@
 import { useState } from 'react';
-import { Send, ShieldCheck } from 'lucide-react';
+import { Send, ShieldCheck, Users, ChevronDown, WifiOff, EyeOff, Lock, Languages } from 'lucide-react';
+import {
+  RECIPIENT_OPTIONS,
+  CHANNEL_OPTIONS,
+  MAX_OUTCOME_LENGTH,
+  hasMessageContext,
+  describeMessageContext
+} from '../utils/messageContext';
+import { parseThread, describeThread, MAX_THREAD_LENGTH } from '../utils/thread';
+import {
+  LANGUAGES,
+  AUTO_LANGUAGE,
+  DEFAULT_LANGUAGE_SETTINGS,
+  detectLanguage,
+  getLanguageName
+} from '../utils/language';
+
+const inputModes = [
+  { id: 'single', label: 'Single message' },
+  { id: 'thread', label: 'Reply in a thread' }
+];
 
 export default function MessageInput({
   message,
@@ -7,10 +27,35 @@ export default function MessageInput({
   onScan,
   isScanning,
   safetyCheck,
-  setSafetyCheck
+  setSafetyCheck,
+  redact = false,
+  setRedact,
+  context,
+  setContext,
+  isOffline,
+  onConfigure,
+  isLocked,
+  onUnlock,
+  mode = 'single',
+  setMode,
+  threadText = '',
+  setThreadText,
+  language = DEFAULT_LANGUAGE_SETTINGS,
+  setLanguage
 }) {
   const maxChars = 5000;
   const charCount = message.length;
+  // Start expanded when context was carried over (e.g. reopened from history)
+  const [showContext, setShowContext] = useState(() => hasMessageContext(context));
+
+  const updateContext = (field, value) => {
+    setContext({ ...context, [field]: value });
+  };
+
+  const contextSummary = describeMessageContext(context);
+  const isThread = mode === 'thread';
+  const threadSummary = isThread ? describeThread(parseThread(threadText)) : '';
+  const detectedLanguage = detectLanguage(message);
 
   return (
     <div className="input-section">
@@ -22,7 +67,66 @@ export default function MessageInput({
         Paste your email, Slack message, DM, or any text you want to check before sending.
       </p>
 
+      {isOffline && (isLocked ? (
+        <div className="offline-notice">
+          <Lock size={16} />
+          <span>
+            Your API key is locked. Until you unlock it, scans use rule-based checks only.
+          </span>
+          <button className="btn btn-ghost" onClick={onUnlock}>
+            Unlock
+          </button>
+        </div>
+      ) : (
+        <div className="offline-notice">
+          <WifiOff size={16} />
+          <span>
+            Offline mode: rule-based checks only, with no tailored rewrites.
+          </span>
+          <button className="btn btn-ghost" onClick={onConfigure}>
+            Add API Key
+          </button>
+        </div>
+      ))}
+
+      {setMode && (
+        <div className="input-mode-toggle">
+          {inputModes.map(option => (
+            <button
+              key={option.id}
+              className={`view-toggle-btn ${mode === option.id ? 'active' : ''}`}
+              onClick={() => setMode(option.id)}
+              disabled={isScanning}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {isThread && (
+        <>
+          <label className="input-label" htmlFor="thread-input">Conversation so far</label>
+          <textarea
+            id="thread-input"
+            className="message-textarea thread-textarea"
+            placeholder={`Paste the earlier messages, oldest first, one per "Name:" line...
+
+Alex: Can you send the Q3 numbers by Thursday?
+Sam: Also, are we still on for the review on Friday?`}
+            value={threadText}
+            onChange={(e) => setThreadText(e.target.value.slice(0, MAX_THREAD_LENGTH))}
+            disabled={isScanning}
+          />
+          <div className="thread-summary">
+            {threadSummary || 'No earlier messages yet'}
+          </div>
+          <label className="input-label" htmlFor="message-input">Your reply</label>
+        </>
+      )}
+
       <textarea
+        id="message-input"
         className="message-textarea"
         placeholder="Paste your message here...
 
@@ -32,6 +136,108 @@ Example: 'Hey, just following up on my last email. Not sure if you saw it but I
         disabled={isScanning}
       />
 
+      <div className="context-section">
+        <button
+          className="context-toggle"
+          onClick={() => setShowContext(!showContext)}
+          aria-expanded={showContext}
+        >
+          <Users size={16} />
+          Audience & channel
+          <span className="context-summary">
+            {contextSummary || 'optional'}
+          </span>
+          <ChevronDown size={16} className={`context-chevron ${showContext ? 'open' : ''}`} />
+        </button>
+
+        {showContext && (
+          <div className="context-fields">
+            <div className="model-selector">
+              <label htmlFor="context-recipient">Who is it for?</label>
+              <select
+                id="context-recipient"
+                className="model-select"
+                value={context.recipient}
+                onChange={(e) => updateContext('recipient', e.target.value)}
+                disabled={isScanning}
+              >
+                <option value="">Not specified</option>
+                {RECIPIENT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="model-selector">
+              <label htmlFor="context-channel">Where will you send it?</label>
+              <select
+                id="context-channel"
+                className="model-select"
+                value={context.channel}
+                onChange={(e) => updateContext('channel', e.target.value)}
+                disabled={isScanning}
+              >
+                <option value="">Not specified</option>
+                {CHANNEL_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="model-selector context-outcome">
+              <label htmlFor="context-outcome">What do you want to happen?</label>
+              <input
+                id="context-outcome"
+                type="text"
+                className="context-outcome-input"
+                placeholder="e.g. Get the report by Friday without souring the relationship"
+                value={context.outcome}
+                maxLength={MAX_OUTCOME_LENGTH}
+                onChange={(e) => updateContext('outcome', e.target.value)}
+                disabled={isScanning}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {setLanguage && (
+        <div className="language-row">
+          <Languages size={16} />
+          <span className="language-detected">
+            {detectedLanguage ? getLanguageName(detectedLanguage) : 'Language detected on scan'}
+          </span>
+          <label className="language-field">
+            Explain in
+            <select
+              className="model-select"
+              value={language.output}
+              onChange={(e) => setLanguage({ ...language, output: e.target.value })}
+              disabled={isScanning}
+            >
+              <option value={AUTO_LANGUAGE}>Same as message</option>
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code}>{option.nativeName}</option>
+              ))}
+            </select>
+          </label>
+          <label className="language-field">
+            Rewrite in
+            <select
+              className="model-select"
+              value={language.translateTo}
+              onChange={(e) => setLanguage({ ...language, translateTo: e.target.value })}
+              disabled={isScanning}
+            >
+              <option value="">Same as message</option>
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code}>Translate to {option.nativeName}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
       <div className="safety-toggle">
         <div
           className={`toggle-switch ${safetyCheck ? 'active' : ''}`}
@@ -43,10 +249,27 @@ Example: 'Hey, just following up on my last email. Not sure if you saw it but I
         />
         <span className="toggle-label">
           <ShieldCheck size={16} />
-          Safety Check — detect sensitive info (phone, email, addresses)
+          Safety Check — detect sensitive info (contact details, card numbers, API keys and more)
         </span>
       </div>
 
+      {setRedact && !isOffline && (
+        <div className="safety-toggle">
+          <div
+            className={`toggle-switch ${redact ? 'active' : ''}`}
+            onClick={() => setRedact(!redact)}
+            role="switch"
+            aria-checked={redact}
+            tabIndex={0}
+            onKeyDown={(e) => e.key === 'Enter' && setRedact(!redact)}
+          />
+          <span className="toggle-label">
+            <EyeOff size={16} />
+            Redact before sending — replace sensitive info with placeholders, restored in the results
+          </span>
+        </div>
+      )}
+
       <div className="input-actions">
         <span className="char-count">
           {charCount} / {maxChars} characters
@@ -0,0 +1,163 @@
+import { useState } from 'react';
+import { RefreshCw, Star } from 'lucide-react';
+import { getProvider } from '../utils/providers';
+import {
+  searchModels,
+  getFavoriteModels,
+  formatContextLength,
+  formatPricing
+} from '../utils/modelCatalog';
+import { useModelCatalog } from '../hooks/useModelCatalog';
+
+// OpenRouter lists hundreds of models; searching narrows the rest
+const MAX_VISIBLE_MODELS = 100;
+
+function describeSource(catalog, providerName) {
+  if (catalog.isLoading) {
+    return `Loading models from ${providerName}...`;
+  }
+  if (catalog.error) {
+    return `Couldn't load the ${providerName} model list (${catalog.error}). Showing ${
+      catalog.source === 'built-in' ? 'built-in models' : 'the last saved list'
+    }.`;
+  }
+  if (catalog.source === 'built-in') {
+    return catalog.canRefresh
+      ? 'Built-in models'
+      : `Built-in models. Add your key to load every ${providerName} model.`;
+  }
+  const updated = new Date(catalog.fetchedAt).toLocaleString();
+  return `${catalog.models.length} models from ${providerName} · updated ${updated}`;
+}
+
+export default function ModelPicker({
+  providerId,
+  value,
+  onChange,
+  apiKey,
+  providerSettings,
+  favorites,
+  onToggleFavorite
+}) {
+  const [query, setQuery] = useState('');
+  const provider = getProvider(providerId);
+  const catalog = useModelCatalog(providerId, { apiKey, providerSettings });
+
+  const favoriteIds = getFavoriteModels(favorites, providerId);
+  const ordered = [
+    ...favoriteIds.map(id => catalog.models.find(model => model.id === id) || { id, name: id }),
+    ...catalog.models.filter(model => !favoriteIds.includes(model.id))
+  ];
+  // Keep the saved model listed even if the provider no longer offers it
+  if (value && !provider.freeformModel && !ordered.some(model => model.id === value)) {
+    ordered.unshift({ id: value, name: value });
+  }
+
+  const matches = searchModels(ordered, query);
+  const visible = matches.slice(0, MAX_VISIBLE_MODELS);
+
+  const refreshButton = (
+    <button
+      type="button"
+      className="btn btn-icon"
+      onClick={catalog.refresh}
+      disabled={!catalog.canRefresh || catalog.isLoading}
+      title="Refresh model list"
+    >
+      <RefreshCw size={16} className={catalog.isLoading ? 'spinning' : ''} />
+    </button>
+  );
+
+  // Deployments and local models are typed; the listing only suggests names
+  if (provider.freeformModel) {
+    return (
+      <div className="model-selector">
+        <label>{provider.modelLabel}</label>
+        <div className="retention-row">
+          <input
+            type="text"
+            className="api-key-input"
+            list={`models-${providerId}`}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            autoComplete="off"
+          />
+          {provider.listModels?.({}) !== null && refreshButton}
+        </div>
+        <datalist id={`models-${providerId}`}>
+          {ordered.map(model => (
+            <option key={model.id} value={model.id}>
+              {model.name}
+            </option>
+          ))}
+        </datalist>
+        <p className="catalog-status">{describeSource(catalog, provider.name)}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="model-selector">
+      <label>Model Selection</label>
+      <div className="retention-row">
+        <input
+          type="search"
+          className="api-key-input"
+          placeholder={`Search ${ordered.length} models`}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoComplete="off"
+        />
+        {refreshButton}
+      </div>
+      <p className="catalog-status">{describeSource(catalog, provider.name)}</p>
+
+      <div className="catalog-list" role="listbox" aria-label="Models">
+        {visible.map(model => {
+          const isFavorite = favoriteIds.includes(model.id);
+          const details = [model.id, formatContextLength(model.contextLength), formatPricing(model.pricing)]
+            .filter(Boolean)
+            .join(' · ');
+
+          return (
+            <div
+              key={model.id}
+              role="option"
+              aria-selected={model.id === value}
+              className={`catalog-item ${model.id === value ? 'selected' : ''}`}
+              onClick={() => onChange(model.id)}
+            >
+              <button
+                type="button"
+                className={`catalog-favorite ${isFavorite ? 'active' : ''}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleFavorite(model.id);
+                }}
+                title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+                aria-pressed={isFavorite}
+              >
+                <Star size={14} fill={isFavorite ? 'currentColor' : 'none'} />
+              </button>
+              <div className="catalog-item-text">
+                <div className="catalog-item-name">
+                  {model.name}
+                  {model.tier === 'recommended' && <span className="catalog-tag">Recommended</span>}
+                </div>
+                <div className="catalog-item-meta">{details}</div>
+              </div>
+            </div>
+          );
+        })}
+        {matches.length === 0 && (
+          <p className="catalog-status">No models match "{query}".</p>
+        )}
+        {matches.length > visible.length && (
+          <p className="catalog-status">
+            {matches.length - visible.length} more; search to narrow the list.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -6,30 +6,97 @@ import {
   MessageSquare,
   Copy,
   Check,
-  Zap,
-  Heart,
-  Shield,
-  XCircle
+  XCircle,
+  ChevronLeft,
+  ChevronRight,
+  Wand2,
+  ScanLine,
+  ShieldCheck,
+  Undo2,
+  X,
+  CornerDownLeft,
+  ListChecks
 } from 'lucide-react';
 import BoardingPass from './BoardingPass';
+import HighlightedMessage from './HighlightedMessage';
+import RewriteDiff from './RewriteDiff';
+import ThreadReview from './ThreadReview';
+import { ISSUE_LABELS, locateRisks } from '../utils/highlight';
+import { DEFAULT_REWRITE_STYLES } from '../utils/rewriteStyles';
+import { describeMessageContext } from '../utils/messageContext';
+import { describeLanguage } from '../utils/language';
+import { getStyleIcon } from './styleIcons';
+import { formatCost, formatTokens } from '../utils/usage';
+import { SEVERITY_OPTIONS } from '../utils/styleRules';
+import { VERDICTS, VERDICT_STAMPS } from '../utils/verdicts';
+import { useRefinement } from '../hooks/useRefinement';
+import { useRewriteCheck } from '../hooks/useRewriteCheck';
 
-const rewriteStyles = [
-  { id: 'short', label: 'Short & Direct', icon: Zap },
-  { id: 'warm', label: 'Warm & Human', icon: Heart },
-  { id: 'confident', label: 'Confident & Assertive', icon: Shield }
+const rewriteViews = [
+  { id: 'text', label: 'Text' },
+  { id: 'inline', label: 'Inline diff' },
+  { id: 'split', label: 'Side by side' }
 ];
 
 export default function ResultsPanel({
   results,
+  originalMessage,
   safetyWarnings,
-  onCopy
+  onCopy,
+  onRefine,
+  onRescreen,
+  onQuickCheck,
+  sensitivePatterns,
+  onUseRewrite,
+  compact = false,
+  isStreaming = false,
+  rewriteStyles: currentRewriteStyles = DEFAULT_REWRITE_STYLES
 }) {
-  const [activeRewrite, setActiveRewrite] = useState('short');
+  const [selectedRewrite, setSelectedRewrite] = useState(null);
   const [copiedField, setCopiedField] = useState(null);
+  const [activeRisk, setActiveRisk] = useState(null);
+  const [rewriteView, setRewriteView] = useState('text');
+  const [refineInput, setRefineInput] = useState('');
+  const refinement = useRefinement(isStreaming ? null : results, originalMessage, onRefine);
+
+  // Finished results carry the styles they were generated with, so history
+  // entries keep their tabs (entries from before custom styles used the
+  // defaults); streamed partials have no _meta yet and use the current set
+  const rewriteStyles = results?._meta
+    ? results._meta.rewriteStyles || DEFAULT_REWRITE_STYLES
+    : currentRewriteStyles;
+  const activeRewrite = rewriteStyles.some(style => style.id === selectedRewrite)
+    ? selectedRewrite
+    : rewriteStyles[0]?.id;
+
+  // The rewrite on screen, as edited, is re-checked as the user types
+  const editorText = refinement.getText(activeRewrite);
+  const rewriteCheck = useRewriteCheck(editorText, {
+    quickCheck: onQuickCheck,
+    context: results?._meta?.context,
+    thread: results?._meta?.thread,
+    sensitivePatterns
+  });
 
   if (!results) return null;
 
-  const { verdict, risks, missing, rewrites, suggested_opener } = results;
+  const { verdict, risks, missing, rewrites, suggestedOpener, styleViolations } = results;
+  const usage = results._meta?.usage;
+
+  // While streaming, fields can be half-written: hide the verdict until it's
+  // a known value and skip risks whose quoted text hasn't arrived yet
+  const showVerdict = !isStreaming || VERDICTS.includes(verdict);
+  const visibleRisks = Array.isArray(risks) ? risks.filter(risk => risk && risk.text) : [];
+  const violations = Array.isArray(styleViolations) ? styleViolations : [];
+
+  // Quotes are still being written mid-stream, so only report misses at the end
+  const { spans, unmatched } = locateRisks(originalMessage, visibleRisks);
+  const unmatchedRisks = isStreaming ? [] : unmatched;
+
+  const handleSelectRisk = (index) => {
+    setActiveRisk(index);
+    document.getElementById(`risk-card-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
 
   const handleCopy = async (text, field) => {
     await navigator.clipboard.writeText(text);
@@ -38,11 +105,49 @@ export default function ResultsPanel({
     if (onCopy) onCopy();
   };
 
+  // Refined versions of the active rewrite; version 1 is the original rewrite
+  const versions = refinement.getVersions(activeRewrite);
+  const versionIndex = refinement.getIndex(activeRewrite);
+  const currentVersion = versions[versionIndex];
+  const isRefining = refinement.pending?.styleId === activeRewrite;
+  const refineError = refinement.error?.styleId === activeRewrite ? refinement.error.message : null;
+  const canRefine = Boolean(onRefine) && !isStreaming && versions.length > 0;
+  const isEdited = refinement.isEdited(activeRewrite);
+  const canEdit = !isStreaming && !isRefining && versions.length > 0;
+  const rewriteText = isRefining
+    ? refinement.pending.partial || currentVersion?.text
+    : editorText || rewrites?.[activeRewrite];
+
+  // A check of the rewrite on screen stands in for the original verdict
+  const checkResult = rewriteCheck.result;
+  const checkStamp = VERDICT_STAMPS[checkResult?.verdict];
+
+  const handleRefine = async (e) => {
+    e.preventDefault();
+    // Custom styles carry their instruction in preferences, not in _meta
+    const style = currentRewriteStyles.find(item => item.id === activeRewrite)
+      || rewriteStyles.find(item => item.id === activeRewrite)
+      || { id: activeRewrite };
+    if (await refinement.submit(style, refineInput)) {
+      setRefineInput('');
+    }
+  };
+
   return (
-    <div className="results-section">
+    <div className={`results-section ${isStreaming ? 'streaming' : ''} ${compact ? 'compact' : ''}`}>
       <div className="results-grid">
         {/* Boarding Pass */}
-        <BoardingPass verdict={verdict} />
+        {showVerdict && (
+          <BoardingPass
+            verdict={checkResult ? checkResult.verdict : verdict}
+            destination={describeMessageContext(results._meta?.context)}
+            language={describeLanguage(results._meta?.language)}
+            compact={compact}
+            message={checkResult
+              ? `Your ${isEdited ? 'edited ' : ''}rewrite: ${checkResult.verdictReason || 'checked'}`
+              : undefined}
+          />
+        )}
 
         {/* Safety Warnings */}
         {safetyWarnings && safetyWarnings.length > 0 && (
@@ -52,7 +157,9 @@ export default function ResultsPanel({
               Sensitive Information Detected
             </div>
             <p className="safety-warning-text">
-              Your message may contain personal information you might not want to share:
+              {results._meta?.redactedCount > 0
+                ? 'These were replaced with placeholders before sending and put back in the results below:'
+                : 'Your message may contain personal information you might not want to share:'}
             </p>
             <ul className="detected-items">
               {safetyWarnings.map((item, i) => (
@@ -62,18 +169,47 @@ export default function ResultsPanel({
           </div>
         )}
 
+        {/* How a reply fits the thread it answers */}
+        <ThreadReview review={results.thread} thread={results._meta?.thread} />
+
+        {/* Original message with risky phrases highlighted; the compact
+            panel sits next to the draft itself, so it's left out */}
+        {!compact && visibleRisks.length > 0 && (
+          <HighlightedMessage
+            message={originalMessage}
+            risks={visibleRisks}
+            spans={spans}
+            unmatched={unmatchedRisks}
+            activeRisk={activeRisk}
+            onHoverRisk={setActiveRisk}
+            onSelectRisk={handleSelectRisk}
+          />
+        )}
+
         {/* Misread Risks */}
-        {risks && risks.length > 0 && (
+        {visibleRisks.length > 0 && (
           <div>
             <h3 className="section-title" style={{ fontSize: '1.125rem', marginBottom: '16px' }}>
               <AlertTriangle size={20} />
               Misread Risks
             </h3>
-            {risks.map((risk, index) => (
-              <div key={index} className="alert-card risk">
+            {visibleRisks.map((risk, index) => (
+              <div
+                key={index}
+                id={`risk-card-${index}`}
+                className={`alert-card risk issue-${risk.issue} ${activeRisk === index ? 'active' : ''}`}
+                onMouseEnter={() => setActiveRisk(index)}
+                onMouseLeave={() => setActiveRisk(null)}
+              >
                 <div className="alert-header">
                   <AlertTriangle size={16} />
-                  {risk.issue}
+                  {ISSUE_LABELS[risk.issue] || risk.issue}
+                  {risk.source === 'heuristic' && (
+                    <span className="risk-source-tag" title="Found by the offline rule-based checks">Rule-based</span>
+                  )}
+                  {unmatchedRisks.includes(index) && (
+                    <span className="risk-unmatched-tag">Not found in message</span>
+                  )}
                 </div>
                 <div className="alert-text">"{risk.text}"</div>
                 <p className="alert-explanation">{risk.why}</p>
@@ -82,8 +218,34 @@ export default function ResultsPanel({
           </div>
         )}
 
+        {/* Style Guide */}
+        {violations.length > 0 && (
+          <div className="style-violations">
+            <h3 className="section-title" style={{ fontSize: '1.125rem', marginBottom: '16px' }}>
+              <ListChecks size={20} />
+              Style Guide
+            </h3>
+            {violations.map((violation, index) => (
+              <div key={index} className="alert-card risk issue-style_rule">
+                <div className="alert-header">
+                  <ListChecks size={16} />
+                  {violation.text === null ? 'Missing required element' : ISSUE_LABELS.style_rule}
+                  <span className={`style-severity-tag severity-${violation.severity}`}>
+                    {SEVERITY_OPTIONS.find(option => option.id === violation.severity)?.label || violation.severity}
+                  </span>
+                </div>
+                {violation.text !== null && <div className="alert-text">"{violation.text}"</div>}
+                <p className="alert-explanation">{violation.message}</p>
+                {violation.replacement && (
+                  <p className="style-violation-replacement">Instead: "{violation.replacement}"</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Missing Info */}
-        {missing && missing.length > 0 && (
+        {Array.isArray(missing) && missing.length > 0 && (
           <div className="missing-info-section">
             <h3 className="missing-info-title">
               <HelpCircle size={18} />
@@ -98,18 +260,18 @@ export default function ResultsPanel({
         )}
 
         {/* Suggested Opener */}
-        {suggested_opener && (
+        {suggestedOpener && (
           <div className="opener-section">
             <h3 className="opener-title">
               <MessageSquare size={18} />
               Better Subject / Opener
             </h3>
             <div className="opener-text">
-              {suggested_opener}
+              {suggestedOpener}
               <button
                 className="btn btn-icon"
                 style={{ marginLeft: '12px', color: 'var(--color-xray-blue)' }}
-                onClick={() => handleCopy(suggested_opener, 'opener')}
+                onClick={() => handleCopy(suggestedOpener, 'opener')}
                 title="Copy to clipboard"
               >
                 {copiedField === 'opener' ? <Check size={16} /> : <Copy size={16} />}
@@ -128,12 +290,12 @@ export default function ResultsPanel({
 
             <div className="rewrite-tabs">
               {rewriteStyles.map(style => {
-                const Icon = style.icon;
+                const Icon = getStyleIcon(style);
                 return (
                   <button
                     key={style.id}
                     className={`rewrite-tab ${activeRewrite === style.id ? 'active' : ''}`}
-                    onClick={() => setActiveRewrite(style.id)}
+                    onClick={() => setSelectedRewrite(style.id)}
                   >
                     <Icon size={16} />
                     {style.label}
@@ -142,14 +304,182 @@ export default function ResultsPanel({
               })}
             </div>
 
-            <div className="rewrite-content">
-              {rewrites[activeRewrite] || 'No rewrite available for this style.'}
-            </div>
+            {originalMessage && !compact && (
+              <div className="rewrite-view-toggle">
+                {rewriteViews.map(view => (
+                  <button
+                    key={view.id}
+                    className={`view-toggle-btn ${rewriteView === view.id ? 'active' : ''}`}
+                    onClick={() => setRewriteView(view.id)}
+                  >
+                    {view.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {versions.length > 1 && (
+              <div className="refine-versions">
+                <button
+                  className="btn btn-icon"
+                  onClick={() => refinement.select(activeRewrite, versionIndex - 1)}
+                  disabled={isRefining || versionIndex === 0}
+                  title="Previous version"
+                >
+                  <ChevronLeft size={16} />
+                </button>
+                <span className="refine-version-label">
+                  v{versionIndex + 1} of {versions.length}
+                </span>
+                <button
+                  className="btn btn-icon"
+                  onClick={() => refinement.select(activeRewrite, versionIndex + 1)}
+                  disabled={isRefining || versionIndex === versions.length - 1}
+                  title="Next version"
+                >
+                  <ChevronRight size={16} />
+                </button>
+                <span className="refine-version-instruction">
+                  {currentVersion.instruction
+                    ? `"${currentVersion.instruction}"${currentVersion.note ? ` · ${currentVersion.note}` : ''}`
+                    : 'Original rewrite'}
+                </span>
+              </div>
+            )}
+
+            {rewriteView !== 'text' && originalMessage && rewriteText && !isRefining ? (
+              <RewriteDiff
+                original={originalMessage}
+                rewrite={rewriteText}
+                mode={rewriteView}
+              />
+            ) : canEdit ? (
+              <textarea
+                className="rewrite-content rewrite-editor"
+                value={editorText}
+                onChange={(e) => refinement.edit(activeRewrite, e.target.value)}
+                aria-label="Edit rewrite"
+                spellCheck
+              />
+            ) : (
+              <div className={`rewrite-content ${isRefining ? 'refining' : ''}`}>
+                {rewriteText || (isStreaming
+                  ? 'Writing...'
+                  : 'No rewrite available for this style.')}
+              </div>
+            )}
+
+            {canRefine && (
+              <form className="refine-form" onSubmit={handleRefine}>
+                <input
+                  type="text"
+                  className="refine-input"
+                  placeholder='Refine this version, e.g. "shorter" or "mention the Friday deadline"'
+                  value={refineInput}
+                  onChange={(e) => setRefineInput(e.target.value)}
+                  disabled={isRefining}
+                  maxLength={500}
+                />
+                {isRefining ? (
+                  <button type="button" className="btn btn-ghost" onClick={refinement.cancel}>
+                    <X size={16} />
+                    Cancel
+                  </button>
+                ) : (
+                  <button type="submit" className="btn btn-secondary" disabled={!refineInput.trim()}>
+                    <Wand2 size={16} />
+                    Refine
+                  </button>
+                )}
+              </form>
+            )}
+            {isRefining && (
+              <p className="refine-status">Applying "{refinement.pending.instruction}"...</p>
+            )}
+            {refineError && <p className="refine-error">{refineError}</p>}
+
+            {canEdit && (
+              <div className="rewrite-check">
+                {rewriteCheck.warnings.length > 0 && (
+                  <div className="rewrite-check-warnings">
+                    <XCircle size={14} />
+                    <span>Sensitive details: {rewriteCheck.warnings.join(' · ')}</span>
+                  </div>
+                )}
+                {checkResult && (
+                  <div className="rewrite-check-result">
+                    {checkStamp && (
+                      <span className={`history-stamp ${checkStamp.class}`}>{checkStamp.label}</span>
+                    )}
+                    {checkResult.risks.length === 0
+                      ? 'No misread risks found.'
+                      : checkResult.risks.map(risk => `"${risk.text}" (${ISSUE_LABELS[risk.issue] || risk.issue})`).join(', ')}
+                    {checkResult.styleViolations?.length > 0 && (
+                      <span className="rewrite-check-style">
+                        {' '}Style guide: {checkResult.styleViolations.map(violation => (
+                          violation.text === null ? violation.message : `"${violation.text}"`
+                        )).join(', ')}
+                      </span>
+                    )}
+                  </div>
+                )}
+                {rewriteCheck.isStale && !rewriteCheck.isChecking && (
+                  <p className="rewrite-check-note">Edited since the last check.</p>
+                )}
+                {rewriteCheck.error && <p className="refine-error">{rewriteCheck.error}</p>}
+                <div className="rewrite-check-actions">
+                  {rewriteCheck.isChecking ? (
+                    <button className="btn btn-ghost" onClick={rewriteCheck.cancel}>
+                      <X size={16} />
+                      Checking... Cancel
+                    </button>
+                  ) : (
+                    <button
+                      className="btn btn-ghost"
+                      onClick={rewriteCheck.run}
+                      disabled={!onQuickCheck || !editorText.trim() || Boolean(checkResult)}
+                      title="Quick verdict for the text above (no new rewrites)"
+                    >
+                      <ShieldCheck size={16} />
+                      {checkResult ? 'Checked' : 'Check This Version'}
+                    </button>
+                  )}
+                  {isEdited && (
+                    <button className="btn btn-ghost" onClick={() => refinement.resetEdit(activeRewrite)}>
+                      <Undo2 size={16} />
+                      Undo Edits
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
 
             <div className="rewrite-actions">
+              {onUseRewrite && (
+                <button
+                  className="btn btn-primary"
+                  onClick={() => onUseRewrite(rewriteText)}
+                  disabled={isStreaming || isRefining || !rewriteText}
+                  title="Replace your draft with this rewrite"
+                >
+                  <CornerDownLeft size={16} />
+                  Use This Rewrite
+                </button>
+              )}
+              {onRescreen && (versionIndex > 0 || isEdited) && !isRefining && (
+                <button
+                  className="btn btn-ghost"
+                  onClick={() => onRescreen(rewriteText)}
+                  title="Run this version through a fresh scan"
+                >
+                  <ScanLine size={16} />
+                  Re-screen This Version
+                </button>
+              )}
               <button
                 className={`btn btn-secondary ${copiedField === activeRewrite ? 'copy-success' : ''}`}
-                onClick={() => handleCopy(rewrites[activeRewrite], activeRewrite)}
+                onClick={() => handleCopy(rewriteText, activeRewrite)}
+                disabled={isStreaming || isRefining || !rewriteText}
               >
                 {copiedField === activeRewrite ? (
                   <>
@@ -166,6 +496,18 @@ export default function ResultsPanel({
             </div>
           </div>
         )}
+
+        {/* Tokens and estimated cost, when the provider reported usage */}
+        {!isStreaming && usage && (
+          <div
+            className="scan-usage"
+            title={`${formatTokens(usage.promptTokens)} input · ${formatTokens(usage.completionTokens)} output tokens`}
+          >
+            {formatTokens(usage.totalTokens)} tokens
+            {' · '}
+            {usage.cost === null ? 'cost unknown for this model' : `~${formatCost(usage.cost)}`}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,78 @@
+import { useMemo } from 'react';
+import { diffWords, getDiffStats } from '../utils/diff';
+
+function formatPercent(value) {
+  return `${value > 0 ? '+' : ''}${value}%`;
+}
+
+export default function RewriteDiff({ original, rewrite, mode = 'inline' }) {
+  const parts = useMemo(() => diffWords(original, rewrite), [original, rewrite]);
+  const stats = useMemo(() => getDiffStats(original, rewrite, parts), [original, rewrite, parts]);
+
+  return (
+    <div className="rewrite-diff">
+      {mode === 'split' ? (
+        <div className="diff-split">
+          <div className="diff-column">
+            <div className="diff-column-label">Original</div>
+            <div className="rewrite-content diff-text">
+              {parts.filter(part => part.type !== 'insert').map((part, i) => (
+                part.type === 'delete'
+                  ? <del key={i} className="diff-delete">{part.text}</del>
+                  : <span key={i}>{part.text}</span>
+              ))}
+            </div>
+          </div>
+          <div className="diff-column">
+            <div className="diff-column-label">Rewrite</div>
+            <div className="rewrite-content diff-text">
+              {parts.filter(part => part.type !== 'delete').map((part, i) => (
+                part.type === 'insert'
+                  ? <ins key={i} className="diff-insert">{part.text}</ins>
+                  : <span key={i}>{part.text}</span>
+              ))}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="rewrite-content diff-text">
+          {parts.map((part, i) => {
+            if (part.type === 'insert') return <ins key={i} className="diff-insert">{part.text}</ins>;
+            if (part.type === 'delete') return <del key={i} className="diff-delete">{part.text}</del>;
+            return <span key={i}>{part.text}</span>;
+          })}
+        </div>
+      )}
+
+      <div className="diff-stats">
+        <span className="diff-stat">
+          {stats.originalLength} → {stats.revisedLength} chars
+          ({formatPercent(stats.lengthDeltaPercent)})
+        </span>
+        <span className="diff-stat">
+          {stats.originalWords} → {stats.revisedWords} words
+        </span>
+        <span className="diff-stat diff-stat-insert">+{stats.wordsAdded} added</span>
+        <span className="diff-stat diff-stat-delete">−{stats.wordsRemoved} removed</span>
+      </div>
+
+      {stats.removedHedges.length > 0 && (
+        <div className="diff-hedges">
+          Hedging removed:
+          {stats.removedHedges.map(phrase => (
+            <span key={phrase} className="missing-tag diff-hedge-tag">"{phrase}"</span>
+          ))}
+        </div>
+      )}
+
+      {stats.addedHedges.length > 0 && (
+        <div className="diff-hedges">
+          Hedging added:
+          {stats.addedHedges.map(phrase => (
+            <span key={phrase} className="missing-tag">"{phrase}"</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
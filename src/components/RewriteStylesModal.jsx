@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { Sparkles, X, Plus, Trash2 } from 'lucide-react';
+import {
+  DEFAULT_REWRITE_STYLES,
+  MAX_REWRITE_STYLES,
+  STYLE_ICON_KEYS,
+  createStyleId
+} from '../utils/rewriteStyles';
+import { STYLE_ICONS } from './styleIcons';
+
+export default function RewriteStylesModal({
+  isOpen,
+  onClose,
+  styles,
+  onSave
+}) {
+  // Draft rows; new rows get their id from the name when saved
+  const [draft, setDraft] = useState(() => styles.map(style => ({ ...style })));
+
+  if (!isOpen) return null;
+
+  const isValid = draft.length > 0
+    && draft.every(style => style.label.trim() && style.instruction.trim());
+
+  const updateStyle = (index, changes) => {
+    setDraft(prev => prev.map((style, i) => (i === index ? { ...style, ...changes } : style)));
+  };
+
+  const handleAdd = () => {
+    setDraft(prev => [...prev, { id: null, label: '', icon: 'message', instruction: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = () => {
+    const takenIds = draft.filter(style => style.id).map(style => style.id);
+    const saved = draft.map(style => {
+      const label = style.label.trim();
+      let id = style.id;
+      if (!id) {
+        id = createStyleId(label, takenIds);
+        takenIds.push(id);
+      }
+      return {
+        id,
+        label,
+        icon: style.icon,
+        // Built-in styles keep their tuned schema description
+        description: style.description || `${label} rewrite of the full message`,
+        instruction: style.instruction.trim()
+      };
+    });
+    onSave(saved);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-icon">
+            <Sparkles size={24} />
+          </div>
+          <div>
+            <h2 className="modal-title">Rewrite Styles</h2>
+          </div>
+          <button
+            className="btn btn-icon"
+            onClick={onClose}
+            style={{ marginLeft: 'auto', color: 'var(--color-text-muted)' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="modal-description">
+          Each style becomes a rewrite tab. The instruction is sent to the model
+          as-is, so describe the tone, length and audience you want.
+        </p>
+
+        <div className="style-editor-list">
+          {draft.map((style, index) => {
+            const Icon = STYLE_ICONS[style.icon] || STYLE_ICONS.message;
+            return (
+              <div key={style.id || `new-${index}`} className="style-editor-row">
+                <div className="style-editor-header">
+                  <Icon size={18} className="style-editor-icon" />
+                  <select
+                    className="model-select style-icon-select"
+                    value={style.icon}
+                    onChange={(e) => updateStyle(index, { icon: e.target.value })}
+                    aria-label="Icon"
+                  >
+                    {STYLE_ICON_KEYS.map(key => (
+                      <option key={key} value={key}>{key}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    className="style-name-input"
+                    placeholder="Style name (e.g. Executive summary)"
+                    value={style.label}
+                    maxLength={40}
+                    onChange={(e) => updateStyle(index, { label: e.target.value })}
+                  />
+                  <button
+                    className="btn btn-icon style-remove"
+                    onClick={() => handleRemove(index)}
+                    disabled={draft.length === 1}
+                    title="Remove style"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+                <textarea
+                  className="style-instruction-input"
+                  placeholder="Instruction for the model, e.g. Three bullet points a busy executive can skim in ten seconds"
+                  value={style.instruction}
+                  maxLength={300}
+                  rows={2}
+                  onChange={(e) => updateStyle(index, { instruction: e.target.value })}
+                />
+              </div>
+            );
+          })}
+        </div>
+
+        <button
+          className="btn btn-ghost"
+          onClick={handleAdd}
+          disabled={draft.length >= MAX_REWRITE_STYLES}
+          style={{ marginTop: 'var(--space-3)' }}
+          title={draft.length >= MAX_REWRITE_STYLES ? `Up to ${MAX_REWRITE_STYLES} styles` : undefined}
+        >
+          <Plus size={16} />
+          Add Style
+        </button>
+
+        <div className="modal-footer">
+          <button
+            className="btn btn-ghost"
+            onClick={() => setDraft(DEFAULT_REWRITE_STYLES.map(style => ({ ...style })))}
+          >
+            Reset to Defaults
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={!isValid}
+          >
+            Save Styles
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
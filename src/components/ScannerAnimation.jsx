@@ -1,11 +1,36 @@
-import { ScanLine, FileText, AlertTriangle, MessageSquare } from 'lucide-react';
+import { ScanLine, FileText, AlertTriangle, MessageSquare, Check, X, RefreshCw } from 'lucide-react';
 
-export default function ScannerAnimation({ message }) {
+// Each label lights up when its section of the streamed response arrives
+const scannerSections = [
+  { id: 'verdict', label: 'Tone', icon: ScanLine },
+  { id: 'rewrites', label: 'Clarity', icon: FileText },
+  { id: 'missing', label: 'Ask', icon: MessageSquare },
+  { id: 'risks', label: 'Risk', icon: AlertTriangle }
+];
+
+/**
+ * Works out which sections are finished and which one is still streaming.
+ * The model writes keys in order, so every key before the last is done.
+ */
+function getSectionStates(partialResult) {
+  if (!partialResult) return {};
+
+  const keys = Object.keys(partialResult);
+  const states = {};
+  keys.forEach((key, index) => {
+    states[key] = index < keys.length - 1 ? 'done' : 'active';
+  });
+  return states;
+}
+
+export default function ScannerAnimation({ message, partialResult, attemptInfo, onCancel }) {
   // Truncate message for display
   const displayMessage = message.length > 300
     ? message.slice(0, 300) + '...'
     : message;
 
+  const sectionStates = getSectionStates(partialResult);
+
   return (
     <div className="scanner-container">
       <div className="x-ray-container">
@@ -14,23 +39,36 @@ export default function ScannerAnimation({ message }) {
       </div>
 
       <div className="scanner-labels">
-        <div className="scanner-label">
-          <ScanLine size={14} />
-          Tone
-        </div>
-        <div className="scanner-label">
-          <FileText size={14} />
-          Clarity
-        </div>
-        <div className="scanner-label">
-          <MessageSquare size={14} />
-          Ask
+        {scannerSections.map(section => {
+          const state = sectionStates[section.id] || '';
+          const Icon = state === 'done' ? Check : section.icon;
+          return (
+            <div key={section.id} className={`scanner-label ${state}`}>
+              <Icon size={14} />
+              {section.label}
+            </div>
+          );
+        })}
+      </div>
+
+      {attemptInfo && (attemptInfo.attempt > 1 || attemptInfo.retryDelayMs) && (
+        <div className="scanner-attempt">
+          <RefreshCw size={14} />
+          {attemptInfo.retryDelayMs
+            ? `Attempt ${attemptInfo.attempt} of ${attemptInfo.maxRetries} failed (${attemptInfo.lastErrorMessage}) - retrying in ${Math.round(attemptInfo.retryDelayMs / 1000)}s`
+            : `Attempt ${attemptInfo.attempt} of ${attemptInfo.maxRetries}`}
         </div>
-        <div className="scanner-label">
-          <AlertTriangle size={14} />
-          Risk
+      )}
+
+      {onCancel && (
+        <div className="scanner-actions">
+          <button className="btn btn-ghost scanner-cancel" onClick={onCancel}>
+            <X size={16} />
+            Cancel
+            <kbd className="kbd">Esc</kbd>
+          </button>
         </div>
-      </div>
+      )}
 
       <div className="conveyor-belt" />
     </div>
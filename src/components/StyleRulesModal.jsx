@@ -0,0 +1,316 @@
+import { useState, useRef } from 'react';
+import { ListChecks, X, Plus, Trash2, Download, Upload } from 'lucide-react';
+import {
+  RULE_TYPES,
+  RULE_TYPE_OPTIONS,
+  RULE_SEVERITIES,
+  SEVERITY_OPTIONS,
+  MAX_STYLE_RULES,
+  EXAMPLE_STYLE_RULES,
+  validateRulePattern,
+  normalizeStyleRules,
+  createRulePack,
+  parseRulePack
+} from '../utils/styleRules';
+import { downloadFile, fileDateStamp } from '../utils/download';
+
+const EMPTY_RULE = {
+  id: null,
+  type: RULE_TYPES.PHRASE,
+  pattern: '',
+  when: '',
+  severity: RULE_SEVERITIES.WARNING,
+  message: '',
+  replacement: '',
+  enabled: true
+};
+
+const PATTERN_PLACEHOLDERS = {
+  [RULE_TYPES.PHRASE]: 'Phrase to avoid, e.g. ASAP',
+  [RULE_TYPES.REGEX]: 'Pattern to avoid, e.g. \\bper my last (email|message)\\b',
+  [RULE_TYPES.REQUIRED]: 'Pattern that must appear, e.g. https?://\\S+'
+};
+
+/**
+ * Error for one draft row, or null when it can be saved.
+ */
+function getRuleError(rule) {
+  if (!rule.pattern.trim()) return 'Pattern is required';
+  if (rule.type === RULE_TYPES.PHRASE) return null;
+  const patternError = validateRulePattern(rule.pattern);
+  if (patternError) return `Pattern: ${patternError}`;
+  if (rule.type === RULE_TYPES.REQUIRED && rule.when.trim()) {
+    const whenError = validateRulePattern(rule.when);
+    if (whenError) return `Condition: ${whenError}`;
+  }
+  return null;
+}
+
+export default function StyleRulesModal({
+  isOpen,
+  onClose,
+  rules,
+  onSave
+}) {
+  // Draft rows; empty rows are dropped and ids assigned when saved
+  const [draft, setDraft] = useState(() => rules.map(rule => ({ ...rule })));
+  const [transferMessage, setTransferMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  if (!isOpen) return null;
+
+  const errors = draft.map(getRuleError);
+  const filledRows = draft.filter(rule => rule.pattern.trim());
+  const isValid = draft.every((rule, index) => !rule.pattern.trim() || !errors[index]);
+  const isFull = draft.length >= MAX_STYLE_RULES;
+
+  const updateRule = (index, changes) => {
+    setDraft(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleAdd = () => {
+    setDraft(prev => [...prev, { ...EMPTY_RULE }]);
+  };
+
+  const handleRemove = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addRules = (added) => {
+    setDraft(prev => [
+      ...prev,
+      ...added.map(rule => ({ ...EMPTY_RULE, ...rule, id: null }))
+    ].slice(0, MAX_STYLE_RULES));
+  };
+
+  const handleExport = () => {
+    downloadFile(
+      JSON.stringify(createRulePack(filledRows), null, 2),
+      `message-clearance-style-rules-${fileDateStamp()}.json`,
+      'application/json'
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { rules: imported, skipped } = parseRulePack(await file.text());
+      if (imported.length === 0) {
+        setTransferMessage({ type: 'error', text: `No valid rules found in ${file.name}` });
+        return;
+      }
+      addRules(imported);
+      const room = MAX_STYLE_RULES - draft.length;
+      setTransferMessage({
+        type: 'success',
+        text: `Added ${Math.min(imported.length, room)} rule${imported.length === 1 ? '' : 's'} from ${file.name}`
+          + (skipped > 0 ? ` · ${skipped} invalid skipped` : '')
+          + (imported.length > room ? ` · ${imported.length - room} over the limit of ${MAX_STYLE_RULES}` : '')
+      });
+    } catch (error) {
+      setTransferMessage({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleSave = () => {
+    onSave(normalizeStyleRules(filledRows.map(rule => ({
+      ...rule,
+      id: rule.id || undefined
+    }))));
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-icon">
+            <ListChecks size={24} />
+          </div>
+          <div>
+            <h2 className="modal-title">Team Style Guide</h2>
+          </div>
+          <button
+            className="btn btn-icon"
+            onClick={onClose}
+            style={{ marginLeft: 'auto', color: 'var(--color-text-muted)' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="modal-description">
+          Rules are checked on your device against every message and listed
+          in the prompt so rewrites follow them. Warnings mark a message for
+          review and errors flag it. Share them with your team as a JSON rule pack.
+        </p>
+
+        {draft.length === 0 && (
+          <p className="style-rules-empty">
+            No rules yet. Add your own or start from the examples.
+          </p>
+        )}
+
+        <div className="style-editor-list">
+          {draft.map((rule, index) => (
+            <div
+              key={rule.id || `new-${index}`}
+              className={`style-editor-row style-rule-row ${rule.enabled ? '' : 'disabled'}`}
+            >
+              <div className="style-editor-header">
+                <div
+                  className={`toggle-switch ${rule.enabled ? 'active' : ''}`}
+                  onClick={() => updateRule(index, { enabled: !rule.enabled })}
+                  role="switch"
+                  aria-checked={rule.enabled}
+                  aria-label="Rule enabled"
+                  tabIndex={0}
+                  onKeyDown={(e) => e.key === 'Enter' && updateRule(index, { enabled: !rule.enabled })}
+                />
+                <select
+                  className="model-select style-icon-select"
+                  value={rule.type}
+                  onChange={(e) => updateRule(index, { type: e.target.value })}
+                  aria-label="Rule type"
+                >
+                  {RULE_TYPE_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  className={`model-select style-icon-select severity-${rule.severity}`}
+                  value={rule.severity}
+                  onChange={(e) => updateRule(index, { severity: e.target.value })}
+                  aria-label="Severity"
+                >
+                  {SEVERITY_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn btn-icon style-remove"
+                  onClick={() => handleRemove(index)}
+                  title="Remove rule"
+                  style={{ marginLeft: 'auto' }}
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+              <div className="style-rule-fields">
+                <input
+                  type="text"
+                  className={`style-name-input ${rule.type === RULE_TYPES.PHRASE ? '' : 'style-rule-pattern'}`}
+                  placeholder={PATTERN_PLACEHOLDERS[rule.type]}
+                  value={rule.pattern}
+                  maxLength={300}
+                  onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                  aria-label="Pattern"
+                />
+                {rule.type === RULE_TYPES.REQUIRED ? (
+                  <input
+                    type="text"
+                    className="style-instruction-input style-rule-pattern"
+                    placeholder="Only when the message matches (optional), e.g. \breview\b"
+                    value={rule.when}
+                    maxLength={300}
+                    onChange={(e) => updateRule(index, { when: e.target.value })}
+                    aria-label="Condition"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    className="style-instruction-input"
+                    placeholder="Suggested replacement (optional), e.g. by Friday 3pm"
+                    value={rule.replacement}
+                    maxLength={200}
+                    onChange={(e) => updateRule(index, { replacement: e.target.value })}
+                    aria-label="Suggested replacement"
+                  />
+                )}
+                <input
+                  type="text"
+                  className="style-instruction-input"
+                  placeholder="Why, shown with each violation, e.g. Give a concrete deadline"
+                  value={rule.message}
+                  maxLength={200}
+                  onChange={(e) => updateRule(index, { message: e.target.value })}
+                  aria-label="Message"
+                />
+              </div>
+              {rule.pattern.trim() && errors[index] && (
+                <p className="refine-error">{errors[index]}</p>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="style-rules-actions">
+          <button
+            className="btn btn-ghost"
+            onClick={handleAdd}
+            disabled={isFull}
+            title={isFull ? `Up to ${MAX_STYLE_RULES} rules` : undefined}
+          >
+            <Plus size={16} />
+            Add Rule
+          </button>
+          {draft.length === 0 && (
+            <button className="btn btn-ghost" onClick={() => addRules(EXAMPLE_STYLE_RULES)}>
+              Add Example Rules
+            </button>
+          )}
+          <button
+            className="btn btn-ghost"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isFull}
+            style={{ marginLeft: 'auto' }}
+          >
+            <Upload size={16} />
+            Import
+          </button>
+          <button
+            className="btn btn-ghost"
+            onClick={handleExport}
+            disabled={filledRows.length === 0 || !isValid}
+          >
+            <Download size={16} />
+            Export
+          </button>
+        </div>
+
+        {transferMessage && (
+          <p className={`history-transfer-message ${transferMessage.type}`}>
+            {transferMessage.text}
+          </p>
+        )}
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFile}
+          hidden
+        />
+
+        <div className="modal-footer">
+          <button
+            className="btn btn-ghost"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={!isValid}
+          >
+            Save Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
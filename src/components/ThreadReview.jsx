@@ -0,0 +1,76 @@
+import { MessagesSquare, CheckCircle, XCircle, TrendingDown, TrendingUp, Minus } from 'lucide-react';
+import { TONE_SHIFTS } from '../utils/thread';
+
+const toneShiftIcons = {
+  de_escalates: TrendingDown,
+  matches: Minus,
+  escalates: TrendingUp
+};
+
+/**
+ * How a reply fits the conversation it answers: which questions it
+ * addresses and whether it raises or lowers the temperature.
+ */
+export default function ThreadReview({ review, thread }) {
+  if (!review || typeof review !== 'object') return null;
+
+  // Questions can be half-written while streaming
+  const questions = Array.isArray(review.questions)
+    ? review.questions.filter(item => item && item.question)
+    : [];
+  const toneShift = TONE_SHIFTS[review.toneShift] ? review.toneShift : null;
+  const ToneIcon = toneShift ? toneShiftIcons[toneShift] : null;
+  const unanswered = questions.filter(item => item.addressed === false).length;
+
+  if (!toneShift && questions.length === 0) return null;
+
+  return (
+    <div className="thread-review">
+      <h3 className="section-title" style={{ fontSize: '1.125rem', marginBottom: '12px' }}>
+        <MessagesSquare size={20} />
+        Reply Fit
+        {Array.isArray(thread) && thread.length > 0 && (
+          <span className="thread-review-count">
+            vs. {thread.length} earlier message{thread.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </h3>
+
+      {toneShift && (
+        <div className={`thread-tone-shift ${toneShift}`}>
+          <ToneIcon size={18} />
+          <div>
+            <div className="thread-tone-label">{TONE_SHIFTS[toneShift]}</div>
+            {review.toneShiftReason && (
+              <p className="thread-tone-reason">{review.toneShiftReason}</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {questions.length > 0 && (
+        <>
+          <div className="thread-questions-summary">
+            {unanswered === 0
+              ? `Addresses all ${questions.length} open question${questions.length === 1 ? '' : 's'}`
+              : `Leaves ${unanswered} of ${questions.length} open question${questions.length === 1 ? '' : 's'} unanswered`}
+          </div>
+          <ul className="thread-questions">
+            {questions.map((item, index) => (
+              <li
+                key={index}
+                className={`thread-question ${item.addressed === false ? 'unanswered' : 'answered'}`}
+              >
+                {item.addressed === false ? <XCircle size={16} /> : <CheckCircle size={16} />}
+                <div>
+                  <div className="thread-question-text">{item.question}</div>
+                  {item.note && <p className="thread-question-note">{item.note}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
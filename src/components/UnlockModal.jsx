@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { Lock, X } from 'lucide-react';
+
+export default function UnlockModal({
+  isOpen,
+  onClose,
+  onUnlock,
+  onForget
+}) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [confirmingForget, setConfirmingForget] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Could not unlock the key');
+      setIsUnlocking(false);
+    }
+  };
+
+  const handleForget = () => {
+    onForget();
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <form className="modal" onClick={e => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="modal-header">
+          <div className="modal-icon">
+            <Lock size={24} />
+          </div>
+          <div>
+            <h2 className="modal-title">Unlock API Key</h2>
+          </div>
+          <button
+            type="button"
+            className="btn btn-icon"
+            onClick={onClose}
+            style={{ marginLeft: 'auto', color: 'var(--color-text-muted)' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="modal-description">
+          Your API key is encrypted. Enter your passphrase to use it until you
+          lock it again or step away.
+        </p>
+
+        <input
+          type="password"
+          className="api-key-input"
+          placeholder="Passphrase"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoComplete="current-password"
+          autoFocus
+        />
+        {error && <p className="api-key-error">{error}</p>}
+
+        <div className="modal-footer">
+          {confirmingForget ? (
+            <>
+              <span className="history-confirm-text">Delete the stored key?</span>
+              <button type="button" className="btn btn-ghost" onClick={() => setConfirmingForget(false)}>
+                Cancel
+              </button>
+              <button type="button" className="btn btn-secondary history-clear-confirm" onClick={handleForget}>
+                Delete Key
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" className="btn btn-ghost" onClick={() => setConfirmingForget(true)}>
+                Forgot passphrase?
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!passphrase || isUnlocking}
+              >
+                {isUnlocking ? 'Unlocking...' : 'Unlock'}
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
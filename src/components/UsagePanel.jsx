@@ -0,0 +1,267 @@
+import { useState } from 'react';
+import { BarChart3, X } from 'lucide-react';
+import { getModelInfo } from '../utils/ai';
+import { getProvider } from '../utils/providers';
+import {
+  BUDGET_MODES,
+  BUDGET_STATUS,
+  USAGE_PERIODS,
+  formatCost,
+  formatTokens,
+  getMonthUsage,
+  summarizeUsage,
+} from '../utils/usage';
+
+const chartMetrics = [
+  { id: 'cost', label: 'Cost' },
+  { id: 'tokens', label: 'Tokens' }
+];
+
+function formatDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function metricValue(row, metric) {
+  return metric === 'cost' ? row.cost : row.promptTokens + row.completionTokens;
+}
+
+function formatMetric(value, metric) {
+  return metric === 'cost' ? formatCost(value) : `${formatTokens(value)} tokens`;
+}
+
+export default function UsagePanel({
+  isOpen,
+  onClose,
+  usageLog,
+  budget,
+  preferences,
+  setPreferences,
+  onClear
+}) {
+  const [periodDays, setPeriodDays] = useState(30);
+  const [metric, setMetric] = useState('cost');
+  const [budgetDraft, setBudgetDraft] = useState(
+    preferences.monthlyBudget > 0 ? String(preferences.monthlyBudget) : ''
+  );
+  const [confirmingClear, setConfirmingClear] = useState(false);
+
+  if (!isOpen) return null;
+
+  const month = getMonthUsage(usageLog);
+  const { days, models, totals } = summarizeUsage(usageLog, { days: periodDays });
+  const peak = Math.max(...days.map(row => metricValue(row, metric)), 0);
+
+  const handleBudgetChange = (value) => {
+    setBudgetDraft(value);
+    const amount = Number(value);
+    if (value.trim() === '' || (Number.isFinite(amount) && amount >= 0)) {
+      setPreferences({ monthlyBudget: amount || 0 });
+    }
+  };
+
+  const handleClear = () => {
+    onClear();
+    setConfirmingClear(false);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-icon">
+            <BarChart3 size={24} />
+          </div>
+          <div>
+            <h2 className="modal-title">Usage</h2>
+          </div>
+          <button
+            className="btn btn-icon"
+            onClick={onClose}
+            style={{ marginLeft: 'auto', color: 'var(--color-text-muted)' }}
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="modal-description">
+          Token counts come from your provider; costs are estimated from list
+          prices and may differ from your bill. Offline checks are free.
+        </p>
+
+        <div className="usage-summary">
+          <div className="usage-stat">
+            <span className="usage-stat-label">This month</span>
+            <span className="usage-stat-value">{formatCost(month.cost)}</span>
+          </div>
+          <div className="usage-stat">
+            <span className="usage-stat-label">Scans</span>
+            <span className="usage-stat-value">{month.scans}</span>
+          </div>
+          <div className="usage-stat">
+            <span className="usage-stat-label">Tokens</span>
+            <span className="usage-stat-value">
+              {formatTokens(month.promptTokens + month.completionTokens)}
+            </span>
+          </div>
+        </div>
+
+        {budget.status !== BUDGET_STATUS.NONE && (
+          <div className={`usage-budget ${budget.status}`}>
+            <div className="usage-budget-text">
+              {formatCost(budget.spent)} of {formatCost(budget.limit)} monthly budget
+            </div>
+            <div className="batch-progress">
+              <div
+                className="batch-progress-bar"
+                style={{ width: `${Math.min(budget.ratio, 1) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="model-selector">
+          <label htmlFor="usage-budget">Monthly budget (USD)</label>
+          <div className="retention-row">
+            <input
+              id="usage-budget"
+              type="number"
+              min="0"
+              step="1"
+              className="api-key-input"
+              placeholder="No budget"
+              value={budgetDraft}
+              onChange={(e) => handleBudgetChange(e.target.value)}
+            />
+            <select
+              className="model-select"
+              value={preferences.budgetMode}
+              onChange={(e) => setPreferences({ budgetMode: e.target.value })}
+              aria-label="When the budget is reached"
+              disabled={!(preferences.monthlyBudget > 0)}
+            >
+              <option value={BUDGET_MODES.WARN}>Warn when reached</option>
+              <option value={BUDGET_MODES.BLOCK}>Block model scans when reached</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="usage-chart-header">
+          <h3 className="usage-section-title">By day</h3>
+          <div className="history-filters">
+            {chartMetrics.map(option => (
+              <button
+                key={option.id}
+                className={`history-filter ${metric === option.id ? 'active' : ''}`}
+                onClick={() => setMetric(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            className="model-select usage-period"
+            value={periodDays}
+            onChange={(e) => setPeriodDays(Number(e.target.value))}
+            aria-label="Period"
+          >
+            {USAGE_PERIODS.map(count => (
+              <option key={count} value={count}>Last {count} days</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="usage-chart" role="img" aria-label={`${metric} per day`}>
+          {days.map(row => {
+            const value = metricValue(row, metric);
+            return (
+              <div
+                key={row.day}
+                className="usage-bar"
+                title={`${formatDay(row.day)}: ${formatMetric(value, metric)} · ${row.scans} scan${row.scans === 1 ? '' : 's'}`}
+              >
+                <div
+                  className="usage-bar-fill"
+                  style={{ height: peak > 0 ? `${(value / peak) * 100}%` : 0 }}
+                />
+              </div>
+            );
+          })}
+        </div>
+        <div className="usage-chart-axis">
+          <span>{formatDay(days[0].day)}</span>
+          <span>{formatDay(days[days.length - 1].day)}</span>
+        </div>
+
+        <h3 className="usage-section-title">By model</h3>
+        {models.length === 0 ? (
+          <p className="usage-empty">No model scans in the last {periodDays} days.</p>
+        ) : (
+          <table className="batch-table usage-table">
+            <thead>
+              <tr>
+                <th>Model</th>
+                <th>Scans</th>
+                <th>Input</th>
+                <th>Output</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {models.map(row => (
+                <tr key={`${row.provider}|${row.model}`}>
+                  <td>
+                    {getModelInfo(row.model, row.provider)?.name || row.model}
+                    <span className="usage-provider">{getProvider(row.provider).name}</span>
+                  </td>
+                  <td>{row.scans}</td>
+                  <td>{formatTokens(row.promptTokens)}</td>
+                  <td>{formatTokens(row.completionTokens)}</td>
+                  <td>
+                    {formatCost(row.cost)}
+                    {row.unpricedScans > 0 && (
+                      <span className="usage-provider">
+                        {row.unpricedScans} without a price
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td>Total</td>
+                <td>{totals.scans}</td>
+                <td>{formatTokens(totals.promptTokens)}</td>
+                <td>{formatTokens(totals.completionTokens)}</td>
+                <td>{formatCost(totals.cost)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+
+        <div className="history-footer">
+          {confirmingClear ? (
+            <>
+              <span className="history-confirm-text">Reset all usage data?</span>
+              <button className="btn btn-ghost" onClick={() => setConfirmingClear(false)}>
+                Cancel
+              </button>
+              <button className="btn btn-secondary history-clear-confirm" onClick={handleClear}>
+                Reset
+              </button>
+            </>
+          ) : (
+            <button
+              className="btn btn-ghost"
+              onClick={() => setConfirmingClear(true)}
+              disabled={Object.keys(usageLog || {}).length === 0}
+            >
+              Reset Usage
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
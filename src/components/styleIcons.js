@@ -0,0 +1,35 @@
+import {
+  Zap,
+  Heart,
+  Shield,
+  Briefcase,
+  MessageCircle,
+  Smile,
+  Star,
+  FileText,
+  HandHeart,
+  Megaphone,
+} from 'lucide-react';
+
+/**
+ * lucide icons for the rewrite style icon keys in utils/rewriteStyles.js.
+ */
+export const STYLE_ICONS = {
+  zap: Zap,
+  heart: Heart,
+  shield: Shield,
+  briefcase: Briefcase,
+  message: MessageCircle,
+  smile: Smile,
+  star: Star,
+  document: FileText,
+  apology: HandHeart,
+  announce: Megaphone,
+};
+
+/**
+ * Looks up the icon component for a style, with a neutral fallback.
+ */
+export function getStyleIcon(style) {
+  return STYLE_ICONS[style?.icon] || MessageCircle;
+}
@@ -0,0 +1,384 @@
+import { useState, useEffect, useRef } from 'react';
+import { Key, Globe, Plus, Trash2, Check, ExternalLink, EyeOff, Languages, ListChecks, Upload } from 'lucide-react';
+import ModelPicker from '../components/ModelPicker';
+import { getDefaultModel } from '../utils/ai';
+import { PROVIDERS, getProvider, validateKeyFormat } from '../utils/providers';
+import { favoriteKey } from '../utils/modelCatalog';
+import { LANGUAGES, AUTO_LANGUAGE } from '../utils/language';
+import { parseRulePack } from '../utils/styleRules';
+import { ext, hostPattern } from './browserApi';
+import { loadSettings, saveSettings, normalizeHost, DEFAULT_SITES } from './settings';
+import { SITE_ADAPTERS, getSiteAdapter } from './sites';
+
+const defaultHosts = DEFAULT_SITES.map(site => site.host);
+
+/**
+ * Extension options page: provider, key and model, the team style guide
+ * (imported as a rule pack exported from the web app) and the sites the
+ * Screen button appears on.
+ */
+export default function OptionsPage() {
+  const [settings, setSettings] = useState(null);
+  const [newHost, setNewHost] = useState('');
+  const [newAdapter, setNewAdapter] = useState('generic');
+  const [siteError, setSiteError] = useState(null);
+  const [rulesMessage, setRulesMessage] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const rulesInputRef = useRef(null);
+
+  useEffect(() => {
+    loadSettings().then(setSettings).catch((err) => {
+      console.error('[Options] Could not load settings:', err);
+      setSiteError('Could not load the saved settings.');
+    });
+  }, []);
+
+  if (!settings) return null;
+
+  const providerInfo = getProvider(settings.provider);
+  const keyError = settings.apiKey ? validateKeyFormat(settings.provider, settings.apiKey) : null;
+
+  const update = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    setSaved(false);
+  };
+
+  const handleProviderChange = (providerId) => {
+    const next = getProvider(providerId);
+    update({
+      provider: providerId,
+      // A key for one provider must not be sent to another
+      apiKey: '',
+      model: getDefaultModel(providerId),
+      providerSettings: {
+        baseUrl: next.defaultBaseUrl || '',
+        ...(next.defaultApiVersion ? { apiVersion: next.defaultApiVersion } : {})
+      }
+    });
+  };
+
+  const toggleFavorite = (modelId) => {
+    const key = favoriteKey(settings.provider, modelId);
+    update({
+      favoriteModels: settings.favoriteModels.includes(key)
+        ? settings.favoriteModels.filter(item => item !== key)
+        : [...settings.favoriteModels, key]
+    });
+  };
+
+  const updateSite = (host, changes) => {
+    update({ sites: settings.sites.map(site => (site.host === host ? { ...site, ...changes } : site)) });
+  };
+
+  // Custom sites need host access, which can only be asked for from a click
+  const handleAddSite = async (e) => {
+    e.preventDefault();
+    const host = normalizeHost(newHost);
+    if (!host) {
+      setSiteError('Enter a hostname such as mail.example.com');
+      return;
+    }
+    if (settings.sites.some(site => site.host === host)) {
+      setSiteError(`${host} is already in the list`);
+      return;
+    }
+
+    try {
+      const granted = await ext.permissions.request({ origins: [hostPattern(host)] });
+      if (!granted) {
+        setSiteError(`Access to ${host} wasn't granted, so the Screen button can't appear there.`);
+        return;
+      }
+    } catch (err) {
+      setSiteError(err.message);
+      return;
+    }
+
+    setSiteError(null);
+    setNewHost('');
+    update({ sites: [...settings.sites, { host, adapter: newAdapter, enabled: true }] });
+  };
+
+  const handleRemoveSite = (host) => {
+    ext.permissions.remove({ origins: [hostPattern(host)] }).catch(() => {});
+    update({ sites: settings.sites.filter(site => site.host !== host) });
+  };
+
+  const handleRulesFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { rules, skipped } = parseRulePack(await file.text());
+      if (rules.length === 0) {
+        setRulesMessage({ type: 'error', text: `No valid rules found in ${file.name}` });
+        return;
+      }
+      update({ styleRules: rules });
+      setRulesMessage({
+        type: 'success',
+        text: `Loaded ${rules.length} rule${rules.length === 1 ? '' : 's'} from ${file.name}`
+          + (skipped > 0 ? ` · ${skipped} invalid skipped` : '')
+      });
+    } catch (error) {
+      setRulesMessage({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  const handleSave = async () => {
+    setSettings(await saveSettings({ ...settings, apiKey: settings.apiKey.trim() }));
+    setSaved(true);
+  };
+
+  return (
+    <div className="ext-options">
+      <h1 className="ext-options-title">MessageClearance for the browser</h1>
+      <p className="modal-description">
+        Adds a Screen button next to compose boxes. Drafts are sent to your provider with
+        the key below, which stays in this browser's extension storage. Without a key,
+        drafts get rule-based offline checks only.
+      </p>
+
+      <section className="ext-options-section">
+        <h2 className="section-title">
+          <Key size={20} />
+          Provider
+        </h2>
+
+        <div className="model-selector">
+          <label>Provider</label>
+          <select
+            className="model-select"
+            value={settings.provider}
+            onChange={(e) => handleProviderChange(e.target.value)}
+          >
+            {Object.values(PROVIDERS).map(p => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="model-selector">
+          <label>
+            API Key
+            {providerInfo.keyUrl && (
+              <>
+                {' '}
+                <a href={providerInfo.keyUrl} target="_blank" rel="noopener noreferrer">
+                  Get a key <ExternalLink size={12} style={{ verticalAlign: 'middle' }} />
+                </a>
+              </>
+            )}
+          </label>
+          <input
+            type="password"
+            className="api-key-input"
+            placeholder={providerInfo.keyPlaceholder}
+            value={settings.apiKey}
+            onChange={(e) => update({ apiKey: e.target.value })}
+            autoComplete="off"
+          />
+          {keyError && <p className="api-key-error">{keyError}</p>}
+        </div>
+
+        {providerInfo.requiresBaseUrl && (
+          <div className="model-selector">
+            <label>Endpoint URL</label>
+            <input
+              type="url"
+              className="api-key-input"
+              placeholder={providerInfo.baseUrlPlaceholder}
+              value={settings.providerSettings.baseUrl || ''}
+              onChange={(e) => update({ providerSettings: { ...settings.providerSettings, baseUrl: e.target.value } })}
+              autoComplete="off"
+            />
+          </div>
+        )}
+
+        {providerInfo.defaultApiVersion && (
+          <div className="model-selector">
+            <label>API Version</label>
+            <input
+              type="text"
+              className="api-key-input"
+              placeholder={providerInfo.defaultApiVersion}
+              value={settings.providerSettings.apiVersion || ''}
+              onChange={(e) => update({ providerSettings: { ...settings.providerSettings, apiVersion: e.target.value } })}
+              autoComplete="off"
+            />
+          </div>
+        )}
+
+        <ModelPicker
+          providerId={settings.provider}
+          value={settings.model}
+          onChange={(model) => update({ model })}
+          apiKey={settings.apiKey}
+          providerSettings={settings.providerSettings}
+          favorites={settings.favoriteModels}
+          onToggleFavorite={toggleFavorite}
+        />
+
+        <div className="safety-toggle">
+          <div
+            className={`toggle-switch ${settings.redactSensitive ? 'active' : ''}`}
+            onClick={() => update({ redactSensitive: !settings.redactSensitive })}
+            role="switch"
+            aria-checked={settings.redactSensitive}
+            tabIndex={0}
+            onKeyDown={(e) => e.key === 'Enter' && update({ redactSensitive: !settings.redactSensitive })}
+          />
+          <span className="toggle-label">
+            <EyeOff size={16} />
+            Redact before sending — replace sensitive info with placeholders, restored in the results
+          </span>
+        </div>
+
+        <div className="language-row">
+          <Languages size={16} />
+          <label className="language-field">
+            Explain in
+            <select
+              className="model-select"
+              value={settings.language.output}
+              onChange={(e) => update({ language: { ...settings.language, output: e.target.value } })}
+            >
+              <option value={AUTO_LANGUAGE}>Same as message</option>
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code}>{option.nativeName}</option>
+              ))}
+            </select>
+          </label>
+          <label className="language-field">
+            Rewrite in
+            <select
+              className="model-select"
+              value={settings.language.translateTo}
+              onChange={(e) => update({ language: { ...settings.language, translateTo: e.target.value } })}
+            >
+              <option value="">Same as message</option>
+              {LANGUAGES.map(option => (
+                <option key={option.code} value={option.code}>Translate to {option.nativeName}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </section>
+
+      <section className="ext-options-section">
+        <h2 className="section-title">
+          <ListChecks size={20} />
+          Team Style Guide
+        </h2>
+        <p className="modal-description">
+          {settings.styleRules.length > 0
+            ? `${settings.styleRules.filter(rule => rule.enabled).length} of ${settings.styleRules.length} rules enabled. `
+            : 'No rules loaded. '}
+          Export a rule pack from the web app's style guide editor and load it here.
+        </p>
+        <div className="style-rules-actions">
+          <button className="btn btn-secondary" onClick={() => rulesInputRef.current?.click()}>
+            <Upload size={16} />
+            Load Rule Pack
+          </button>
+          {settings.styleRules.length > 0 && (
+            <button
+              className="btn btn-ghost"
+              onClick={() => {
+                update({ styleRules: [] });
+                setRulesMessage(null);
+              }}
+            >
+              <Trash2 size={16} />
+              Remove Rules
+            </button>
+          )}
+        </div>
+        {rulesMessage && (
+          <p className={`history-transfer-message ${rulesMessage.type}`}>{rulesMessage.text}</p>
+        )}
+        <input
+          ref={rulesInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleRulesFile}
+          hidden
+        />
+      </section>
+
+      <section className="ext-options-section">
+        <h2 className="section-title">
+          <Globe size={20} />
+          Sites
+        </h2>
+
+        <ul className="ext-site-list">
+          {settings.sites.map(site => (
+            <li key={site.host} className="ext-site">
+              <div
+                className={`toggle-switch ${site.enabled ? 'active' : ''}`}
+                onClick={() => updateSite(site.host, { enabled: !site.enabled })}
+                role="switch"
+                aria-checked={site.enabled}
+                aria-label={`Screen drafts on ${site.host}`}
+                tabIndex={0}
+                onKeyDown={(e) => e.key === 'Enter' && updateSite(site.host, { enabled: !site.enabled })}
+              />
+              <span className="ext-site-host">{site.host}</span>
+              <span className="ext-site-adapter">{getSiteAdapter(site.adapter).label}</span>
+              {!defaultHosts.includes(site.host) && (
+                <button className="btn btn-icon" onClick={() => handleRemoveSite(site.host)} title="Remove site">
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <form className="ext-site-form" onSubmit={handleAddSite}>
+          <input
+            type="text"
+            className="api-key-input"
+            placeholder="mail.example.com"
+            value={newHost}
+            onChange={(e) => setNewHost(e.target.value)}
+            autoComplete="off"
+          />
+          <select
+            className="model-select"
+            value={newAdapter}
+            onChange={(e) => setNewAdapter(e.target.value)}
+          >
+            {Object.values(SITE_ADAPTERS).map(adapter => (
+              <option key={adapter.id} value={adapter.id}>{adapter.label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-secondary" disabled={!newHost.trim()}>
+            <Plus size={16} />
+            Add Site
+          </button>
+        </form>
+        {siteError && <p className="api-key-error">{siteError}</p>}
+      </section>
+
+      <div className="ext-options-actions">
+        {saved && (
+          <span className="ext-options-saved">
+            <Check size={16} />
+            Saved
+          </span>
+        )}
+        <button
+          className="btn btn-primary"
+          onClick={handleSave}
+          disabled={Boolean(keyError) || !settings.model.trim()}
+        >
+          Save Settings
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ScanLine, X, WifiOff, Settings } from 'lucide-react';
+import ResultsPanel from '../components/ResultsPanel';
+import { detectSensitiveData, summarizeFindings } from '../utils/sensitive';
+import { OFFLINE_PROVIDER_ID } from '../utils/heuristics';
+import { EMPTY_MESSAGE_CONTEXT } from '../utils/messageContext';
+import { findComposeBox, readDraft, replaceDraft } from './sites';
+import { analyze, quickCheck, refine, openOptions } from './client';
+
+// Keeps the button inside the compose box's bottom-right corner
+const BUTTON_INSET = 8;
+
+function buttonPosition(box) {
+  const rect = box.getBoundingClientRect();
+  return {
+    top: Math.max(rect.bottom - BUTTON_INSET, 0),
+    left: Math.max(rect.right - BUTTON_INSET, 0),
+  };
+}
+
+/**
+ * Floating "Screen" button for the focused compose box, and the results
+ * panel it opens.
+ *
+ * The button follows whichever compose box on the page last had focus.
+ * Screening sends the draft to the background worker; choosing a rewrite
+ * puts it back into the compose box in place of the draft.
+ *
+ * @param {Object} props
+ * @param {Object} props.adapter - Site adapter (see sites.js)
+ * @param {Array} props.sensitivePatterns - Extra patterns for the local detector
+ */
+export default function ScreenOverlay({ adapter, sensitivePatterns }) {
+  const [box, setBox] = useState(null);
+  const [position, setPosition] = useState(null);
+  const [scan, setScan] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Follow focus into compose boxes; focus moving into our own shadow
+  // root is retargeted to the host element, which isn't one, so the
+  // current box stays put while the panel is used
+  useEffect(() => {
+    const handleFocus = (e) => {
+      const composeBox = findComposeBox(adapter, e.target);
+      if (composeBox) {
+        setBox(composeBox);
+        setPosition(buttonPosition(composeBox));
+      }
+    };
+    document.addEventListener('focusin', handleFocus, true);
+    return () => document.removeEventListener('focusin', handleFocus, true);
+  }, [adapter]);
+
+  // Compose boxes grow, move and scroll; re-measure on anything that might
+  useEffect(() => {
+    if (!box) return;
+    let frame = null;
+    const measure = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        setPosition(box.isConnected ? buttonPosition(box) : null);
+      });
+    };
+    const observer = new ResizeObserver(measure);
+    observer.observe(box);
+    window.addEventListener('scroll', measure, true);
+    window.addEventListener('resize', measure);
+    box.addEventListener('input', measure);
+    return () => {
+      cancelAnimationFrame(frame);
+      observer.disconnect();
+      window.removeEventListener('scroll', measure, true);
+      window.removeEventListener('resize', measure);
+      box.removeEventListener('input', measure);
+    };
+  }, [box]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const close = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setScan(null);
+  }, []);
+
+  const handleScreen = async () => {
+    if (!box?.isConnected) return;
+    const message = readDraft(box).trim();
+    if (!message) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const context = { ...EMPTY_MESSAGE_CONTEXT, channel: adapter.channel };
+    const warnings = summarizeFindings(detectSensitiveData(message, { customPatterns: sensitivePatterns }));
+    setScan({ message, warnings, results: null, error: null, isScanning: true });
+
+    try {
+      const results = await analyze(message, { context, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setScan((prev) => prev && { ...prev, results, isScanning: false });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('[MessageClearance] Screening failed:', err);
+      setScan((prev) => prev && { ...prev, error: err.message || 'Could not screen this draft', isScanning: false });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  };
+
+  const handleUseRewrite = (text) => {
+    if (!box?.isConnected) {
+      setScan((prev) => prev && { ...prev, error: 'The compose box was closed. Copy the rewrite instead.' });
+      return;
+    }
+    if (replaceDraft(box, text)) {
+      close();
+    } else {
+      setScan((prev) => prev && { ...prev, error: 'Could not replace the draft here. Copy the rewrite instead.' });
+    }
+  };
+
+  const isOffline = scan?.results?._meta?.provider === OFFLINE_PROVIDER_ID;
+
+  return (
+    <>
+      {position && !scan && (
+        <button
+          className="ext-screen-btn"
+          style={{ top: position.top, left: position.left }}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={handleScreen}
+          title="Screen this draft with MessageClearance"
+        >
+          <ScanLine size={14} />
+          Screen
+        </button>
+      )}
+
+      {scan && (
+        <div className="ext-panel" role="dialog" aria-label="MessageClearance results">
+          <div className="ext-panel-header">
+            <span className="ext-panel-title">
+              <ScanLine size={16} />
+              MessageClearance
+            </span>
+            <button className="btn btn-icon" onClick={close} title="Close">
+              <X size={16} />
+            </button>
+          </div>
+
+          {scan.isScanning && (
+            <div className="ext-panel-status">
+              <div className="loading-dots">
+                <span className="loading-dot" />
+                <span className="loading-dot" />
+                <span className="loading-dot" />
+              </div>
+              Screening your draft...
+              <button className="btn btn-ghost" onClick={close}>Cancel</button>
+            </div>
+          )}
+
+          {scan.error && <p className="refine-error">{scan.error}</p>}
+
+          {isOffline && (
+            <div className="offline-notice">
+              <WifiOff size={16} />
+              <span>Rule-based checks only. Add an API key for tailored rewrites.</span>
+              <button className="btn btn-ghost" onClick={() => openOptions().catch(() => {})}>
+                <Settings size={14} />
+                Options
+              </button>
+            </div>
+          )}
+
+          {scan.results && (
+            <ResultsPanel
+              results={scan.results}
+              originalMessage={scan.message}
+              safetyWarnings={scan.warnings}
+              onRefine={isOffline ? undefined : refine}
+              onQuickCheck={quickCheck}
+              onUseRewrite={handleUseRewrite}
+              sensitivePatterns={sensitivePatterns}
+              compact
+            />
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,183 @@
+/**
+ * Extension service worker.
+ *
+ * Content scripts run inside Gmail, Slack and GitHub pages, so they never
+ * see the API key: they send drafts here and this worker makes the
+ * provider request with the stored settings, the same way useChat does in
+ * the web app. Without a configured provider, analysis falls back to the
+ * offline checks. Storage is closed to content scripts where the browser
+ * allows it; they ask for the few settings they need (getPageSettings)
+ * and are told when those may have changed.
+ *
+ * Requests are { type, message, options } and responses { result } or
+ * { error: { message, type } }, since errors don't survive messaging.
+ *
+ * It also registers the content script on sites the user added on the
+ * options page; the default sites are declared in the manifest.
+ */
+
+import { ext, hostPattern } from './browserApi';
+import { loadSettings, onSettingsChanged, matchSite, DEFAULT_SITES } from './settings';
+import { analyzeMessage, quickCheckMessage, refineRewrite, AIError, AI_ERROR_TYPES } from '../utils/ai';
+import { analyzeMessageOffline } from '../utils/heuristics';
+import { isProviderConfigured } from '../utils/providers';
+
+const CUSTOM_SITES_SCRIPT_ID = 'custom-sites';
+
+// Chrome lets content scripts read extension storage (and with it the
+// API key) unless told otherwise; Firefox has no such switch
+ext.storage.local.setAccessLevel?.({ accessLevel: 'TRUSTED_CONTEXTS' })
+  .catch((err) => console.error('[Extension] Could not restrict storage access:', err));
+
+function requestOptions(settings) {
+  return {
+    provider: settings.provider,
+    providerSettings: settings.providerSettings,
+    model: settings.model,
+    redact: settings.redactSensitive,
+    sensitivePatterns: settings.sensitivePatterns,
+    language: settings.language,
+    styleRules: settings.styleRules,
+  };
+}
+
+function isConfigured(settings) {
+  return isProviderConfigured(settings.provider, settings.apiKey, settings.providerSettings);
+}
+
+const handlers = {
+  async analyze({ message, options = {} }, settings) {
+    if (!isConfigured(settings)) {
+      return analyzeMessageOffline(message, { context: options.context, styleRules: settings.styleRules });
+    }
+    return analyzeMessage(message, settings.apiKey, {
+      ...requestOptions(settings),
+      context: options.context,
+      stream: false,
+    });
+  },
+
+  async quickCheck({ message, options = {} }, settings) {
+    if (!isConfigured(settings)) {
+      const { verdict, verdictReason, risks, styleViolations, _meta } = analyzeMessageOffline(message, {
+        context: options.context,
+        styleRules: settings.styleRules,
+      });
+      return { verdict, verdictReason, risks, styleViolations, _meta };
+    }
+    return quickCheckMessage(message, settings.apiKey, {
+      ...requestOptions(settings),
+      context: options.context,
+      thread: options.thread,
+    });
+  },
+
+  async refine({ message, options = {} }, settings) {
+    if (!isConfigured(settings)) {
+      throw new AIError('Refining a rewrite needs a configured provider.', AI_ERROR_TYPES.INVALID_API_KEY);
+    }
+    return refineRewrite(message, settings.apiKey, {
+      ...requestOptions(settings),
+      style: options.style,
+      versions: options.versions,
+      instruction: options.instruction,
+      context: options.context,
+      stream: false,
+    });
+  },
+
+  async getPageSettings(_request, settings, sender) {
+    // The sender's URL, not one the page could claim
+    const hostname = sender.url ? new URL(sender.url).hostname : '';
+    return {
+      site: matchSite(settings, hostname),
+      sensitivePatterns: settings.sensitivePatterns,
+    };
+  },
+
+  async openOptions() {
+    await ext.runtime.openOptionsPage();
+    return null;
+  },
+};
+
+async function handleRequest(request, sender) {
+  try {
+    const settings = await loadSettings();
+    const result = await handlers[request.type](request, settings, sender);
+    return { result };
+  } catch (err) {
+    console.error(`[Extension] ${request.type} failed:`, err);
+    return {
+      error: {
+        message: err?.message || 'Something went wrong',
+        type: err instanceof AIError ? err.type : AI_ERROR_TYPES.UNKNOWN,
+      },
+    };
+  }
+}
+
+ext.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!handlers[request?.type]) return false;
+  handleRequest(request, sender).then(sendResponse);
+  // Keeps the channel open for the async response
+  return true;
+});
+
+/**
+ * Registers the content script on enabled custom sites the user has
+ * granted access to, replacing any earlier registration.
+ *
+ * @param {Object} settings - Extension settings
+ */
+async function syncCustomSites(settings) {
+  const defaultHosts = new Set(DEFAULT_SITES.map((site) => site.host));
+  const matches = [];
+  for (const site of settings.sites) {
+    if (!site.enabled || defaultHosts.has(site.host)) continue;
+    const pattern = hostPattern(site.host);
+    if (await ext.permissions.contains({ origins: [pattern] })) {
+      matches.push(pattern);
+    }
+  }
+
+  try {
+    const registered = await ext.scripting.getRegisteredContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await ext.scripting.unregisterContentScripts({ ids: [CUSTOM_SITES_SCRIPT_ID] });
+    }
+    if (matches.length > 0) {
+      await ext.scripting.registerContentScripts([{
+        id: CUSTOM_SITES_SCRIPT_ID,
+        matches,
+        js: ['content.js'],
+        runAt: 'document_idle',
+      }]);
+    }
+  } catch (err) {
+    console.error('[Extension] Could not register custom sites:', err);
+  }
+}
+
+/**
+ * Tells open pages to fetch their settings again, since content scripts
+ * can't watch storage themselves. Tabs without the content script reject
+ * the message, which is expected.
+ */
+async function notifyPages() {
+  const tabs = await ext.tabs.query({});
+  await Promise.all(tabs.map((tab) => (
+    ext.tabs.sendMessage(tab.id, { type: 'settingsChanged' }).catch(() => {})
+  )));
+}
+
+const resync = () => loadSettings().then(syncCustomSites);
+
+ext.runtime.onInstalled.addListener(resync);
+ext.runtime.onStartup.addListener(resync);
+ext.permissions.onAdded.addListener(resync);
+ext.permissions.onRemoved.addListener(resync);
+onSettingsChanged((settings) => {
+  syncCustomSites(settings);
+  notifyPages();
+});
@@ -0,0 +1,49 @@
+/**
+ * The bits of the WebExtension API the extension uses, for Chrome and
+ * Firefox alike.
+ *
+ * Firefox exposes promise-based `browser`; Chrome exposes `chrome`, whose
+ * MV3 storage, permissions and scripting calls also return promises.
+ * Only runtime.sendMessage needs wrapping, since Chrome's still reports
+ * failures through runtime.lastError when given a callback.
+ */
+
+export const ext = globalThis.browser ?? globalThis.chrome;
+
+/**
+ * Sends a message to the background service worker.
+ *
+ * @param {Object} message - Message ({ type, ... })
+ * @returns {Promise<*>} The background's response
+ */
+export function sendMessage(message) {
+  return new Promise((resolve, reject) => {
+    try {
+      const pending = ext.runtime.sendMessage(message, (response) => {
+        const error = ext.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+        } else {
+          resolve(response);
+        }
+      });
+      // Firefox ignores the callback and returns a promise instead
+      if (pending && typeof pending.then === 'function') {
+        pending.then(resolve, reject);
+      }
+    } catch (error) {
+      // Thrown when the extension was reloaded under an open page
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Origin match pattern for a host, e.g. "https://mail.google.com/*".
+ *
+ * @param {string} host - Hostname
+ * @returns {string} Match pattern
+ */
+export function hostPattern(host) {
+  return `https://${host}/*`;
+}
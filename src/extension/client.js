@@ -0,0 +1,114 @@
+/**
+ * Content-script side of the background requests (see background.js).
+ *
+ * Each function takes the same arguments as the matching useChat action,
+ * so ResultsPanel and its hooks work unchanged inside a page. Callbacks
+ * can't be sent to the worker, so there is no streaming; an abort signal
+ * rejects right away and the worker's answer is dropped.
+ */
+
+import { ext, sendMessage } from './browserApi';
+import { AIError, AI_ERROR_TYPES } from '../utils/ai';
+
+async function request(type, message, { signal, ...options } = {}) {
+  if (signal?.aborted) {
+    throw new AIError('Request cancelled', AI_ERROR_TYPES.CANCELLED);
+  }
+
+  const cancelled = new Promise((_resolve, reject) => {
+    signal?.addEventListener('abort', () => {
+      reject(new AIError('Request cancelled', AI_ERROR_TYPES.CANCELLED));
+    }, { once: true });
+  });
+
+  let response;
+  try {
+    response = await Promise.race([sendMessage({ type, message, options }), cancelled]);
+  } catch (err) {
+    if (err instanceof AIError) throw err;
+    throw new AIError(
+      'Lost contact with the extension. Reload the page and try again.',
+      AI_ERROR_TYPES.NETWORK_ERROR,
+      err
+    );
+  }
+
+  if (!response) {
+    throw new AIError('No response from the extension.', AI_ERROR_TYPES.UNKNOWN);
+  }
+  if (response.error) {
+    throw new AIError(response.error.message, response.error.type);
+  }
+  return response.result;
+}
+
+/**
+ * @param {string} message - Draft to analyze
+ * @param {Object} options - { context, signal }
+ * @returns {Promise<Object>} Analysis result
+ */
+export function analyze(message, { context, signal } = {}) {
+  return request('analyze', message, { context, signal });
+}
+
+/**
+ * @param {string} message - Draft or edited rewrite to check
+ * @param {Object} options - { context, thread, signal }
+ * @returns {Promise<Object>} { verdict, verdictReason, risks, _meta }
+ */
+export function quickCheck(message, { context, thread, signal } = {}) {
+  return request('quickCheck', message, { context, thread, signal });
+}
+
+/**
+ * @param {string} message - The original draft
+ * @param {Object} options - { style, versions, instruction, context, signal }
+ * @returns {Promise<Object>} { rewrite, note, _meta }
+ */
+export function refine(message, { style, versions, instruction, context, signal } = {}) {
+  // Only plain data crosses to the worker
+  const { id, label, instruction: styleInstruction } = style || {};
+  return request('refine', message, {
+    style: { id, label, instruction: styleInstruction },
+    versions: (versions || []).map(({ text, instruction: versionInstruction }) => ({ text, instruction: versionInstruction })),
+    instruction,
+    context,
+    signal,
+  });
+}
+
+/**
+ * The settings a page needs: its enabled site entry and the extra
+ * sensitive patterns. Everything else, the API key included, stays with
+ * the worker.
+ *
+ * @returns {Promise<Object>} { site, sensitivePatterns }; site is null if the page isn't screened
+ */
+export function getPageSettings() {
+  return request('getPageSettings', '');
+}
+
+/**
+ * Calls back when the worker reports a settings change.
+ *
+ * @param {function} callback - Called with no arguments
+ * @returns {function} Unsubscribe
+ */
+export function onPageSettingsChanged(callback) {
+  const listener = (message) => {
+    if (message?.type === 'settingsChanged') {
+      callback();
+    }
+  };
+  ext.runtime.onMessage.addListener(listener);
+  return () => ext.runtime.onMessage.removeListener(listener);
+}
+
+/**
+ * Opens the options page (content scripts can't do it themselves).
+ *
+ * @returns {Promise<void>}
+ */
+export function openOptions() {
+  return request('openOptions', '');
+}
@@ -0,0 +1,66 @@
+/**
+ * Content script: mounts the Screen button on enabled sites.
+ *
+ * The overlay renders into a shadow root so the page's styles and ours
+ * can't leak into each other. The app's stylesheets are inlined into it
+ * with their :root tokens moved to the shadow host; web fonts are left
+ * out, since most sites' content security policies block them anyway.
+ */
+
+import { createRoot } from 'react-dom/client';
+import indexStyles from '../index.css?inline';
+import appStyles from '../App.css?inline';
+import ScreenOverlay from './ScreenOverlay';
+import { getPageSettings, onPageSettingsChanged } from './client';
+import { getSiteAdapter } from './sites';
+
+const HOST_ID = 'message-clearance-extension';
+
+function toShadowStyles(css) {
+  return css
+    // Font URLs contain semicolons, so match the quoted URL rather than up to ";"
+    .replace(/@import\s*(?:url\()?\s*(["'])[^"']*\1\s*\)?[^;]*;/g, '')
+    .replace(/:root\b/g, ':host');
+}
+
+function mount() {
+  const host = document.createElement('div');
+  host.id = HOST_ID;
+  const shadow = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = toShadowStyles(`${indexStyles}\n${appStyles}`);
+  const container = document.createElement('div');
+  container.className = 'ext-root';
+  shadow.append(style, container);
+  document.documentElement.append(host);
+
+  return createRoot(container);
+}
+
+async function start() {
+  // A copy left by the previous version stops working when the extension
+  // is updated or reloaded; replace it
+  document.getElementById(HOST_ID)?.remove();
+
+  const root = mount();
+  // Storage is off limits here (see background.js), so the worker says
+  // which site this is and what else the overlay needs
+  const render = async () => {
+    const { site, sensitivePatterns } = await getPageSettings();
+    root.render(site ? (
+      <ScreenOverlay
+        key={site.adapter}
+        adapter={getSiteAdapter(site.adapter)}
+        sensitivePatterns={sensitivePatterns}
+      />
+    ) : null);
+  };
+
+  await render();
+  onPageSettingsChanged(() => {
+    render().catch((err) => console.error('[MessageClearance] Could not reload settings:', err));
+  });
+}
+
+start().catch((err) => console.error('[MessageClearance] Could not start:', err));
@@ -0,0 +1,11 @@
+import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import '../index.css';
+import '../App.css';
+import OptionsPage from './OptionsPage';
+
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <OptionsPage />
+  </StrictMode>,
+);
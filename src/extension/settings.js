@@ -0,0 +1,137 @@
+/**
+ * Extension settings, kept in the extension's own storage.
+ *
+ * The extension can't read the web app's localStorage, so it has its own
+ * provider, key and model, set on the options page. Like the web app it
+ * stores the key on this device only and sends it straight to the
+ * provider.
+ *
+ * Sites are [{ host, adapter, enabled }]; the three defaults are declared
+ * in the manifest, others need the user to grant access to the host.
+ * Style rules come from a team rule pack imported on the options page.
+ */
+
+import { ext } from './browserApi';
+import { DEFAULT_PROVIDER, getProvider } from '../utils/providers';
+import { getDefaultModel } from '../utils/ai';
+import { normalizeLanguageSettings, DEFAULT_LANGUAGE_SETTINGS } from '../utils/language';
+import { normalizeStyleRules } from '../utils/styleRules';
+import { SITE_ADAPTERS } from './sites';
+
+const SETTINGS_KEY = 'settings';
+
+export const DEFAULT_SITES = [
+  { host: 'mail.google.com', adapter: 'gmail', enabled: true },
+  { host: 'app.slack.com', adapter: 'slack', enabled: true },
+  { host: 'github.com', adapter: 'github', enabled: true },
+];
+
+export const DEFAULT_SETTINGS = {
+  provider: DEFAULT_PROVIDER,
+  model: getDefaultModel(DEFAULT_PROVIDER),
+  apiKey: '',
+  providerSettings: {},
+  favoriteModels: [],
+  redactSensitive: false,
+  sensitivePatterns: [],
+  language: DEFAULT_LANGUAGE_SETTINGS,
+  styleRules: [],
+  sites: DEFAULT_SITES,
+};
+
+/**
+ * Cleans up a hostname typed on the options page.
+ *
+ * @param {string} input - Hostname or URL
+ * @returns {string|null} Lowercase hostname, or null if it isn't one
+ */
+export function normalizeHost(input) {
+  if (typeof input !== 'string') return null;
+  const trimmed = input.trim().toLowerCase();
+  if (!trimmed) return null;
+  try {
+    const { hostname } = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`);
+    return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(hostname) ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fills in defaults and drops invalid values from stored settings.
+ *
+ * @param {Object} stored - Raw settings
+ * @returns {Object} Settings
+ */
+export function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  const provider = getProvider(settings.provider).id;
+
+  const seen = new Set();
+  const sites = (Array.isArray(settings.sites) ? settings.sites : DEFAULT_SITES)
+    .map((site) => ({
+      host: normalizeHost(site?.host),
+      adapter: SITE_ADAPTERS[site?.adapter] ? site.adapter : 'generic',
+      enabled: site?.enabled !== false,
+    }))
+    .filter((site) => site.host && !seen.has(site.host) && seen.add(site.host));
+
+  return {
+    ...settings,
+    provider,
+    model: typeof settings.model === 'string' && settings.model ? settings.model : getDefaultModel(provider),
+    apiKey: typeof settings.apiKey === 'string' ? settings.apiKey : '',
+    providerSettings: settings.providerSettings && typeof settings.providerSettings === 'object' ? settings.providerSettings : {},
+    favoriteModels: Array.isArray(settings.favoriteModels) ? settings.favoriteModels : [],
+    redactSensitive: Boolean(settings.redactSensitive),
+    sensitivePatterns: Array.isArray(settings.sensitivePatterns) ? settings.sensitivePatterns : [],
+    language: normalizeLanguageSettings(settings.language),
+    styleRules: normalizeStyleRules(settings.styleRules),
+    sites,
+  };
+}
+
+/**
+ * @returns {Promise<Object>} Current settings
+ */
+export async function loadSettings() {
+  const stored = await ext.storage.local.get(SETTINGS_KEY);
+  return normalizeSettings(stored?.[SETTINGS_KEY]);
+}
+
+/**
+ * @param {Object} settings - Settings to store
+ * @returns {Promise<Object>} The settings as stored
+ */
+export async function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  await ext.storage.local.set({ [SETTINGS_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Calls back with fresh settings whenever they change.
+ *
+ * @param {function} callback - Called with the new settings
+ * @returns {function} Unsubscribe
+ */
+export function onSettingsChanged(callback) {
+  const listener = (changes, area) => {
+    if (area === 'local' && changes[SETTINGS_KEY]) {
+      callback(normalizeSettings(changes[SETTINGS_KEY].newValue));
+    }
+  };
+  ext.storage.onChanged.addListener(listener);
+  return () => ext.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Finds the enabled site entry for a page's hostname.
+ *
+ * @param {Object} settings - Settings
+ * @param {string} hostname - Page hostname
+ * @returns {Object|null} Site ({ host, adapter, enabled }), or null if not screened
+ */
+export function matchSite(settings, hostname) {
+  return settings.sites.find((site) => site.enabled && site.host === hostname) || null;
+}
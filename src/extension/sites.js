@@ -0,0 +1,104 @@
+/**
+ * Compose boxes on the sites the extension screens drafts on.
+ *
+ * An adapter knows how to find a site's compose boxes, which channel a
+ * draft there is for (see messageContext.js), and how to read and
+ * replace the draft. Sites the user adds themselves use the generic
+ * adapter, which picks up any multi-line text field.
+ */
+
+export const SITE_ADAPTERS = {
+  gmail: {
+    id: 'gmail',
+    label: 'Gmail',
+    selector: 'div[contenteditable="true"][role="textbox"]',
+    channel: 'email',
+  },
+  slack: {
+    id: 'slack',
+    label: 'Slack',
+    selector: '.ql-editor[contenteditable="true"], [contenteditable="true"][data-qa="message_input"]',
+    channel: 'slack',
+  },
+  github: {
+    id: 'github',
+    label: 'GitHub',
+    selector: 'textarea.js-comment-field, textarea[name$="[body]"], textarea[aria-label="Markdown value"]',
+    channel: 'pr_comment',
+  },
+  generic: {
+    id: 'generic',
+    label: 'Any text box',
+    selector: 'textarea, [contenteditable="true"][role="textbox"]',
+    channel: '',
+  },
+};
+
+/**
+ * @param {string} adapterId - Key of SITE_ADAPTERS
+ * @returns {Object} Adapter (generic if unknown)
+ */
+export function getSiteAdapter(adapterId) {
+  return SITE_ADAPTERS[adapterId] || SITE_ADAPTERS.generic;
+}
+
+/**
+ * Finds the compose box an element belongs to.
+ *
+ * @param {Object} adapter - Site adapter
+ * @param {Element} element - Focused element
+ * @returns {Element|null} Compose box, or null if the element isn't in one
+ */
+export function findComposeBox(adapter, element) {
+  if (!element || typeof element.closest !== 'function') return null;
+  return element.closest(adapter.selector);
+}
+
+/**
+ * @param {Element} box - Compose box
+ * @returns {string} The draft's text
+ */
+export function readDraft(box) {
+  if (box instanceof HTMLTextAreaElement || box instanceof HTMLInputElement) {
+    return box.value;
+  }
+  return box.innerText || '';
+}
+
+/**
+ * Replaces the draft in a compose box.
+ *
+ * Sites keep the draft in their own state, so setting the text directly
+ * would be undone on the next keystroke. Textareas get their value through
+ * the native setter plus an input event (what React-based pages listen
+ * for); rich editors get the text "typed" with execCommand, which their
+ * own undo stacks and change handlers pick up.
+ *
+ * @param {Element} box - Compose box
+ * @param {string} text - New draft
+ * @returns {boolean} True if the draft now reads `text`
+ */
+export function replaceDraft(box, text) {
+  if (box instanceof HTMLTextAreaElement || box instanceof HTMLInputElement) {
+    const prototype = Object.getPrototypeOf(box);
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+      setter.call(box, text);
+    } else {
+      box.value = text;
+    }
+    box.dispatchEvent(new Event('input', { bubbles: true }));
+    box.dispatchEvent(new Event('change', { bubbles: true }));
+    box.focus();
+    return box.value === text;
+  }
+
+  box.focus();
+  document.execCommand('selectAll', false, null);
+  const inserted = document.execCommand('insertText', false, text);
+  if (!inserted) {
+    box.innerText = text;
+    box.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+  }
+  return readDraft(box).trim() === text.trim();
+}
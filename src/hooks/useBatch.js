@@ -0,0 +1,99 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { runBatch } from '../utils/batch';
+
+/**
+ * Batch screening state.
+ *
+ * Items move pending -> running -> done | error (rate-limited items show
+ * as waiting until they're retried). Results are kept in memory only;
+ * they don't go into scan history.
+ *
+ * @param {function} analyze - useChat's analyze(message, options)
+ */
+export function useBatch(analyze) {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Stop any run when the component using the hook unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Screen a new set of messages, replacing any previous batch.
+   *
+   * @param {Array} batchItems - Items from parseBatchText / parseBatchFile
+   */
+  const start = useCallback(async (batchItems) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setItems(batchItems.map((item) => ({ ...item, status: 'pending', result: null, error: null })));
+    setIsRunning(true);
+
+    await runBatch(
+      batchItems,
+      // Streaming only helps when someone watches one result fill in
+      (text, { signal }) => analyze(text, { signal, stream: false }),
+      {
+        signal: controller.signal,
+        onUpdate: (id, changes) => {
+          if (!controller.signal.aborted) {
+            updateItem(id, changes);
+          }
+        },
+      }
+    );
+
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setIsRunning(false);
+    }
+  }, [analyze, updateItem]);
+
+  /**
+   * Stop the run. Finished results are kept; unfinished items are marked cancelled.
+   */
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsRunning(false);
+    setItems((prev) => prev.map((item) => (
+      item.status === 'done' || item.status === 'error'
+        ? item
+        : { ...item, status: 'cancelled' }
+    )));
+  }, []);
+
+  /**
+   * Clear the batch.
+   */
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsRunning(false);
+    setItems([]);
+  }, []);
+
+  const done = items.filter((item) => item.status === 'done').length;
+  const failed = items.filter((item) => item.status === 'error').length;
+
+  return {
+    items,
+    isRunning,
+    progress: {
+      done,
+      failed,
+      total: items.length,
+    },
+    start,
+    cancel,
+    reset,
+  };
+}
+
+export default useBatch;
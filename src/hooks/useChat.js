@@ -1,7 +1,31 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { useLocalStorage, useApiKey } from './useLocalStorage';
-import { analyzeMessage, AIError, AI_ERROR_TYPES, DEFAULT_MODEL } from '../utils/ai';
-import { STORAGE_KEYS } from '../utils/storage';
+import { analyzeMessage, refineRewrite, quickCheckMessage, AIError, AI_ERROR_TYPES, DEFAULT_MODEL } from '../utils/ai';
+import {
+  DEFAULT_PROVIDER,
+  validateKeyFormat,
+  isProviderConfigured,
+} from '../utils/providers';
+import { STORAGE_KEYS, STORAGE_DEFAULTS } from '../utils/storage';
+import { normalizeRewriteStyles } from '../utils/rewriteStyles';
+import { normalizeStyleRules } from '../utils/styleRules';
+import { EMPTY_MESSAGE_CONTEXT, normalizeMessageContext } from '../utils/messageContext';
+import { analyzeMessageOffline } from '../utils/heuristics';
+import { normalizeThread } from '../utils/thread';
+import { IMPORT_MODES } from '../utils/historyTransfer';
+import { useHistory } from './useHistory';
+import {
+  BUDGET_MODES,
+  BUDGET_STATUS,
+  checkBudget,
+  formatCost,
+  recordUsage,
+} from '../utils/usage';
+
+// Stable defaults so useLocalStorage's storage listener isn't re-bound every render
+const EMPTY_PROVIDER_SETTINGS = {};
+const DEFAULT_PREFERENCES = STORAGE_DEFAULTS[STORAGE_KEYS.USER_PREFERENCES];
+const EMPTY_USAGE_LOG = STORAGE_DEFAULTS[STORAGE_KEYS.USAGE_LOG];
 
 /**
  * Chat states for the scanning flow.
@@ -20,20 +44,38 @@ export const CHAT_STATUS = {
  * - Current message being analyzed
  * - Analysis results
  * - Loading/error states
- * - Scan history (persisted to localStorage)
+ * - Scan history (persisted to IndexedDB via useHistory)
+ * - Token usage and the monthly budget (see usage.js)
  * - Abort capability for in-flight requests
  *
  * @returns {Object} Chat state and actions
  */
 export function useChat() {
-  // API key from localStorage
+  // User preferences (persisted). Merged over defaults so settings saved
+  // by older versions pick up newly added preferences.
+  const [storedPreferences, setStoredPreferences] = useLocalStorage(
+    STORAGE_KEYS.USER_PREFERENCES,
+    DEFAULT_PREFERENCES
+  );
+  const preferences = { ...DEFAULT_PREFERENCES, ...(storedPreferences || {}) };
+  const rewriteStyles = useMemo(
+    () => normalizeRewriteStyles(storedPreferences?.rewriteStyles),
+    [storedPreferences]
+  );
+  const styleRules = useMemo(
+    () => normalizeStyleRules(storedPreferences?.styleRules),
+    [storedPreferences]
+  );
+
+  // API key from localStorage (optionally encrypted, see useApiKey)
+  const keyVault = useApiKey({ autoLockMinutes: preferences.autoLockMinutes });
   const {
     apiKey,
     setApiKey,
     hasApiKey,
     isLoaded: apiKeyLoaded,
     maskedKey,
-  } = useApiKey();
+  } = keyVault;
 
   // Selected model (persisted)
   const [selectedModel, setSelectedModel] = useLocalStorage(
@@ -41,16 +83,53 @@ export function useChat() {
     DEFAULT_MODEL
   );
 
-  // Scan history (persisted)
-  const [history, setHistory, { isLoaded: historyLoaded }] = useLocalStorage(
-    STORAGE_KEYS.CHAT_HISTORY,
-    []
+  // Selected provider and per-provider endpoint settings (persisted)
+  const [selectedProvider, setSelectedProvider] = useLocalStorage(
+    STORAGE_KEYS.SELECTED_PROVIDER,
+    DEFAULT_PROVIDER
+  );
+  const [allProviderSettings, setAllProviderSettings] = useLocalStorage(
+    STORAGE_KEYS.PROVIDER_SETTINGS,
+    EMPTY_PROVIDER_SETTINGS
+  );
+  const providerSettings = allProviderSettings?.[selectedProvider] || EMPTY_PROVIDER_SETTINGS;
+  const isConfigured = isProviderConfigured(selectedProvider, apiKey, providerSettings);
+
+  // Scan history (persisted, kept according to the retention preferences)
+  const historyStore = useHistory({
+    maxEntries: preferences.historyMaxEntries,
+    maxAgeDays: preferences.historyMaxAgeDays,
+  });
+  const {
+    addEntry: addHistoryEntry,
+    removeEntry: removeHistoryEntry,
+    clear: clearHistoryEntries,
+    importEntries: importHistoryEntries,
+    getEntry: getHistoryEntry,
+  } = historyStore;
+
+  // Token usage per day and model (persisted, survives history retention)
+  const [usageLog, setUsageLog] = useLocalStorage(STORAGE_KEYS.USAGE_LOG, EMPTY_USAGE_LOG);
+  const budget = useMemo(
+    () => checkBudget(usageLog, preferences.monthlyBudget),
+    [usageLog, preferences.monthlyBudget]
   );
 
+  // Batch runs keep the analyze callback they started with, so the
+  // budget check reads the latest figures through a ref
+  const budgetRef = useRef(budget);
+  useEffect(() => {
+    budgetRef.current = budget;
+  }, [budget]);
+
   // Current scan state (not persisted - ephemeral)
   const [currentMessage, setCurrentMessage] = useState('');
+  const [currentContext, setCurrentContext] = useState(EMPTY_MESSAGE_CONTEXT);
+  const [currentThread, setCurrentThread] = useState([]);
   const [status, setStatus] = useState(CHAT_STATUS.IDLE);
   const [result, setResult] = useState(null);
+  const [partialResult, setPartialResult] = useState(null);
+  const [attemptInfo, setAttemptInfo] = useState(null);
   const [error, setError] = useState(null);
 
   // Abort controller for cancelling in-flight requests
@@ -79,73 +158,236 @@ export function useChat() {
     }
   }, []);
 
+  /**
+   * Throw BUDGET_EXCEEDED if the budget blocks requests and this month's
+   * spend has reached it.
+   */
+  const checkBudgetLimit = useCallback(() => {
+    if (preferences.budgetMode === BUDGET_MODES.BLOCK && budgetRef.current.status === BUDGET_STATUS.EXCEEDED) {
+      throw new AIError(
+        `Monthly budget of ${formatCost(budgetRef.current.limit)} reached. Raise it in Usage or run the offline checks.`,
+        AI_ERROR_TYPES.BUDGET_EXCEEDED
+      );
+    }
+  }, [preferences.budgetMode]);
+
+  /**
+   * Record the usage a failed request still reports (an invalid response
+   * is billed like any other), then pass the error on.
+   */
+  const recordFailedUsage = useCallback((err) => {
+    if (err instanceof AIError && err.meta) {
+      setUsageLog((prev) => recordUsage(prev, err.meta));
+    }
+    throw err;
+  }, [setUsageLog]);
+
+  /**
+   * Run one analysis with the current provider, model and preferences
+   * without touching the scan state. Falls back to the offline checks
+   * when no provider is set up.
+   *
+   * @param {string} message - The message to analyze
+   * @param {Object} options - Extra analyzeMessage options (signal, context, thread, callbacks)
+   * @param {boolean} options.offline - Use the offline checks even if a provider is set up
+   * @returns {Promise<Object>} Analysis result
+   */
+  const analyze = useCallback(async (message, { offline = false, ...options } = {}) => {
+    if (offline || !isConfigured) {
+      return analyzeMessageOffline(message, { context: options.context, styleRules });
+    }
+
+    checkBudgetLimit();
+
+    const analysisResult = await analyzeMessage(message, apiKey, {
+      provider: selectedProvider,
+      providerSettings,
+      model: selectedModel,
+      stream: preferences.streamResults,
+      heuristics: preferences.heuristicPrePass,
+      redact: preferences.redactSensitive,
+      sensitivePatterns: preferences.sensitivePatterns,
+      language: preferences.language,
+      rewriteStyles,
+      styleRules,
+      ...options,
+    }).catch(recordFailedUsage);
+
+    setUsageLog((prev) => recordUsage(prev, analysisResult._meta));
+    return analysisResult;
+  }, [apiKey, isConfigured, selectedProvider, providerSettings, selectedModel, preferences.streamResults, preferences.heuristicPrePass, preferences.redactSensitive, preferences.sensitivePatterns, preferences.language, checkBudgetLimit, rewriteStyles, styleRules, setUsageLog, recordFailedUsage]);
+
+  /**
+   * Quick verdict-and-risks check of a message (an edited rewrite) with
+   * the current provider, model and preferences. Falls back to the
+   * offline checks when no provider is set up.
+   *
+   * @param {string} message - The message to check
+   * @param {Object} options - Extra quickCheckMessage options (signal, context, thread)
+   * @returns {Promise<Object>} { verdict, verdictReason, risks, styleViolations, _meta }
+   */
+  const quickCheck = useCallback(async (message, options = {}) => {
+    if (!isConfigured) {
+      const { verdict, verdictReason, risks, styleViolations, _meta } = analyzeMessageOffline(message, {
+        context: options.context,
+        styleRules,
+      });
+      return { verdict, verdictReason, risks, styleViolations, _meta };
+    }
+
+    checkBudgetLimit();
+
+    const checkResult = await quickCheckMessage(message, apiKey, {
+      provider: selectedProvider,
+      providerSettings,
+      model: selectedModel,
+      heuristics: preferences.heuristicPrePass,
+      redact: preferences.redactSensitive,
+      sensitivePatterns: preferences.sensitivePatterns,
+      language: preferences.language,
+      styleRules,
+      ...options,
+    }).catch(recordFailedUsage);
+
+    setUsageLog((prev) => recordUsage(prev, checkResult._meta));
+    return checkResult;
+  }, [apiKey, isConfigured, selectedProvider, providerSettings, selectedModel, preferences.heuristicPrePass, preferences.redactSensitive, preferences.sensitivePatterns, preferences.language, checkBudgetLimit, styleRules, setUsageLog, recordFailedUsage]);
+
+  /**
+   * Refine one rewrite with a follow-up instruction, using the current
+   * provider, model and preferences. Needs a configured provider; the
+   * offline checks don't write rewrites.
+   *
+   * @param {string} message - The original message
+   * @param {Object} options - refineRewrite options (style, versions, instruction, context, signal, callbacks)
+   * @returns {Promise<Object>} { rewrite, note, _meta }
+   */
+  const refine = useCallback(async (message, options = {}) => {
+    if (!isConfigured) {
+      throw new AIError('Refining a rewrite needs a configured provider.', AI_ERROR_TYPES.INVALID_API_KEY);
+    }
+
+    checkBudgetLimit();
+
+    const refinement = await refineRewrite(message, apiKey, {
+      provider: selectedProvider,
+      providerSettings,
+      model: selectedModel,
+      stream: preferences.streamResults,
+      redact: preferences.redactSensitive,
+      sensitivePatterns: preferences.sensitivePatterns,
+      styleRules,
+      ...options,
+    }).catch(recordFailedUsage);
+
+    setUsageLog((prev) => recordUsage(prev, refinement._meta));
+    return refinement;
+  }, [apiKey, isConfigured, selectedProvider, providerSettings, selectedModel, preferences.streamResults, preferences.redactSensitive, preferences.sensitivePatterns, styleRules, checkBudgetLimit, setUsageLog, recordFailedUsage]);
+
   /**
    * Submit a message for analysis.
+   * Without a configured provider the rule-based offline checks run instead.
    *
    * @param {string} message - The message to analyze
+   * @param {Object} context - Optional { recipient, channel, outcome }
+   * @param {Object} options - Submit options
+   * @param {boolean} options.offline - Use the offline checks even if a provider is set up
+   * @param {Array} options.thread - Conversation the message replies to ({ author, text })
    * @returns {Promise<Object|null>} The analysis result or null on error
    */
-  const submitMessage = useCallback(async (message) => {
+  const submitMessage = useCallback(async (message, context, { offline = false, thread } = {}) => {
     // Validate inputs
     if (!message || message.trim().length === 0) {
       setError({ type: 'VALIDATION', message: 'Please enter a message to analyze' });
       return null;
     }
 
-    if (!hasApiKey) {
-      setError({ type: 'NO_API_KEY', message: 'Please add your OpenRouter API key' });
-      return null;
-    }
-
     // Cancel any existing request
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
 
-    // Create new abort controller
-    abortControllerRef.current = new AbortController();
+    // Create new abort controller. Callbacks and results check this
+    // controller, so a cancelled or superseded request can't touch state.
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const safeSetCurrent = (setter) => {
+      if (!controller.signal.aborted) {
+        safeSetState(setter);
+      }
+    };
+
+    const messageContext = normalizeMessageContext(context);
+    const replyThread = normalizeThread(thread);
 
     // Update state
     safeSetState(() => {
       setCurrentMessage(message.trim());
+      setCurrentContext(messageContext);
+      setCurrentThread(replyThread);
       setStatus(CHAT_STATUS.SCANNING);
       setError(null);
       setResult(null);
+      setPartialResult(null);
+      setAttemptInfo(null);
     });
 
     try {
-      const analysisResult = await analyzeMessage(
-        message.trim(),
-        apiKey,
-        {
-          model: selectedModel,
-          signal: abortControllerRef.current.signal,
-        }
-      );
+      const analysisResult = await analyze(message.trim(), {
+        offline,
+        signal: controller.signal,
+        context: messageContext,
+        thread: replyThread,
+        onPartial: (partial) => safeSetCurrent(() => setPartialResult(partial)),
+        onAttempt: ({ attempt, maxRetries }) => safeSetCurrent(() => {
+          // A retry starts from scratch, so drop the previous attempt's partial output
+          setPartialResult(null);
+          setAttemptInfo((prev) => ({ ...prev, attempt, maxRetries, retryDelayMs: null }));
+        }),
+        onRetry: ({ attempt, maxRetries, delayMs, error: attemptError }) => safeSetCurrent(() => {
+          setAttemptInfo({
+            attempt,
+            maxRetries,
+            retryDelayMs: delayMs,
+            lastErrorMessage: attemptError?.message || 'Request failed',
+          });
+        }),
+      });
+
+      if (controller.signal.aborted) {
+        return null;
+      }
 
       // Create history entry
       const historyEntry = {
         id: crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         timestamp: new Date().toISOString(),
         originalMessage: message.trim(),
+        context: messageContext,
+        thread: replyThread,
         result: analysisResult,
-        model: selectedModel,
+        provider: analysisResult._meta.provider,
+        model: analysisResult._meta.model,
       };
 
       safeSetState(() => {
         setResult(analysisResult);
+        setPartialResult(null);
+        setAttemptInfo(null);
         setStatus(CHAT_STATUS.COMPLETE);
-
-        // Add to history (limit to 50 most recent)
-        setHistory((prev) => {
-          const newHistory = [...(prev || []), historyEntry];
-          return newHistory.slice(-50);
-        });
       });
 
+      addHistoryEntry(historyEntry);
+
       return analysisResult;
 
     } catch (err) {
+      // Cancelled by the user or replaced by a newer request - whoever
+      // aborted this controller has already set the state
+      if (controller.signal.aborted) {
+        return null;
+      }
+
       console.error('[useChat] Analysis failed:', err);
 
       // Handle specific error types
@@ -192,22 +434,18 @@ export function useChat() {
               message: err.message,
             };
         }
-      } else if (err.name === 'AbortError') {
-        // Request was cancelled, not an error
-        safeSetState(() => {
-          setStatus(CHAT_STATUS.IDLE);
-        });
-        return null;
       }
 
       safeSetState(() => {
+        setPartialResult(null);
+        setAttemptInfo(null);
         setError(errorInfo);
         setStatus(CHAT_STATUS.ERROR);
       });
 
       return null;
     }
-  }, [apiKey, hasApiKey, selectedModel, safeSetState, setHistory]);
+  }, [analyze, safeSetState, addHistoryEntry]);
 
   /**
    * Cancel the current analysis request.
@@ -219,6 +457,8 @@ export function useChat() {
     }
     safeSetState(() => {
       setStatus(CHAT_STATUS.IDLE);
+      setPartialResult(null);
+      setAttemptInfo(null);
       setError(null);
     });
   }, [safeSetState]);
@@ -230,64 +470,145 @@ export function useChat() {
     cancelRequest();
     safeSetState(() => {
       setCurrentMessage('');
+      setCurrentContext(EMPTY_MESSAGE_CONTEXT);
+      setCurrentThread([]);
       setResult(null);
       setError(null);
       setStatus(CHAT_STATUS.IDLE);
     });
   }, [cancelRequest, safeSetState]);
 
+  /**
+   * Update endpoint settings ({ baseUrl, apiVersion }) for one provider.
+   */
+  const updateProviderSettings = useCallback((providerId, settings) => {
+    setAllProviderSettings((prev) => ({
+      ...(prev || {}),
+      [providerId]: { ...(prev?.[providerId] || {}), ...settings },
+    }));
+  }, [setAllProviderSettings]);
+
+  /**
+   * Merge changes into the persisted user preferences.
+   */
+  const updatePreferences = useCallback((changes) => {
+    setStoredPreferences((prev) => ({ ...DEFAULT_PREFERENCES, ...(prev || {}), ...changes }));
+  }, [setStoredPreferences]);
+
+  /**
+   * Replace the active rewrite style set (persisted in preferences).
+   */
+  const setRewriteStyles = useCallback((styles) => {
+    updatePreferences({ rewriteStyles: styles });
+  }, [updatePreferences]);
+
+  /**
+   * Replace the team style guide rules (persisted in preferences).
+   */
+  const setStyleRules = useCallback((rules) => {
+    updatePreferences({ styleRules: rules });
+  }, [updatePreferences]);
+
   /**
    * Clear all history.
    */
   const clearHistory = useCallback(() => {
-    setHistory([]);
-  }, [setHistory]);
+    clearHistoryEntries();
+  }, [clearHistoryEntries]);
+
+  /**
+   * Add imported entries to history, or replace it with them.
+   *
+   * @param {Array} entries - Validated entries from parseImport
+   * @param {string} mode - IMPORT_MODES.MERGE or IMPORT_MODES.REPLACE
+   * @returns {Promise<Object>} { added, duplicates, dropped } counts for the import summary
+   */
+  const importHistory = useCallback((entries, mode = IMPORT_MODES.MERGE) => (
+    importHistoryEntries(entries, mode)
+  ), [importHistoryEntries]);
+
+  /**
+   * Apply settings from an import. Preferences are merged; the model is
+   * taken only if it was chosen for the current provider. The provider
+   * itself never changes here, so the API key keeps going where it went
+   * before.
+   */
+  const importSettings = useCallback((settings) => {
+    if (!settings) return;
+    if (settings.preferences) {
+      updatePreferences(settings.preferences);
+    }
+    if (settings.selectedModel && settings.selectedProvider === selectedProvider) {
+      setSelectedModel(settings.selectedModel);
+    }
+  }, [updatePreferences, selectedProvider, setSelectedModel]);
 
   /**
    * Retry the last failed request.
    */
   const retry = useCallback(() => {
     if (currentMessage) {
-      submitMessage(currentMessage);
+      submitMessage(currentMessage, currentContext, { thread: currentThread });
     }
-  }, [currentMessage, submitMessage]);
+  }, [currentMessage, currentContext, currentThread, submitMessage]);
 
   /**
    * Load a previous analysis from history.
    */
-  const loadFromHistory = useCallback((historyId) => {
-    const entry = history.find((h) => h.id === historyId);
+  const loadFromHistory = useCallback(async (historyId) => {
+    const entry = await getHistoryEntry(historyId);
     if (entry) {
       safeSetState(() => {
         setCurrentMessage(entry.originalMessage);
+        setCurrentContext(normalizeMessageContext(entry.context));
+        setCurrentThread(normalizeThread(entry.thread));
         setResult(entry.result);
         setStatus(CHAT_STATUS.COMPLETE);
         setError(null);
       });
     }
-  }, [history, safeSetState]);
+  }, [getHistoryEntry, safeSetState]);
+
+  /**
+   * Clear the usage log. The budget starts again from zero.
+   */
+  const clearUsage = useCallback(() => {
+    setUsageLog(EMPTY_USAGE_LOG);
+  }, [setUsageLog]);
 
   /**
    * Remove a specific item from history.
    */
   const removeFromHistory = useCallback((historyId) => {
-    setHistory((prev) => (prev || []).filter((h) => h.id !== historyId));
-  }, [setHistory]);
+    removeHistoryEntry(historyId);
+  }, [removeHistoryEntry]);
 
   // Derived state
   const isScanning = status === CHAT_STATUS.SCANNING;
   const hasResult = status === CHAT_STATUS.COMPLETE && result !== null;
   const hasError = status === CHAT_STATUS.ERROR && error !== null;
-  const isReady = apiKeyLoaded && historyLoaded;
+  const isReady = apiKeyLoaded && historyStore.isLoaded;
 
   return {
     // State
     status,
     currentMessage,
+    currentContext,
+    currentThread,
     result,
+    partialResult,
+    attemptInfo,
     error,
-    history: history || [],
+    historyStore,
+    usageLog,
+    budget,
+    selectedProvider,
+    providerSettings,
+    allProviderSettings: allProviderSettings || EMPTY_PROVIDER_SETTINGS,
     selectedModel,
+    preferences,
+    rewriteStyles,
+    styleRules,
     isScanning,
     hasResult,
     hasError,
@@ -298,16 +619,29 @@ export function useChat() {
     setApiKey,
     hasApiKey,
     maskedKey,
+    isConfigured,
+    keyVault,
 
     // Actions
     submitMessage,
+    analyze,
+    refine,
+    quickCheck,
     cancelRequest,
     reset,
     retry,
+    setSelectedProvider,
+    updateProviderSettings,
+    updatePreferences,
+    setRewriteStyles,
+    setStyleRules,
     setSelectedModel,
     clearHistory,
+    importHistory,
+    importSettings,
     loadFromHistory,
     removeFromHistory,
+    clearUsage,
   };
 }
 
@@ -329,15 +663,11 @@ export function useApiKeySettings() {
   const [isValidating, setIsValidating] = useState(false);
   const [validationError, setValidationError] = useState(null);
 
-  const saveApiKey = useCallback(async (newKey) => {
+  const saveApiKey = useCallback(async (newKey, providerId = DEFAULT_PROVIDER) => {
     // Basic format validation
-    if (!newKey || newKey.trim().length === 0) {
-      setValidationError('API key is required');
-      return false;
-    }
-
-    if (!newKey.startsWith('sk-or-')) {
-      setValidationError('API key should start with sk-or-');
+    const formatError = validateKeyFormat(providerId, newKey);
+    if (formatError) {
+      setValidationError(formatError);
       return false;
     }
 
@@ -346,7 +676,7 @@ export function useApiKeySettings() {
 
     try {
       // For now, just save it - validation happens on first use
-      setApiKey(newKey.trim());
+      await setApiKey((newKey || '').trim());
       setIsValidating(false);
       return true;
     } catch (err) {
@@ -0,0 +1,104 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { runBatch } from '../utils/batch';
+
+/**
+ * Model comparison state.
+ *
+ * Every model gets a column that moves pending -> running -> done | error,
+ * all running at once. Like batch results, comparisons are kept in
+ * memory only and don't go into scan history.
+ *
+ * @param {function} analyze - useChat's analyze(message, options)
+ */
+export function useCompare(analyze) {
+  const [message, setMessage] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const controllerRef = useRef(null);
+
+  // Stop any run when the component using the hook unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const updateColumn = useCallback((model, changes) => {
+    setColumns((prev) => prev.map((column) => (column.model === model ? { ...column, ...changes } : column)));
+  }, []);
+
+  /**
+   * Run a message through each model, replacing any previous comparison.
+   *
+   * @param {string} text - Message to analyze
+   * @param {string[]} models - Model ids for the current provider
+   * @param {Object} context - Optional { recipient, channel, outcome }
+   */
+  const start = useCallback(async (text, models, context) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setMessage(text);
+    setColumns(models.map((model) => ({ model, status: 'pending', result: null, error: null })));
+    setIsRunning(true);
+
+    await runBatch(
+      models.map((model) => ({ id: model, text })),
+      (messageText, { signal, item }) => analyze(messageText, {
+        signal,
+        context,
+        model: item.id,
+        stream: false,
+        // The rule-based findings would be the same in every column and
+        // count as agreement no model reached
+        heuristics: false,
+      }),
+      {
+        concurrency: models.length,
+        signal: controller.signal,
+        onUpdate: (model, changes) => {
+          if (!controller.signal.aborted) {
+            updateColumn(model, changes);
+          }
+        },
+      }
+    );
+
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setIsRunning(false);
+    }
+  }, [analyze, updateColumn]);
+
+  /**
+   * Stop the run. Finished columns are kept; the rest are marked cancelled.
+   */
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsRunning(false);
+    setColumns((prev) => prev.map((column) => (
+      column.status === 'done' || column.status === 'error'
+        ? column
+        : { ...column, status: 'cancelled' }
+    )));
+  }, []);
+
+  /**
+   * Clear the comparison.
+   */
+  const reset = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setIsRunning(false);
+    setColumns([]);
+  }, []);
+
+  return {
+    message,
+    columns,
+    isRunning,
+    start,
+    cancel,
+    reset,
+  };
+}
+
+export default useCompare;
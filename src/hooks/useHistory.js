@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  openHistoryDb,
+  queryHistory,
+  getHistoryModels,
+  getHistoryEntry,
+  getAllHistory,
+  getHistoryIds,
+  countHistory,
+  putHistoryEntries,
+  deleteHistoryEntry,
+  clearHistoryStore,
+  applyRetention,
+  HISTORY_PAGE_SIZE,
+} from '../utils/historyStore';
+import { IMPORT_MODES } from '../utils/historyTransfer';
+
+// Lets other tabs know history changed (IndexedDB has no storage event)
+const CHANNEL_NAME = 'messageclearance_history';
+
+/**
+ * Scan history kept in IndexedDB.
+ *
+ * Nothing is held in memory: reads go through the store, and `revision`
+ * changes after every write (here or in another tab) so views can
+ * re-query.
+ *
+ * @param {Object} retention - { maxEntries, maxAgeDays }, 0 for no limit
+ * @returns {Object} History state and actions
+ */
+export function useHistory({ maxEntries = 0, maxAgeDays = 0 } = {}) {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isUnlimited, setIsUnlimited] = useState(true);
+  const [revision, setRevision] = useState(0);
+  const [count, setCount] = useState(0);
+  const channelRef = useRef(null);
+
+  // Open (and migrate) the store, and listen for changes from other tabs
+  useEffect(() => {
+    let cancelled = false;
+    openHistoryDb().then((db) => {
+      if (!cancelled) {
+        setIsUnlimited(db !== null);
+        setIsLoaded(true);
+      }
+    });
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      const channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = () => setRevision((prev) => prev + 1);
+      channelRef.current = channel;
+    }
+
+    return () => {
+      cancelled = true;
+      channelRef.current?.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  const markChanged = useCallback(() => {
+    setRevision((prev) => prev + 1);
+    channelRef.current?.postMessage('changed');
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    let cancelled = false;
+    countHistory()
+      .then((total) => !cancelled && setCount(total))
+      .catch((error) => console.error('[useHistory] Count failed:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isLoaded, revision]);
+
+  // Apply the retention policy on load and whenever it changes
+  useEffect(() => {
+    if (!isLoaded) return;
+    applyRetention({ maxEntries, maxAgeDays })
+      .then((deleted) => deleted > 0 && markChanged())
+      .catch((error) => console.error('[useHistory] Retention failed:', error));
+  }, [isLoaded, maxEntries, maxAgeDays, markChanged]);
+
+  /**
+   * Store a new scan.
+   */
+  const addEntry = useCallback(async (entry) => {
+    try {
+      await putHistoryEntries([entry]);
+      await applyRetention({ maxEntries, maxAgeDays });
+    } catch (error) {
+      console.error('[useHistory] Failed to save scan:', error);
+    }
+    markChanged();
+  }, [maxEntries, maxAgeDays, markChanged]);
+
+  /**
+   * Remove one scan.
+   */
+  const removeEntry = useCallback(async (id) => {
+    await deleteHistoryEntry(id);
+    markChanged();
+  }, [markChanged]);
+
+  /**
+   * Remove every scan.
+   */
+  const clear = useCallback(async () => {
+    await clearHistoryStore();
+    markChanged();
+  }, [markChanged]);
+
+  /**
+   * Add imported entries, or replace history with them. On merge the
+   * stored copy of an id wins.
+   *
+   * @param {Array} entries - Validated entries from parseImport
+   * @param {string} mode - IMPORT_MODES.MERGE or IMPORT_MODES.REPLACE
+   * @returns {Promise<Object>} { added, duplicates, dropped } counts for the import summary
+   */
+  const importEntries = useCallback(async (entries, mode = IMPORT_MODES.MERGE) => {
+    const replace = mode === IMPORT_MODES.REPLACE;
+    const existingIds = new Set(replace ? [] : await getHistoryIds());
+    const incoming = entries.filter((entry) => !existingIds.has(entry.id));
+
+    if (replace) {
+      await clearHistoryStore();
+    }
+    await putHistoryEntries(incoming);
+    await applyRetention({ maxEntries, maxAgeDays });
+    const total = await countHistory();
+    markChanged();
+
+    // Whatever retention (or the localStorage cap) removed
+    const dropped = Math.max(0, existingIds.size + incoming.length - total);
+    return {
+      added: incoming.length - dropped,
+      duplicates: entries.length - incoming.length,
+      dropped,
+    };
+  }, [maxEntries, maxAgeDays, markChanged]);
+
+  return {
+    isLoaded,
+    isUnlimited,
+    revision,
+    count,
+    getEntry: getHistoryEntry,
+    getAll: getAllHistory,
+    getIds: getHistoryIds,
+    addEntry,
+    removeEntry,
+    clear,
+    importEntries,
+  };
+}
+
+/**
+ * Paged, filtered view of history for the history panel. Re-queries
+ * when the filters change or history is written to.
+ *
+ * @param {number} revision - useHistory's revision
+ * @param {Object} filters - { query, verdict, model }
+ * @param {boolean} enabled - Skip querying while the panel is closed
+ * @returns {Object} { entries, total, models, hasMore, loadMore, isLoading }
+ */
+export function useHistoryQuery(revision, { query = '', verdict = '', model = '' }, enabled = true) {
+  const filterKey = `${query}\n${verdict}\n${model}`;
+  const [paging, setPaging] = useState({ key: filterKey, pages: 1 });
+  const [page, setPage] = useState({ entries: [], total: 0, isLoading: true });
+  const [models, setModels] = useState([]);
+
+  // Back to the first page whenever the filters change
+  const pages = paging.key === filterKey ? paging.pages : 1;
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    queryHistory({ query, verdict, model, limit: pages * HISTORY_PAGE_SIZE })
+      .then((results) => !cancelled && setPage({ ...results, isLoading: false }))
+      .catch((error) => {
+        console.error('[useHistory] Query failed:', error);
+        if (!cancelled) setPage({ entries: [], total: 0, isLoading: false });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, revision, query, verdict, model, pages]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    getHistoryModels()
+      .then((list) => !cancelled && setModels(list))
+      .catch((error) => console.error('[useHistory] Model list failed:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, revision]);
+
+  const loadMore = useCallback(() => {
+    setPaging({ key: filterKey, pages: pages + 1 });
+  }, [filterKey, pages]);
+
+  return {
+    entries: page.entries,
+    total: page.total,
+    models,
+    hasMore: page.entries.length < page.total,
+    loadMore,
+    isLoading: page.isLoading,
+  };
+}
+
+export default useHistory;
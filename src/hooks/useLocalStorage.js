@@ -1,5 +1,19 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { getItem, setItem, isStorageAvailable } from '../utils/storage';
+import {
+  getItem,
+  setItem,
+  isStorageAvailable,
+  removeLegacyKeys,
+  STORAGE_KEYS,
+} from '../utils/storage';
+import {
+  isKeyVault,
+  encryptApiKey,
+  decryptApiKey,
+  sealApiKey,
+  KeyVaultError,
+  KEY_VAULT_ERROR_TYPES,
+} from '../utils/keyVault';
 
 /**
  * React hook for persisting state to localStorage.
@@ -149,15 +163,15 @@ export function useLocalStorage(key, initialValue, options = {}) {
   // Wrapped setter that handles all the edge cases
   const setValue = useCallback((value) => {
     try {
-      // Allow value to be a function (like useState)
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      setStoredValue(valueToStore);
+      // Allow value to be a function (like useState). It's handed to
+      // setStoredValue so updates queued before a re-render all apply.
+      setStoredValue(value);
       setError(null);
     } catch (err) {
       console.error(`[useLocalStorage] Error in setValue:`, err);
       setError(err);
     }
-  }, [storedValue]);
+  }, []);
 
   // Remove the value from storage
   const remove = useCallback(() => {
@@ -183,17 +197,139 @@ export function useLocalStorage(key, initialValue, options = {}) {
   ];
 }
 
+// Activity that postpones the auto-lock
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
 /**
  * Simplified hook specifically for the API key.
  * Includes additional validation and masking helpers.
  *
- * @returns {Object} { apiKey, setApiKey, removeApiKey, hasApiKey, isLoaded, maskedKey }
+ * The key is stored either in plaintext or, once the user sets a
+ * passphrase, only as an encrypted vault. An encrypted key starts locked
+ * on every page load; unlocking keeps the decrypted key in memory until
+ * lock() is called or the user has been inactive for autoLockMinutes.
+ *
+ * @param {Object} options - Hook options
+ * @param {number} options.autoLockMinutes - Inactivity before locking (0 = never)
+ * @returns {Object} { apiKey, setApiKey, removeApiKey, hasApiKey, isLoaded, maskedKey,
+ *   isEncrypted, isLocked, unlock, lock, enableEncryption, disableEncryption }
  */
-export function useApiKey() {
-  const [apiKey, setApiKey, { isLoaded, error, remove }] = useLocalStorage(
-    'messageclearance_api_key',
+export function useApiKey({ autoLockMinutes = 0 } = {}) {
+  const [plainKey, setPlainKey, { isLoaded, error, remove: removePlainKey }] = useLocalStorage(
+    STORAGE_KEYS.API_KEY,
     ''
   );
+  const [vault, setVault, { remove: removeVault }] = useLocalStorage(
+    STORAGE_KEYS.ENCRYPTED_API_KEY,
+    null
+  );
+
+  // Unlocked vault: { apiKey, cryptoKey, salt, iterations }. Memory only.
+  const [session, setSession] = useState(null);
+
+  const isEncrypted = isKeyVault(vault);
+  const isLocked = isEncrypted && !session;
+  const apiKey = isEncrypted ? (session?.apiKey || '') : (plainKey || '');
+
+  // Older versions also kept a plaintext copy under un-prefixed keys
+  useEffect(() => {
+    removeLegacyKeys();
+  }, []);
+
+  // Auto-lock after a stretch with no pointer or keyboard activity
+  useEffect(() => {
+    if (!session || !autoLockMinutes) {
+      return;
+    }
+
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => setSession(null), autoLockMinutes * 60 * 1000);
+    };
+
+    restart();
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, restart, { passive: true }));
+
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, restart));
+    };
+  }, [session, autoLockMinutes]);
+
+  /**
+   * Unlock the encrypted key for this session.
+   * @throws {KeyVaultError} On a wrong passphrase
+   */
+  const unlock = useCallback(async (passphrase) => {
+    setSession(await decryptApiKey(vault, passphrase));
+  }, [vault]);
+
+  /**
+   * Forget the decrypted key. The encrypted vault stays stored.
+   */
+  const lock = useCallback(() => {
+    setSession(null);
+  }, []);
+
+  /**
+   * Encrypt the key under a passphrase and drop the plaintext copy.
+   *
+   * @param {string} passphrase - New passphrase
+   * @param {string} key - Key to encrypt (default: the current key)
+   * @throws {KeyVaultError} If the passphrase is too short or WebCrypto is unavailable
+   */
+  const enableEncryption = useCallback(async (passphrase, key = apiKey) => {
+    const { vault: newVault, session: newSession } = await encryptApiKey(key, passphrase);
+    setVault(newVault);
+    setSession(newSession);
+    removePlainKey();
+  }, [apiKey, setVault, removePlainKey]);
+
+  /**
+   * Go back to storing the key in plaintext. Needs the key unlocked.
+   *
+   * @param {string} key - Key to store (default: the unlocked key)
+   */
+  const disableEncryption = useCallback((key = session?.apiKey) => {
+    if (!session) return;
+    setPlainKey(key);
+    removeVault();
+    setSession(null);
+  }, [session, setPlainKey, removeVault]);
+
+  /**
+   * Store a new key, re-encrypting it with the session key when
+   * encryption is on. An empty key removes it (and the vault).
+   */
+  const setApiKey = useCallback(async (newKey) => {
+    if (!isEncrypted) {
+      setPlainKey(newKey);
+      return;
+    }
+
+    if (!newKey) {
+      removeVault();
+      setSession(null);
+      return;
+    }
+
+    if (!session) {
+      throw new KeyVaultError('Unlock the stored key before changing it', KEY_VAULT_ERROR_TYPES.WRONG_PASSPHRASE);
+    }
+
+    setVault(await sealApiKey(newKey, session.cryptoKey, session));
+    setSession({ ...session, apiKey: newKey });
+  }, [isEncrypted, session, setPlainKey, setVault, removeVault]);
+
+  /**
+   * Remove the key in either form.
+   */
+  const removeApiKey = useCallback(() => {
+    removePlainKey();
+    removeVault();
+    setSession(null);
+  }, [removePlainKey, removeVault]);
 
   // Mask the API key for display (show first and last 4 chars)
   const maskedKey = apiKey && apiKey.length > 12
@@ -205,13 +341,19 @@ export function useApiKey() {
   return {
     apiKey,
     setApiKey,
-    removeApiKey: remove,
+    removeApiKey,
     hasApiKey: Boolean(apiKey && apiKey.length > 0),
     isLoaded,
     error,
     maskedKey,
     // Validate that key looks like an OpenRouter key
     isValidFormat: apiKey?.startsWith('sk-or-') ?? false,
+    isEncrypted,
+    isLocked,
+    unlock,
+    lock,
+    enableEncryption,
+    disableEncryption,
   };
 }
 
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  canListModels,
+  fetchModelCatalog,
+  getCachedCatalog,
+  getCatalogModels,
+  isCatalogStale,
+  saveCatalog,
+} from '../utils/modelCatalog';
+
+/**
+ * Model catalog for one provider.
+ *
+ * Shows the cached listing straight away and fetches a fresh one when
+ * the cache is missing or older than a day. If the provider can't be
+ * reached the built-in list is used, so the settings modal works offline.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {Object} options - Catalog options
+ * @param {string} options.apiKey - Key used to list models (read when a fetch starts)
+ * @param {Object} options.providerSettings - { baseUrl, apiVersion }
+ * @param {boolean} options.enabled - Fetch only while true (default: true)
+ * @returns {Object} { models, source, fetchedAt, isLoading, error, canRefresh, refresh }
+ */
+export function useModelCatalog(providerId, { apiKey, providerSettings, enabled = true } = {}) {
+  const [refresh, setRefresh] = useState({ providerId, count: 0 });
+  const [result, setResult] = useState({ key: null, error: null });
+
+  // The key and endpoint are read through refs so typing doesn't refetch
+  const settingsRef = useRef({ apiKey, providerSettings });
+  useEffect(() => {
+    settingsRef.current = { apiKey, providerSettings };
+  });
+
+  const canList = canListModels(providerId, { apiKey, providerSettings });
+  const refreshCount = refresh.providerId === providerId ? refresh.count : 0;
+  const requestKey = `${providerId}#${refreshCount}`;
+
+  // An in-memory read; a finished fetch re-renders through setResult
+  const cached = getCachedCatalog(providerId);
+  const models = useMemo(() => getCatalogModels(providerId, cached), [providerId, cached]);
+
+  const shouldFetch = enabled && canList && (refreshCount > 0 || isCatalogStale(cached));
+
+  useEffect(() => {
+    if (!shouldFetch || result.key === requestKey) return;
+
+    const controller = new AbortController();
+    fetchModelCatalog(providerId, { ...settingsRef.current, signal: controller.signal })
+      .then((list) => {
+        saveCatalog(providerId, list);
+        setResult({ key: requestKey, error: null });
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.warn('[useModelCatalog] Listing failed, using cached or built-in models:', error);
+        setResult({ key: requestKey, error: error.message || 'Could not load models' });
+      });
+
+    return () => controller.abort();
+  }, [shouldFetch, requestKey, providerId, result.key]);
+
+  const refreshCatalog = useCallback(() => {
+    setRefresh({ providerId, count: refreshCount + 1 });
+  }, [providerId, refreshCount]);
+
+  return {
+    models,
+    // 'live' = fetched within a day, 'cache' = older listing, 'built-in' = never fetched
+    source: cached ? (isCatalogStale(cached) ? 'cache' : 'live') : 'built-in',
+    fetchedAt: cached?.fetchedAt || null,
+    isLoading: shouldFetch && result.key !== requestKey,
+    error: result.key === requestKey ? result.error : null,
+    canRefresh: canList,
+    refresh: refreshCatalog,
+  };
+}
+
+export default useModelCatalog;
@@ -0,0 +1,185 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+
+const EMPTY_STYLES = {};
+const EMPTY_DRAFTS = {};
+
+const draftKey = (styleId, index) => `${styleId}:${index}`;
+
+/**
+ * Follow-up refinements and hand edits of a result's rewrites.
+ *
+ * Each rewrite style keeps its own version list: the original rewrite
+ * first, then one version per instruction. Refining always works on the
+ * version being viewed (including the user's edits to it) and adds the
+ * new one at the end, so stepping back and refining again never loses a
+ * version. Versions and edits are dropped when a different result is shown.
+ *
+ * @param {Object|null} result - Finished analysis result
+ * @param {string} originalMessage - Message the result was generated for
+ * @param {function} refine - refine action from useChat
+ * @returns {Object} { getVersions, getIndex, getText, isEdited, select, edit, resetEdit, submit, cancel, pending, error }
+ */
+export function useRefinement(result, originalMessage, refine) {
+  const [state, setState] = useState({
+    source: null,
+    styles: EMPTY_STYLES,
+    drafts: EMPTY_DRAFTS,
+    pending: null,
+    error: null,
+  });
+  const controllerRef = useRef(null);
+
+  // A new result starts over; anything still running belongs to the old one
+  const isCurrent = state.source === result;
+  const styles = isCurrent ? state.styles : EMPTY_STYLES;
+  const drafts = isCurrent ? state.drafts : EMPTY_DRAFTS;
+
+  // Updates state for the current result, starting fresh if it changed
+  const update = useCallback((changes) => {
+    setState((prev) => {
+      const base = prev.source === result
+        ? prev
+        : { source: result, styles: EMPTY_STYLES, drafts: EMPTY_DRAFTS, pending: null, error: null };
+      return { ...base, ...changes(base) };
+    });
+  }, [result]);
+
+  useEffect(() => () => controllerRef.current?.abort(), [result]);
+
+  const getVersions = useCallback((styleId) => {
+    const original = result?.rewrites?.[styleId];
+    if (typeof original !== 'string' || !original) return [];
+    return [{ text: original, instruction: null, note: '' }, ...(styles[styleId]?.versions || [])];
+  }, [result, styles]);
+
+  const getIndex = useCallback((styleId) => {
+    const count = getVersions(styleId).length;
+    const index = styles[styleId]?.index ?? count - 1;
+    return Math.min(Math.max(index, 0), Math.max(count - 1, 0));
+  }, [getVersions, styles]);
+
+  // The version on screen, with the user's edits if there are any
+  const getText = useCallback((styleId) => {
+    const draft = drafts[draftKey(styleId, getIndex(styleId))];
+    return draft ?? getVersions(styleId)[getIndex(styleId)]?.text ?? '';
+  }, [drafts, getIndex, getVersions]);
+
+  const isEdited = useCallback((styleId) => (
+    drafts[draftKey(styleId, getIndex(styleId))] !== undefined
+  ), [drafts, getIndex]);
+
+  const select = useCallback((styleId, index) => {
+    update((prev) => ({
+      styles: { ...prev.styles, [styleId]: { versions: [], ...prev.styles[styleId], index } },
+    }));
+  }, [update]);
+
+  const edit = useCallback((styleId, text) => {
+    const key = draftKey(styleId, getIndex(styleId));
+    const unchanged = text === getVersions(styleId)[getIndex(styleId)]?.text;
+    update((prev) => {
+      const { [key]: _previous, ...rest } = prev.drafts;
+      return { drafts: unchanged ? rest : { ...rest, [key]: text } };
+    });
+  }, [getIndex, getVersions, update]);
+
+  const resetEdit = useCallback((styleId) => {
+    const key = draftKey(styleId, getIndex(styleId));
+    update((prev) => {
+      const { [key]: _previous, ...rest } = prev.drafts;
+      return { drafts: rest };
+    });
+  }, [getIndex, update]);
+
+  /**
+   * Refine the version of a style that's on screen.
+   *
+   * @param {Object} style - Rewrite style ({ id, label, instruction })
+   * @param {string} instruction - What to change
+   * @returns {Promise<boolean>} True if a new version was added
+   */
+  const submit = useCallback(async (style, instruction) => {
+    const index = getIndex(style.id);
+    const versions = getVersions(style.id)
+      .slice(0, index + 1)
+      .map((version, i) => (i === index ? { ...version, text: getText(style.id) } : version));
+    if (!instruction.trim() || versions.length === 0) return false;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    update(() => ({
+      pending: { styleId: style.id, instruction: instruction.trim(), partial: null },
+      error: null,
+    }));
+
+    try {
+      const refinement = await refine(originalMessage, {
+        style,
+        versions,
+        instruction,
+        context: result?._meta?.context,
+        signal: controller.signal,
+        onPartial: (partial) => {
+          if (controller.signal.aborted) return;
+          setState((prev) => (
+            prev.pending ? { ...prev, pending: { ...prev.pending, partial: partial.rewrite || null } } : prev
+          ));
+        },
+      });
+      if (controller.signal.aborted) return false;
+
+      setState((prev) => {
+        const added = [...(prev.styles[style.id]?.versions || []), {
+          text: refinement.rewrite,
+          instruction: instruction.trim(),
+          note: refinement.note,
+          usage: refinement._meta.usage,
+        }];
+        return {
+          ...prev,
+          // The original rewrite is version 0, so the new one sits at added.length
+          styles: { ...prev.styles, [style.id]: { versions: added, index: added.length } },
+          pending: null,
+        };
+      });
+      return true;
+    } catch (err) {
+      if (controller.signal.aborted) return false;
+      console.error('[useRefinement] Refinement failed:', err);
+      setState((prev) => ({
+        ...prev,
+        pending: null,
+        error: { styleId: style.id, message: err.message || 'Could not refine this rewrite' },
+      }));
+      return false;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [getVersions, getIndex, getText, update, refine, originalMessage, result]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setState((prev) => ({ ...prev, pending: null }));
+  }, []);
+
+  return {
+    getVersions,
+    getIndex,
+    getText,
+    isEdited,
+    select,
+    edit,
+    resetEdit,
+    submit,
+    cancel,
+    pending: isCurrent ? state.pending : null,
+    error: isCurrent ? state.error : null,
+  };
+}
+
+export default useRefinement;
@@ -0,0 +1,81 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { detectSensitiveData, summarizeFindings } from '../utils/sensitive';
+
+// Short enough to feel instant, long enough to skip most keystrokes
+const LOCAL_CHECK_DELAY_MS = 300;
+
+/**
+ * Re-checks a rewrite while the user edits it.
+ *
+ * The sensitive-data detector runs locally a moment after typing stops.
+ * The model check (a quick verdict-and-risks request) only runs on
+ * demand; its result is reported for the text it checked, so an edit
+ * made afterwards marks it stale instead of keeping an outdated verdict.
+ *
+ * @param {string} text - Rewrite text on screen
+ * @param {Object} options - Check options
+ * @param {function} options.quickCheck - quickCheck action from useChat
+ * @param {Object} options.context - Message context passed to the model check
+ * @param {Array} options.thread - Conversation the message replies to
+ * @param {Array} options.sensitivePatterns - Extra patterns for the local detector
+ * @returns {Object} { warnings, result, isStale, isChecking, error, run, cancel }
+ */
+export function useRewriteCheck(text, { quickCheck, context, thread, sensitivePatterns } = {}) {
+  const [local, setLocal] = useState({ text: null, warnings: [] });
+  const [check, setCheck] = useState({ text: null, result: null, error: null, isChecking: false });
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    if (!text) return;
+    const timer = setTimeout(() => {
+      const findings = detectSensitiveData(text, { customPatterns: sensitivePatterns });
+      setLocal({ text, warnings: summarizeFindings(findings) });
+    }, LOCAL_CHECK_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [text, sensitivePatterns]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = useCallback(async () => {
+    if (!quickCheck || !text?.trim()) return;
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setCheck({ text, result: null, error: null, isChecking: true });
+
+    try {
+      const result = await quickCheck(text, { context, thread, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setCheck({ text, result, error: null, isChecking: false });
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      console.error('[useRewriteCheck] Check failed:', err);
+      setCheck({ text, result: null, error: err.message || 'Could not check this rewrite', isChecking: false });
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [quickCheck, text, context, thread]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setCheck((prev) => ({ ...prev, isChecking: false }));
+  }, []);
+
+  const isCurrent = check.text === text;
+
+  return {
+    warnings: text ? local.warnings : [],
+    result: isCurrent ? check.result : null,
+    isStale: Boolean(check.result) && !isCurrent,
+    isChecking: check.isChecking,
+    error: isCurrent ? check.error : null,
+    run,
+    cancel,
+  };
+}
+
+export default useRewriteCheck;
@@ -1,59 +1,228 @@
 /**
- * OpenRouter API helper for MessageClearance.
+ * LLM API helper for MessageClearance.
  *
- * This module handles all communication with the OpenRouter API.
+ * This module builds the analysis prompt, sends it through the selected
+ * provider adapter (see providers.js) and validates what comes back.
+ *
+ * It runs in the browser, the extension's service worker and Node (the
+ * CLI), so neither it nor the modules it uses may assume window or
+ * localStorage exist.
  *
  * SECURITY NOTES:
- * - API key is stored client-side only (localStorage)
- * - API key is sent directly to OpenRouter, never to our servers
+ * - API key is stored client-side only (localStorage, extension storage or an env var for the CLI)
+ * - API key is sent directly to the selected provider, never to our servers
  * - Rate limiting and error handling prevent abuse
  *
  * RELIABILITY NOTES:
  * - Implements exponential backoff retry logic
- * - Validates API responses before returning
+ * - Asks for a JSON schema where the provider supports structured outputs
+ * - Validates every response against that schema, and asks the model to
+ *   correct an invalid one before giving up
  * - Graceful degradation on network errors
  */
 
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import {
+  PROVIDER_IDS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  validateKeyFormat,
+} from './providers';
+import { parsePartialJSON } from './partialJson';
+import { DEFAULT_REWRITE_STYLES } from './rewriteStyles';
+import { formatContextForPrompt, hasMessageContext, normalizeMessageContext } from './messageContext';
+import {
+  OFFLINE_PROVIDER_ID,
+  OFFLINE_MODEL_INFO,
+  runHeuristics,
+  mergeHeuristicFindings,
+} from './heuristics';
+import { formatThreadForPrompt, normalizeThread } from './thread';
+import { detectSensitiveData, redactSensitiveData, restoreRedactions } from './sensitive';
+import { applyStyleRules, evaluateStyleRules, formatStyleRulesForPrompt } from './styleRules';
+import { buildAnalysisSchema, QUICK_CHECK_SCHEMA, REFINE_SCHEMA, validateResponse } from './responseSchema';
+import {
+  detectLanguage,
+  formatIdiomExamples,
+  formatLanguageForPrompt,
+  getLanguageName,
+  normalizeLanguageCode,
+  normalizeLanguageSettings,
+  resolveOutputLanguage,
+} from './language';
+import { AVAILABLE_MODELS, findCatalogModel } from './modelCatalog';
 
 /**
- * Available models for the user to choose from.
- * Ordered by recommendation (best balance first).
+ * Built-in models, keyed by provider (see modelCatalog.js).
  */
-export const AVAILABLE_MODELS = {
-  'anthropic/claude-3.5-sonnet': {
-    name: 'Claude 3.5 Sonnet',
-    description: 'Best balance of quality and speed',
-    tier: 'recommended',
-  },
-  'anthropic/claude-3-haiku': {
-    name: 'Claude 3 Haiku',
-    description: 'Fast and affordable',
-    tier: 'fast',
-  },
-  'openai/gpt-4o': {
-    name: 'GPT-4o',
-    description: 'OpenAI flagship model',
-    tier: 'premium',
-  },
-  'openai/gpt-4o-mini': {
-    name: 'GPT-4o Mini',
-    description: 'Fast OpenAI model',
-    tier: 'fast',
-  },
-};
+export { AVAILABLE_MODELS };
 
 export const DEFAULT_MODEL = 'anthropic/claude-3.5-sonnet';
 
 /**
- * System prompt for message analysis.
+ * Returns the recommended model for a provider (first in its list).
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @returns {string} Model id
+ */
+export function getDefaultModel(providerId) {
+  if (providerId === DEFAULT_PROVIDER) {
+    return DEFAULT_MODEL;
+  }
+  return Object.keys(AVAILABLE_MODELS[providerId] || {})[0] || '';
+}
+
+/**
+ * Finds display info for a model id, including models only known from
+ * the provider's fetched listing (see modelCatalog.js).
+ *
+ * @param {string} modelId - Model id
+ * @param {string} [providerId] - Provider the model belongs to
+ * @returns {Object|null} Model info or null if unknown
+ */
+export function getModelInfo(modelId, providerId) {
+  if (providerId === OFFLINE_PROVIDER_ID) {
+    return OFFLINE_MODEL_INFO;
+  }
+  return findCatalogModel(modelId, providerId);
+}
+
+/**
+ * Finds the price for a model. Azure deployments are named by the user,
+ * so they only have a price when named after the model.
+ *
+ * @param {string} modelId - Model id
+ * @param {string} providerId - Provider the model belongs to
+ * @returns {{ input: number, output: number }|null} USD per million tokens, or null if unknown
+ */
+export function getModelPricing(modelId, providerId) {
+  if (providerId === PROVIDER_IDS.LOCAL || providerId === OFFLINE_PROVIDER_ID) {
+    return { input: 0, output: 0 };
+  }
+  return findCatalogModel(modelId, providerId)?.pricing || null;
+}
+
+/**
+ * Builds the usage block stored in a result's _meta.
+ *
+ * @param {Object|null} tokens - { promptTokens, completionTokens } from the provider
+ * @param {string} modelId - Model id
+ * @param {string} providerId - Provider the model belongs to
+ * @returns {Object|null} { promptTokens, completionTokens, totalTokens, cost } where
+ *   cost is in USD or null if the model has no known price; null if the
+ *   provider reported no usage
+ */
+export function estimateUsage(tokens, modelId, providerId) {
+  if (!tokens) {
+    return null;
+  }
+
+  const promptTokens = tokens.promptTokens || 0;
+  const completionTokens = tokens.completionTokens || 0;
+  const pricing = getModelPricing(modelId, providerId);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost: pricing
+      ? (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6
+      : null,
+  };
+}
+
+/**
+ * Builds the system prompt for message analysis.
  * This is the core of what makes the app work.
+ *
+ * @param {Object} options - Prompt options
+ * @param {Array} options.rewriteStyles - Rewrite styles to request (see rewriteStyles.js)
+ * @param {Object} options.context - Recipient, channel and desired outcome (see messageContext.js)
+ * @param {Array} options.thread - Conversation being replied to (see thread.js)
+ * @param {boolean} options.redacted - Whether the text contains redaction placeholders
+ * @param {Object} options.language - { detected, settings } (see language.js)
+ * @param {Array} options.styleRules - Team style guide rules (see styleRules.js)
+ * @returns {string} System prompt
  */
-const ANALYSIS_SYSTEM_PROMPT = `You are an expert communication analyst helping users ensure their messages are clear, professional, and won't be misunderstood.
+export function buildAnalysisPrompt({
+  rewriteStyles = DEFAULT_REWRITE_STYLES,
+  context,
+  thread,
+  redacted = false,
+  language = {},
+  styleRules = [],
+} = {}) {
+  const rewriteSchema = rewriteStyles
+    .map((style) => `    ${JSON.stringify(style.id)}: ${JSON.stringify(style.description)}`)
+    .join(',\n');
+
+  const rewriteGuidelines = rewriteStyles
+    .map((style) => `- ${JSON.stringify(style.id)}: ${style.instruction}`)
+    .join('\n');
+
+  const contextLines = formatContextForPrompt(context);
+  const contextGuidelines = contextLines
+    ? `
+
+MESSAGE CONTEXT:
+${contextLines}
+- Judge the verdict against this recipient and channel: what is fine for a peer on Slack may be too casual for a manager on email
+- Flag phrasing that works against the desired outcome, and list anything the reader needs in order to act on it under "missing"
+- Every rewrite must suit this recipient and channel and make the desired outcome more likely`
+    : '';
+
+  const isReply = Array.isArray(thread) && thread.length > 0;
+  const threadSchema = isReply
+    ? `,
+  "thread": {
+    "questions": [
+      {
+        "question": "a question or request from the conversation aimed at the sender",
+        "addressed": true | false,
+        "note": "How the reply handles it, or what is missing"
+      }
+    ],
+    "toneShift": "de_escalates" | "matches" | "escalates",
+    "toneShiftReason": "One sentence comparing the reply's tone to the conversation so far"
+  }`
+    : '';
+  const threadGuidelines = isReply
+    ? `
+
+THREAD GUIDELINES:
+- The user's message is a reply to the conversation they provide; analyze the reply, not the earlier messages
+- "risks" must quote text from the reply only
+- List every open question or request from the conversation under "thread.questions" and say whether the reply addresses it
+- Compare the reply's tone with the most recent messages: does it cool things down, match them or raise the temperature?
+- A reply that ignores a direct question or escalates the tone should not be "good_to_send"
+- Rewrites are rewrites of the reply, written to fit the conversation`
+    : '';
+
+  const redactionGuidelines = redacted
+    ? `
+
+REDACTED DETAILS:
+- Placeholders in square brackets such as [EMAIL_1] or [CARD_1] stand for details the user redacted
+- Treat them as the real details: don't flag them as vague or missing
+- Keep placeholders exactly as written wherever a rewrite needs that detail, and never invent a value`
+    : '';
+
+  const styleRuleLines = formatStyleRulesForPrompt(styleRules);
+  const styleGuidelines = styleRuleLines
+    ? `
+
+TEAM STYLE GUIDE:
+${styleRuleLines}
+- These rules are checked separately; don't list their violations under "risks"
+- Every rewrite must follow every rule, using the suggested wording where one is given
+- Where a rule requires a detail the user hasn't given, such as a link, write a placeholder in square brackets like [TICKET LINK] instead of inventing one`
+    : '';
+
+  return `You are an expert communication analyst helping users ensure their messages are clear, professional, and won't be misunderstood.
 
 Analyze the user's message and return a JSON response with this exact structure:
 
 {
+  "language": "ISO 639-1 code of the message's language, e.g. en",
   "verdict": "good_to_send" | "needs_edit" | "high_risk",
   "verdictReason": "One sentence explaining the verdict",
   "risks": [
@@ -65,11 +234,9 @@ Analyze the user's message and return a JSON response with this exact structure:
   ],
   "missing": ["list", "of", "missing", "info"],
   "rewrites": {
-    "short": "Concise, direct rewrite of the full message",
-    "warm": "Friendly, warm rewrite of the full message",
-    "confident": "Assertive, confident rewrite of the full message"
+${rewriteSchema}
   },
-  "suggestedOpener": "A better first line or subject line if applicable"
+  "suggestedOpener": "A better first line or subject line, or an empty string if none is needed"${threadSchema}
 }
 
 VERDICT GUIDELINES:
@@ -78,18 +245,144 @@ VERDICT GUIDELINES:
 - "high_risk": Message has serious tone problems that could damage the relationship or cause major misunderstanding
 
 ANALYSIS GUIDELINES:
-- Look for passive-aggressive language ("per my last email", "as I mentioned", "going forward")
+- Look for passive-aggressive language (${formatIdiomExamples(language.detected)})
 - Identify vague requests without clear asks or deadlines
 - Flag potentially rude or dismissive phrasing
 - Note missing context that would leave the reader confused
 - Consider how the message might read to someone stressed or defensive
 
+LANGUAGE:
+${formatLanguageForPrompt(language)}${contextGuidelines}${threadGuidelines}${redactionGuidelines}${styleGuidelines}
+
 REWRITE GUIDELINES:
-- "short": Remove all fluff, be direct, keep only essential info
-- "warm": Add warmth, acknowledgment, and human touch without being unprofessional
-- "confident": Strong, clear, decisive tone without being aggressive
+${rewriteGuidelines}
+
+Always return valid JSON. Never include markdown code blocks in your response.`;
+}
+
+/**
+ * Builds the system prompt for refining one rewrite with follow-up
+ * instructions. The conversation that follows holds the original message,
+ * each earlier version and the instruction that produced it.
+ *
+ * @param {Object} options - Prompt options
+ * @param {Object} options.style - Rewrite style being refined ({ label, instruction })
+ * @param {Object} options.context - Recipient, channel and desired outcome (see messageContext.js)
+ * @param {boolean} options.redacted - Whether the text contains redaction placeholders
+ * @param {Array} options.styleRules - Team style guide rules (see styleRules.js)
+ * @returns {string} System prompt
+ */
+export function buildRefinePrompt({ style = {}, context, redacted = false, styleRules = [] } = {}) {
+  const styleLine = style.instruction
+    ? `The rewrite is in the "${style.label || style.id}" style: ${style.instruction}`
+    : `The rewrite is in the "${style.label || style.id || 'rewrite'}" style.`;
+
+  const contextLines = formatContextForPrompt(context);
+  const contextGuidelines = contextLines
+    ? `
+
+MESSAGE CONTEXT:
+${contextLines}
+- Every version must still suit this recipient and channel`
+    : '';
+
+  const redactionGuidelines = redacted
+    ? `
+
+REDACTED DETAILS:
+- Placeholders in square brackets such as [EMAIL_1] or [CARD_1] stand for details the user redacted
+- Keep placeholders exactly as written wherever a version needs that detail, and never invent a value`
+    : '';
+
+  const styleRuleLines = formatStyleRulesForPrompt(styleRules);
+  const styleGuidelines = styleRuleLines
+    ? `
+
+TEAM STYLE GUIDE:
+${styleRuleLines}
+- Every version must follow every rule, even when the instruction doesn't mention them`
+    : '';
+
+  return `You are an expert communication editor helping a user polish a rewrite of their message.
+
+${styleLine}
+
+The user will ask for changes to the latest version. Return a JSON response with this exact structure:
+
+{
+  "rewrite": "The full revised message",
+  "note": "One short sentence describing what changed"
+}
+
+REFINEMENT GUIDELINES:
+- Apply the user's latest instruction to the latest version, not to the original message
+- Keep everything the instruction doesn't ask you to change, including earlier refinements
+- Keep the style unless the instruction asks for a different tone
+- Keep writing in the language of the latest version unless the instruction asks for another language
+- Only add facts the user gives you; never invent names, dates or commitments
+- Return the complete message every time, never just the changed part${contextGuidelines}${redactionGuidelines}${styleGuidelines}
+
+Always return valid JSON. Never include markdown code blocks in your response.`;
+}
+
+/**
+ * Builds the system prompt for a quick re-check: a verdict and risks
+ * only, no rewrites, so it costs a fraction of a full analysis. Used to
+ * re-screen a rewrite after the user edits it.
+ *
+ * @param {Object} options - Prompt options
+ * @param {Object} options.context - Recipient, channel and desired outcome (see messageContext.js)
+ * @param {Array} options.thread - Conversation being replied to (see thread.js)
+ * @param {boolean} options.redacted - Whether the text contains redaction placeholders
+ * @param {string|null} options.outputLanguage - Language for explanations (null: the message's language)
+ * @returns {string} System prompt
+ */
+export function buildQuickCheckPrompt({ context, thread, redacted = false, outputLanguage = null } = {}) {
+  const contextLines = formatContextForPrompt(context);
+  const contextGuidelines = contextLines
+    ? `
+
+MESSAGE CONTEXT:
+${contextLines}
+- Judge the verdict against this recipient, channel and desired outcome`
+    : '';
+
+  const threadGuidelines = Array.isArray(thread) && thread.length > 0
+    ? `
+- The message is a reply to the conversation provided; judge the reply only and quote risks from it`
+    : '';
+
+  const redactionGuidelines = redacted
+    ? `
+- Placeholders in square brackets such as [EMAIL_1] stand for redacted details; don't flag them as vague`
+    : '';
+
+  return `You are an expert communication analyst doing a quick final check of a message before it is sent.
+
+Return a JSON response with this exact structure:
+
+{
+  "verdict": "good_to_send" | "needs_edit" | "high_risk",
+  "verdictReason": "One sentence explaining the verdict",
+  "risks": [
+    {
+      "text": "the problematic phrase from the message",
+      "issue": "passive_aggressive" | "vague" | "rude" | "unclear" | "tone_mismatch",
+      "why": "Brief explanation of how it could be misread"
+    }
+  ]
+}
+
+GUIDELINES:
+- "good_to_send": clear, professional and unlikely to be misunderstood
+- "needs_edit": minor issues that could cause confusion or seem slightly off
+- "high_risk": serious tone problems that could damage the relationship
+- Only list risks that are really there; an empty list is fine
+- Keep every explanation to one short sentence
+- Quote risks exactly as written; write "verdictReason" and every "why" in ${outputLanguage ? getLanguageName(outputLanguage) : 'the language of the message'}${threadGuidelines}${redactionGuidelines}${contextGuidelines}
 
 Always return valid JSON. Never include markdown code blocks in your response.`;
+}
 
 /**
  * Error types for better error handling.
@@ -110,48 +403,42 @@ export const AI_ERROR_TYPES = {
   INVALID_RESPONSE: 'INVALID_RESPONSE',
   SERVER_ERROR: 'SERVER_ERROR',
   TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
   UNKNOWN: 'UNKNOWN',
 };
 
 /**
  * Sleep utility for retry delays.
+ * Rejects with an AbortError as soon as the signal fires, so a cancelled
+ * request doesn't sit out the rest of its backoff.
  */
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-/**
- * Validates the API response structure.
- * Returns null if valid, error message if invalid.
- */
-function validateAnalysisResponse(data) {
-  if (!data || typeof data !== 'object') {
-    return 'Response is not an object';
-  }
-
-  const validVerdicts = ['good_to_send', 'needs_edit', 'high_risk'];
-  if (!validVerdicts.includes(data.verdict)) {
-    return `Invalid verdict: ${data.verdict}`;
-  }
-
-  if (!Array.isArray(data.risks)) {
-    return 'Missing or invalid risks array';
-  }
-
-  if (!data.rewrites || typeof data.rewrites !== 'object') {
-    return 'Missing or invalid rewrites object';
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Aborted', 'AbortError'));
+    return;
   }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
 
-  const requiredRewrites = ['short', 'warm', 'confident'];
-  for (const key of requiredRewrites) {
-    if (typeof data.rewrites[key] !== 'string') {
-      return `Missing rewrite: ${key}`;
-    }
-  }
+// Corrections asked for per attempt before a response counts as invalid
+const MAX_REPAIRS = 1;
 
-  return null;
-}
+// What a 400 says when the provider or model won't take the response
+// schema (response_format / json_schema, or Anthropic's forced tool)
+const SCHEMA_ERROR_PATTERN = /response_format|json_schema|\btools?\b|tool_choice/i;
 
 /**
  * Parse the AI response, handling potential JSON issues.
+ * Models without structured outputs sometimes wrap the JSON in a code
+ * block or a sentence, so those are unwrapped.
+ *
+ * @param {string} content - Assistant text
+ * @returns {*} Parsed value, or undefined if no JSON could be found
  */
 function parseAIResponse(content) {
   // Try direct parse first
@@ -181,30 +468,169 @@ function parseAIResponse(content) {
     }
   }
 
-  throw new AIError(
-    'Could not parse AI response as JSON',
-    AI_ERROR_TYPES.INVALID_RESPONSE
+  return undefined;
+}
+
+/**
+ * Parses and validates one response.
+ *
+ * @param {string|null} content - Assistant text
+ * @param {Object} responseFormat - { name, schema } the response must match
+ * @param {function} check - Extra check on the valid response; returns an error message or null
+ * @returns {{ data: *, error: string|null }}
+ */
+function readResponse(content, responseFormat, check) {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return { data: null, error: 'the response was empty' };
+  }
+  const data = parseAIResponse(content);
+  if (data === undefined) {
+    return { data: null, error: 'the response is not valid JSON' };
+  }
+  const error = validateResponse(data, responseFormat.schema) || (check ? check(data) : null);
+  return { data, error };
+}
+
+function addTokens(total, tokens) {
+  if (!tokens) return total;
+  if (!total) return tokens;
+  return {
+    promptTokens: (total.promptTokens || 0) + (tokens.promptTokens || 0),
+    completionTokens: (total.completionTokens || 0) + (tokens.completionTokens || 0),
+  };
+}
+
+/**
+ * Requests a JSON response that matches a schema. The schema goes to the
+ * provider as a response format where supported, and the response is
+ * validated either way. An invalid response is sent back to the model
+ * with what's wrong with it, so it can correct it, before this gives up
+ * with INVALID_RESPONSE (which withRetries doesn't retry).
+ *
+ * @param {Object} options - requestCompletion options, plus:
+ * @param {Object} options.responseFormat - { name, schema } (see responseSchema.js)
+ * @param {function} options.check - Extra check on the valid response; returns an error message or null
+ * @param {string} options.label - What was asked for, for error messages (e.g. "analysis")
+ * @returns {Promise<{ data: Object, tokens: Object|null }>} Valid response and the
+ *   token usage of every request it took
+ * @throws {AIError} INVALID_RESPONSE with `meta` ({ provider, model, usage }), since
+ *   the failed requests are still billed
+ */
+async function requestJSON({ responseFormat, check, label, messages, ...options }) {
+  let conversation = messages;
+  let tokens = null;
+
+  for (let repair = 0; ; repair++) {
+    const completion = await requestCompletion({ ...options, messages: conversation, responseFormat });
+    tokens = addTokens(tokens, completion.tokens);
+
+    const { data, error } = readResponse(completion.content, responseFormat, check);
+    if (!error) {
+      return { data, tokens };
+    }
+    if (repair >= MAX_REPAIRS) {
+      const invalid = new AIError(`Invalid ${label} response: ${error}`, AI_ERROR_TYPES.INVALID_RESPONSE);
+      invalid.meta = {
+        provider: options.provider.id,
+        model: options.model,
+        usage: estimateUsage(tokens, options.model, options.provider.id),
+      };
+      throw invalid;
+    }
+
+    console.warn(`[AI] Invalid ${label} response (${error}), asking the model to correct it`);
+    // An empty response has nothing to correct, so the request is just sent again
+    conversation = completion.content?.trim()
+      ? [
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        {
+          role: 'user',
+          content: `That response can't be used: ${error}. Reply with the complete corrected JSON in the exact structure described, and nothing else.`,
+        },
+      ]
+      : messages;
+  }
+}
+
+/**
+ * Swaps sensitive details for placeholders in everything sent to the
+ * provider. One replacement list is shared, so a value that appears in
+ * both the thread and the reply gets the same placeholder.
+ */
+function redactOutgoing({ message, thread, context }, customPatterns) {
+  const redact = (text, replacements) => redactSensitiveData(
+    text,
+    detectSensitiveData(text, { customPatterns }),
+    replacements
   );
+
+  const redactedMessage = redact(message, []);
+  let { replacements } = redactedMessage;
+
+  const redactedThread = thread.map((item) => {
+    const result = redact(item.text, replacements);
+    replacements = result.replacements;
+    return { ...item, text: result.text };
+  });
+
+  const outcome = redact(context.outcome, replacements);
+  replacements = outcome.replacements;
+
+  return {
+    message: redactedMessage.text,
+    thread: redactedThread,
+    context: { ...context, outcome: outcome.text },
+    replacements,
+  };
 }
 
 /**
- * Analyzes a message using the OpenRouter API.
+ * Analyzes a message using the selected provider's API.
  *
  * @param {string} message - The message to analyze
- * @param {string} apiKey - OpenRouter API key
+ * @param {string} apiKey - API key for the provider (optional for local endpoints)
  * @param {Object} options - Additional options
+ * @param {string} options.provider - Provider id from PROVIDER_IDS (default: openrouter)
+ * @param {Object} options.providerSettings - Endpoint settings ({ baseUrl, apiVersion })
  * @param {string} options.model - Model to use (default: claude-3.5-sonnet)
  * @param {number} options.maxRetries - Max retry attempts (default: 3)
  * @param {number} options.timeoutMs - Request timeout in ms (default: 30000)
  * @param {AbortSignal} options.signal - AbortController signal for cancellation
+ * @param {boolean} options.stream - Read the completion as server-sent events (default: false)
+ * @param {function} options.onPartial - Called with the partially parsed result while streaming
+ * @param {Array} options.rewriteStyles - Rewrite styles to request (default: short/warm/confident)
+ * @param {Object} options.context - Optional { recipient, channel, outcome } for the message
+ * @param {boolean} options.heuristics - Merge rule-based findings into the result (default: false)
+ * @param {Array} options.thread - Prior conversation ({ author, text }, oldest first) the message replies to
+ * @param {boolean} options.redact - Replace sensitive details with placeholders before sending (default: false)
+ * @param {Array} options.sensitivePatterns - Extra patterns to redact ({ label, source, flags })
+ * @param {Object} options.language - { output, translateTo } language settings (see language.js)
+ * @param {Array} options.styleRules - Team style guide rules, checked locally and listed in the prompt
+ * @param {function} options.onAttempt - Called as each attempt starts with { attempt, maxRetries }
+ * @param {function} options.onRetry - Called before a backoff with { attempt, maxRetries, delayMs, error }
  * @returns {Promise<Object>} Analysis result
  */
 export async function analyzeMessage(message, apiKey, options = {}) {
   const {
+    provider: providerId = DEFAULT_PROVIDER,
+    providerSettings = {},
     model = DEFAULT_MODEL,
     maxRetries = 3,
     timeoutMs = 30000,
     signal,
+    stream = false,
+    onPartial,
+    onAttempt,
+    onRetry,
+    rewriteStyles = DEFAULT_REWRITE_STYLES,
+    context,
+    heuristics = false,
+    thread,
+    redact = false,
+    sensitivePatterns = [],
+    language,
+    styleRules = [],
   } = options;
 
   // Validate inputs
@@ -212,7 +638,9 @@ export async function analyzeMessage(message, apiKey, options = {}) {
     throw new AIError('Message is required', AI_ERROR_TYPES.INVALID_RESPONSE);
   }
 
-  if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
+  const provider = getProvider(providerId);
+
+  if (provider.requiresKey && (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0)) {
     throw new AIError('API key is required', AI_ERROR_TYPES.INVALID_API_KEY);
   }
 
@@ -223,104 +651,492 @@ export async function analyzeMessage(message, apiKey, options = {}) {
     console.warn(`[AI] Message truncated from ${message.length} to ${MAX_MESSAGE_LENGTH} chars`);
   }
 
-  let lastError;
+  const messageContext = normalizeMessageContext(context);
+  const replyThread = normalizeThread(thread);
+  const languageSettings = normalizeLanguageSettings(language);
+  const guessedLanguage = detectLanguage(trimmedMessage);
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      // Create abort controller for timeout
-      const timeoutController = new AbortController();
-      const timeoutId = setTimeout(() => timeoutController.abort(), timeoutMs);
-
-      // Combine with user-provided signal if any
-      const combinedSignal = signal
-        ? anySignal([signal, timeoutController.signal])
-        : timeoutController.signal;
-
-      const response = await fetch(OPENROUTER_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': window.location.origin,
-          'X-Title': 'MessageClearance',
+  // Only the redacted copy is sent; replacements map placeholders back
+  const outgoing = redact
+    ? redactOutgoing({ message: trimmedMessage, thread: replyThread, context: messageContext }, sensitivePatterns)
+    : { message: trimmedMessage, thread: replyThread, context: messageContext, replacements: [] };
+  const { replacements } = outgoing;
+
+  const systemPrompt = buildAnalysisPrompt({
+    rewriteStyles,
+    context: outgoing.context,
+    thread: outgoing.thread,
+    redacted: replacements.length > 0,
+    language: { detected: guessedLanguage, settings: languageSettings },
+    styleRules,
+  });
+  const userPrompt = outgoing.thread.length > 0
+    ? `Conversation so far (oldest first):\n\n${formatThreadForPrompt(outgoing.thread)}\n\nAnalyze this reply:\n\n${outgoing.message}`
+    : `Analyze this message:\n\n${outgoing.message}`;
+  const responseFormat = buildAnalysisSchema({
+    rewriteIds: rewriteStyles.map((style) => style.id),
+    isReply: outgoing.thread.length > 0,
+  });
+
+  return withRetries(async () => {
+    const { data: parsed, tokens } = await requestJSON({
+      responseFormat,
+      label: 'analysis',
+      provider,
+      apiKey,
+      model,
+      providerSettings,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      maxTokens: 2000,
+      stream,
+      signal,
+      timeoutMs,
+      onText: (text) => {
+        const partial = parsePartialJSON(text);
+        if (partial && onPartial) {
+          onPartial(restoreRedactions(partial, replacements));
+        }
+      },
+    });
+
+    // Put redacted details back before anything reads the result
+    const { language: reportedLanguage, ...restored } = restoreRedactions(parsed, replacements);
+    const detectedLanguage = normalizeLanguageCode(reportedLanguage) || guessedLanguage;
+
+    // Rule-based findings fill in what the model missed. The rules only
+    // know English phrasing, so other languages are left to the model.
+    const merged = heuristics && (!detectedLanguage || detectedLanguage === 'en')
+      ? mergeHeuristicFindings(restored, runHeuristics(trimmedMessage))
+      : restored;
+
+    // Add metadata
+    return {
+      ...applyStyleRules(merged, evaluateStyleRules(trimmedMessage, styleRules)),
+      _meta: {
+        provider: provider.id,
+        model,
+        timestamp: new Date().toISOString(),
+        originalLength: message.length,
+        rewriteStyles: rewriteStyles.map(({ id, label, icon }) => ({ id, label, icon })),
+        context: hasMessageContext(messageContext) ? messageContext : null,
+        thread: replyThread.length > 0 ? replyThread : null,
+        redactedCount: replacements.length,
+        language: {
+          detected: detectedLanguage,
+          output: resolveOutputLanguage(languageSettings, detectedLanguage),
+          translateTo: languageSettings.translateTo || null,
         },
-        body: JSON.stringify({
-          model,
-          messages: [
-            { role: 'system', content: ANALYSIS_SYSTEM_PROMPT },
-            { role: 'user', content: `Analyze this message:\n\n${trimmedMessage}` },
-          ],
-          temperature: 0.3, // Lower temperature for more consistent analysis
-          max_tokens: 2000,
-        }),
-        signal: combinedSignal,
-      });
+        usage: estimateUsage(tokens, model, provider.id),
+      },
+    };
+  }, { maxRetries, signal, onAttempt, onRetry });
+}
 
-      clearTimeout(timeoutId);
+/**
+ * Quickly re-checks a message: verdict and risks only, no rewrites and no
+ * streaming. Meant for edited rewrites, where a full analysis would be
+ * slow and would suggest rewrites of a rewrite.
+ *
+ * @param {string} message - The message to check
+ * @param {string} apiKey - API key for the provider (optional for local endpoints)
+ * @param {Object} options - Check options
+ * @param {Object} options.context - Optional { recipient, channel, outcome } for the message
+ * @param {Array} options.thread - Prior conversation ({ author, text }, oldest first) the message replies to
+ * @param {string} options.provider - One of PROVIDER_IDS (default: openrouter)
+ * @param {Object} options.providerSettings - Endpoint settings ({ baseUrl, apiVersion })
+ * @param {string} options.model - Model to use
+ * @param {number} options.maxRetries - Max retry attempts (default: 2)
+ * @param {number} options.timeoutMs - Request timeout (default: 20000)
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {boolean} options.heuristics - Merge rule-based findings into the result (default: false)
+ * @param {boolean} options.redact - Replace sensitive details with placeholders before sending (default: false)
+ * @param {Array} options.sensitivePatterns - Extra patterns to redact ({ label, source, flags })
+ * @param {Object} options.language - { output, translateTo } language settings; only output applies
+ * @param {Array} options.styleRules - Team style guide rules, checked locally
+ * @returns {Promise<Object>} { verdict, verdictReason, risks, styleViolations, _meta }
+ */
+export async function quickCheckMessage(message, apiKey, options = {}) {
+  const {
+    context,
+    thread,
+    provider: providerId = DEFAULT_PROVIDER,
+    providerSettings = {},
+    model = DEFAULT_MODEL,
+    maxRetries = 2,
+    timeoutMs = 20000,
+    signal,
+    heuristics = false,
+    redact = false,
+    sensitivePatterns = [],
+    language,
+    styleRules = [],
+  } = options;
 
-      // Handle HTTP errors
-      if (!response.ok) {
-        const errorBody = await response.text().catch(() => '');
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    throw new AIError('Message is required', AI_ERROR_TYPES.INVALID_RESPONSE);
+  }
 
-        if (response.status === 401 || response.status === 403) {
-          throw new AIError(
-            'Invalid API key. Please check your OpenRouter API key.',
-            AI_ERROR_TYPES.INVALID_API_KEY
-          );
-        }
+  const provider = getProvider(providerId);
 
-        if (response.status === 429) {
-          throw new AIError(
-            'Rate limited. Please wait a moment and try again.',
-            AI_ERROR_TYPES.RATE_LIMITED
-          );
-        }
+  if (provider.requiresKey && (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0)) {
+    throw new AIError('API key is required', AI_ERROR_TYPES.INVALID_API_KEY);
+  }
+
+  const trimmedMessage = message.trim().slice(0, 10000);
+  const messageContext = normalizeMessageContext(context);
+  const replyThread = normalizeThread(thread);
+  // A translated rewrite can be in a different language from the original
+  const messageLanguage = detectLanguage(trimmedMessage);
+
+  const outgoing = redact
+    ? redactOutgoing({ message: trimmedMessage, thread: replyThread, context: messageContext }, sensitivePatterns)
+    : { message: trimmedMessage, thread: replyThread, context: messageContext, replacements: [] };
+  const { replacements } = outgoing;
+
+  const systemPrompt = buildQuickCheckPrompt({
+    context: outgoing.context,
+    thread: outgoing.thread,
+    redacted: replacements.length > 0,
+    outputLanguage: resolveOutputLanguage(language, messageLanguage),
+  });
+  const userPrompt = outgoing.thread.length > 0
+    ? `Conversation so far (oldest first):\n\n${formatThreadForPrompt(outgoing.thread)}\n\nCheck this reply:\n\n${outgoing.message}`
+    : `Check this message:\n\n${outgoing.message}`;
+
+  return withRetries(async () => {
+    const { data: parsed, tokens } = await requestJSON({
+      responseFormat: QUICK_CHECK_SCHEMA,
+      label: 'check',
+      provider,
+      apiKey,
+      model,
+      providerSettings,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      maxTokens: 600,
+      signal,
+      timeoutMs,
+    });
+
+    const restored = restoreRedactions(parsed, replacements);
+    const merged = heuristics && (!messageLanguage || messageLanguage === 'en')
+      ? mergeHeuristicFindings(restored, runHeuristics(trimmedMessage))
+      : restored;
+
+    const checked = applyStyleRules(merged, evaluateStyleRules(trimmedMessage, styleRules));
+
+    return {
+      verdict: checked.verdict,
+      verdictReason: checked.verdictReason,
+      risks: checked.risks,
+      styleViolations: checked.styleViolations,
+      _meta: {
+        provider: provider.id,
+        model,
+        timestamp: new Date().toISOString(),
+        redactedCount: replacements.length,
+        usage: estimateUsage(tokens, model, provider.id),
+      },
+    };
+  }, { maxRetries, signal });
+}
+
+/**
+ * Revises one rewrite with a follow-up instruction. Earlier versions and
+ * their instructions are replayed as a conversation, so a refinement
+ * builds on the ones before it.
+ *
+ * @param {string} message - The original message
+ * @param {string} apiKey - API key for the provider (optional for local endpoints)
+ * @param {Object} options - Refinement options
+ * @param {Object} options.style - Rewrite style being refined ({ id, label, instruction })
+ * @param {Array} options.versions - Versions so far ({ text, instruction }, oldest first; the first is the original rewrite)
+ * @param {string} options.instruction - What to change in the latest version
+ * @param {Object} options.context - Optional { recipient, channel, outcome } for the message
+ * @param {string} options.provider - One of PROVIDER_IDS (default: openrouter)
+ * @param {Object} options.providerSettings - Endpoint settings ({ baseUrl, apiVersion })
+ * @param {string} options.model - Model to use
+ * @param {number} options.maxRetries - Max retry attempts (default: 3)
+ * @param {number} options.timeoutMs - Request timeout (default: 30000)
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {boolean} options.stream - Stream the response (default: false)
+ * @param {function} options.onPartial - Called with the partial { rewrite } while streaming
+ * @param {boolean} options.redact - Replace sensitive details with placeholders before sending (default: false)
+ * @param {Array} options.sensitivePatterns - Extra patterns to redact ({ label, source, flags })
+ * @param {Array} options.styleRules - Team style guide rules the new version must follow
+ * @param {function} options.onAttempt - Called as each attempt starts with { attempt, maxRetries }
+ * @param {function} options.onRetry - Called before a backoff with { attempt, maxRetries, delayMs, error }
+ * @returns {Promise<Object>} { rewrite, note, _meta }
+ */
+export async function refineRewrite(message, apiKey, options = {}) {
+  const {
+    style,
+    versions = [],
+    instruction,
+    context,
+    provider: providerId = DEFAULT_PROVIDER,
+    providerSettings = {},
+    model = DEFAULT_MODEL,
+    maxRetries = 3,
+    timeoutMs = 30000,
+    signal,
+    stream = false,
+    onPartial,
+    onAttempt,
+    onRetry,
+    redact = false,
+    sensitivePatterns = [],
+    styleRules = [],
+  } = options;
+
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    throw new AIError('Message is required', AI_ERROR_TYPES.INVALID_RESPONSE);
+  }
+  if (versions.length === 0 || typeof versions[0]?.text !== 'string') {
+    throw new AIError('A rewrite to refine is required', AI_ERROR_TYPES.INVALID_RESPONSE);
+  }
+  if (!instruction || typeof instruction !== 'string' || instruction.trim().length === 0) {
+    throw new AIError('An instruction is required', AI_ERROR_TYPES.INVALID_RESPONSE);
+  }
 
-        if (response.status >= 500) {
-          throw new AIError(
-            'OpenRouter server error. Please try again.',
-            AI_ERROR_TYPES.SERVER_ERROR
-          );
+  const provider = getProvider(providerId);
+
+  if (provider.requiresKey && (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0)) {
+    throw new AIError('API key is required', AI_ERROR_TYPES.INVALID_API_KEY);
+  }
+
+  const messageContext = normalizeMessageContext(context);
+
+  // Every turn shares one replacement list, so a detail keeps its placeholder across versions
+  const outgoing = redact
+    ? redactOutgoing({ message, thread: [], context: messageContext }, sensitivePatterns)
+    : { message, context: messageContext, replacements: [] };
+  let { replacements } = outgoing;
+  const redactText = (text) => {
+    if (!redact) return text;
+    const result = redactSensitiveData(
+      text,
+      detectSensitiveData(text, { customPatterns: sensitivePatterns }),
+      replacements
+    );
+    replacements = result.replacements;
+    return result.text;
+  };
+
+  const conversation = [
+    { role: 'user', content: `Rewrite this message:\n\n${outgoing.message}` },
+  ];
+  versions.forEach((version, index) => {
+    if (index > 0) {
+      conversation.push({ role: 'user', content: redactText(version.instruction || 'Revise it.') });
+    }
+    conversation.push({ role: 'assistant', content: JSON.stringify({ rewrite: redactText(version.text) }) });
+  });
+  conversation.push({ role: 'user', content: redactText(instruction.trim()) });
+
+  const systemPrompt = buildRefinePrompt({
+    style,
+    context: outgoing.context,
+    redacted: replacements.length > 0,
+    styleRules,
+  });
+
+  return withRetries(async () => {
+    const { data: parsed, tokens } = await requestJSON({
+      responseFormat: REFINE_SCHEMA,
+      label: 'refinement',
+      check: (data) => (data.rewrite.trim() ? null : 'rewrite is empty'),
+      provider,
+      apiKey,
+      model,
+      providerSettings,
+      messages: [{ role: 'system', content: systemPrompt }, ...conversation],
+      maxTokens: 1000,
+      stream,
+      signal,
+      timeoutMs,
+      onText: (text) => {
+        const partial = parsePartialJSON(text);
+        if (partial && onPartial) {
+          onPartial(restoreRedactions(partial, replacements));
         }
+      },
+    });
 
-        throw new AIError(
-          `API error: ${response.status} ${errorBody}`,
-          AI_ERROR_TYPES.UNKNOWN
-        );
-      }
+    const restored = restoreRedactions(parsed, replacements);
 
-      const data = await response.json();
+    return {
+      rewrite: restored.rewrite.trim(),
+      note: restored.note,
+      _meta: {
+        provider: provider.id,
+        model,
+        timestamp: new Date().toISOString(),
+        redactedCount: replacements.length,
+        usage: estimateUsage(tokens, model, provider.id),
+      },
+    };
+  }, { maxRetries, signal, onAttempt, onRetry });
+}
 
-      // Validate response structure
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new AIError(
-          'Invalid response structure from API',
-          AI_ERROR_TYPES.INVALID_RESPONSE
-        );
-      }
+/**
+ * Sends one chat completion request and reads back the assistant text.
+ * Maps HTTP failures to AIErrors; parsing is left to the caller.
+ *
+ * @param {Object} options - Request options
+ * @param {Object} options.provider - Provider definition (see providers.js)
+ * @param {string} options.apiKey - API key
+ * @param {string} options.model - Model id
+ * @param {Object} options.providerSettings - Endpoint settings ({ baseUrl, apiVersion })
+ * @param {Array} options.messages - Chat messages ({ role, content })
+ * @param {number} options.maxTokens - Completion token limit
+ * @param {boolean} options.stream - Read the completion as server-sent events
+ * @param {AbortSignal} options.signal - Caller's cancellation signal
+ * @param {number} options.timeoutMs - Request timeout (idle timeout while streaming)
+ * @param {function} options.onText - Called with the full text so far while streaming
+ * @param {Object} options.responseFormat - { name, schema } for providers with structured outputs
+ * @returns {Promise<{ content: string|null, tokens: Object|null }>}
+ */
+async function requestCompletion({
+  provider,
+  apiKey,
+  model,
+  providerSettings = {},
+  messages,
+  maxTokens,
+  stream = false,
+  signal,
+  timeoutMs,
+  onText,
+  responseFormat = null,
+}) {
+  // Create abort controller for timeout
+  const timeoutController = new AbortController();
+  let timeoutId = setTimeout(() => timeoutController.abort(), timeoutMs);
 
-      const content = data.choices[0].message.content;
-      const parsed = parseAIResponse(content);
+  // Combine with user-provided signal if any
+  const combinedSignal = signal
+    ? anySignal([signal, timeoutController.signal])
+    : timeoutController.signal;
 
-      // Validate the parsed response
-      const validationError = validateAnalysisResponse(parsed);
-      if (validationError) {
-        throw new AIError(
-          `Invalid analysis response: ${validationError}`,
-          AI_ERROR_TYPES.INVALID_RESPONSE
-        );
+  const send = (format) => {
+    const request = provider.buildRequest({
+      apiKey,
+      model,
+      messages,
+      temperature: 0.3, // Lower temperature for more consistent analysis
+      maxTokens,
+      stream,
+      baseUrl: providerSettings.baseUrl,
+      apiVersion: providerSettings.apiVersion,
+      responseFormat: format,
+    });
+    return fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal: combinedSignal,
+    });
+  };
+
+  const format = provider.structuredOutputs ? responseFormat : null;
+  let response = await send(format);
+  // Read at most once; the fallback below may already have read it
+  let errorBody = null;
+
+  // Not every model behind a provider takes a schema. The prompt describes
+  // the same JSON and the caller validates it, so ask once more without.
+  // Other 400s (a bad model id, too many tokens) would only fail again.
+  if (response.status === 400 && format) {
+    errorBody = await response.text().catch(() => '');
+    if (SCHEMA_ERROR_PATTERN.test(errorBody)) {
+      console.warn(`[AI] ${provider.name} rejected the response schema, retrying without it`);
+      response = await send(null);
+      errorBody = null;
+    }
+  }
+
+  // Streamed bodies keep the timeout armed until the stream ends
+  if (!stream || !response.ok) {
+    clearTimeout(timeoutId);
+  }
+
+  // Handle HTTP errors
+  if (!response.ok) {
+    errorBody ??= await response.text().catch(() => '');
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AIError(
+        `Invalid API key. Please check your ${provider.name} API key.`,
+        AI_ERROR_TYPES.INVALID_API_KEY
+      );
+    }
+
+    if (response.status === 429) {
+      throw new AIError(
+        'Rate limited. Please wait a moment and try again.',
+        AI_ERROR_TYPES.RATE_LIMITED
+      );
+    }
+
+    if (response.status >= 500) {
+      throw new AIError(
+        `${provider.name} server error. Please try again.`,
+        AI_ERROR_TYPES.SERVER_ERROR
+      );
+    }
+
+    throw new AIError(
+      `API error: ${response.status} ${errorBody}`,
+      AI_ERROR_TYPES.UNKNOWN
+    );
+  }
+
+  if (stream) {
+    // While streaming, the timeout only fires if the stream goes idle
+    return readStreamedContent(response, provider, (text) => {
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(() => timeoutController.abort(), timeoutMs);
+      if (onText) {
+        onText(text);
       }
+    }).finally(() => clearTimeout(timeoutId));
+  }
 
-      // Add metadata
-      return {
-        ...parsed,
-        _meta: {
-          model,
-          timestamp: new Date().toISOString(),
-          originalLength: message.length,
-        },
-      };
+  const data = await response.json();
+  return {
+    content: provider.extractContent(data),
+    tokens: provider.extractUsage(data),
+  };
+}
+
+/**
+ * Runs `attempt` with exponential backoff. Invalid keys and invalid
+ * responses fail at once; cancellation and timeouts become AIErrors.
+ *
+ * @param {function} attempt - Makes one attempt; resolves with the result
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Max attempts
+ * @param {AbortSignal} options.signal - Caller's cancellation signal
+ * @param {function} options.onAttempt - Called as each attempt starts with { attempt, maxRetries }
+ * @param {function} options.onRetry - Called before a backoff with { attempt, maxRetries, delayMs, error }
+ * @returns {Promise<*>} The first successful attempt's result
+ */
+async function withRetries(attempt, { maxRetries, signal, onAttempt, onRetry }) {
+  let lastError;
+
+  for (let attemptNumber = 1; attemptNumber <= maxRetries; attemptNumber++) {
+    if (onAttempt) {
+      onAttempt({ attempt: attemptNumber, maxRetries });
+    }
 
+    try {
+      return await attempt(attemptNumber);
     } catch (error) {
       lastError = error;
 
@@ -334,9 +1150,12 @@ export async function analyzeMessage(message, apiKey, options = {}) {
         }
       }
 
-      // Check if aborted by user
+      // Check if aborted by user (or by our own timeout)
       if (error.name === 'AbortError') {
-        throw new AIError('Request cancelled', AI_ERROR_TYPES.TIMEOUT, error);
+        if (signal?.aborted) {
+          throw new AIError('Request cancelled', AI_ERROR_TYPES.CANCELLED, error);
+        }
+        throw new AIError('Request timed out', AI_ERROR_TYPES.TIMEOUT, error);
       }
 
       // Network errors
@@ -349,10 +1168,17 @@ export async function analyzeMessage(message, apiKey, options = {}) {
       }
 
       // Retry with exponential backoff
-      if (attempt < maxRetries) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-        console.warn(`[AI] Attempt ${attempt} failed, retrying in ${delay}ms...`);
-        await sleep(delay);
+      if (attemptNumber < maxRetries) {
+        const delay = Math.min(1000 * Math.pow(2, attemptNumber - 1), 10000);
+        console.warn(`[AI] Attempt ${attemptNumber} failed, retrying in ${delay}ms...`);
+        if (onRetry) {
+          onRetry({ attempt: attemptNumber, maxRetries, delayMs: delay, error: lastError });
+        }
+        try {
+          await sleep(delay, signal);
+        } catch (sleepError) {
+          throw new AIError('Request cancelled', AI_ERROR_TYPES.CANCELLED, sleepError);
+        }
       }
     }
   }
@@ -361,6 +1187,84 @@ export async function analyzeMessage(message, apiKey, options = {}) {
   throw lastError || new AIError('Request failed after retries', AI_ERROR_TYPES.UNKNOWN);
 }
 
+/**
+ * Reads a server-sent event stream and accumulates the assistant text.
+ * Calls onText with the full text so far after every delta.
+ *
+ * @param {Response} response - fetch response with an SSE body
+ * @param {Object} provider - Provider definition (see providers.js)
+ * @param {function} onText - Progress callback
+ * @returns {Promise<{ content: string|null, tokens: Object|null }>} Complete text (null if
+ *   the body is unreadable) and the token usage reported along the way
+ */
+async function readStreamedContent(response, provider, onText) {
+  if (!response.body) {
+    return { content: null, tokens: null };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  let tokens = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line in the buffer for the next chunk
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') {
+        continue;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch {
+        // Keep-alive comments and malformed events are skipped
+        continue;
+      }
+
+      if (event.error) {
+        throw new AIError(
+          `Stream error: ${event.error.message || 'unknown error'}`,
+          AI_ERROR_TYPES.SERVER_ERROR
+        );
+      }
+
+      const delta = provider.extractStreamDelta(event);
+      if (delta) {
+        content += delta;
+        onText(content);
+      }
+
+      // Usage can be split across events; later counts win
+      const usage = provider.extractStreamUsage(event);
+      if (usage) {
+        tokens = {
+          promptTokens: usage.promptTokens ?? tokens?.promptTokens ?? null,
+          completionTokens: usage.completionTokens ?? tokens?.completionTokens ?? null,
+        };
+      }
+    }
+  }
+
+  return { content, tokens };
+}
+
 /**
  * Helper to combine multiple AbortSignals.
  */
@@ -381,30 +1285,47 @@ function anySignal(signals) {
 /**
  * Validates an API key by making a minimal request.
  * Returns true if valid, throws AIError if not.
+ *
+ * @param {string} apiKey - Key to validate
+ * @param {Object} options - Additional options
+ * @param {string} options.provider - Provider id from PROVIDER_IDS (default: openrouter)
+ * @param {Object} options.providerSettings - Endpoint settings ({ baseUrl, apiVersion })
+ * @param {string} options.model - Model to ping (default: provider's cheapest listed model)
  */
-export async function validateApiKey(apiKey) {
-  if (!apiKey || !apiKey.startsWith('sk-or-')) {
-    throw new AIError(
-      'API key should start with sk-or-',
-      AI_ERROR_TYPES.INVALID_API_KEY
-    );
+export async function validateApiKey(apiKey, options = {}) {
+  const {
+    provider: providerId = DEFAULT_PROVIDER,
+    providerSettings = {},
+  } = options;
+
+  const provider = getProvider(providerId);
+
+  const formatError = validateKeyFormat(provider.id, apiKey);
+  if (formatError) {
+    throw new AIError(formatError, AI_ERROR_TYPES.INVALID_API_KEY);
   }
 
+  // Cheapest model for validation: the first "fast" entry, else the default
+  const fastModels = Object.entries(AVAILABLE_MODELS[provider.id] || {})
+    .filter(([, info]) => info.tier === 'fast')
+    .map(([id]) => id);
+  const model = options.model || fastModels[0] || getDefaultModel(provider.id);
+
   try {
     // Make a minimal request to verify the key
-    const response = await fetch(OPENROUTER_API_URL, {
+    const request = provider.buildRequest({
+      apiKey,
+      model,
+      messages: [{ role: 'user', content: 'Hi' }],
+      maxTokens: 1,
+      baseUrl: providerSettings.baseUrl,
+      apiVersion: providerSettings.apiVersion,
+    });
+
+    const response = await fetch(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': window.location.origin,
-        'X-Title': 'MessageClearance',
-      },
-      body: JSON.stringify({
-        model: 'anthropic/claude-3-haiku', // Cheapest model for validation
-        messages: [{ role: 'user', content: 'Hi' }],
-        max_tokens: 1,
-      }),
+      headers: request.headers,
+      body: JSON.stringify(request.body),
     });
 
     if (response.status === 401 || response.status === 403) {
@@ -437,7 +1358,16 @@ export async function validateApiKey(apiKey) {
 
 export default {
   analyzeMessage,
+  refineRewrite,
+  quickCheckMessage,
+  buildAnalysisPrompt,
+  buildRefinePrompt,
+  buildQuickCheckPrompt,
   validateApiKey,
+  getDefaultModel,
+  getModelInfo,
+  getModelPricing,
+  estimateUsage,
   AVAILABLE_MODELS,
   DEFAULT_MODEL,
   AI_ERROR_TYPES,
@@ -0,0 +1,318 @@
+/**
+ * Batch screening: parsing many messages at once, running them with
+ * bounded concurrency and exporting the results.
+ *
+ * A batch item is { id, label, text }. Labels come from a CSV/JSON
+ * column when there is one and default to "Message N".
+ */
+
+import { AI_ERROR_TYPES } from './ai';
+import { ISSUE_LABELS } from './highlight';
+
+export const MAX_BATCH_SIZE = 100;
+
+export const BATCH_CONCURRENCY = 3;
+
+// Pause for everyone after a rate limit, longer each time it happens
+const RATE_LIMIT_COOLDOWN_MS = 10000;
+const MAX_RATE_LIMIT_REQUEUES = 2;
+
+const TEXT_COLUMNS = ['message', 'text', 'body', 'content'];
+const LABEL_COLUMNS = ['label', 'name', 'id', 'subject', 'title'];
+
+const SEPARATOR_LINE = /^\s*-{3,}\s*$/m;
+
+function toItems(entries) {
+  return entries
+    .map((entry) => ({
+      label: typeof entry.label === 'string' ? entry.label.trim() : '',
+      text: typeof entry.text === 'string' ? entry.text.trim() : '',
+    }))
+    .filter((entry) => entry.text)
+    .slice(0, MAX_BATCH_SIZE)
+    .map((entry, index) => ({
+      id: `batch-${index + 1}`,
+      label: entry.label || `Message ${index + 1}`,
+      text: entry.text,
+    }));
+}
+
+/**
+ * Splits pasted text into messages. Lines of "---" separate messages;
+ * without any separator lines, blank lines do.
+ *
+ * @param {string} text - Pasted messages
+ * @returns {Array} Batch items
+ */
+export function parseBatchText(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const blocks = SEPARATOR_LINE.test(normalized)
+    ? normalized.split(/^\s*-{3,}\s*$/m)
+    : normalized.split(/\n\s*\n/);
+
+  return toItems(blocks.map((block) => ({ text: block })));
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, newlines
+ * inside quotes).
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+function parseCSVItems(text) {
+  const rows = parseCSV(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  // Use named columns when the first row is a header, else the first column
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const textIndex = header.findIndex((cell) => TEXT_COLUMNS.includes(cell));
+  if (textIndex === -1) {
+    return toItems(rows.map((cells) => ({ text: cells[0] })));
+  }
+
+  const labelIndex = header.findIndex((cell) => LABEL_COLUMNS.includes(cell));
+  return toItems(rows.slice(1).map((cells) => ({
+    text: cells[textIndex],
+    label: labelIndex === -1 ? '' : cells[labelIndex],
+  })));
+}
+
+function parseJSONItems(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.messages;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected an array of messages or { "messages": [...] }');
+  }
+
+  return toItems(list.map((entry) => {
+    if (typeof entry === 'string') {
+      return { text: entry };
+    }
+    const textKey = TEXT_COLUMNS.find((key) => typeof entry?.[key] === 'string');
+    const labelKey = LABEL_COLUMNS.find((key) => entry?.[key] !== undefined && entry?.[key] !== null);
+    return {
+      text: textKey ? entry[textKey] : '',
+      label: labelKey ? String(entry[labelKey]) : '',
+    };
+  }));
+}
+
+/**
+ * Parses an uploaded file by extension: .csv, .json, or plain text.
+ *
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - File contents
+ * @returns {Array} Batch items
+ * @throws {Error} If a JSON file isn't valid or has no message list
+ */
+export function parseBatchFile(fileName, text) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+
+  if (extension === 'csv') {
+    return parseCSVItems(text);
+  }
+  if (extension === 'json') {
+    return parseJSONItems(text);
+  }
+  return parseBatchText(text);
+}
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/**
+ * Runs every item through `analyze` with at most `concurrency` requests
+ * in flight. A rate-limited item goes back on the queue and all workers
+ * pause for a cooldown before picking up more work.
+ *
+ * @param {Array} items - Batch items
+ * @param {function} analyze - (text, { signal, item }) => Promise<result>
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Max parallel requests (default: BATCH_CONCURRENCY)
+ * @param {AbortSignal} options.signal - Stops the run; unfinished items are left as they are
+ * @param {function} options.onUpdate - Called with (itemId, changes) as items progress
+ * @returns {Promise<void>} Resolves when every item is finished or the run is aborted
+ */
+export async function runBatch(items, analyze, options = {}) {
+  const {
+    concurrency = BATCH_CONCURRENCY,
+    signal,
+    onUpdate = () => {},
+  } = options;
+
+  const queue = items.map((item) => ({ item, requeues: 0 }));
+  let pausedUntil = 0;
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal?.aborted) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await sleep(wait, signal);
+        continue;
+      }
+
+      const entry = queue.shift();
+      onUpdate(entry.item.id, { status: 'running', error: null });
+
+      try {
+        const result = await analyze(entry.item.text, { signal, item: entry.item });
+        if (signal?.aborted) return;
+        onUpdate(entry.item.id, { status: 'done', result });
+      } catch (error) {
+        if (signal?.aborted) return;
+
+        if (error?.type === AI_ERROR_TYPES.RATE_LIMITED && entry.requeues < MAX_RATE_LIMIT_REQUEUES) {
+          entry.requeues++;
+          pausedUntil = Math.max(pausedUntil, Date.now() + RATE_LIMIT_COOLDOWN_MS * entry.requeues);
+          queue.unshift(entry);
+          onUpdate(entry.item.id, { status: 'waiting', error: 'Rate limited, waiting to retry' });
+          continue;
+        }
+
+        onUpdate(entry.item.id, { status: 'error', error: error?.message || 'Analysis failed' });
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Messages can come from anywhere, so text is never left to be run as a formula
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows of cells as CSV, quoting cells that need it. Text that
+ * a spreadsheet would read as a formula gets a leading apostrophe.
+ *
+ * @param {Array[]} rows - Rows of cell values (header first)
+ * @returns {string} CSV text
+ */
+export function toCSV(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Formats a result's risks for one CSV cell, as the batch and history
+ * exports both write them.
+ *
+ * @param {Array} risks - Result risks ({ text, issue, why })
+ * @returns {string} e.g. "asap" (Vague: No concrete deadline); ...
+ */
+export function formatRisksForCSV(risks) {
+  return (risks || [])
+    .map((risk) => {
+      const label = ISSUE_LABELS[risk.issue] || risk.issue || 'Risk';
+      return `"${risk.text}" (${label}${risk.why ? `: ${risk.why}` : ''})`;
+    })
+    .join('; ');
+}
+
+/**
+ * Exports batch results as CSV, one row per message and one column per
+ * rewrite style that appears in any result.
+ *
+ * @param {Array} items - Batch items with status, result and error
+ * @returns {string} CSV text
+ */
+export function batchToCSV(items) {
+  const rewriteIds = [];
+  for (const item of items) {
+    for (const id of Object.keys(item.result?.rewrites || {})) {
+      if (!rewriteIds.includes(id)) rewriteIds.push(id);
+    }
+  }
+
+  const header = [
+    'label',
+    'message',
+    'verdict',
+    'verdict_reason',
+    'risks',
+    'missing',
+    ...rewriteIds.map((id) => `rewrite_${id}`),
+    'error',
+  ];
+
+  const rows = items.map((item) => {
+    const result = item.result || {};
+    return [
+      item.label,
+      item.text,
+      result.verdict || '',
+      result.verdictReason || '',
+      formatRisksForCSV(result.risks),
+      (result.missing || []).join('; '),
+      ...rewriteIds.map((id) => result.rewrites?.[id] || ''),
+      item.error || '',
+    ];
+  });
+
+  return toCSV([header, ...rows]);
+}
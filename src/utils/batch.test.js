@@ -0,0 +1,195 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AI_ERROR_TYPES } from './ai';
+import {
+  MAX_BATCH_SIZE,
+  parseBatchText,
+  parseCSV,
+  parseBatchFile,
+  runBatch,
+  toCSV,
+  formatRisksForCSV,
+  batchToCSV,
+} from './batch';
+
+const texts = (items) => items.map((item) => item.text);
+
+describe('parseBatchText', () => {
+  it('splits on separator lines when there are any', () => {
+    const items = parseBatchText('First line\n\nstill first\n---\nSecond\r\n  ----  \r\nThird');
+    expect(texts(items)).toEqual(['First line\n\nstill first', 'Second', 'Third']);
+  });
+
+  it('splits on blank lines otherwise', () => {
+    expect(parseBatchText('One\n\n\nTwo\n   \nThree')).toEqual([
+      { id: 'batch-1', label: 'Message 1', text: 'One' },
+      { id: 'batch-2', label: 'Message 2', text: 'Two' },
+      { id: 'batch-3', label: 'Message 3', text: 'Three' },
+    ]);
+  });
+
+  it('caps the batch size', () => {
+    const text = Array.from({ length: MAX_BATCH_SIZE + 5 }, (_, i) => `Message ${i}`).join('\n\n');
+    expect(parseBatchText(text)).toHaveLength(MAX_BATCH_SIZE);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(parseBatchText('')).toEqual([]);
+    expect(parseBatchText('\n---\n')).toEqual([]);
+  });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted fields, escaped quotes and newlines in quotes', () => {
+    expect(parseCSV('a,"b, c","say ""hi""\nthere"\r\n1,2,3\n\n')).toEqual([
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['1', '2', '3'],
+    ]);
+  });
+});
+
+describe('parseBatchFile', () => {
+  it('reads the message and label columns of a CSV with a header', () => {
+    const items = parseBatchFile('Messages.CSV', 'Subject,Body\nLaunch,"Ship it, please"\nEmpty,\n,No label');
+    expect(items).toEqual([
+      { id: 'batch-1', label: 'Launch', text: 'Ship it, please' },
+      { id: 'batch-2', label: 'Message 2', text: 'No label' },
+    ]);
+  });
+
+  it('uses the first column of a CSV without a header', () => {
+    expect(texts(parseBatchFile('list.csv', 'Hello there,x\nSee you,y'))).toEqual(['Hello there', 'See you']);
+  });
+
+  it('reads JSON arrays of strings or objects', () => {
+    const json = JSON.stringify({ messages: ['Plain', { id: 7, content: 'From object' }, { other: 1 }] });
+    expect(parseBatchFile('batch.json', json)).toEqual([
+      { id: 'batch-1', label: 'Message 1', text: 'Plain' },
+      { id: 'batch-2', label: '7', text: 'From object' },
+    ]);
+  });
+
+  it('rejects JSON without a message list', () => {
+    expect(() => parseBatchFile('batch.json', '{"items": []}')).toThrow('Expected an array of messages');
+  });
+
+  it('treats other files as pasted text', () => {
+    expect(texts(parseBatchFile('notes.txt', 'One\n\nTwo'))).toEqual(['One', 'Two']);
+  });
+});
+
+describe('runBatch', () => {
+  const items = parseBatchText('One\n\nTwo\n\nThree\n\nFour');
+
+  it('runs every item with bounded concurrency', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const analyze = async (text) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await Promise.resolve();
+      inFlight--;
+      if (text === 'Three') throw new Error('Bad response');
+      return { verdict: 'good_to_send', text };
+    };
+    const updates = [];
+
+    await runBatch(items, analyze, { concurrency: 2, onUpdate: (id, changes) => updates.push([id, changes.status]) });
+
+    expect(maxInFlight).toBe(2);
+    expect(updates.filter(([, status]) => status === 'done').map(([id]) => id)).toEqual(['batch-1', 'batch-2', 'batch-4']);
+    expect(updates).toContainEqual(['batch-3', 'error']);
+  });
+
+  it('requeues rate-limited items after a cooldown', async () => {
+    vi.useFakeTimers();
+    try {
+      let calls = 0;
+      const analyze = async () => {
+        calls++;
+        if (calls === 1) {
+          throw Object.assign(new Error('Slow down'), { type: AI_ERROR_TYPES.RATE_LIMITED });
+        }
+        return { verdict: 'good_to_send' };
+      };
+      const statuses = [];
+
+      const run = runBatch(items.slice(0, 1), analyze, { onUpdate: (id, changes) => statuses.push(changes.status) });
+      await vi.runAllTimersAsync();
+      await run;
+
+      expect(statuses).toEqual(['running', 'waiting', 'running', 'done']);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('stops picking up work once aborted', async () => {
+    const controller = new AbortController();
+    const analyze = vi.fn(async () => {
+      controller.abort();
+      return {};
+    });
+
+    await runBatch(items, analyze, { concurrency: 1, signal: controller.signal });
+
+    expect(analyze).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('toCSV', () => {
+  it('quotes cells with commas, quotes or newlines', () => {
+    expect(toCSV([['a', 'b,c'], ['say "hi"', 'two\nlines'], [null, 3]])).toBe(
+      'a,"b,c"\n"say ""hi""","two\nlines"\n,3'
+    );
+  });
+
+  it('keeps text from being read as a formula', () => {
+    expect(toCSV([['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)', -2]])).toBe(
+      `"'=HYPERLINK(""x"")",'+1,'-2,'@SUM(A1),-2`
+    );
+  });
+
+  it('round-trips through parseCSV', () => {
+    const rows = [['label', 'message'], ['A', 'Line one\nline "two", three']];
+    expect(parseCSV(toCSV(rows))).toEqual(rows);
+  });
+});
+
+describe('formatRisksForCSV', () => {
+  it('labels each risk and joins them', () => {
+    expect(formatRisksForCSV([
+      { text: 'asap', issue: 'vague', why: 'No concrete deadline' },
+      { text: 'whatever', issue: 'rude' },
+      { text: 'hmm', issue: 'made_up' },
+    ])).toBe('"asap" (Vague: No concrete deadline); "whatever" (Rude); "hmm" (made_up)');
+  });
+
+  it('returns an empty string without risks', () => {
+    expect(formatRisksForCSV(undefined)).toBe('');
+  });
+});
+
+describe('batchToCSV', () => {
+  it('writes one row per item with a column per rewrite style', () => {
+    const csv = batchToCSV([
+      {
+        label: 'Launch',
+        text: 'Ship it asap',
+        result: {
+          verdict: 'needs_edit',
+          verdictReason: 'Vague timing',
+          risks: [{ text: 'asap', issue: 'vague', why: 'No date' }],
+          missing: ['A deadline'],
+          rewrites: { polished: 'Please ship it by Friday.' },
+        },
+      },
+      { label: 'Broken', text: 'Hello', error: 'Failed' },
+    ]);
+
+    expect(parseCSV(csv)).toEqual([
+      ['label', 'message', 'verdict', 'verdict_reason', 'risks', 'missing', 'rewrite_polished', 'error'],
+      ['Launch', 'Ship it asap', 'needs_edit', 'Vague timing', '"asap" (Vague: No date)', 'A deadline', 'Please ship it by Friday.', ''],
+      ['Broken', 'Hello', '', '', '', '', '', 'Failed'],
+    ]);
+  });
+});
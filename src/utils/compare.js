@@ -0,0 +1,122 @@
+/**
+ * Model comparison: one message run through several models, and where
+ * their verdicts, flagged phrases and missing details agree.
+ *
+ * A column is { model, status, result, error } with one column per model.
+ */
+
+export const MIN_COMPARE_MODELS = 2;
+
+export const MAX_COMPARE_MODELS = 4;
+
+const VERDICT_ORDER = ['high_risk', 'needs_edit', 'good_to_send'];
+
+// Shorter quotes match too much ("I", "so") to count as the same phrase
+const MIN_OVERLAP_LENGTH = 4;
+
+/**
+ * Lowercases, collapses whitespace and strips surrounding quotes and
+ * punctuation so the same phrase quoted slightly differently still matches.
+ *
+ * @param {string} text - Quoted phrase
+ * @returns {string}
+ */
+export function normalizePhrase(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'“”‘’.,;:!?()-]+|[\s"'“”‘’.,;:!?()-]+$/g, '');
+}
+
+/**
+ * Two quotes flag the same phrase when they're equal or one contains
+ * the other (models often quote a few words more or less).
+ */
+function phrasesOverlap(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= MIN_OVERLAP_LENGTH && longer.includes(shorter);
+}
+
+/**
+ * Groups items from every finished column, counting each model once
+ * per group.
+ */
+function groupAcrossModels(columns, getItems, matches) {
+  const groups = [];
+
+  for (const column of columns) {
+    for (const item of getItems(column.result)) {
+      const key = normalizePhrase(item.text);
+      if (!key) continue;
+
+      let group = groups.find((candidate) => candidate.keys.some((existing) => matches(existing, key)));
+      if (!group) {
+        group = { text: item.text, keys: [], models: [], issues: [] };
+        groups.push(group);
+      }
+
+      group.keys.push(key);
+      // Show the shortest quote: it's the part every model agreed on
+      if (item.text.length < group.text.length) {
+        group.text = item.text;
+      }
+      if (!group.models.includes(column.model)) {
+        group.models.push(column.model);
+      }
+      if (item.issue && !group.issues.includes(item.issue)) {
+        group.issues.push(item.issue);
+      }
+    }
+  }
+
+  return groups.sort((a, b) => b.models.length - a.models.length);
+}
+
+/**
+ * Works out where the finished columns agree.
+ *
+ * @param {Array} columns - Comparison columns
+ * @returns {{ total: number, verdicts: Object, consensus: string|null, risks: Array, missing: Array }}
+ *   verdicts maps each verdict to the models that gave it; consensus is
+ *   the verdict more than half the models gave; risks and missing hold
+ *   { text, keys, models, issues } groups, most agreed first
+ */
+export function summarizeAgreement(columns) {
+  const finished = columns.filter((column) => column.status === 'done' && column.result);
+
+  const verdicts = Object.fromEntries(VERDICT_ORDER.map((verdict) => [verdict, []]));
+  for (const column of finished) {
+    verdicts[column.result.verdict]?.push(column.model);
+  }
+
+  const consensus = VERDICT_ORDER.find((verdict) => verdicts[verdict].length > finished.length / 2) || null;
+
+  const risks = groupAcrossModels(
+    finished,
+    (result) => (result.risks || []).filter((risk) => risk && risk.text),
+    phrasesOverlap
+  );
+
+  const missing = groupAcrossModels(
+    finished,
+    (result) => (result.missing || []).filter(Boolean).map((text) => ({ text })),
+    (a, b) => a === b
+  );
+
+  return { total: finished.length, verdicts, consensus, risks, missing };
+}
+
+/**
+ * Finds the agreement group a column's risk belongs to.
+ *
+ * @param {Array} groups - risks or missing from summarizeAgreement
+ * @param {string} text - The column's quoted text
+ * @returns {Object|null} Group, or null if not found
+ */
+export function findAgreement(groups, text) {
+  const key = normalizePhrase(text);
+  return groups.find((group) => group.keys.includes(key)) || null;
+}
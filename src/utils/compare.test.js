@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { normalizePhrase, summarizeAgreement, findAgreement } from './compare';
+
+const column = (model, result, status = 'done') => ({ model, status, result, error: null });
+
+describe('normalizePhrase', () => {
+  it('ignores case, spacing, quotes and surrounding punctuation', () => {
+    expect(normalizePhrase('  “Per my LAST\n email,”  ')).toBe('per my last email');
+    expect(normalizePhrase(undefined)).toBe('');
+  });
+});
+
+describe('summarizeAgreement', () => {
+  it('finds the verdict most models gave', () => {
+    const summary = summarizeAgreement([
+      column('a', { verdict: 'needs_edit' }),
+      column('b', { verdict: 'needs_edit' }),
+      column('c', { verdict: 'high_risk' }),
+      column('d', null, 'running'),
+    ]);
+
+    expect(summary.total).toBe(3);
+    expect(summary.verdicts).toEqual({ high_risk: ['c'], needs_edit: ['a', 'b'], good_to_send: [] });
+    expect(summary.consensus).toBe('needs_edit');
+  });
+
+  it('has no consensus on a split', () => {
+    const summary = summarizeAgreement([
+      column('a', { verdict: 'needs_edit' }),
+      column('b', { verdict: 'good_to_send' }),
+    ]);
+    expect(summary.consensus).toBeNull();
+  });
+
+  it('groups overlapping quotes and shows the shortest', () => {
+    const { risks } = summarizeAgreement([
+      column('a', { verdict: 'needs_edit', risks: [{ text: 'Per my last email,', issue: 'passive_aggressive' }] }),
+      column('b', { verdict: 'needs_edit', risks: [{ text: 'per my last email', issue: 'rude' }, { text: 'ASAP', issue: 'vague' }] }),
+      column('c', { verdict: 'needs_edit', risks: [{ text: 'As per my last email, again', issue: 'passive_aggressive' }] }),
+    ]);
+
+    expect(risks[0]).toMatchObject({
+      text: 'per my last email',
+      models: ['a', 'b', 'c'],
+      issues: ['passive_aggressive', 'rude'],
+    });
+    expect(risks[1]).toMatchObject({ text: 'ASAP', models: ['b'] });
+  });
+
+  it('does not match very short quotes inside longer ones', () => {
+    const { risks } = summarizeAgreement([
+      column('a', { verdict: 'needs_edit', risks: [{ text: 'so', issue: 'vague' }] }),
+      column('b', { verdict: 'needs_edit', risks: [{ text: 'so sorry', issue: 'tone_mismatch' }] }),
+    ]);
+    expect(risks).toHaveLength(2);
+  });
+
+  it('counts a model once per group', () => {
+    const { risks } = summarizeAgreement([
+      column('a', { verdict: 'needs_edit', risks: [{ text: 'asap', issue: 'vague' }, { text: 'ASAP!', issue: 'vague' }] }),
+    ]);
+    expect(risks[0].models).toEqual(['a']);
+  });
+
+  it('only groups missing items that match exactly', () => {
+    const { missing } = summarizeAgreement([
+      column('a', { verdict: 'needs_edit', missing: ['A deadline', 'Who owns it'] }),
+      column('b', { verdict: 'needs_edit', missing: ['a deadline.', 'A deadline for the request'] }),
+    ]);
+    expect(missing.map((group) => group.models.length)).toEqual([2, 1, 1]);
+  });
+});
+
+describe('findAgreement', () => {
+  it('finds the group for a column quote', () => {
+    const { risks } = summarizeAgreement([
+      column('a', { verdict: 'needs_edit', risks: [{ text: 'asap', issue: 'vague' }] }),
+      column('b', { verdict: 'needs_edit', risks: [{ text: 'ASAP please', issue: 'vague' }] }),
+    ]);
+    expect(findAgreement(risks, '"ASAP please"').models).toEqual(['a', 'b']);
+    expect(findAgreement(risks, 'something else')).toBeNull();
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Word-level diff between the original message and a rewrite.
+ *
+ * Tokens are words together with their trailing whitespace, compared on
+ * the word alone, so re-wrapped lines or doubled spaces don't show up as
+ * changes. Alignment uses a classic LCS table, which is plenty fast for
+ * messages capped at a few thousand characters.
+ */
+
+/**
+ * Common hedging and softening phrases. Rewrites that drop these usually
+ * read as more direct, so the diff stats report which ones went away.
+ */
+export const HEDGING_PHRASES = [
+  'just checking in',
+  'just wanted to',
+  'just',
+  'i think',
+  'i feel like',
+  'i guess',
+  'i was wondering',
+  'maybe',
+  'perhaps',
+  'possibly',
+  'hopefully',
+  'sort of',
+  'kind of',
+  'a bit',
+  'a little',
+  'sorry to bother',
+  'no worries if not',
+  "if that's okay",
+  'does that make sense',
+  'quick question',
+];
+
+/**
+ * Splits text into word tokens that keep their trailing whitespace.
+ * Leading whitespace becomes its own token so no characters are lost.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const leading = text.match(/^\s+/);
+  if (leading) {
+    tokens.push(leading[0]);
+  }
+  const words = text.match(/\S+\s*/g);
+  if (words) {
+    tokens.push(...words);
+  }
+  return tokens;
+}
+
+/**
+ * Appends a diff part, merging it into the previous one when the type matches.
+ */
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+}
+
+/**
+ * Computes a word-level diff.
+ *
+ * @param {string} original - Text before
+ * @param {string} revised - Text after
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', text: string }>}
+ */
+export function diffWords(original, revised) {
+  const a = tokenize(original || '');
+  const b = tokenize(revised || '');
+  const keyA = a.map((t) => t.trim());
+  const keyB = b.map((t) => t.trim());
+  const n = a.length;
+  const m = b.length;
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..], flattened row-major
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = keyA[i] === keyB[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (keyA[i] === keyB[j]) {
+      // Show the rewrite's spacing for unchanged words
+      pushPart(parts, 'equal', b[j]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      pushPart(parts, 'delete', a[i]);
+      i++;
+    } else {
+      pushPart(parts, 'insert', b[j]);
+      j++;
+    }
+  }
+  while (i < n) {
+    pushPart(parts, 'delete', a[i++]);
+  }
+  while (j < m) {
+    pushPart(parts, 'insert', b[j++]);
+  }
+
+  return parts;
+}
+
+function countWords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Counts hedging phrases in the text. Longer phrases are matched first
+ * and blanked out so "just checking in" isn't also counted as "just".
+ */
+function countHedges(text) {
+  let remaining = (text || '').toLowerCase().replace(/[’‘]/g, "'");
+  const counts = {};
+
+  const byLength = [...HEDGING_PHRASES].sort((x, y) => y.length - x.length);
+  for (const phrase of byLength) {
+    const pattern = new RegExp(`\\b${escapeRegExp(phrase)}\\b`, 'g');
+    const matches = remaining.match(pattern);
+    if (matches) {
+      counts[phrase] = matches.length;
+      remaining = remaining.replace(pattern, ' ');
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Summarizes what a rewrite changed.
+ *
+ * @param {string} original - Text before
+ * @param {string} revised - Text after
+ * @param {Array} [parts] - Output of diffWords(), computed if omitted
+ * @returns {Object} { originalLength, revisedLength, lengthDelta, lengthDeltaPercent,
+ *   originalWords, revisedWords, wordsAdded, wordsRemoved, removedHedges, addedHedges }
+ */
+export function getDiffStats(original, revised, parts = diffWords(original, revised)) {
+  const originalLength = (original || '').length;
+  const revisedLength = (revised || '').length;
+
+  let wordsAdded = 0;
+  let wordsRemoved = 0;
+  for (const part of parts) {
+    if (part.type === 'insert') wordsAdded += countWords(part.text);
+    if (part.type === 'delete') wordsRemoved += countWords(part.text);
+  }
+
+  const before = countHedges(original);
+  const after = countHedges(revised);
+  const removedHedges = Object.keys(before).filter((phrase) => (after[phrase] || 0) < before[phrase]);
+  const addedHedges = Object.keys(after).filter((phrase) => after[phrase] > (before[phrase] || 0));
+
+  return {
+    originalLength,
+    revisedLength,
+    lengthDelta: revisedLength - originalLength,
+    lengthDeltaPercent: originalLength
+      ? Math.round(((revisedLength - originalLength) / originalLength) * 100)
+      : 0,
+    originalWords: countWords(original),
+    revisedWords: countWords(revised),
+    wordsAdded,
+    wordsRemoved,
+    removedHedges,
+    addedHedges,
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Saves text as a file through a temporary object URL.
+ *
+ * @param {string} contents - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type (default: plain text)
+ */
+export function downloadFile(contents, fileName, mimeType = 'text/plain;charset=utf-8') {
+  const blob = new Blob([contents], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Today's date as YYYY-MM-DD, for export file names.
+ *
+ * @returns {string} Date stamp
+ */
+export function fileDateStamp() {
+  return new Date().toISOString().slice(0, 10);
+}
@@ -0,0 +1,366 @@
+/**
+ * Rule-based tone checks that run without a model.
+ *
+ * Produces the same result shape as analyzeMessage (verdict, risks,
+ * missing, rewrites), so it works as a stand-in when no provider is set
+ * up, and as a pre-pass whose findings are merged into the model's.
+ * Every risk quotes the exact text it matched, so highlights always land.
+ * The phrase rules are English; other languages only get the
+ * language-neutral checks (shouting, punctuation runs).
+ */
+
+import { detectLanguage, getLanguageName } from './language';
+import { applyStyleRules, evaluateStyleRules } from './styleRules';
+
+export const OFFLINE_PROVIDER_ID = 'offline';
+
+export const OFFLINE_MODEL_ID = 'heuristics';
+
+export const OFFLINE_MODEL_INFO = {
+  name: 'Offline checks',
+  description: 'Rule-based, runs in your browser',
+  tier: 'free',
+};
+
+/**
+ * The offline analyzer can't write real rewrites, so it offers a single
+ * mechanical clean-up (punctuation runs and shouting) instead.
+ */
+export const OFFLINE_REWRITE_STYLE = {
+  id: 'cleaned',
+  label: 'Cleaned Up',
+  icon: 'document',
+};
+
+const PHRASE_RULES = [
+  // Passive-aggressive
+  { phrase: 'per my last email', issue: 'passive_aggressive', why: 'Reads as "I already told you" and puts the reader on the defensive' },
+  { phrase: 'per my previous email', issue: 'passive_aggressive', why: 'Reads as "I already told you" and puts the reader on the defensive' },
+  { phrase: 'as i mentioned', issue: 'passive_aggressive', why: 'Implies the reader wasn\'t paying attention' },
+  { phrase: 'as previously mentioned', issue: 'passive_aggressive', why: 'Implies the reader wasn\'t paying attention' },
+  { phrase: 'as i said', issue: 'passive_aggressive', why: 'Implies the reader wasn\'t paying attention' },
+  { phrase: 'as stated', issue: 'passive_aggressive', why: 'Implies the reader wasn\'t paying attention' },
+  { phrase: 'going forward', issue: 'passive_aggressive', why: 'Often reads as a veiled reprimand for something in the past' },
+  { phrase: 'friendly reminder', issue: 'passive_aggressive', why: 'Calling a reminder "friendly" tends to make it sound less so' },
+  { phrase: 'gentle reminder', issue: 'passive_aggressive', why: 'Calling a reminder "gentle" tends to make it sound less so' },
+  { phrase: 'not sure if you saw', issue: 'passive_aggressive', why: 'Suggests the reader ignored the earlier message' },
+  { phrase: 'in case you missed it', issue: 'passive_aggressive', why: 'Suggests the reader ignored the earlier message' },
+  { phrase: "i'm sure you're busy", issue: 'passive_aggressive', why: 'Can read as sarcasm about the reader\'s priorities' },
+  { phrase: 'thanks in advance', issue: 'passive_aggressive', why: 'Presumes the reader will comply before they have agreed' },
+  { phrase: 'with all due respect', issue: 'passive_aggressive', why: 'Usually signals the opposite of respect' },
+  { phrase: 'no offense', issue: 'passive_aggressive', why: 'Flags that what follows is likely to offend' },
+  { phrase: "correct me if i'm wrong", issue: 'passive_aggressive', why: 'Often reads as "I know I\'m right"' },
+  { phrase: 'just to be clear', issue: 'passive_aggressive', why: 'Can sound condescending, as if the reader misunderstood' },
+
+  // Rude or dismissive. "Whatever" only as a reply of its own ("Fine, whatever."),
+  // not in "whatever works for you"
+  { pattern: /(?<=(?:^|[,.!?])\s*)whatever(?=[\s.!]*$)/gim, issue: 'rude', why: 'Sounds dismissive of the reader or the topic' },
+  { phrase: 'should be obvious', issue: 'rude', why: 'Implies the reader should already know, which can feel belittling' },
+  { phrase: 'obviously you', issue: 'rude', why: 'Implies the reader should already know, which can feel belittling' },
+  { phrase: 'not my problem', issue: 'rude', why: 'Refuses ownership bluntly and shuts down collaboration' },
+  { phrase: 'figure it out', issue: 'rude', why: 'Dismisses the reader\'s need for help' },
+  { phrase: 'calm down', issue: 'rude', why: 'Tends to escalate rather than defuse' },
+  { phrase: "i don't care", issue: 'rude', why: 'Sounds dismissive of the reader or the topic' },
+  { phrase: 'you always', issue: 'rude', why: 'Generalizes about the person instead of the issue' },
+  { phrase: 'you never', issue: 'rude', why: 'Generalizes about the person instead of the issue' },
+  { phrase: 'what were you thinking', issue: 'rude', why: 'Attacks the person\'s judgement' },
+
+  // Vague timing
+  { phrase: 'asap', issue: 'vague', why: 'No concrete deadline, and reads as pressure' },
+  { phrase: 'at some point', issue: 'vague', why: 'No concrete timeframe, so it is easy to deprioritize' },
+  { phrase: 'when you get a chance', issue: 'vague', why: 'No concrete timeframe, so it is easy to deprioritize' },
+  { phrase: 'whenever you can', issue: 'vague', why: 'No concrete timeframe, so it is easy to deprioritize' },
+  { phrase: 'whenever you have time', issue: 'vague', why: 'No concrete timeframe, so it is easy to deprioritize' },
+  { phrase: 'sometime soon', issue: 'vague', why: 'No concrete timeframe, so it is easy to deprioritize' },
+];
+
+// Common acronyms that are fine in caps
+const ALLOWED_CAPS = new Set([
+  'ASAP', 'FYI', 'EOD', 'EOW', 'ETA', 'API', 'URL', 'HTML', 'JSON', 'HTTP', 'HTTPS',
+  'CEO', 'CTO', 'CFO', 'COO', 'OKR', 'KPI', 'ROI', 'PTO', 'OOO', 'TBD', 'USA', 'NASA',
+]);
+
+const REQUEST_PATTERN = /\?|\b(can you|could you|would you|will you|please|i need|we need|let me know|send me|make sure)\b/i;
+
+const MONTH_NAMES = 'jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?';
+
+// Months only count next to a day number or after "by"/"before"/"until",
+// since "may" and "mar" are also everyday words
+const DEADLINE_PATTERN = new RegExp(
+  '\\b(today|tonight|tomorrow|monday|tuesday|wednesday|thursday|friday|saturday|sunday|eod|eow|end of (the )?(day|week|month)|this (morning|afternoon|week)|next (week|month)|by \\d|\\d{1,2}(:\\d{2})?\\s?(am|pm)|\\d{1,2}\\/\\d{1,2}'
+    + `|(${MONTH_NAMES})\\.?\\s+\\d{1,2}(st|nd|rd|th)?|\\d{1,2}(st|nd|rd|th)?\\s+(of\\s+)?(${MONTH_NAMES})`
+    + `|(by|before|until)\\s+(${MONTH_NAMES}))\\b`,
+  'i'
+);
+
+const MEETING_PATTERN = /\b(meeting|call|sync|catch[- ]up|1:1|one[- ]on[- ]one)\b/i;
+
+// Keywords tell whether the model already reported the same gap in its own words
+const MISSING_CHECKS = {
+  ask: {
+    text: 'A clear ask: what should the reader do after reading this?',
+    keywords: ['ask', 'request', 'action', 'next step'],
+  },
+  deadline: {
+    text: 'A deadline or timeframe for the request',
+    keywords: ['deadline', 'timeframe', 'timeline', 'date', 'when'],
+  },
+  meeting: {
+    text: 'When the meeting or call should happen',
+    keywords: ['when', 'time', 'date', 'schedule'],
+  },
+};
+
+const ISSUE_WEIGHTS = {
+  rude: 3,
+  passive_aggressive: 2,
+  tone_mismatch: 2,
+  vague: 1,
+  unclear: 1,
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turns a rule phrase into a regex that tolerates curly apostrophes and
+ * any whitespace between words.
+ */
+function phraseToPattern(phrase) {
+  const source = escapeRegExp(phrase)
+    .replace(/'/g, "['’]")
+    .replace(/ /g, '\\s+');
+  return new RegExp(`\\b${source}\\b`, 'gi');
+}
+
+// Rules are whole phrases, or a pattern where a word is only a problem in context
+const PHRASE_PATTERNS = PHRASE_RULES.map((rule) => ({ ...rule, pattern: rule.pattern || phraseToPattern(rule.phrase) }));
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+function findPhraseRisks(message) {
+  const risks = [];
+  for (const rule of PHRASE_PATTERNS) {
+    const match = message.match(rule.pattern);
+    if (match) {
+      risks.push({ text: match[0], issue: rule.issue, why: rule.why });
+    }
+  }
+  return risks;
+}
+
+const CAPS_RUN_PATTERN = /\b[A-Z][A-Z']+(?:[\s,]+[A-Z][A-Z']+)*\b/g;
+
+/**
+ * Runs of capitalised words that contain at least one shouted word
+ * (four or more letters and not a known acronym).
+ */
+function findShoutedRuns(message) {
+  const runs = message.match(CAPS_RUN_PATTERN) || [];
+  return runs.filter((run) => run
+    .split(/[\s,]+/)
+    .some((word) => word.length >= 4 && !ALLOWED_CAPS.has(word)));
+}
+
+function findShouting(message) {
+  const runs = findShoutedRuns(message);
+  if (runs.length === 0) {
+    return [];
+  }
+
+  // Quote the longest run so the highlight covers all of it
+  const text = [...runs].sort((a, b) => b.length - a.length)[0];
+  return [{ text, issue: 'tone_mismatch', why: 'All-caps reads as shouting' }];
+}
+
+function findPunctuation(message) {
+  const match = message.match(/[!?]*(?:!{2,}|\?{2,}|\?!|!\?)[!?]*/);
+  if (!match) {
+    return [];
+  }
+  return [{
+    text: match[0],
+    issue: 'tone_mismatch',
+    why: 'Repeated punctuation reads as frustration or alarm',
+  }];
+}
+
+function findMissing(message) {
+  const missing = [];
+  const wordCount = countWords(message);
+  const hasRequest = REQUEST_PATTERN.test(message);
+
+  if (!hasRequest && wordCount >= 15) {
+    missing.push(MISSING_CHECKS.ask.text);
+  }
+  if (hasRequest && !DEADLINE_PATTERN.test(message)) {
+    missing.push(MISSING_CHECKS.deadline.text);
+  }
+  if (MEETING_PATTERN.test(message) && !DEADLINE_PATTERN.test(message)) {
+    missing.push(MISSING_CHECKS.meeting.text);
+  }
+
+  return missing;
+}
+
+/**
+ * Runs every rule over the message.
+ *
+ * @param {string} message - The message to check
+ * @returns {{ risks: Array, missing: string[] }} Findings; each risk is
+ *   { text, issue, why, source: 'heuristic' }
+ */
+export function runHeuristics(message) {
+  if (!message || typeof message !== 'string') {
+    return { risks: [], missing: [] };
+  }
+
+  const risks = [
+    ...findPhraseRisks(message),
+    ...findShouting(message),
+    ...findPunctuation(message),
+  ].map((risk) => ({ ...risk, source: 'heuristic' }));
+
+  return { risks, missing: findMissing(message) };
+}
+
+/**
+ * Scores findings into a verdict. A rude phrase weighs enough to need an
+ * edit on its own, but one word out of context isn't high risk.
+ */
+function scoreVerdict(risks, missing) {
+  const score = risks.reduce((total, risk) => total + (ISSUE_WEIGHTS[risk.issue] || 1), 0)
+    + missing.length;
+
+  if (score >= 5) {
+    return 'high_risk';
+  }
+  // A single missing detail on its own isn't worth holding the message for
+  return score >= 2 ? 'needs_edit' : 'good_to_send';
+}
+
+function describeVerdict(verdict, risks, missing) {
+  if (verdict === 'good_to_send') {
+    return risks.length + missing.length === 0
+      ? 'No known problem phrases, shouting or missing asks were found.'
+      : 'Only minor details came up; the message is fine to send as is.';
+  }
+
+  const parts = [];
+  if (risks.length > 0) {
+    parts.push(`${risks.length} risky phrase${risks.length === 1 ? '' : 's'}`);
+  }
+  if (missing.length > 0) {
+    parts.push(`${missing.length} missing detail${missing.length === 1 ? '' : 's'}`);
+  }
+  return `Rule-based checks found ${parts.join(' and ')}.`;
+}
+
+/**
+ * Mechanical clean-up: collapses punctuation runs and lowercases shouted words.
+ */
+function cleanUpMessage(message) {
+  let cleaned = message;
+
+  for (const run of new Set(findShoutedRuns(message))) {
+    const lowered = run.replace(/[A-Z][A-Z']+/g, (word) => (
+      ALLOWED_CAPS.has(word) ? word : word.toLowerCase()
+    ));
+    cleaned = cleaned.split(run).join(lowered);
+  }
+
+  return cleaned
+    // Re-capitalise sentence starts that were lowercased above
+    .replace(/(^|[.!?]\s+)([a-z])/g, (match, before, letter) => before + letter.toUpperCase())
+    .replace(/[!?]*\?[!?]*|!{2,}/g, (run) => (run.includes('?') ? '?' : '!'));
+}
+
+/**
+ * Analyzes a message with the rule-based checks only.
+ * Returns the same shape as analyzeMessage, with a single "cleaned" rewrite.
+ *
+ * @param {string} message - The message to analyze
+ * @param {Object} options - Additional options
+ * @param {Object} options.context - Message context, recorded in _meta only
+ * @param {Array} options.styleRules - Team style guide rules (see styleRules.js)
+ * @returns {Object} Analysis result
+ */
+export function analyzeMessageOffline(message, options = {}) {
+  const { context = null, styleRules = [] } = options;
+  const language = detectLanguage(message);
+  const isEnglish = !language || language === 'en';
+  const findings = runHeuristics(message);
+  const { risks } = findings;
+  // Missing-info checks look for English keywords, so they'd misfire elsewhere
+  const missing = isEnglish ? findings.missing : [];
+
+  // Finding nothing in a language the rules can't read is not a clearance
+  const scored = scoreVerdict(risks, missing);
+  const unread = !isEnglish && scored === 'good_to_send';
+  const verdict = unread ? 'needs_edit' : scored;
+
+  const result = applyStyleRules({
+    verdict,
+    verdictReason: unread
+      ? `The offline checks only know English phrasing, so this ${getLanguageName(language)} message needs a read-through or a model scan.`
+      : describeVerdict(verdict, risks, missing),
+    risks,
+    missing,
+    rewrites: {
+      [OFFLINE_REWRITE_STYLE.id]: cleanUpMessage(message),
+    },
+  }, evaluateStyleRules(message, styleRules));
+
+  return {
+    ...result,
+    _meta: {
+      provider: OFFLINE_PROVIDER_ID,
+      model: OFFLINE_MODEL_ID,
+      timestamp: new Date().toISOString(),
+      originalLength: message.length,
+      rewriteStyles: [OFFLINE_REWRITE_STYLE],
+      context,
+      language: { detected: language, output: null, translateTo: null },
+    },
+  };
+}
+
+function overlaps(a, b) {
+  const x = a.toLowerCase();
+  const y = b.toLowerCase();
+  return x.includes(y) || y.includes(x);
+}
+
+/**
+ * Adds rule-based findings the model didn't already report.
+ * The model's verdict is kept: it sees the whole message and its
+ * context, while the rules only see phrases.
+ *
+ * @param {Object} result - Validated analysis result from the model
+ * @param {Object} findings - Output of runHeuristics
+ * @returns {Object} Result with merged risks and missing
+ */
+export function mergeHeuristicFindings(result, findings) {
+  const risks = Array.isArray(result.risks) ? result.risks : [];
+  const missing = Array.isArray(result.missing) ? result.missing : [];
+
+  const newRisks = findings.risks.filter((finding) => (
+    !risks.some((risk) => typeof risk?.text === 'string' && overlaps(risk.text, finding.text))
+  ));
+
+  const existingMissing = missing.filter((item) => typeof item === 'string').map((item) => item.toLowerCase());
+  const newMissing = findings.missing.filter((item) => {
+    const check = Object.values(MISSING_CHECKS).find((candidate) => candidate.text === item);
+    const keywords = check ? check.keywords : [item.toLowerCase()];
+    return !existingMissing.some((existing) => keywords.some((keyword) => existing.includes(keyword)));
+  });
+
+  return {
+    ...result,
+    risks: [...risks, ...newRisks],
+    missing: [...missing, ...newMissing],
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { runHeuristics, analyzeMessageOffline, mergeHeuristicFindings } from './heuristics';
+
+const issuesOf = (message) => runHeuristics(message).risks.map((risk) => [risk.text, risk.issue]);
+
+describe('runHeuristics', () => {
+  it('quotes the exact text of each phrase it flags', () => {
+    expect(issuesOf('Per my last email, the report is late.')).toEqual([['Per my last email', 'passive_aggressive']]);
+  });
+
+  it('tolerates curly apostrophes and extra whitespace', () => {
+    expect(issuesOf('Honestly I don’t   care which option we pick.')).toEqual([['I don’t   care', 'rude']]);
+  });
+
+  it('flags "whatever" only as a reply of its own', () => {
+    expect(issuesOf('Fine, whatever.')).toEqual([['whatever', 'rude']]);
+    expect(issuesOf('Order whatever you like for the team lunch.')).toEqual([]);
+  });
+
+  it('leaves ordinary uses of "whenever" and "obviously" alone', () => {
+    expect(issuesOf('Call me whenever you like.')).toEqual([]);
+    expect(issuesOf('Obviously the build broke after the merge.')).toEqual([]);
+    expect(issuesOf('Send it whenever you can.')).toEqual([['whenever you can', 'vague']]);
+  });
+
+  it('flags shouting but not acronyms', () => {
+    expect(issuesOf('The API is down and the ETA is unknown.')).toEqual([]);
+    expect(issuesOf('This is NEVER acceptable.').map(([, issue]) => issue)).toEqual(['tone_mismatch']);
+  });
+
+  it('flags punctuation runs', () => {
+    expect(issuesOf('Where is the report?!?')).toEqual([['?!?', 'tone_mismatch']]);
+  });
+
+  it('asks for a deadline when a request has none', () => {
+    expect(runHeuristics('Can you review the design doc?').missing).toEqual([
+      'A deadline or timeframe for the request',
+    ]);
+    expect(runHeuristics('Can you review the design doc by Friday?').missing).toEqual([]);
+  });
+
+  it('only counts month names as deadlines next to a day', () => {
+    expect(runHeuristics('You may want to review the design doc?').missing).toHaveLength(1);
+    expect(runHeuristics('Can you send it by May 5?').missing).toEqual([]);
+    expect(runHeuristics('Can you send it by the 3rd of March?').missing).toEqual([]);
+  });
+});
+
+describe('analyzeMessageOffline', () => {
+  it('clears a clean message', () => {
+    const result = analyzeMessageOffline('Thanks for the update, the new layout looks great to me.');
+    expect(result.verdict).toBe('good_to_send');
+    expect(result.risks).toEqual([]);
+  });
+
+  it('asks for an edit, not a flag, for one rude phrase', () => {
+    const result = analyzeMessageOffline('Calm down, the deploy finished an hour ago and everything works.');
+    expect(result.verdict).toBe('needs_edit');
+  });
+
+  it('flags a message with several problems', () => {
+    const result = analyzeMessageOffline('Per my last email, calm down and figure it out ASAP!!!');
+    expect(result.verdict).toBe('high_risk');
+  });
+
+  it('offers a cleaned-up rewrite', () => {
+    const result = analyzeMessageOffline('This is NEVER acceptable!!!');
+    expect(result.rewrites.cleaned).toBe('This is never acceptable!');
+  });
+});
+
+describe('mergeHeuristicFindings', () => {
+  it('adds only findings the model did not report', () => {
+    const result = {
+      verdict: 'needs_edit',
+      risks: [{ text: 'per my last email', issue: 'passive_aggressive', why: 'x' }],
+      missing: ['No deadline given'],
+    };
+    const merged = mergeHeuristicFindings(result, runHeuristics('Per my last email, can you fix it ASAP?'));
+    expect(merged.risks.map((risk) => risk.text)).toEqual(['per my last email', 'ASAP']);
+    expect(merged.missing).toEqual(['No deadline given']);
+    expect(merged.verdict).toBe('needs_edit');
+  });
+});
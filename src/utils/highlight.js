@@ -0,0 +1,173 @@
+/**
+ * Locates the phrases quoted in risks[].text inside the original message.
+ *
+ * Models rarely quote perfectly: they swap curly and straight quotes,
+ * collapse line breaks, change case or wrap the phrase in quotes and
+ * ellipses. Matching runs on a normalized copy of both strings, with an
+ * index map back to the original so highlights land on the real text.
+ */
+
+/**
+ * Display labels for the risk issue types the analysis prompt asks for.
+ * Each type also has a matching .issue-<type> colour class in App.css.
+ */
+export const ISSUE_LABELS = {
+  passive_aggressive: 'Passive-aggressive',
+  vague: 'Vague',
+  rude: 'Rude',
+  unclear: 'Unclear',
+  tone_mismatch: 'Tone mismatch',
+  style_rule: 'Style guide',
+};
+
+const QUOTE_MAP = {
+  '‘': "'",
+  '’': "'",
+  '‚': "'",
+  '′': "'",
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '″': '"',
+  '–': '-',
+  '—': '-',
+};
+
+/**
+ * Normalizes text for matching and records where each normalized
+ * character came from in the original.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {{ text: string, map: number[] }}
+ */
+function normalizeWithMap(text) {
+  let normalized = '';
+  const map = [];
+  let lastWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      // Collapse whitespace runs into one space
+      if (!lastWasSpace) {
+        normalized += ' ';
+        map.push(i);
+        lastWasSpace = true;
+      }
+      continue;
+    }
+
+    lastWasSpace = false;
+    normalized += (QUOTE_MAP[ch] || ch).toLowerCase();
+    map.push(i);
+  }
+
+  return { text: normalized, map };
+}
+
+/**
+ * Strips wrapping quotes, ellipses and stray punctuation the model tends
+ * to add around a quoted phrase.
+ */
+function cleanQuote(quote) {
+  return quote
+    .trim()
+    .replace(/^["'\s]+|["'\s]+$/g, '')
+    .replace(/^(\.\.\.|…)\s*|\s*(\.\.\.|…)$/g, '')
+    .trim();
+}
+
+/**
+ * Finds a quoted phrase in the message.
+ *
+ * @param {Object} haystack - Output of normalizeWithMap for the message
+ * @param {string} quote - Phrase quoted by the model
+ * @returns {{ start: number, end: number }|null} Offsets into the original message
+ */
+function findQuote(haystack, quote) {
+  const needle = normalizeWithMap(cleanQuote(quote)).text.trim();
+  if (!needle) {
+    return null;
+  }
+
+  const index = haystack.text.indexOf(needle);
+  if (index === -1) {
+    return null;
+  }
+
+  return {
+    start: haystack.map[index],
+    end: haystack.map[index + needle.length - 1] + 1,
+  };
+}
+
+/**
+ * Locates every risk's quoted text in the message.
+ *
+ * @param {string} message - The original message
+ * @param {Array} risks - risks[] from the analysis result
+ * @returns {{ spans: Array, unmatched: number[] }} Non-overlapping spans
+ *   sorted by position ({ start, end, riskIndex, issue }) and the indexes
+ *   of risks whose text couldn't be found
+ */
+export function locateRisks(message, risks) {
+  const spans = [];
+  const unmatched = [];
+
+  if (!message || !Array.isArray(risks)) {
+    return { spans, unmatched };
+  }
+
+  const haystack = normalizeWithMap(message);
+
+  risks.forEach((risk, riskIndex) => {
+    const match = risk?.text ? findQuote(haystack, risk.text) : null;
+    if (match) {
+      spans.push({ ...match, riskIndex, issue: risk.issue });
+    } else {
+      unmatched.push(riskIndex);
+    }
+  });
+
+  // Clip overlaps so each character belongs to at most one highlight;
+  // the earlier-starting risk keeps the shared text
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+  const clipped = [];
+  let lastEnd = 0;
+  for (const span of spans) {
+    const start = Math.max(span.start, lastEnd);
+    if (start < span.end) {
+      clipped.push({ ...span, start });
+      lastEnd = span.end;
+    }
+  }
+
+  return { spans: clipped, unmatched };
+}
+
+/**
+ * Splits the message into plain and highlighted segments for rendering.
+ *
+ * @param {string} message - The original message
+ * @param {Array} spans - Spans from locateRisks()
+ * @returns {Array<{ text: string, span: Object|null }>}
+ */
+export function segmentMessage(message, spans) {
+  const segments = [];
+  let cursor = 0;
+
+  for (const span of spans) {
+    if (span.start > cursor) {
+      segments.push({ text: message.slice(cursor, span.start), span: null });
+    }
+    segments.push({ text: message.slice(span.start, span.end), span });
+    cursor = span.end;
+  }
+
+  if (cursor < message.length) {
+    segments.push({ text: message.slice(cursor), span: null });
+  }
+
+  return segments;
+}
@@ -0,0 +1,402 @@
+/**
+ * Scan history store backed by IndexedDB.
+ *
+ * Each entry is its own record, so history isn't limited by the
+ * localStorage quota or rewritten as one JSON blob on every scan.
+ * Records are indexed by timestamp, verdict and model, and carry a
+ * lowercased search text (message plus rewrites) for full-text search.
+ *
+ * When IndexedDB can't be opened (some private browsing modes) the
+ * store falls back to chatHistoryStorage in localStorage, with its
+ * MAX_HISTORY_ITEMS cap.
+ *
+ * Existing localStorage history is moved into IndexedDB the first
+ * time the database opens.
+ */
+
+import { chatHistoryStorage, STORAGE_KEYS, removeItem } from './storage';
+
+const DB_NAME = 'messageclearance';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+
+export const HISTORY_PAGE_SIZE = 25;
+
+/**
+ * Retention choices offered in settings. 0 means no limit.
+ */
+export const RETENTION_ENTRY_OPTIONS = [0, 1000, 500, 100];
+export const RETENTION_AGE_OPTIONS = [0, 365, 90, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Text the full-text search runs against.
+ */
+function buildSearchText(entry) {
+  const rewrites = Object.values(entry.result?.rewrites || {}).filter((text) => typeof text === 'string');
+  return [entry.originalMessage || '', ...rewrites].join('\n').toLowerCase();
+}
+
+function toRecord(entry) {
+  return {
+    ...entry,
+    model: entry.model || '',
+    verdict: entry.result?.verdict || '',
+    searchText: buildSearchText(entry),
+  };
+}
+
+function fromRecord(record) {
+  if (!record) return null;
+  const entry = { ...record };
+  delete entry.verdict;
+  delete entry.searchText;
+  return entry;
+}
+
+/**
+ * Moves history left in localStorage by older versions into the store,
+ * then removes it so this only happens once.
+ */
+async function migrateFromLocalStorage(db) {
+  const legacy = chatHistoryStorage.get();
+  if (legacy.length === 0) {
+    return;
+  }
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  legacy
+    .filter((entry) => entry && typeof entry === 'object' && entry.id)
+    .forEach((entry) => store.put(toRecord(entry)));
+  await transactionDone(transaction);
+
+  removeItem(STORAGE_KEYS.CHAT_HISTORY);
+}
+
+/**
+ * Opens (and on first use creates and migrates) the database.
+ * Resolves to null when IndexedDB isn't available.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+export function openHistoryDb() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = (async () => {
+    if (typeof indexedDB === 'undefined') {
+      return null;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('timestamp', 'timestamp');
+          // Compound with timestamp so filtered lists still come out in date order
+          store.createIndex('verdict', ['verdict', 'timestamp']);
+          store.createIndex('model', ['model', 'timestamp']);
+        }
+      };
+      const db = await requestToPromise(request);
+
+      try {
+        await migrateFromLocalStorage(db);
+      } catch (error) {
+        // Leave the old entries in place and try again next time
+        console.error('[HistoryStore] Migration from localStorage failed:', error);
+      }
+
+      return db;
+    } catch (error) {
+      console.warn('[HistoryStore] IndexedDB unavailable, using localStorage:', error);
+      return null;
+    }
+  })();
+
+  return dbPromise;
+}
+
+function splitTerms(query) {
+  return (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function matchesFilters(record, { verdict, model, terms }) {
+  if (verdict && record.verdict !== verdict) return false;
+  if (model && record.model !== model) return false;
+  return terms.every((term) => record.searchText.includes(term));
+}
+
+function rangeFor(key) {
+  return IDBKeyRange.bound([key, ''], [key, '\uffff']);
+}
+
+/**
+ * One page of history, newest first.
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.query - Words that must all appear in the message or a rewrite
+ * @param {string} options.verdict - Only this verdict ('' for any)
+ * @param {string} options.model - Only this model ('' for any)
+ * @param {number} options.offset - Matches to skip
+ * @param {number} options.limit - Max entries to return (default: HISTORY_PAGE_SIZE)
+ * @returns {Promise<{ entries: Array, total: number }>} The page and the total match count
+ */
+export async function queryHistory(options = {}) {
+  const { query = '', verdict = '', model = '', offset = 0, limit = HISTORY_PAGE_SIZE } = options;
+  const filters = { verdict, model, terms: splitTerms(query) };
+  const db = await openHistoryDb();
+
+  if (!db) {
+    const matches = chatHistoryStorage.get()
+      .map(toRecord)
+      .filter((record) => matchesFilters(record, filters))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return { entries: matches.slice(offset, offset + limit).map(fromRecord), total: matches.length };
+  }
+
+  const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+  const source = verdict
+    ? store.index('verdict').openCursor(rangeFor(verdict), 'prev')
+    : model
+      ? store.index('model').openCursor(rangeFor(model), 'prev')
+      : store.index('timestamp').openCursor(null, 'prev');
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    let total = 0;
+    source.onerror = () => reject(source.error);
+    source.onsuccess = () => {
+      const cursor = source.result;
+      if (!cursor) {
+        resolve({ entries, total });
+        return;
+      }
+      if (matchesFilters(cursor.value, filters)) {
+        if (total >= offset && entries.length < limit) {
+          entries.push(fromRecord(cursor.value));
+        }
+        total++;
+      }
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Every model that appears in history, for the model filter.
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function getHistoryModels() {
+  const db = await openHistoryDb();
+  if (!db) {
+    return [...new Set(chatHistoryStorage.get().map((entry) => entry.model).filter(Boolean))];
+  }
+
+  const request = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('model').openKeyCursor();
+  return new Promise((resolve, reject) => {
+    const models = [];
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(models.filter(Boolean));
+        return;
+      }
+      const [model] = cursor.key;
+      models.push(model);
+      // Skip the rest of this model's entries
+      cursor.continue([model, '\uffff']);
+    };
+  });
+}
+
+/**
+ * @param {string} id - Entry id
+ * @returns {Promise<Object|null>} The entry, or null if it isn't stored
+ */
+export async function getHistoryEntry(id) {
+  const db = await openHistoryDb();
+  if (!db) {
+    return chatHistoryStorage.get().find((entry) => entry.id === id) || null;
+  }
+  return fromRecord(await requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id)));
+}
+
+/**
+ * All entries, oldest first (the order exports use).
+ *
+ * @returns {Promise<Array>}
+ */
+export async function getAllHistory() {
+  const db = await openHistoryDb();
+  if (!db) {
+    return chatHistoryStorage.get();
+  }
+  const records = await requestToPromise(
+    db.transaction(STORE_NAME).objectStore(STORE_NAME).index('timestamp').getAll()
+  );
+  return records.map(fromRecord);
+}
+
+/**
+ * @returns {Promise<string[]>} Ids of every stored entry
+ */
+export async function getHistoryIds() {
+  const db = await openHistoryDb();
+  if (!db) {
+    return chatHistoryStorage.get().map((entry) => entry.id);
+  }
+  return requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAllKeys());
+}
+
+/**
+ * @returns {Promise<number>} Number of stored entries
+ */
+export async function countHistory() {
+  const db = await openHistoryDb();
+  if (!db) {
+    return chatHistoryStorage.get().length;
+  }
+  return requestToPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).count());
+}
+
+/**
+ * Adds or replaces entries (matched by id).
+ *
+ * @param {Array} entries - History entries
+ * @returns {Promise<void>}
+ */
+export async function putHistoryEntries(entries) {
+  const db = await openHistoryDb();
+  if (!db) {
+    const ids = new Set(entries.map((entry) => entry.id));
+    const merged = [...chatHistoryStorage.get().filter((entry) => !ids.has(entry.id)), ...entries]
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    chatHistoryStorage.set(merged);
+    return;
+  }
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  entries.forEach((entry) => store.put(toRecord(entry)));
+  await transactionDone(transaction);
+}
+
+/**
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  const db = await openHistoryDb();
+  if (!db) {
+    chatHistoryStorage.set(chatHistoryStorage.get().filter((entry) => entry.id !== id));
+    return;
+  }
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).delete(id);
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes every entry.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearHistoryStore() {
+  const db = await openHistoryDb();
+  if (!db) {
+    chatHistoryStorage.clear();
+    return;
+  }
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Deletes entries the retention policy no longer keeps: anything older
+ * than maxAgeDays, then the oldest entries beyond maxEntries.
+ *
+ * @param {Object} policy - Retention policy
+ * @param {number} policy.maxEntries - Entries to keep (0 for no limit)
+ * @param {number} policy.maxAgeDays - Days to keep entries (0 for no limit)
+ * @returns {Promise<number>} Number of entries deleted
+ */
+export async function applyRetention(policy = {}) {
+  // Anything that isn't a positive number (e.g. from a hand-edited import) means no limit
+  const maxEntries = policy.maxEntries > 0 ? Math.floor(policy.maxEntries) : 0;
+  const maxAgeDays = policy.maxAgeDays > 0 ? policy.maxAgeDays : 0;
+  if (!maxEntries && !maxAgeDays) {
+    return 0;
+  }
+
+  const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * DAY_MS).toISOString() : '';
+  const db = await openHistoryDb();
+
+  if (!db) {
+    const history = chatHistoryStorage.get();
+    let kept = cutoff ? history.filter((entry) => entry.timestamp >= cutoff) : history;
+    if (maxEntries) kept = kept.slice(-maxEntries);
+    if (kept.length !== history.length) {
+      chatHistoryStorage.set(kept);
+    }
+    return history.length - kept.length;
+  }
+
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(STORE_NAME);
+  const total = await requestToPromise(store.count());
+  let deleted = 0;
+
+  await new Promise((resolve, reject) => {
+    // Oldest first, so whatever is over the entry limit comes up first too
+    const request = store.index('timestamp').openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const tooOld = cutoff && cursor.value.timestamp < cutoff;
+      const overLimit = maxEntries && total - deleted > maxEntries;
+      if (!tooOld && !overLimit) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+  });
+
+  await done;
+  return deleted;
+}
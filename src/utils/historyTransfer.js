@@ -0,0 +1,358 @@
+/**
+ * Export and import of scan history and settings.
+ *
+ * JSON exports round-trip: they carry every history entry plus the
+ * user's settings and can be imported on another machine. CSV and
+ * Markdown exports are for reading and archiving only.
+ *
+ * The API key is never exported.
+ */
+
+import { toCSV, formatRisksForCSV } from './batch';
+import { STORAGE_KEYS, STORAGE_DEFAULTS } from './storage';
+import { normalizeMessageContext, describeMessageContext } from './messageContext';
+import { normalizeThread } from './thread';
+import { PROVIDERS } from './providers';
+import { ISSUE_LABELS } from './highlight';
+import { VERDICT_LABELS } from './verdicts';
+
+export const EXPORT_FORMAT = 'message-clearance-export';
+
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON (re-importable)', extension: 'json', mimeType: 'application/json' },
+  { id: 'csv', label: 'CSV spreadsheet', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { id: 'markdown', label: 'Markdown report', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+];
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',     // Keep current history, add entries with new ids
+  REPLACE: 'replace', // Drop current history, keep only the imported entries
+};
+
+const DEFAULT_PREFERENCES = STORAGE_DEFAULTS[STORAGE_KEYS.USER_PREFERENCES];
+
+/**
+ * Builds a JSON export document.
+ *
+ * @param {Array} history - Scan history entries
+ * @param {Object} settings - Optional { preferences, selectedProvider, selectedModel }
+ * @returns {Object} Export document
+ */
+export function createExport(history, settings = null) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    history: Array.isArray(history) ? history : [],
+    ...(settings ? { settings } : {}),
+  };
+}
+
+function riskLabel(risk) {
+  return ISSUE_LABELS[risk.issue] || risk.issue || 'Risk';
+}
+
+/**
+ * History as CSV, one row per scan and one column per rewrite style.
+ *
+ * @param {Array} history - Scan history entries
+ * @returns {string} CSV text
+ */
+export function historyToCSV(history) {
+  const rewriteIds = [];
+  for (const entry of history) {
+    for (const id of Object.keys(entry.result?.rewrites || {})) {
+      if (!rewriteIds.includes(id)) rewriteIds.push(id);
+    }
+  }
+
+  const header = [
+    'id',
+    'timestamp',
+    'message',
+    'recipient',
+    'channel',
+    'outcome',
+    'provider',
+    'model',
+    'verdict',
+    'verdict_reason',
+    'risks',
+    'missing',
+    ...rewriteIds.map((id) => `rewrite_${id}`),
+  ];
+
+  const rows = history.map((entry) => {
+    const result = entry.result || {};
+    const context = normalizeMessageContext(entry.context);
+    return [
+      entry.id,
+      entry.timestamp,
+      entry.originalMessage,
+      context.recipient,
+      context.channel,
+      context.outcome,
+      entry.provider || '',
+      entry.model || '',
+      result.verdict || '',
+      result.verdictReason || '',
+      formatRisksForCSV(result.risks),
+      (result.missing || []).join('; '),
+      ...rewriteIds.map((id) => result.rewrites?.[id] || ''),
+    ];
+  });
+
+  return toCSV([header, ...rows]);
+}
+
+function quoteBlock(text) {
+  return (text || '').split('\n').map((line) => `> ${line}`).join('\n');
+}
+
+/**
+ * History as a readable Markdown report, newest scan first.
+ *
+ * @param {Array} history - Scan history entries
+ * @returns {string} Markdown text
+ */
+export function historyToMarkdown(history) {
+  const lines = [
+    '# Message Clearance Report',
+    '',
+    `Exported ${new Date().toLocaleString()} · ${history.length} scan${history.length === 1 ? '' : 's'}`,
+  ];
+
+  [...history].reverse().forEach((entry) => {
+    const result = entry.result || {};
+    const date = new Date(entry.timestamp);
+    const context = describeMessageContext(entry.context);
+
+    lines.push('', '---', '');
+    lines.push(`## ${VERDICT_LABELS[result.verdict] || 'Unknown'} · ${Number.isNaN(date.getTime()) ? 'Unknown date' : date.toLocaleString()}`);
+    lines.push('');
+    if (context) lines.push(`**To:** ${context}  `);
+    if (entry.model) lines.push(`**Model:** ${entry.model}  `);
+    if (entry.thread?.length > 0) lines.push(`**Thread:** reply to ${entry.thread.length} earlier message${entry.thread.length === 1 ? '' : 's'}  `);
+    lines.push('', quoteBlock(entry.originalMessage));
+
+    if (result.verdictReason) {
+      lines.push('', `**Verdict:** ${result.verdictReason}`);
+    }
+    if (result.risks?.length > 0) {
+      lines.push('', '### Risks', '');
+      result.risks.forEach((risk) => {
+        lines.push(`- **${riskLabel(risk)}** "${risk.text}"${risk.why ? `: ${risk.why}` : ''}`);
+      });
+    }
+    if (result.missing?.length > 0) {
+      lines.push('', '### Missing', '');
+      result.missing.forEach((item) => lines.push(`- ${item}`));
+    }
+    const rewrites = Object.entries(result.rewrites || {});
+    if (rewrites.length > 0) {
+      lines.push('', '### Rewrites');
+      rewrites.forEach(([id, text]) => {
+        lines.push('', `**${id}**`, '', quoteBlock(text));
+      });
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes history in one of EXPORT_FORMATS.
+ *
+ * @param {string} formatId - 'json', 'csv' or 'markdown'
+ * @param {Array} history - Scan history entries
+ * @param {Object} settings - Settings to include in JSON exports (optional)
+ * @returns {string} File contents
+ */
+export function exportHistory(formatId, history, settings = null) {
+  switch (formatId) {
+    case 'csv':
+      return historyToCSV(history);
+    case 'markdown':
+      return historyToMarkdown(history);
+    default:
+      return JSON.stringify(createExport(history, settings), null, 2);
+  }
+}
+
+function validateRisk(risk) {
+  if (!risk || typeof risk !== 'object' || typeof risk.text !== 'string' || !risk.text.trim()
+    || typeof risk.issue !== 'string') {
+    return null;
+  }
+  return {
+    text: risk.text,
+    issue: risk.issue,
+    ...(typeof risk.why === 'string' ? { why: risk.why } : {}),
+    ...(typeof risk.source === 'string' ? { source: risk.source } : {}),
+  };
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Validates one imported history entry and normalizes it to the shape
+ * useChat writes. Malformed risks, missing items and rewrites are dropped
+ * (and listed in `dropped`) rather than stored, since the panels and
+ * exports expect strings.
+ *
+ * @param {*} entry - Raw entry from the file
+ * @returns {{ entry: Object|null, error: string|null, dropped: string|null }}
+ */
+function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { entry: null, error: 'not an object' };
+  }
+  if (typeof entry.id !== 'string' || !entry.id.trim()) {
+    return { entry: null, error: 'missing id' };
+  }
+  if (typeof entry.originalMessage !== 'string' || !entry.originalMessage.trim()) {
+    return { entry: null, error: 'missing message' };
+  }
+  if (Number.isNaN(new Date(entry.timestamp).getTime())) {
+    return { entry: null, error: 'invalid timestamp' };
+  }
+
+  const result = entry.result;
+  if (!result || typeof result !== 'object' || !VERDICT_LABELS[result.verdict]) {
+    return { entry: null, error: 'missing or unknown verdict' };
+  }
+  if (!Array.isArray(result.risks) || !Array.isArray(result.missing)
+    || !result.rewrites || typeof result.rewrites !== 'object') {
+    return { entry: null, error: 'incomplete result' };
+  }
+
+  const risks = result.risks.map(validateRisk).filter(Boolean);
+  const missing = result.missing.filter((item) => typeof item === 'string' && item.trim());
+  const rewrites = Object.fromEntries(
+    Object.entries(result.rewrites).filter(([, text]) => typeof text === 'string')
+  );
+  const dropped = [
+    [result.risks.length - risks.length, 'risk'],
+    [result.missing.length - missing.length, 'missing item'],
+    [Object.keys(result.rewrites).length - Object.keys(rewrites).length, 'rewrite'],
+  ].filter(([count]) => count > 0).map(([count, noun]) => plural(count, `invalid ${noun}`));
+
+  return {
+    entry: {
+      id: entry.id,
+      timestamp: new Date(entry.timestamp).toISOString(),
+      originalMessage: entry.originalMessage,
+      context: normalizeMessageContext(entry.context),
+      thread: normalizeThread(entry.thread),
+      result: { ...result, risks, missing, rewrites },
+      provider: typeof entry.provider === 'string' ? entry.provider : result._meta?.provider || '',
+      model: typeof entry.model === 'string' ? entry.model : result._meta?.model || '',
+    },
+    error: null,
+    dropped: dropped.length > 0 ? `dropped ${dropped.join(', ')}` : null,
+  };
+}
+
+/**
+ * Keeps only known preferences whose type matches the default, so an
+ * edited or foreign file can't put odd values into storage.
+ */
+function validatePreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object') {
+    return null;
+  }
+
+  const valid = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_PREFERENCES)) {
+    const value = preferences[key];
+    if (value === undefined) continue;
+    if (Array.isArray(defaultValue) ? Array.isArray(value) : typeof value === typeof defaultValue) {
+      valid[key] = value;
+    }
+  }
+  if (Array.isArray(preferences.rewriteStyles)) {
+    valid.rewriteStyles = preferences.rewriteStyles;
+  }
+  if (Array.isArray(preferences.styleRules)) {
+    valid.styleRules = preferences.styleRules;
+  }
+
+  return Object.keys(valid).length > 0 ? valid : null;
+}
+
+function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return null;
+  }
+
+  const valid = {};
+  const preferences = validatePreferences(settings.preferences);
+  if (preferences) {
+    valid.preferences = preferences;
+  }
+  // Only the model is taken, and only for the provider it was chosen on.
+  // Switching provider or endpoint (base URL, API version) from a file
+  // could send the stored API key somewhere it was never meant to go.
+  if (PROVIDERS[settings.selectedProvider]
+    && typeof settings.selectedModel === 'string' && settings.selectedModel.trim()) {
+    valid.selectedProvider = settings.selectedProvider;
+    valid.selectedModel = settings.selectedModel;
+  }
+
+  return Object.keys(valid).length > 0 ? valid : null;
+}
+
+/**
+ * Parses and validates an export file. Accepts our export document or a
+ * bare array of history entries. Invalid entries, and invalid parts of
+ * otherwise valid ones, are skipped and reported rather than failing the
+ * whole import.
+ *
+ * @param {string} text - File contents
+ * @returns {{ history: Array, settings: Object|null, errors: string[] }}
+ * @throws {Error} If the file isn't JSON or has no history list
+ */
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const isExport = data && typeof data === 'object' && data.format === EXPORT_FORMAT;
+  if (isExport && data.version > EXPORT_VERSION) {
+    throw new Error('File was exported by a newer version of Message Clearance');
+  }
+
+  const list = Array.isArray(data) ? data : isExport ? data.history : null;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a Message Clearance export or an array of history entries');
+  }
+
+  const history = [];
+  const errors = [];
+  const seen = new Set();
+  list.forEach((raw, index) => {
+    const { entry, error, dropped } = validateEntry(raw);
+    if (error) {
+      errors.push(`Entry ${index + 1}: ${error}`);
+    } else if (!seen.has(entry.id)) {
+      seen.add(entry.id);
+      history.push(entry);
+      if (dropped) {
+        errors.push(`Entry ${index + 1}: ${dropped}`);
+      }
+    }
+  });
+
+  return {
+    history,
+    settings: isExport ? validateSettings(data.settings) : null,
+    errors,
+  };
+}
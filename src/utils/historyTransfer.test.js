@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from './batch';
+import {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  createExport,
+  historyToCSV,
+  historyToMarkdown,
+  exportHistory,
+  parseImport,
+} from './historyTransfer';
+
+function makeEntry(overrides = {}) {
+  return {
+    id: 'scan-1',
+    timestamp: '2026-03-02T10:00:00.000Z',
+    originalMessage: 'Per my last email, ship it asap.',
+    context: { recipient: 'manager', channel: 'email', outcome: '' },
+    thread: [],
+    result: {
+      verdict: 'needs_edit',
+      verdictReason: 'Sounds curt',
+      risks: [{ text: 'asap', issue: 'vague', why: 'No date' }],
+      missing: ['A deadline'],
+      rewrites: { polished: 'Could you ship it by Friday?' },
+    },
+    provider: 'openrouter',
+    model: 'anthropic/claude-3.5-sonnet',
+    ...overrides,
+  };
+}
+
+const importOf = (data) => parseImport(JSON.stringify(data));
+
+describe('exportHistory', () => {
+  it('writes a JSON document that imports back unchanged', () => {
+    const history = [makeEntry(), makeEntry({ id: 'scan-2', thread: [{ author: 'Sam', text: 'Any news?' }] })];
+    const settings = { preferences: { streamResults: false }, selectedProvider: 'openrouter', selectedModel: 'openai/gpt-4o' };
+
+    const text = exportHistory('json', history, settings);
+    expect(JSON.parse(text)).toMatchObject({ format: EXPORT_FORMAT, version: EXPORT_VERSION });
+    expect(parseImport(text)).toEqual({ history, settings, errors: [] });
+  });
+
+  it('leaves settings out when there are none', () => {
+    expect(createExport([makeEntry()])).not.toHaveProperty('settings');
+  });
+
+  it('writes CSV with risks, context and a column per rewrite style', () => {
+    const history = [makeEntry(), makeEntry({ id: 'scan-2', result: { ...makeEntry().result, rewrites: { direct: '=Ship it' } } })];
+    const [header, first, second] = parseCSV(historyToCSV(history));
+
+    expect(header).toEqual([
+      'id', 'timestamp', 'message', 'recipient', 'channel', 'outcome', 'provider', 'model',
+      'verdict', 'verdict_reason', 'risks', 'missing', 'rewrite_polished', 'rewrite_direct',
+    ]);
+    expect(first.slice(3, 5)).toEqual(['manager', 'email']);
+    expect(first[10]).toBe('"asap" (Vague: No date)');
+    expect(first.slice(12)).toEqual(['Could you ship it by Friday?', '']);
+    expect(second.slice(12)).toEqual(['', "'=Ship it"]);
+  });
+
+  it('writes a Markdown report, newest scan first', () => {
+    const markdown = historyToMarkdown([
+      makeEntry(),
+      makeEntry({ id: 'scan-2', originalMessage: 'Second\nmessage', result: { ...makeEntry().result, verdict: 'high_risk' } }),
+    ]);
+
+    expect(markdown).toContain('· 2 scans');
+    expect(markdown.indexOf('## Flagged')).toBeLessThan(markdown.indexOf('## Review'));
+    expect(markdown).toContain('> Second\n> message');
+    expect(markdown).toContain('**To:** Manager · Email');
+    expect(markdown).toContain('- **Vague** "asap": No date');
+    expect(markdown).toContain('### Missing\n\n- A deadline');
+  });
+});
+
+describe('parseImport', () => {
+  it('accepts a bare array of entries', () => {
+    const result = importOf([makeEntry()]);
+    expect(result.history).toHaveLength(1);
+    expect(result.settings).toBeNull();
+  });
+
+  it('rejects files that are not exports', () => {
+    expect(() => parseImport('not json')).toThrow('File is not valid JSON');
+    expect(() => importOf({ history: [] })).toThrow('Expected a Message Clearance export');
+    expect(() => importOf({ format: EXPORT_FORMAT, version: EXPORT_VERSION + 1, history: [] })).toThrow('newer version');
+  });
+
+  it('skips invalid entries and reports why', () => {
+    const { history, errors } = importOf([
+      makeEntry(),
+      'text',
+      makeEntry({ id: '' }),
+      makeEntry({ id: 'scan-3', timestamp: 'yesterday' }),
+      makeEntry({ id: 'scan-4', result: { ...makeEntry().result, verdict: 'great' } }),
+      makeEntry({ id: 'scan-5', result: { verdict: 'needs_edit' } }),
+      makeEntry(),
+    ]);
+
+    expect(history.map((entry) => entry.id)).toEqual(['scan-1']);
+    expect(errors).toEqual([
+      'Entry 2: not an object',
+      'Entry 3: missing id',
+      'Entry 4: invalid timestamp',
+      'Entry 5: missing or unknown verdict',
+      'Entry 6: incomplete result',
+    ]);
+  });
+
+  it('drops malformed risks, missing items and rewrites', () => {
+    const result = {
+      ...makeEntry().result,
+      risks: [{ text: 'asap', issue: 'vague' }, { text: 42, issue: 'vague' }, null],
+      missing: ['A deadline', { text: 'x' }],
+      rewrites: { polished: 'Fine', direct: ['not', 'text'] },
+    };
+    const { history, errors } = importOf([makeEntry({ result })]);
+
+    expect(history[0].result).toMatchObject({
+      risks: [{ text: 'asap', issue: 'vague' }],
+      missing: ['A deadline'],
+      rewrites: { polished: 'Fine' },
+    });
+    expect(errors).toEqual(['Entry 1: dropped 2 invalid risks, 1 invalid missing item, 1 invalid rewrite']);
+  });
+
+  it('normalizes context and thread', () => {
+    const [entry] = importOf([makeEntry({
+      context: { recipient: 'boss', channel: 'slack', outcome: 5 },
+      thread: [{ text: '  Hi  ' }, { author: 'Sam' }],
+      provider: undefined,
+      result: { ...makeEntry().result, _meta: { provider: 'anthropic', model: 'claude' } },
+    })]).history;
+
+    expect(entry.context).toEqual({ recipient: '', channel: 'slack', outcome: '' });
+    expect(entry.thread).toHaveLength(1);
+    expect(entry.provider).toBe('anthropic');
+  });
+
+  it('keeps only known preferences of the right type', () => {
+    const { settings } = importOf(createExport([], {
+      preferences: { streamResults: 'yes', monthlyBudget: 5, favoriteModels: ['a'], unknown: true },
+    }));
+    expect(settings).toEqual({ preferences: { monthlyBudget: 5, favoriteModels: ['a'] } });
+  });
+
+  it('never imports provider endpoints or keys', () => {
+    const { settings } = importOf(createExport([], {
+      selectedProvider: 'local',
+      selectedModel: 'llama3',
+      providerSettings: { local: { baseUrl: 'https://attacker.example' } },
+      apiKey: 'sk-test',
+    }));
+    expect(settings).toEqual({ selectedProvider: 'local', selectedModel: 'llama3' });
+  });
+
+  it('ignores a provider without a model, or one that does not exist', () => {
+    expect(importOf(createExport([], { selectedProvider: 'anthropic' })).settings).toBeNull();
+    expect(importOf(createExport([], { selectedProvider: 'evil', selectedModel: 'x' })).settings).toBeNull();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Passphrase encryption for the stored API key.
+ *
+ * The key is encrypted with AES-GCM under a key derived from the
+ * passphrase with PBKDF2 (SHA-256). Only the encrypted vault is written
+ * to localStorage; the passphrase is never stored, and the decrypted
+ * key and derived CryptoKey live in memory until the app locks.
+ */
+
+export const KEY_VAULT_VERSION = 1;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Auto-lock choices offered in settings, in minutes. 0 means never.
+ */
+export const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 0];
+
+export class KeyVaultError extends Error {
+  constructor(message, type, originalError = null) {
+    super(message);
+    this.name = 'KeyVaultError';
+    this.type = type;
+    this.originalError = originalError;
+  }
+}
+
+export const KEY_VAULT_ERROR_TYPES = {
+  UNSUPPORTED: 'UNSUPPORTED',
+  WEAK_PASSPHRASE: 'WEAK_PASSPHRASE',
+  WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+  CORRUPTED: 'CORRUPTED',
+};
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    // WebCrypto is only exposed on secure origins (https or localhost)
+    throw new KeyVaultError(
+      'Encryption needs a secure (https) connection in a modern browser',
+      KEY_VAULT_ERROR_TYPES.UNSUPPORTED
+    );
+  }
+  return subtle;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+}
+
+/**
+ * Checks that a stored value looks like a vault from encryptApiKey.
+ *
+ * @param {*} value - Value read from storage
+ * @returns {boolean}
+ */
+export function isKeyVault(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && value.version === KEY_VAULT_VERSION
+    && typeof value.salt === 'string'
+    && typeof value.iv === 'string'
+    && typeof value.ciphertext === 'string';
+}
+
+/**
+ * @param {string} passphrase - Proposed passphrase
+ * @returns {string|null} Error message, or null if acceptable
+ */
+export function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Derives the AES key for a passphrase and salt. The result can't be
+ * exported, so holding it in memory doesn't expose the passphrase.
+ *
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveVaultKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const subtle = getSubtle();
+  const material = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts the API key with an already derived key. Each call uses a
+ * fresh IV, so the same session key can re-encrypt a changed API key.
+ *
+ * @param {string} apiKey - Plaintext API key
+ * @param {CryptoKey} cryptoKey - Key from deriveVaultKey
+ * @param {Object} params - { salt, iterations } the key was derived with
+ * @returns {Promise<Object>} Vault to store
+ */
+export async function sealApiKey(apiKey, cryptoKey, { salt, iterations = PBKDF2_ITERATIONS }) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv },
+    cryptoKey,
+    new TextEncoder().encode(apiKey)
+  );
+
+  return {
+    version: KEY_VAULT_VERSION,
+    kdf: 'PBKDF2-SHA256',
+    iterations,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext),
+  };
+}
+
+/**
+ * Encrypts the API key under a new passphrase.
+ *
+ * @param {string} apiKey - Plaintext API key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{ vault: Object, session: Object }>} The vault to store and an
+ *   unlocked session ({ apiKey, cryptoKey, salt, iterations }) to keep in memory
+ * @throws {KeyVaultError} If the passphrase is too short or WebCrypto is unavailable
+ */
+export async function encryptApiKey(apiKey, passphrase) {
+  const passphraseError = validatePassphrase(passphrase);
+  if (passphraseError) {
+    throw new KeyVaultError(passphraseError, KEY_VAULT_ERROR_TYPES.WEAK_PASSPHRASE);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const cryptoKey = await deriveVaultKey(passphrase, salt);
+  const vault = await sealApiKey(apiKey, cryptoKey, { salt });
+
+  return {
+    vault,
+    session: { apiKey, cryptoKey, salt, iterations: PBKDF2_ITERATIONS },
+  };
+}
+
+/**
+ * Decrypts a vault.
+ *
+ * @param {Object} vault - Stored vault
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} Unlocked session ({ apiKey, cryptoKey, salt, iterations })
+ * @throws {KeyVaultError} On a wrong passphrase, a damaged vault or missing WebCrypto
+ */
+export async function decryptApiKey(vault, passphrase) {
+  if (!isKeyVault(vault)) {
+    throw new KeyVaultError('Stored key is damaged; clear it and enter it again', KEY_VAULT_ERROR_TYPES.CORRUPTED);
+  }
+
+  // Bad base64 means damaged storage, not a wrong passphrase
+  let salt, iv, ciphertext;
+  try {
+    salt = fromBase64(vault.salt);
+    iv = fromBase64(vault.iv);
+    ciphertext = fromBase64(vault.ciphertext);
+    if (salt.length === 0 || iv.length === 0 || ciphertext.length === 0) {
+      throw new Error('Empty vault field');
+    }
+  } catch (error) {
+    throw new KeyVaultError('Stored key is damaged; clear it and enter it again', KEY_VAULT_ERROR_TYPES.CORRUPTED, error);
+  }
+
+  const iterations = vault.iterations || PBKDF2_ITERATIONS;
+  const cryptoKey = await deriveVaultKey(passphrase || '', salt, iterations);
+
+  try {
+    const plaintext = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv },
+      cryptoKey,
+      ciphertext
+    );
+    return {
+      apiKey: new TextDecoder().decode(plaintext),
+      cryptoKey,
+      salt,
+      iterations,
+    };
+  } catch (error) {
+    // AES-GCM can't tell a wrong key from tampered data
+    throw new KeyVaultError('Wrong passphrase', KEY_VAULT_ERROR_TYPES.WRONG_PASSPHRASE, error);
+  }
+}
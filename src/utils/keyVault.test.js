@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  KEY_VAULT_ERROR_TYPES,
+  isKeyVault,
+  validatePassphrase,
+  deriveVaultKey,
+  sealApiKey,
+  encryptApiKey,
+  decryptApiKey,
+} from './keyVault';
+
+const API_KEY = 'sk-or-v1-0123456789abcdef';
+const PASSPHRASE = 'correct horse battery';
+
+// Full-strength PBKDF2 is slow on purpose, so derive once and share
+const SLOW = 30000;
+
+async function rejectionType(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.type;
+  }
+  return null;
+}
+
+describe('validatePassphrase', () => {
+  it('requires a minimum length', () => {
+    expect(validatePassphrase('short')).toMatch(/at least 8/);
+    expect(validatePassphrase('')).toMatch(/at least 8/);
+    expect(validatePassphrase('long enough')).toBeNull();
+  });
+});
+
+describe('encryptApiKey and decryptApiKey', () => {
+  let encrypted;
+
+  beforeAll(async () => {
+    encrypted = await encryptApiKey(API_KEY, PASSPHRASE);
+  }, SLOW);
+
+  it('writes a vault that holds no plaintext', () => {
+    expect(isKeyVault(encrypted.vault)).toBe(true);
+    expect(JSON.stringify(encrypted.vault)).not.toContain(API_KEY);
+    expect(encrypted.session.apiKey).toBe(API_KEY);
+  });
+
+  it('round-trips with the right passphrase', async () => {
+    const session = await decryptApiKey(encrypted.vault, PASSPHRASE);
+    expect(session.apiKey).toBe(API_KEY);
+  }, SLOW);
+
+  it('reports a wrong passphrase', async () => {
+    expect(await rejectionType(decryptApiKey(encrypted.vault, 'wrong passphrase'))).toBe(KEY_VAULT_ERROR_TYPES.WRONG_PASSPHRASE);
+  }, SLOW);
+
+  it('refuses a weak passphrase', async () => {
+    expect(await rejectionType(encryptApiKey(API_KEY, 'short'))).toBe(KEY_VAULT_ERROR_TYPES.WEAK_PASSPHRASE);
+  });
+
+  it('reports damaged storage without deriving a key', async () => {
+    const { vault } = encrypted;
+    expect(await rejectionType(decryptApiKey(null, PASSPHRASE))).toBe(KEY_VAULT_ERROR_TYPES.CORRUPTED);
+    expect(await rejectionType(decryptApiKey({ ...vault, version: 2 }, PASSPHRASE))).toBe(KEY_VAULT_ERROR_TYPES.CORRUPTED);
+    expect(await rejectionType(decryptApiKey({ ...vault, iv: '%%%' }, PASSPHRASE))).toBe(KEY_VAULT_ERROR_TYPES.CORRUPTED);
+    expect(await rejectionType(decryptApiKey({ ...vault, ciphertext: '' }, PASSPHRASE))).toBe(KEY_VAULT_ERROR_TYPES.CORRUPTED);
+  });
+});
+
+describe('sealApiKey', () => {
+  it('re-encrypts a changed key with the session key and a fresh IV', async () => {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await deriveVaultKey(PASSPHRASE, salt, 1000);
+
+    const first = await sealApiKey(API_KEY, cryptoKey, { salt, iterations: 1000 });
+    const second = await sealApiKey('sk-or-v1-changed', cryptoKey, { salt, iterations: 1000 });
+
+    expect(second.salt).toBe(first.salt);
+    expect(second.iv).not.toBe(first.iv);
+    expect((await decryptApiKey(second, PASSPHRASE)).apiKey).toBe('sk-or-v1-changed');
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Message language: detection, the languages we have guidance for, and
+ * the prompt lines that keep analysis and rewrites in the right language.
+ *
+ * Language settings are { output, translateTo }:
+ * - output: language for explanations (verdict reason, risks, missing
+ *   info), or AUTO_LANGUAGE for the message's own language
+ * - translateTo: language to translate the rewrites into, or '' to keep
+ *   them in the message's language
+ *
+ * Detection here is a local first guess from scripts and common words;
+ * the model reports the language it sees and that wins when valid.
+ */
+
+export const AUTO_LANGUAGE = 'auto';
+
+export const DEFAULT_LANGUAGE_SETTINGS = { output: AUTO_LANGUAGE, translateTo: '' };
+
+/**
+ * Languages with idiom guidance, in menu order. `idioms` are
+ * passive-aggressive stock phrases; `register` notes cover politeness
+ * conventions the model should judge the message against, and
+ * `rewriting` is how rewrites translated into the language should read.
+ */
+export const LANGUAGES = [
+  {
+    code: 'en',
+    name: 'English',
+    nativeName: 'English',
+    idioms: ['per my last email', 'as I mentioned', 'going forward'],
+    register: [],
+    rewriting: 'Use a natural, professional register; avoid idioms that don\'t travel',
+  },
+  {
+    code: 'de',
+    name: 'German',
+    nativeName: 'Deutsch',
+    idioms: ['wie bereits erwähnt', 'wie in meiner letzten E-Mail geschrieben', 'ich darf Sie daran erinnern', 'nur zur Info', 'ich bitte um zeitnahe Rückmeldung'],
+    register: [
+      'Check that "Sie" and "du" are used consistently; "du" with a business partner who has not offered it reads as overfamiliar',
+      'Plain, direct requests are normal in German business writing; don\'t flag them as rude just for lacking softeners',
+    ],
+    rewriting: 'Use "Sie" unless the recipient is clearly on "du" terms; keep it direct and well structured',
+  },
+  {
+    code: 'es',
+    name: 'Spanish',
+    nativeName: 'Español',
+    idioms: ['como ya te dije', 'como te comenté', 'según mi último correo', 'te lo recuerdo de nuevo', 'a ver si esta vez'],
+    register: [
+      'Check that "tú" and "usted" suit the recipient and are used consistently',
+      'A bare request without a greeting or "por favor" can read as cold; warmth is expected even in business email',
+    ],
+    rewriting: 'Use "usted" with partners and customers, open with a greeting and keep a warm tone',
+  },
+  {
+    code: 'fr',
+    name: 'French',
+    nativeName: 'Français',
+    idioms: ['comme indiqué précédemment', 'comme je vous l\'ai déjà dit', 'je me permets de vous relancer', 'sauf erreur de ma part', 'je reste dans l\'attente de votre retour'],
+    register: [
+      'Check that "tu" and "vous" suit the recipient and are used consistently',
+      'Business email expects a greeting and a closing formula such as "Cordialement"; leaving them out reads as abrupt',
+    ],
+    rewriting: 'Use "vous", with a greeting and a closing formula suited to the channel',
+  },
+  {
+    code: 'ja',
+    name: 'Japanese',
+    nativeName: '日本語',
+    idioms: ['先日もお伝えしましたが', '前回も申し上げた通り', '念のため再度お送りします', 'ご存知かと思いますが', '至急ご対応ください'],
+    register: [
+      'Judge whether the keigo level (teineigo, sonkeigo, kenjōgo) suits the recipient; plain form to a partner reads as rude',
+      'Requests normally carry cushion phrases such as 恐れ入りますが or お手数ですが; a bare command reads as harsh',
+      'Indirect answers such as 検討します are often read as a polite "no"; flag them if the sender means yes',
+    ],
+    rewriting: 'Use keigo suited to the recipient, cushion phrases for requests, and standard openers and closers such as お世話になっております and よろしくお願いいたします',
+  },
+];
+
+// A handful of very common words per language, enough to tell them apart
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'for', 'with', 'this', 'that', 'please', 'can', 'have', 'will', 'not', 'it', 'be', 'on', 'your'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'wir', 'mit', 'für', 'bitte', 'ein', 'eine', 'zu', 'den', 'auf', 'haben', 'wie', 'noch'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'de', 'por', 'para', 'con', 'no', 'una', 'un', 'te', 'su', 'del', 'como', 'pero', 'muy'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'que', 'de', 'pour', 'avec', 'vous', 'nous', 'une', 'un', 'pas', 'des', 'du', 'je', 'merci', 'votre', 'sur'],
+};
+
+const LETTER_HINTS = {
+  de: /[äöüß]/g,
+  es: /[ñ¿¡]/g,
+  fr: /[çœàèêë]/g,
+};
+
+const KANA = /[\u3040-\u30ff]/g;
+const CJK = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]/g;
+
+/**
+ * Guesses the language of a message.
+ *
+ * @param {string} text - Message text
+ * @returns {string|null} Language code, or null if unsure (short or unknown text)
+ */
+export function detectLanguage(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  // Kana only appears in Japanese; kanji alone could be Chinese
+  const cjk = (text.match(CJK) || []).length;
+  if (cjk > 0 && (text.match(KANA) || []).length > 0 && cjk >= text.replace(/\s/g, '').length * 0.2) {
+    return 'ja';
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 3) return null;
+
+  const scores = Object.entries(STOPWORDS).map(([code, list]) => {
+    const hits = words.filter((word) => list.includes(word)).length;
+    const letters = LETTER_HINTS[code] ? (text.toLowerCase().match(LETTER_HINTS[code]) || []).length : 0;
+    return { code, score: hits + letters * 0.5 };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score < 2 || best.score < runnerUp.score * 1.3) return null;
+  return best.code;
+}
+
+/**
+ * Checks a language code reported by the model.
+ *
+ * @param {*} code - Value from the model
+ * @returns {string|null} Lowercase two-letter code, or null if not one
+ */
+export function normalizeLanguageCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toLowerCase().slice(0, 2);
+  return /^[a-z]{2}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Drops unknown values from stored language settings.
+ *
+ * @param {Object} settings - Raw settings from preferences
+ * @returns {Object} { output, translateTo }
+ */
+export function normalizeLanguageSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return DEFAULT_LANGUAGE_SETTINGS;
+  }
+  const known = (code) => LANGUAGES.some((language) => language.code === code);
+  return {
+    output: known(settings.output) ? settings.output : AUTO_LANGUAGE,
+    translateTo: known(settings.translateTo) ? settings.translateTo : '',
+  };
+}
+
+/**
+ * @param {string} code - Language code
+ * @returns {string} English name, e.g. "German", or the code if unknown
+ */
+export function getLanguageName(code) {
+  if (!code) return '';
+  const known = LANGUAGES.find((language) => language.code === code);
+  if (known) return known.name;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Short label for a result's language, e.g. "German" or "German → English"
+ * when the rewrites were translated.
+ *
+ * @param {Object|null} language - _meta.language ({ detected, translateTo })
+ * @returns {string} Label, or '' if the language is unknown
+ */
+export function describeLanguage(language) {
+  if (!language?.detected) return '';
+  const source = getLanguageName(language.detected);
+  return language.translateTo && language.translateTo !== language.detected
+    ? `${source} → ${getLanguageName(language.translateTo)}`
+    : source;
+}
+
+/**
+ * Language to write explanations in.
+ *
+ * @param {Object} settings - Language settings
+ * @param {string|null} detected - Detected message language
+ * @returns {string|null} Language code, or null to follow the message
+ */
+export function resolveOutputLanguage(settings, detected) {
+  const { output } = normalizeLanguageSettings(settings);
+  return output === AUTO_LANGUAGE ? detected : output;
+}
+
+/**
+ * Passive-aggressive examples for the analysis guidelines, in the
+ * message's language when we have them (English otherwise).
+ *
+ * @param {string|null} code - Message language
+ * @returns {string} Quoted, comma-separated phrases
+ */
+export function formatIdiomExamples(code) {
+  const language = LANGUAGES.find((item) => item.code === code) || LANGUAGES[0];
+  return language.idioms.map((idiom) => JSON.stringify(idiom)).join(', ');
+}
+
+/**
+ * Formats the language instructions for the analysis prompt.
+ *
+ * @param {Object} options - Language options
+ * @param {string|null} options.detected - Local guess at the message language
+ * @param {Object} options.settings - Language settings ({ output, translateTo })
+ * @returns {string} Prompt lines ("- " each)
+ */
+export function formatLanguageForPrompt({ detected, settings } = {}) {
+  const { output, translateTo } = normalizeLanguageSettings(settings);
+  const known = LANGUAGES.find((language) => language.code === detected);
+  const lines = [
+    detected
+      ? `- The message appears to be in ${getLanguageName(detected)}; report the language you see as an ISO 639-1 code in "language"`
+      : '- Work out the language of the message and report it as an ISO 639-1 code in "language"',
+    '- Quote "risks[].text" exactly as written in the message, in its original language',
+    output === AUTO_LANGUAGE
+      ? '- Write "verdictReason", every "why", "missing" and any thread notes in the language of the message'
+      : `- Write "verdictReason", every "why", "missing" and any thread notes in ${getLanguageName(output)}`,
+    translateTo
+      ? `- Translate and rewrite: write every rewrite and "suggestedOpener" in ${getLanguageName(translateTo)}, adapting idioms and politeness conventions rather than translating word for word`
+      : '- Write every rewrite and "suggestedOpener" in the language of the message',
+  ];
+
+  for (const note of known?.register || []) {
+    lines.push(`- ${note}`);
+  }
+
+  const target = LANGUAGES.find((language) => language.code === translateTo);
+  if (target) {
+    lines.push(`- In the ${target.name} rewrites: ${target.rewriting}`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,88 @@
+/**
+ * Optional context about who a message is for and where it will be sent.
+ *
+ * A context is { recipient, channel, outcome }. Every field is optional;
+ * an empty string means "not specified".
+ */
+
+export const RECIPIENT_OPTIONS = [
+  { id: 'manager', label: 'Manager', prompt: 'their manager or someone senior to them' },
+  { id: 'peer', label: 'Peer', prompt: 'a peer or teammate' },
+  { id: 'report', label: 'Direct report', prompt: 'someone who reports to them' },
+  { id: 'customer', label: 'Customer', prompt: 'a customer or client' },
+];
+
+export const CHANNEL_OPTIONS = [
+  { id: 'email', label: 'Email', prompt: 'email, where a clear subject and complete sentences are expected' },
+  { id: 'slack', label: 'Slack', prompt: 'Slack or a similar chat tool, where short and conversational is normal' },
+  { id: 'sms', label: 'SMS', prompt: 'a text message, where brevity matters most' },
+  { id: 'pr_comment', label: 'PR comment', prompt: 'a code review comment, where feedback should be specific and about the code, not the person' },
+];
+
+export const MAX_OUTCOME_LENGTH = 200;
+
+export const EMPTY_MESSAGE_CONTEXT = { recipient: '', channel: '', outcome: '' };
+
+/**
+ * Drops unknown option ids and trims the outcome.
+ *
+ * @param {Object} context - Raw context from the input form or history
+ * @returns {Object} Context with only known values
+ */
+export function normalizeMessageContext(context) {
+  if (!context || typeof context !== 'object') {
+    return EMPTY_MESSAGE_CONTEXT;
+  }
+
+  return {
+    recipient: RECIPIENT_OPTIONS.some((option) => option.id === context.recipient) ? context.recipient : '',
+    channel: CHANNEL_OPTIONS.some((option) => option.id === context.channel) ? context.channel : '',
+    outcome: typeof context.outcome === 'string' ? context.outcome.trim().slice(0, MAX_OUTCOME_LENGTH) : '',
+  };
+}
+
+/**
+ * @param {Object} context - Message context
+ * @returns {boolean} True if any field is set
+ */
+export function hasMessageContext(context) {
+  const { recipient, channel, outcome } = normalizeMessageContext(context);
+  return Boolean(recipient || channel || outcome);
+}
+
+/**
+ * Short human-readable summary, e.g. "Manager · Email".
+ *
+ * @param {Object} context - Message context
+ * @returns {string} Summary or an empty string
+ */
+export function describeMessageContext(context) {
+  const { recipient, channel } = normalizeMessageContext(context);
+  return [
+    RECIPIENT_OPTIONS.find((option) => option.id === recipient)?.label,
+    CHANNEL_OPTIONS.find((option) => option.id === channel)?.label,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Formats the context as prompt lines for the model.
+ *
+ * @param {Object} context - Message context
+ * @returns {string} One "- " line per field that is set
+ */
+export function formatContextForPrompt(context) {
+  const { recipient, channel, outcome } = normalizeMessageContext(context);
+  const lines = [];
+
+  if (recipient) {
+    lines.push(`- Recipient: the sender is writing to ${RECIPIENT_OPTIONS.find((option) => option.id === recipient).prompt}`);
+  }
+  if (channel) {
+    lines.push(`- Channel: ${CHANNEL_OPTIONS.find((option) => option.id === channel).prompt}`);
+  }
+  if (outcome) {
+    lines.push(`- Desired outcome: ${JSON.stringify(outcome)}`);
+  }
+
+  return lines.join('\n');
+}
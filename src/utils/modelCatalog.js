@@ -0,0 +1,383 @@
+/**
+ * Model catalog: the built-in model list plus whatever each provider's
+ * /models listing returns, cached in localStorage.
+ *
+ * The built-in list is the single source of truth for recommended models,
+ * their labels and list prices. A fetched listing adds every other model
+ * the provider offers (with context length and pricing where the provider
+ * publishes them); without network access the built-in list still works.
+ *
+ * A catalog model is { id, name, description, tier, contextLength, pricing }
+ * where pricing is { input, output } in USD per million tokens or null.
+ */
+
+import { PROVIDER_IDS, getProvider, validateKeyFormat } from './providers';
+import { getItem, setItem, isStorageAvailable, STORAGE_KEYS } from './storage';
+
+/**
+ * Built-in models, keyed by provider. Ordered by recommendation (best
+ * balance first). Prices are list prices and only used for estimates.
+ *
+ * Azure deployments and local models are named by the user, so those
+ * lists only hold suggestions. Local models are free to run.
+ */
+export const AVAILABLE_MODELS = {
+  [PROVIDER_IDS.OPENROUTER]: {
+    'anthropic/claude-3.5-sonnet': {
+      name: 'Claude 3.5 Sonnet',
+      description: 'Best balance of quality and speed',
+      tier: 'recommended',
+      contextLength: 200000,
+      pricing: { input: 3, output: 15 },
+    },
+    'anthropic/claude-3-haiku': {
+      name: 'Claude 3 Haiku',
+      description: 'Fast and affordable',
+      tier: 'fast',
+      contextLength: 200000,
+      pricing: { input: 0.25, output: 1.25 },
+    },
+    'openai/gpt-4o': {
+      name: 'GPT-4o',
+      description: 'OpenAI flagship model',
+      tier: 'premium',
+      contextLength: 128000,
+      pricing: { input: 2.5, output: 10 },
+    },
+    'openai/gpt-4o-mini': {
+      name: 'GPT-4o Mini',
+      description: 'Fast OpenAI model',
+      tier: 'fast',
+      contextLength: 128000,
+      pricing: { input: 0.15, output: 0.6 },
+    },
+  },
+  [PROVIDER_IDS.ANTHROPIC]: {
+    'claude-3-5-sonnet-latest': {
+      name: 'Claude 3.5 Sonnet',
+      description: 'Best balance of quality and speed',
+      tier: 'recommended',
+      contextLength: 200000,
+      pricing: { input: 3, output: 15 },
+    },
+    'claude-3-5-haiku-latest': {
+      name: 'Claude 3.5 Haiku',
+      description: 'Fast and affordable',
+      tier: 'fast',
+      contextLength: 200000,
+      pricing: { input: 0.8, output: 4 },
+    },
+  },
+  [PROVIDER_IDS.OPENAI]: {
+    'gpt-4o': {
+      name: 'GPT-4o',
+      description: 'OpenAI flagship model',
+      tier: 'premium',
+      contextLength: 128000,
+      pricing: { input: 2.5, output: 10 },
+    },
+    'gpt-4o-mini': {
+      name: 'GPT-4o Mini',
+      description: 'Fast OpenAI model',
+      tier: 'fast',
+      contextLength: 128000,
+      pricing: { input: 0.15, output: 0.6 },
+    },
+  },
+  [PROVIDER_IDS.AZURE]: {
+    'gpt-4o': {
+      name: 'gpt-4o',
+      description: 'Default deployment name for GPT-4o',
+      tier: 'premium',
+      contextLength: 128000,
+      pricing: { input: 2.5, output: 10 },
+    },
+    'gpt-4o-mini': {
+      name: 'gpt-4o-mini',
+      description: 'Default deployment name for GPT-4o Mini',
+      tier: 'fast',
+      contextLength: 128000,
+      pricing: { input: 0.15, output: 0.6 },
+    },
+  },
+  [PROVIDER_IDS.LOCAL]: {
+    'llama3.1': {
+      name: 'Llama 3.1',
+      description: 'Ollama default tag',
+      tier: 'local',
+      contextLength: 128000,
+      pricing: { input: 0, output: 0 },
+    },
+    'qwen2.5': {
+      name: 'Qwen 2.5',
+      description: 'Strong JSON output for its size',
+      tier: 'local',
+      contextLength: 32768,
+      pricing: { input: 0, output: 0 },
+    },
+    'mistral': {
+      name: 'Mistral 7B',
+      description: 'Small and fast',
+      tier: 'local',
+      contextLength: 32768,
+      pricing: { input: 0, output: 0 },
+    },
+  },
+};
+
+// Listings change rarely; refetch once a day
+export const CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+
+const FETCH_TIMEOUT_MS = 15000;
+
+// Parsed once per page load; saveCatalog keeps it in step with storage
+let catalogCache = null;
+
+function readCatalogs() {
+  if (!catalogCache) {
+    // Service workers and the CLI have no localStorage; they use the built-in lists
+    const stored = isStorageAvailable() ? getItem(STORAGE_KEYS.MODEL_CATALOG) : null;
+    catalogCache = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  }
+  return catalogCache;
+}
+
+/**
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @returns {{ fetchedAt: number, models: Array }|null} Cached listing, or null if never fetched
+ */
+export function getCachedCatalog(providerId) {
+  const entry = readCatalogs()[providerId];
+  return entry && Array.isArray(entry.models) ? entry : null;
+}
+
+/**
+ * Stores a fetched listing for a provider.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {Array} models - Listing from fetchModelCatalog
+ * @returns {Object} The stored entry
+ */
+export function saveCatalog(providerId, models) {
+  const entry = { fetchedAt: Date.now(), models };
+  catalogCache = { ...readCatalogs(), [providerId]: entry };
+  setItem(STORAGE_KEYS.MODEL_CATALOG, catalogCache);
+  return entry;
+}
+
+/**
+ * @param {Object|null} entry - Cached listing
+ * @param {number} now - Reference time (default: now)
+ * @returns {boolean} True if missing or older than CATALOG_TTL_MS
+ */
+export function isCatalogStale(entry, now = Date.now()) {
+  return !entry || now - entry.fetchedAt > CATALOG_TTL_MS;
+}
+
+/**
+ * Builds a provider's model listing request, or returns null if it has
+ * none. A key that doesn't fit the provider (one typed for another) is
+ * never sent to it.
+ */
+function buildListRequest(provider, { apiKey, providerSettings = {} }) {
+  const key = (apiKey || '').trim();
+  if (key && validateKeyFormat(provider.id, key)) {
+    return null;
+  }
+  return provider.listModels?.({
+    apiKey: key,
+    baseUrl: providerSettings.baseUrl,
+    apiVersion: providerSettings.apiVersion,
+  }) || null;
+}
+
+/**
+ * Checks whether a provider's models can be listed with these settings.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {Object} options - { apiKey, providerSettings }
+ * @returns {boolean}
+ */
+export function canListModels(providerId, { apiKey, providerSettings = {} } = {}) {
+  return Boolean(buildListRequest(getProvider(providerId), { apiKey, providerSettings }));
+}
+
+/**
+ * Fetches a provider's model listing.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {Object} options - Fetch options
+ * @param {string} options.apiKey - API key (not needed for OpenRouter)
+ * @param {Object} options.providerSettings - { baseUrl, apiVersion }
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Array>} Models as [{ id, name, contextLength, pricing }]
+ * @throws {Error} If the provider can't be listed or the request fails
+ */
+export async function fetchModelCatalog(providerId, { apiKey, providerSettings = {}, signal } = {}) {
+  const provider = getProvider(providerId);
+  const request = buildListRequest(provider, { apiKey, providerSettings });
+  if (!request) {
+    throw new Error(`${provider.name} models can't be listed`);
+  }
+
+  const timeoutController = new AbortController();
+  const timeoutId = setTimeout(() => timeoutController.abort(), FETCH_TIMEOUT_MS);
+  const abort = () => timeoutController.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+
+  try {
+    const response = await fetch(request.url, {
+      headers: request.headers,
+      signal: timeoutController.signal,
+    });
+    if (!response.ok) {
+      throw new Error(response.status === 401 || response.status === 403
+        ? `${provider.name} rejected the API key`
+        : `${provider.name} returned ${response.status}`);
+    }
+
+    const models = provider.parseModels(await response.json());
+    if (models.length === 0) {
+      throw new Error(`${provider.name} listed no models`);
+    }
+    return models;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+function builtInModels(providerId) {
+  return Object.entries(AVAILABLE_MODELS[providerId] || {}).map(([id, info]) => ({
+    id,
+    ...info,
+  }));
+}
+
+/**
+ * Models for a provider: the built-in list first (filled in with fetched
+ * details), then everything else from the cached listing by name.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {Object|null} entry - Cached listing (default: the stored one)
+ * @returns {Array} Catalog models
+ */
+export function getCatalogModels(providerId, entry = getCachedCatalog(providerId)) {
+  const fetched = new Map((entry?.models || []).map((model) => [model.id, model]));
+
+  const builtIn = builtInModels(providerId).map((model) => {
+    const live = fetched.get(model.id);
+    fetched.delete(model.id);
+    return live
+      ? {
+        ...model,
+        contextLength: live.contextLength ?? model.contextLength,
+        pricing: live.pricing ?? model.pricing,
+      }
+      : model;
+  });
+
+  const rest = [...fetched.values()]
+    .map((model) => ({ description: '', tier: '', ...model }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return [...builtIn, ...rest];
+}
+
+/**
+ * Finds a model in the catalog. Searches the given provider first, then
+ * every provider's built-in list (history entries written before
+ * providers existed carry only the model id).
+ *
+ * @param {string} modelId - Model id
+ * @param {string} [providerId] - Provider the model belongs to
+ * @returns {Object|null} Catalog model, or null if unknown
+ */
+export function findCatalogModel(modelId, providerId) {
+  if (providerId) {
+    const builtIn = AVAILABLE_MODELS[providerId]?.[modelId];
+    const live = getCachedCatalog(providerId)?.models.find((model) => model.id === modelId);
+    if (builtIn || live) {
+      return {
+        id: modelId,
+        ...live,
+        ...builtIn,
+        contextLength: live?.contextLength ?? builtIn?.contextLength ?? null,
+        pricing: live?.pricing ?? builtIn?.pricing ?? null,
+      };
+    }
+  }
+
+  for (const models of Object.values(AVAILABLE_MODELS)) {
+    if (models[modelId]) {
+      return { id: modelId, ...models[modelId] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Filters models by a search query; every word must appear in the id
+ * or the name.
+ *
+ * @param {Array} models - Catalog models
+ * @param {string} query - Search text
+ * @returns {Array}
+ */
+export function searchModels(models, query) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return models;
+  }
+  return models.filter((model) => {
+    const haystack = `${model.id} ${model.name}`.toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+}
+
+/**
+ * Key for a model in the favoriteModels preference.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {string} modelId - Model id
+ * @returns {string}
+ */
+export function favoriteKey(providerId, modelId) {
+  return `${providerId}|${modelId}`;
+}
+
+/**
+ * Favorite model ids for a provider, in the order they were added.
+ *
+ * @param {Array} favorites - favoriteModels preference
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @returns {string[]}
+ */
+export function getFavoriteModels(favorites, providerId) {
+  const prefix = `${providerId}|`;
+  return (Array.isArray(favorites) ? favorites : [])
+    .filter((key) => typeof key === 'string' && key.startsWith(prefix))
+    .map((key) => key.slice(prefix.length));
+}
+
+/**
+ * @param {number|null} contextLength - Context window in tokens
+ * @returns {string} e.g. "128K context", or '' if unknown
+ */
+export function formatContextLength(contextLength) {
+  if (!contextLength) return '';
+  return contextLength >= 1000
+    ? `${Math.round(contextLength / 1000)}K context`
+    : `${contextLength} context`;
+}
+
+/**
+ * @param {Object|null} pricing - { input, output } in USD per million tokens
+ * @returns {string} e.g. "$3 / $15 per M tokens", "Free", or '' if unknown
+ */
+export function formatPricing(pricing) {
+  if (!pricing) return '';
+  if (pricing.input === 0 && pricing.output === 0) return 'Free';
+  const format = (value) => `$${Number(value.toFixed(3))}`;
+  return `${format(pricing.input)} / ${format(pricing.output)} per M tokens`;
+}
@@ -0,0 +1,121 @@
+/**
+ * Best-effort parser for incomplete JSON, used while a model response
+ * is still streaming in.
+ *
+ * The parser walks the text once, remembers the last point where the
+ * document was structurally valid, and closes any open strings, arrays
+ * and objects from there. Half-written keys and literals are dropped;
+ * half-written string values are kept so rewrites can render as they type.
+ */
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+function closeStack(stack) {
+  return stack.slice().reverse().map((open) => CLOSERS[open]).join('');
+}
+
+/**
+ * Parses a JSON object prefix into the most complete value available.
+ *
+ * @param {string} text - Possibly incomplete JSON text (leading prose is skipped)
+ * @returns {Object|null} Parsed partial object, or null if nothing usable yet
+ */
+export function parsePartialJSON(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringIsKey = false;
+  let expectKey = false;
+
+  // Last offset at which the document could be closed and parsed
+  let safeEnd = -1;
+  let safeStack = [];
+
+  const markSafe = (end) => {
+    safeEnd = end;
+    safeStack = stack.slice();
+  };
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        inString = false;
+        if (!stringIsKey) {
+          markSafe(i + 1);
+        }
+      }
+      continue;
+    }
+
+    switch (ch) {
+      case '"':
+        inString = true;
+        stringIsKey = stack[stack.length - 1] === '{' && expectKey;
+        break;
+      case '{':
+      case '[':
+        stack.push(ch);
+        expectKey = ch === '{';
+        markSafe(i + 1);
+        break;
+      case '}':
+      case ']':
+        stack.pop();
+        markSafe(i + 1);
+        if (stack.length === 0) {
+          // Document finished - anything after it is ignored
+          try {
+            return JSON.parse(text.slice(start, i + 1));
+          } catch {
+            return null;
+          }
+        }
+        break;
+      case ':':
+        expectKey = false;
+        break;
+      case ',':
+        // Whatever preceded the comma was a complete value
+        markSafe(i);
+        expectKey = stack[stack.length - 1] === '{';
+        break;
+      default:
+        break;
+    }
+  }
+
+  let candidate;
+  if (inString && !stringIsKey) {
+    // Keep the partial string value, minus any dangling escape sequence
+    let body = text.slice(start, escaped ? -1 : undefined);
+    body = body.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    candidate = body + '"' + closeStack(stack);
+  } else if (safeEnd !== -1) {
+    candidate = text.slice(start, safeEnd) + closeStack(safeStack);
+  } else {
+    return null;
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    return null;
+  }
+}
+
+export default parsePartialJSON;
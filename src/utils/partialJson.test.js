@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { parsePartialJSON } from './partialJson';
+
+describe('parsePartialJSON', () => {
+  it('parses a complete document and ignores text around it', () => {
+    expect(parsePartialJSON('Sure! {"verdict":"needs_edit"} Hope that helps')).toEqual({ verdict: 'needs_edit' });
+  });
+
+  it('returns null until an object starts', () => {
+    expect(parsePartialJSON('')).toBeNull();
+    expect(parsePartialJSON('Thinking')).toBeNull();
+    expect(parsePartialJSON(null)).toBeNull();
+  });
+
+  it('keeps a string value that is still being written', () => {
+    expect(parsePartialJSON('{"verdict":"high_risk","rewrites":{"short":"Could you se')).toEqual({
+      verdict: 'high_risk',
+      rewrites: { short: 'Could you se' },
+    });
+  });
+
+  it('drops a half-written key', () => {
+    expect(parsePartialJSON('{"verdict":"good_to_send","verdictRea')).toEqual({ verdict: 'good_to_send' });
+  });
+
+  it('drops a half-written literal', () => {
+    expect(parsePartialJSON('{"a":"x","b":tr')).toEqual({ a: 'x' });
+  });
+
+  it('closes open arrays and objects', () => {
+    expect(parsePartialJSON('{"risks":[{"text":"asap","issue":"vague"},{"text":"whe')).toEqual({
+      risks: [{ text: 'asap', issue: 'vague' }, { text: 'whe' }],
+    });
+  });
+
+  it('drops a dangling escape sequence', () => {
+    expect(parsePartialJSON('{"a":"line\\')).toEqual({ a: 'line' });
+    expect(parsePartialJSON('{"a":"caf\\u00')).toEqual({ a: 'caf' });
+  });
+
+  it('does not treat braces inside strings as structure', () => {
+    expect(parsePartialJSON('{"a":"{not [an object"}')).toEqual({ a: '{not [an object' });
+  });
+});
@@ -0,0 +1,525 @@
+/**
+ * LLM provider adapters for MessageClearance.
+ *
+ * Each adapter knows how to build a chat completion request for one API
+ * and how to pull the assistant's text back out of its response, so
+ * ai.js can stay provider-agnostic.
+ *
+ * SECURITY NOTES:
+ * - Keys are sent straight from the browser to the selected provider
+ * - Local endpoints (Ollama, llama.cpp server) usually need no key at all
+ */
+
+export const PROVIDER_IDS = {
+  OPENROUTER: 'openrouter',
+  ANTHROPIC: 'anthropic',
+  OPENAI: 'openai',
+  AZURE: 'azure',
+  LOCAL: 'local',
+};
+
+export const DEFAULT_PROVIDER = PROVIDER_IDS.OPENROUTER;
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// Date of the first Azure OpenAI API version (2024-08-01-preview) that
+// accepts json_schema response formats. Only dates are compared, since a
+// "-preview" suffix would sort the GA version of the same day before it.
+const AZURE_JSON_SCHEMA_API_DATE = '2024-08-01';
+
+/**
+ * Strips trailing slashes so base URLs can be joined with paths safely.
+ */
+function trimBaseUrl(url) {
+  return (url || '').trim().replace(/\/+$/, '');
+}
+
+/**
+ * OpenAI's structured-output response format for a { name, schema }.
+ */
+function jsonSchemaFormat(responseFormat) {
+  return {
+    type: 'json_schema',
+    json_schema: { name: responseFormat.name, strict: true, schema: responseFormat.schema },
+  };
+}
+
+/**
+ * Request body shared by every OpenAI-compatible chat completions API.
+ * `format` is a ready-made response_format value, if any.
+ */
+function chatCompletionsBody({ model, messages, temperature, maxTokens, stream, streamUsage = false, format = null }) {
+  return {
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    ...(format ? { response_format: format } : {}),
+    ...(stream ? { stream: true } : {}),
+    // OpenAI only reports usage on streams when asked; some compatible
+    // servers reject the option, so it is opt-in per provider
+    ...(stream && streamUsage ? { stream_options: { include_usage: true } } : {}),
+  };
+}
+
+/**
+ * Extracts the assistant text from an OpenAI-style response.
+ * Returns null if the response doesn't have the expected shape.
+ */
+function chatCompletionsContent(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  return typeof content === 'string' ? content : null;
+}
+
+/**
+ * Extracts the text delta from one OpenAI-style server-sent event.
+ */
+function chatCompletionsStreamDelta(event) {
+  const delta = event?.choices?.[0]?.delta?.content;
+  return typeof delta === 'string' ? delta : '';
+}
+
+/**
+ * Normalizes token counts to { promptTokens, completionTokens }.
+ * Returns null if neither count is a number.
+ */
+function toUsage(promptTokens, completionTokens) {
+  const prompt = Number.isFinite(promptTokens) ? promptTokens : null;
+  const completion = Number.isFinite(completionTokens) ? completionTokens : null;
+  if (prompt === null && completion === null) {
+    return null;
+  }
+  return { promptTokens: prompt, completionTokens: completion };
+}
+
+/**
+ * Extracts token usage from an OpenAI-style response. Streams carry the
+ * same usage block on their final event.
+ */
+function chatCompletionsUsage(data) {
+  return toUsage(data?.usage?.prompt_tokens, data?.usage?.completion_tokens);
+}
+
+/**
+ * Converts a per-token price string (OpenRouter's format) to USD per
+ * million tokens. Returns null for missing or negative (variable) prices.
+ */
+function perMillionTokens(value) {
+  const price = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(price) && price >= 0
+    ? Math.round(price * 1e12) / 1e6
+    : null;
+}
+
+/**
+ * Reads an OpenAI-style /models listing ({ data: [{ id }] }).
+ */
+function chatCompletionsModels(data) {
+  return (Array.isArray(data?.data) ? data.data : [])
+    .filter((model) => typeof model?.id === 'string' && model.id)
+    .map((model) => ({ id: model.id, name: model.id, contextLength: null, pricing: null }));
+}
+
+// OpenAI lists embedding, audio and image models next to chat models
+const OPENAI_CHAT_MODEL = /^(gpt-|o\d|chatgpt-)/;
+const OPENAI_NON_CHAT_MODEL = /(audio|realtime|transcribe|tts|image|search|embedding|instruct)/;
+
+/**
+ * Provider definitions.
+ *
+ * - keyPrefix: expected API key prefix (null = any format accepted)
+ * - requiresKey: whether requests can be made without a key
+ * - requiresBaseUrl: whether the user must supply an endpoint URL
+ * - freeformModel: model is typed by the user (deployment or local model name)
+ * - structuredOutputs: buildRequest() can hold the reply to a JSON schema
+ *
+ * buildRequest() returns { url, headers, body }. When given a
+ * responseFormat ({ name, schema }, see responseSchema.js) it asks the API
+ * to hold the reply to that JSON schema where the API supports it, and
+ * ignores it otherwise. extractContent() reads a complete response and
+ * extractStreamDelta() reads one parsed SSE payload; both return the JSON
+ * text however the API delivered it.
+ * extractUsage() reads token counts from a complete response and
+ * extractStreamUsage() from one SSE payload; both return
+ * { promptTokens, completionTokens } (either may be null) or null.
+ *
+ * listModels() returns { url, headers } for the provider's model listing,
+ * or null when it can't be listed (e.g. no key yet); parseModels() turns
+ * the listing into [{ id, name, contextLength, pricing }] (see modelCatalog.js).
+ */
+export const PROVIDERS = {
+  [PROVIDER_IDS.OPENROUTER]: {
+    id: PROVIDER_IDS.OPENROUTER,
+    name: 'OpenRouter',
+    keyPrefix: 'sk-or-',
+    keyPlaceholder: 'sk-or-v1-...',
+    keyUrl: 'https://openrouter.ai/keys',
+    requiresKey: true,
+    requiresBaseUrl: false,
+    freeformModel: false,
+    structuredOutputs: true,
+
+    // Passed on to models that support it; see requestCompletion for the rest
+    buildRequest({ apiKey, model, messages, temperature, maxTokens, stream, responseFormat }) {
+      return {
+        url: 'https://openrouter.ai/api/v1/chat/completions',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`,
+          // Pages and the extension's worker have a location; the CLI doesn't
+          ...(globalThis.location ? { 'HTTP-Referer': globalThis.location.origin } : {}),
+          'X-Title': 'MessageClearance',
+        },
+        body: chatCompletionsBody({
+          model,
+          messages,
+          temperature,
+          maxTokens,
+          stream,
+          format: responseFormat ? jsonSchemaFormat(responseFormat) : null,
+        }),
+      };
+    },
+
+    extractContent: chatCompletionsContent,
+    extractStreamDelta: chatCompletionsStreamDelta,
+    extractUsage: chatCompletionsUsage,
+    extractStreamUsage: chatCompletionsUsage,
+
+    // The listing is public and includes context length and pricing
+    listModels() {
+      return { url: 'https://openrouter.ai/api/v1/models', headers: {} };
+    },
+
+    parseModels(data) {
+      return (Array.isArray(data?.data) ? data.data : [])
+        .filter((model) => typeof model?.id === 'string' && model.id)
+        .map((model) => {
+          const input = perMillionTokens(model.pricing?.prompt);
+          const output = perMillionTokens(model.pricing?.completion);
+          return {
+            id: model.id,
+            name: model.name || model.id,
+            contextLength: Number.isFinite(model.context_length) ? model.context_length : null,
+            pricing: input !== null && output !== null ? { input, output } : null,
+          };
+        });
+    },
+  },
+
+  [PROVIDER_IDS.ANTHROPIC]: {
+    id: PROVIDER_IDS.ANTHROPIC,
+    name: 'Anthropic',
+    keyPrefix: 'sk-ant-',
+    keyPlaceholder: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    requiresKey: true,
+    requiresBaseUrl: false,
+    freeformModel: false,
+    structuredOutputs: true,
+
+    buildRequest({ apiKey, model, messages, temperature, maxTokens, stream, responseFormat }) {
+      // The Messages API takes the system prompt as a top-level field
+      const system = messages
+        .filter((m) => m.role === 'system')
+        .map((m) => m.content)
+        .join('\n\n');
+
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_API_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+        body: {
+          model,
+          ...(system ? { system } : {}),
+          messages: messages.filter((m) => m.role !== 'system'),
+          temperature,
+          max_tokens: maxTokens,
+          ...(stream ? { stream: true } : {}),
+          // A schema is enforced by making the reply a call to a tool that takes it
+          ...(responseFormat
+            ? {
+              tools: [{
+                name: responseFormat.name,
+                description: 'Return the response in this structure.',
+                input_schema: responseFormat.schema,
+              }],
+              tool_choice: { type: 'tool', name: responseFormat.name },
+            }
+            : {}),
+        },
+      };
+    },
+
+    extractContent(data) {
+      if (!Array.isArray(data?.content)) {
+        return null;
+      }
+      const toolBlock = data.content.find((block) => block.type === 'tool_use');
+      if (toolBlock?.input && typeof toolBlock.input === 'object') {
+        return JSON.stringify(toolBlock.input);
+      }
+      const textBlock = data.content.find((block) => block.type === 'text');
+      return typeof textBlock?.text === 'string' ? textBlock.text : null;
+    },
+
+    extractStreamDelta(event) {
+      if (event?.type !== 'content_block_delta') {
+        return '';
+      }
+      if (event.delta?.type === 'text_delta') {
+        return event.delta.text || '';
+      }
+      // Tool input streams as fragments of its JSON
+      if (event.delta?.type === 'input_json_delta') {
+        return event.delta.partial_json || '';
+      }
+      return '';
+    },
+
+    extractUsage(data) {
+      return toUsage(data?.usage?.input_tokens, data?.usage?.output_tokens);
+    },
+
+    extractStreamUsage(event) {
+      // Input tokens arrive with message_start, output tokens with message_delta
+      if (event?.type === 'message_start') {
+        return toUsage(event.message?.usage?.input_tokens, event.message?.usage?.output_tokens);
+      }
+      if (event?.type === 'message_delta') {
+        return toUsage(event.usage?.input_tokens, event.usage?.output_tokens);
+      }
+      return null;
+    },
+
+    listModels({ apiKey }) {
+      if (!apiKey) return null;
+      return {
+        url: 'https://api.anthropic.com/v1/models?limit=100',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_API_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true',
+        },
+      };
+    },
+
+    parseModels(data) {
+      return (Array.isArray(data?.data) ? data.data : [])
+        .filter((model) => typeof model?.id === 'string' && model.id)
+        .map((model) => ({
+          id: model.id,
+          name: model.display_name || model.id,
+          contextLength: null,
+          pricing: null,
+        }));
+    },
+  },
+
+  [PROVIDER_IDS.OPENAI]: {
+    id: PROVIDER_IDS.OPENAI,
+    name: 'OpenAI',
+    keyPrefix: 'sk-',
+    keyPlaceholder: 'sk-...',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    requiresKey: true,
+    requiresBaseUrl: false,
+    freeformModel: false,
+    structuredOutputs: true,
+
+    buildRequest({ apiKey, model, messages, temperature, maxTokens, stream, responseFormat }) {
+      return {
+        url: 'https://api.openai.com/v1/chat/completions',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`,
+        },
+        body: chatCompletionsBody({
+          model,
+          messages,
+          temperature,
+          maxTokens,
+          stream,
+          streamUsage: true,
+          format: responseFormat ? jsonSchemaFormat(responseFormat) : null,
+        }),
+      };
+    },
+
+    extractContent: chatCompletionsContent,
+    extractStreamDelta: chatCompletionsStreamDelta,
+    extractUsage: chatCompletionsUsage,
+    extractStreamUsage: chatCompletionsUsage,
+
+    listModels({ apiKey }) {
+      if (!apiKey) return null;
+      return {
+        url: 'https://api.openai.com/v1/models',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+      };
+    },
+
+    parseModels(data) {
+      return chatCompletionsModels(data)
+        .filter((model) => OPENAI_CHAT_MODEL.test(model.id) && !OPENAI_NON_CHAT_MODEL.test(model.id));
+    },
+  },
+
+  [PROVIDER_IDS.AZURE]: {
+    id: PROVIDER_IDS.AZURE,
+    name: 'Azure OpenAI',
+    keyPrefix: null,
+    keyPlaceholder: 'Azure resource key',
+    keyUrl: 'https://portal.azure.com/',
+    requiresKey: true,
+    requiresBaseUrl: true,
+    baseUrlPlaceholder: 'https://my-resource.openai.azure.com',
+    defaultApiVersion: '2024-06-01',
+    freeformModel: true,
+    structuredOutputs: true,
+    modelLabel: 'Deployment Name',
+
+    buildRequest({ apiKey, model, messages, temperature, maxTokens, stream, baseUrl, apiVersion, responseFormat }) {
+      const version = apiVersion || this.defaultApiVersion;
+      const deployment = encodeURIComponent(model);
+      // Older API versions only have JSON mode, which still rules out prose around the JSON
+      let format = null;
+      if (responseFormat) {
+        format = version.slice(0, 10) >= AZURE_JSON_SCHEMA_API_DATE ? jsonSchemaFormat(responseFormat) : { type: 'json_object' };
+      }
+      const { model: _model, ...body } = chatCompletionsBody({ model, messages, temperature, maxTokens, stream, format });
+
+      return {
+        url: `${trimBaseUrl(baseUrl)}/openai/deployments/${deployment}/chat/completions?api-version=${encodeURIComponent(version)}`,
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': apiKey,
+        },
+        // Azure routes by deployment, so the body carries no model
+        body,
+      };
+    },
+
+    extractContent: chatCompletionsContent,
+    extractStreamDelta: chatCompletionsStreamDelta,
+    extractUsage: chatCompletionsUsage,
+    extractStreamUsage: chatCompletionsUsage,
+
+    // Deployments are only listed by the management API, which needs Azure AD auth
+    listModels() {
+      return null;
+    },
+
+    parseModels: chatCompletionsModels,
+  },
+
+  [PROVIDER_IDS.LOCAL]: {
+    id: PROVIDER_IDS.LOCAL,
+    name: 'OpenAI-compatible (local)',
+    keyPrefix: null,
+    keyPlaceholder: 'Optional',
+    keyUrl: null,
+    requiresKey: false,
+    requiresBaseUrl: true,
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    baseUrlPlaceholder: 'http://localhost:11434/v1',
+    freeformModel: true,
+    structuredOutputs: false,
+    modelLabel: 'Model Name',
+
+    // Local servers disagree on which response formats they accept, so
+    // none is sent; the reply is still validated
+    buildRequest({ apiKey, model, messages, temperature, maxTokens, stream, baseUrl }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      return {
+        url: `${trimBaseUrl(baseUrl || this.defaultBaseUrl)}/chat/completions`,
+        headers,
+        body: chatCompletionsBody({ model, messages, temperature, maxTokens, stream }),
+      };
+    },
+
+    extractContent: chatCompletionsContent,
+    extractStreamDelta: chatCompletionsStreamDelta,
+    extractUsage: chatCompletionsUsage,
+    extractStreamUsage: chatCompletionsUsage,
+
+    // Ollama and llama.cpp list their installed models here
+    listModels({ apiKey, baseUrl }) {
+      return {
+        url: `${trimBaseUrl(baseUrl || this.defaultBaseUrl)}/models`,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      };
+    },
+
+    parseModels: chatCompletionsModels,
+  },
+};
+
+/**
+ * Looks up a provider definition, falling back to OpenRouter for unknown ids
+ * (e.g. settings written by an older version of the app).
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @returns {Object} Provider definition
+ */
+export function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Checks an API key's format for the given provider.
+ * Returns null if valid, error message if invalid.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {string} apiKey - Key to check
+ * @returns {string|null}
+ */
+export function validateKeyFormat(providerId, apiKey) {
+  const provider = getProvider(providerId);
+  const key = (apiKey || '').trim();
+
+  if (!key) {
+    return provider.requiresKey ? 'API key is required' : null;
+  }
+
+  if (provider.keyPrefix && !key.startsWith(provider.keyPrefix)) {
+    return `${provider.name} API keys should start with ${provider.keyPrefix}`;
+  }
+
+  // OpenAI's "sk-" prefix also matches keys from other providers
+  if (provider.id === PROVIDER_IDS.OPENAI && (key.startsWith('sk-or-') || key.startsWith('sk-ant-'))) {
+    return 'This looks like an OpenRouter or Anthropic key, not an OpenAI key';
+  }
+
+  return null;
+}
+
+/**
+ * Checks that a provider has everything it needs to make a request.
+ *
+ * @param {string} providerId - One of PROVIDER_IDS
+ * @param {string} apiKey - Stored API key
+ * @param {Object} settings - Provider settings ({ baseUrl, apiVersion })
+ * @returns {boolean}
+ */
+export function isProviderConfigured(providerId, apiKey, settings = {}) {
+  const provider = getProvider(providerId);
+
+  if (provider.requiresKey && !(apiKey && apiKey.trim())) {
+    return false;
+  }
+
+  if (provider.requiresBaseUrl && !trimBaseUrl(settings.baseUrl || provider.defaultBaseUrl)) {
+    return false;
+  }
+
+  return true;
+}
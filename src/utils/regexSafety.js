@@ -0,0 +1,99 @@
+/**
+ * Guards against user-written regexes that can hang the page.
+ *
+ * Style rules and custom sensitive patterns run on the main thread on
+ * every scan and, for sensitive patterns, on every keystroke. A pattern
+ * that repeats something already repeated, like (a+)+ or (\w+\s?)*,
+ * backtracks exponentially on text that almost matches, so such patterns
+ * are refused when they're written or imported.
+ */
+
+/**
+ * Reads a quantifier starting at `index`.
+ *
+ * @returns {Object|null} { end, repeats, unbounded } or null if there is none
+ */
+function readQuantifier(source, index) {
+  const char = source[index];
+  let end;
+  let repeats;
+  let unbounded;
+
+  if (char === '*' || char === '+') {
+    end = index + 1;
+    repeats = true;
+    unbounded = true;
+  } else if (char === '?') {
+    end = index + 1;
+    repeats = false;
+    unbounded = false;
+  } else if (char === '{') {
+    const match = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!match) return null;
+    end = index + match[0].length;
+    unbounded = Boolean(match[2]) && match[3] === '';
+    repeats = unbounded || Number(match[3] ?? match[1]) > 1;
+  } else {
+    return null;
+  }
+
+  // A lazy suffix doesn't change how much it can backtrack
+  if (source[end] === '?') end++;
+  return { end, repeats, unbounded };
+}
+
+/**
+ * Checks a regex source for nested repetition.
+ *
+ * @param {string} source - Pattern source
+ * @returns {string|null} Error message, or null if the pattern is safe to run
+ */
+export function checkRegexSafety(source) {
+  // One entry per open group: whether something inside it repeats
+  const groups = [{ repeats: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+    if (char === '[') {
+      inClass = true;
+      continue;
+    }
+    if (char === '(') {
+      groups.push({ repeats: false });
+      // Skips the "?" of (?:, (?= and (?<name>
+      if (source[i + 1] === '?') i++;
+      continue;
+    }
+
+    if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : { repeats: false };
+      const parent = groups[groups.length - 1];
+      const quantifier = readQuantifier(source, i + 1);
+      if (quantifier?.unbounded && group.repeats) {
+        return 'Repeats a group that already repeats, like (a+)+, which can freeze the page';
+      }
+      parent.repeats = parent.repeats || group.repeats || Boolean(quantifier?.repeats);
+      if (quantifier) i = quantifier.end - 1;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    if (quantifier) {
+      current.repeats = current.repeats || quantifier.repeats;
+      i = quantifier.end - 1;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { checkRegexSafety } from './regexSafety';
+
+describe('checkRegexSafety', () => {
+  it.each([
+    '(a+)+$',
+    '(a*)*',
+    '(\\w+\\s?)*$',
+    '(?:a{2,})+',
+    '((ab)*c)+',
+    '(a+?)+?',
+    '^(x+x+)+y',
+  ])('refuses nested repetition in %s', (source) => {
+    expect(checkRegexSafety(source)).toMatch(/^Repeats a group that already repeats/);
+  });
+
+  it.each([
+    '(a+){3}',
+    '(a|b)+',
+    '(abc)+',
+    '[(a+)]+',
+    '\\(a+\\)+',
+    'https?://\\S+',
+    '\\b[A-Z][A-Z0-9]+-\\d+\\b',
+    '(?<ticket>JIRA-\\d+)',
+  ])('accepts %s', (source) => {
+    expect(checkRegexSafety(source)).toBeNull();
+  });
+});
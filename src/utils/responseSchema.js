@@ -0,0 +1,157 @@
+/**
+ * JSON schemas for model responses, and a validator for them.
+ *
+ * The same schema does two jobs: providers that support structured
+ * outputs get it with the request (see responseFormat in providers.js),
+ * and every response is checked against it before anything reads it,
+ * since other providers and models only have the prompt to go on.
+ *
+ * Schemas follow the strict structured-output rules: every object lists
+ * all of its properties as required and allows no others. Optional
+ * content is an empty string or list instead of a missing key.
+ */
+
+import { VERDICTS } from './verdicts';
+
+export const RISK_ISSUES = ['passive_aggressive', 'vague', 'rude', 'unclear', 'tone_mismatch'];
+
+const TONE_SHIFT_IDS = ['de_escalates', 'matches', 'escalates'];
+
+// Long enough to show what's wrong, short enough for a repair prompt
+const MAX_REPORTED_ERRORS = 5;
+
+const string = { type: 'string' };
+
+function object(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+const RISK_SCHEMA = object({
+  text: string,
+  issue: { type: 'string', enum: RISK_ISSUES },
+  why: string,
+});
+
+const THREAD_SCHEMA = object({
+  questions: {
+    type: 'array',
+    items: object({
+      question: string,
+      addressed: { type: 'boolean' },
+      note: string,
+    }),
+  },
+  toneShift: { type: 'string', enum: TONE_SHIFT_IDS },
+  toneShiftReason: string,
+});
+
+/**
+ * Schema for a full analysis (see buildAnalysisPrompt).
+ *
+ * @param {Object} options - Schema options
+ * @param {string[]} options.rewriteIds - Rewrite keys the prompt asks for
+ * @param {boolean} options.isReply - Whether the prompt asks for thread review
+ * @returns {Object} { name, schema }
+ */
+export function buildAnalysisSchema({ rewriteIds = [], isReply = false } = {}) {
+  return {
+    name: 'message_analysis',
+    schema: object({
+      language: string,
+      verdict: { type: 'string', enum: VERDICTS },
+      verdictReason: string,
+      risks: { type: 'array', items: RISK_SCHEMA },
+      missing: { type: 'array', items: string },
+      rewrites: object(Object.fromEntries(rewriteIds.map((id) => [id, string]))),
+      suggestedOpener: string,
+      ...(isReply ? { thread: THREAD_SCHEMA } : {}),
+    }),
+  };
+}
+
+/**
+ * Schema for a quick check (see buildQuickCheckPrompt).
+ */
+export const QUICK_CHECK_SCHEMA = {
+  name: 'message_check',
+  schema: object({
+    verdict: { type: 'string', enum: VERDICTS },
+    verdictReason: string,
+    risks: { type: 'array', items: RISK_SCHEMA },
+  }),
+};
+
+/**
+ * Schema for a refined rewrite (see buildRefinePrompt).
+ */
+export const REFINE_SCHEMA = {
+  name: 'refined_rewrite',
+  schema: object({
+    rewrite: string,
+    note: string,
+  }),
+};
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function collectErrors(value, schema, path, errors) {
+  const at = path || 'response';
+
+  if (schema.type && describeType(value) !== schema.type) {
+    errors.push(`${at} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => collectErrors(item, schema.items, `${at}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in value) {
+        collectErrors(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Checks a parsed response against a schema. Supports the keywords the
+ * schemas above use: type, enum, properties, required and items. Extra
+ * keys are ignored rather than reported, since they do no harm here and
+ * a model without schema support often adds one.
+ *
+ * @param {*} value - Parsed response
+ * @param {Object} schema - JSON schema (the `schema` of a response format)
+ * @returns {string|null} What's wrong (the first few problems), or null if valid
+ */
+export function validateResponse(value, schema) {
+  const errors = [];
+  collectErrors(value, schema, '', errors);
+  if (errors.length === 0) {
+    return null;
+  }
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+  return errors.length > MAX_REPORTED_ERRORS
+    ? `${shown}; and ${errors.length - MAX_REPORTED_ERRORS} more`
+    : shown;
+}
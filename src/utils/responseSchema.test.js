@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { buildAnalysisSchema, QUICK_CHECK_SCHEMA, REFINE_SCHEMA, validateResponse } from './responseSchema';
+
+function makeAnalysis(overrides = {}) {
+  return {
+    language: 'en',
+    verdict: 'needs_edit',
+    verdictReason: 'A little curt',
+    risks: [{ text: 'asap', issue: 'vague', why: 'No date' }],
+    missing: [],
+    rewrites: { polished: 'Could you send it by Friday?' },
+    suggestedOpener: '',
+    ...overrides,
+  };
+}
+
+describe('buildAnalysisSchema', () => {
+  it('requires every property and allows no others', () => {
+    const { name, schema } = buildAnalysisSchema({ rewriteIds: ['polished', 'direct'] });
+    expect(name).toBe('message_analysis');
+    expect(schema.additionalProperties).toBe(false);
+    expect(schema.required).toEqual(Object.keys(schema.properties));
+    expect(schema.properties.rewrites.required).toEqual(['polished', 'direct']);
+    expect(schema.properties).not.toHaveProperty('thread');
+  });
+
+  it('asks for thread review on replies', () => {
+    expect(buildAnalysisSchema({ isReply: true }).schema.required).toContain('thread');
+  });
+});
+
+describe('validateResponse', () => {
+  const { schema } = buildAnalysisSchema({ rewriteIds: ['polished'] });
+
+  it('accepts a well-formed response and ignores extra keys', () => {
+    expect(validateResponse(makeAnalysis(), schema)).toBeNull();
+    expect(validateResponse(makeAnalysis({ confidence: 0.9 }), schema)).toBeNull();
+  });
+
+  it('reports wrong types and values with their paths', () => {
+    expect(validateResponse(makeAnalysis({
+      verdict: 'ship_it',
+      risks: [{ text: 'asap', issue: 'bossy', why: 'x' }, 'asap'],
+      missing: 'A deadline',
+    }), schema)).toBe([
+      'verdict must be one of "good_to_send", "needs_edit", "high_risk", got "ship_it"',
+      'risks[0].issue must be one of "passive_aggressive", "vague", "rude", "unclear", "tone_mismatch", got "bossy"',
+      'risks[1] must be an object, got string',
+      'missing must be an array, got string',
+    ].join('; '));
+  });
+
+  it('reports missing keys, including nested ones', () => {
+    const response = makeAnalysis();
+    delete response.rewrites;
+    expect(validateResponse(response, schema)).toBe('rewrites is required');
+    expect(validateResponse(makeAnalysis({ rewrites: {} }), schema)).toBe('rewrites.polished is required');
+  });
+
+  it('reports a response that is not an object', () => {
+    expect(validateResponse(null, schema)).toBe('response must be an object, got null');
+    expect(validateResponse([], QUICK_CHECK_SCHEMA.schema)).toBe('response must be an object, got array');
+  });
+
+  it('shows only the first few problems', () => {
+    expect(validateResponse({}, schema)).toBe(
+      'language is required; verdict is required; verdictReason is required; risks is required; missing is required; and 2 more'
+    );
+  });
+
+  it('validates refined rewrites', () => {
+    expect(validateResponse({ rewrite: 'Hi', note: '' }, REFINE_SCHEMA.schema)).toBeNull();
+    expect(validateResponse({ rewrite: 5, note: '' }, REFINE_SCHEMA.schema)).toBe('rewrite must be a string, got number');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Rewrite style definitions.
+ *
+ * A style is { id, label, icon, instruction }. The id becomes the key in
+ * the model's "rewrites" object, the instruction is pasted into the
+ * prompt's rewrite guidelines, and the icon is one of STYLE_ICON_KEYS
+ * (persisted as a string because preferences are stored as JSON).
+ */
+
+/**
+ * Icon keys a style may use. Components map these to lucide icons
+ * (see components/styleIcons.js).
+ */
+export const STYLE_ICON_KEYS = [
+  'zap',
+  'heart',
+  'shield',
+  'briefcase',
+  'message',
+  'smile',
+  'star',
+  'document',
+  'apology',
+  'announce',
+];
+
+export const MAX_REWRITE_STYLES = 6;
+
+export const DEFAULT_REWRITE_STYLES = [
+  {
+    id: 'short',
+    label: 'Short & Direct',
+    icon: 'zap',
+    description: 'Concise, direct rewrite of the full message',
+    instruction: 'Remove all fluff, be direct, keep only essential info',
+  },
+  {
+    id: 'warm',
+    label: 'Warm & Human',
+    icon: 'heart',
+    description: 'Friendly, warm rewrite of the full message',
+    instruction: 'Add warmth, acknowledgment, and human touch without being unprofessional',
+  },
+  {
+    id: 'confident',
+    label: 'Confident & Assertive',
+    icon: 'shield',
+    description: 'Assertive, confident rewrite of the full message',
+    instruction: 'Strong, clear, decisive tone without being aggressive',
+  },
+];
+
+/**
+ * Turns a style name into a JSON-key-safe id ("Slack-casual" -> "slack_casual").
+ *
+ * @param {string} label - Style name
+ * @param {string[]} takenIds - Ids already in use
+ * @returns {string} Unique id
+ */
+export function createStyleId(label, takenIds = []) {
+  const base = (label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 32) || 'style';
+
+  let id = base;
+  let suffix = 2;
+  while (takenIds.includes(id)) {
+    id = `${base}_${suffix++}`;
+  }
+  return id;
+}
+
+/**
+ * Validates a persisted style list, dropping malformed entries.
+ * Falls back to the defaults if nothing usable is left.
+ *
+ * @param {*} styles - Value read from preferences
+ * @returns {Array} Usable style list
+ */
+export function normalizeRewriteStyles(styles) {
+  if (!Array.isArray(styles)) {
+    return DEFAULT_REWRITE_STYLES;
+  }
+
+  const seen = new Set();
+  const valid = styles
+    .filter((style) => style
+      && typeof style.id === 'string'
+      && /^[a-z0-9_]+$/.test(style.id)
+      && typeof style.label === 'string'
+      && style.label.trim()
+      && typeof style.instruction === 'string'
+      && style.instruction.trim())
+    .filter((style) => {
+      if (seen.has(style.id)) return false;
+      seen.add(style.id);
+      return true;
+    })
+    .slice(0, MAX_REWRITE_STYLES)
+    .map((style) => ({
+      id: style.id,
+      label: style.label.trim(),
+      icon: STYLE_ICON_KEYS.includes(style.icon) ? style.icon : 'message',
+      description: style.description || `${style.label.trim()} rewrite of the full message`,
+      instruction: style.instruction.trim(),
+    }));
+
+  return valid.length > 0 ? valid : DEFAULT_REWRITE_STYLES;
+}
@@ -0,0 +1,295 @@
+/**
+ * Sensitive data detection and redaction.
+ *
+ * Detectors run in priority order and a match can't overlap one found by
+ * an earlier detector, so a card number isn't also reported as a phone
+ * number. Redaction swaps each match for a placeholder such as [EMAIL_1]
+ * before anything leaves the browser; restoreRedactions puts the real
+ * values back into what the model returns.
+ */
+
+import { checkRegexSafety } from './regexSafety';
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs.
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * IBAN mod-97 check (ISO 13616).
+ */
+function isValidIban(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const code = /[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors, highest priority first.
+ * `group` picks a capture group when the pattern needs surrounding
+ * context (e.g. the word "passport") that shouldn't be redacted.
+ */
+export const SENSITIVE_DETECTORS = [
+  // Secrets
+  { id: 'private_key', label: 'Private key', placeholder: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { id: 'api_key', label: 'API key', placeholder: 'API_KEY', pattern: /\bsk-(?:ant-|or-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { id: 'github_token', label: 'GitHub token', placeholder: 'GITHUB_TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { id: 'slack_token', label: 'Slack token', placeholder: 'SLACK_TOKEN', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: 'aws_key', label: 'AWS access key', placeholder: 'AWS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'google_key', label: 'Google API key', placeholder: 'GOOGLE_KEY', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'stripe_key', label: 'Stripe key', placeholder: 'STRIPE_KEY', pattern: /\b(?:sk|pk|rk)_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+  { id: 'jwt', label: 'JSON web token', placeholder: 'TOKEN', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { id: 'bearer_token', label: 'Bearer token', placeholder: 'TOKEN', pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g, group: 1 },
+
+  // Financial and identity
+  { id: 'credit_card', label: 'Credit card number', placeholder: 'CARD', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: (match) => passesLuhn(match.replace(/\D/g, '')) },
+  { id: 'iban', label: 'IBAN', placeholder: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: isValidIban },
+  { id: 'passport', label: 'Passport number', placeholder: 'PASSPORT', pattern: /\bpassport(?:\s+(?:no\.?|number|#))?\s*[:#]?\s*([A-Z0-9]{6,9})\b/gi, group: 1 },
+  { id: 'ssn', label: 'SSN', placeholder: 'SSN', pattern: /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/g },
+
+  // Contact details
+  { id: 'email', label: 'Email address', placeholder: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { id: 'phone', label: 'Phone number', placeholder: 'PHONE', pattern: /(?:\+\d{1,3}[-.\s]?)?\(?\b\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g },
+  { id: 'street_address', label: 'Street address', placeholder: 'ADDRESS', pattern: /\b\d{1,5}\s+[\w\s]+(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|way|court|ct|boulevard|blvd)\b/gi },
+  { id: 'zip_code', label: 'ZIP code', placeholder: 'ZIP', pattern: /\b\d{5}(-\d{4})?\b/g },
+
+  // Infrastructure
+  { id: 'ip_address', label: 'IP address', placeholder: 'IP', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g, validate: (match) => match.split('.').every((octet) => Number(octet) <= 255) },
+  { id: 'ipv6_address', label: 'IP address', placeholder: 'IP', pattern: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+  { id: 'internal_host', label: 'Internal hostname', placeholder: 'HOST', pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|local|localdomain|corp|lan|intranet|home\.arpa)\b/gi },
+];
+
+/**
+ * Parses user-defined patterns, one per line as "Label: /regex/flags".
+ *
+ * @param {string} text - Pattern lines
+ * @returns {{ patterns: Array, errors: string[] }} Valid patterns
+ *   ({ label, source, flags }) and a message per bad line
+ */
+export function parseCustomPatterns(text) {
+  const patterns = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const match = line.match(/^(.+?):\s*\/(.+)\/([gimsuy]*)$/);
+    if (!match) {
+      errors.push(`Line ${index + 1}: expected "Label: /pattern/"`);
+      return;
+    }
+
+    const [, label, source, flags] = match;
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      errors.push(`Line ${index + 1}: ${error.message}`);
+      return;
+    }
+    const unsafe = checkRegexSafety(source);
+    if (unsafe) {
+      errors.push(`Line ${index + 1}: ${unsafe}`);
+      return;
+    }
+    patterns.push({ label: label.trim(), source, flags: flags.replace('g', '') });
+  });
+
+  return { patterns, errors };
+}
+
+/**
+ * Inverse of parseCustomPatterns.
+ *
+ * @param {Array} patterns - Custom patterns
+ * @returns {string} Pattern lines
+ */
+export function formatCustomPatterns(patterns) {
+  return (Array.isArray(patterns) ? patterns : [])
+    .map((pattern) => `${pattern.label}: /${pattern.source}/${pattern.flags || ''}`)
+    .join('\n');
+}
+
+/**
+ * Turns custom patterns into detectors. They run first: a pattern the
+ * user wrote for their own project names is more specific than ours.
+ * Patterns that could hang the page (stored before that was checked, or
+ * imported) are skipped.
+ */
+function compileCustomPatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    return [];
+  }
+
+  return patterns.flatMap((pattern, index) => {
+    if (typeof pattern?.source !== 'string' || checkRegexSafety(pattern.source)) {
+      return [];
+    }
+    try {
+      return [{
+        id: `custom_${index}`,
+        label: pattern.label,
+        placeholder: (pattern.label || 'CUSTOM').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'CUSTOM',
+        pattern: new RegExp(pattern.source, `${(pattern.flags || '').replace('g', '')}g`),
+      }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Finds every sensitive match in the text.
+ *
+ * @param {string} text - Text to scan
+ * @param {Object} options - Detection options
+ * @param {Array} options.customPatterns - User-defined patterns ({ label, source, flags })
+ * @returns {Array} Findings sorted by position ({ detectorId, label, placeholder, value, start, end })
+ */
+export function detectSensitiveData(text, options = {}) {
+  const { customPatterns = [] } = options;
+
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const detectors = [...compileCustomPatterns(customPatterns), ...SENSITIVE_DETECTORS];
+  const findings = [];
+  const overlapsExisting = (start, end) => findings.some((finding) => start < finding.end && end > finding.start);
+
+  for (const detector of detectors) {
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = detector.group ? match[detector.group] : match[0];
+      if (!value || (detector.validate && !detector.validate(value))) {
+        continue;
+      }
+
+      const start = match.index + match[0].lastIndexOf(value);
+      const end = start + value.length;
+      if (overlapsExisting(start, end)) {
+        continue;
+      }
+
+      findings.push({
+        detectorId: detector.id,
+        label: detector.label,
+        placeholder: detector.placeholder,
+        value,
+        start,
+        end,
+      });
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * One warning line per kind of data, e.g. "Email address: a@b.com (+2 more)".
+ *
+ * @param {Array} findings - Output of detectSensitiveData
+ * @returns {string[]} Warning lines
+ */
+export function summarizeFindings(findings) {
+  const byLabel = new Map();
+  for (const finding of findings) {
+    if (!byLabel.has(finding.label)) {
+      byLabel.set(finding.label, []);
+    }
+    byLabel.get(finding.label).push(finding.value);
+  }
+
+  return [...byLabel.entries()].map(([label, values]) => {
+    const unique = [...new Set(values)];
+    return unique.length > 1
+      ? `${label}: ${unique[0]} (+${unique.length - 1} more)`
+      : `${label}: ${unique[0]}`;
+  });
+}
+
+/**
+ * Replaces findings with numbered placeholders. The same value always
+ * gets the same placeholder, in this text and in any text redacted with
+ * the same replacement list.
+ *
+ * @param {string} text - Original text
+ * @param {Array} findings - Output of detectSensitiveData for this text
+ * @param {Array} replacements - Existing { placeholder, value } list to extend
+ * @returns {{ text: string, replacements: Array }} Redacted text and the full replacement list
+ */
+export function redactSensitiveData(text, findings, replacements = []) {
+  const list = [...replacements];
+  let redacted = '';
+  let cursor = 0;
+
+  for (const finding of findings) {
+    let entry = list.find((item) => item.value === finding.value);
+    if (!entry) {
+      const count = list.filter((item) => item.placeholder.startsWith(`[${finding.placeholder}_`)).length;
+      entry = { placeholder: `[${finding.placeholder}_${count + 1}]`, value: finding.value };
+      list.push(entry);
+    }
+
+    redacted += text.slice(cursor, finding.start) + entry.placeholder;
+    cursor = finding.end;
+  }
+
+  return { text: redacted + text.slice(cursor), replacements: list };
+}
+
+/**
+ * Puts the original values back in place of their placeholders.
+ * Walks arrays and objects so a whole analysis result can be restored.
+ *
+ * @param {*} value - String, array or object from the model
+ * @param {Array} replacements - { placeholder, value } list from redactSensitiveData
+ * @returns {*} Value with placeholders restored
+ */
+export function restoreRedactions(value, replacements) {
+  if (!replacements || replacements.length === 0) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    return replacements.reduce(
+      (text, { placeholder, value: original }) => text.split(placeholder).join(original),
+      value
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => restoreRedactions(item, replacements));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, restoreRedactions(item, replacements)])
+    );
+  }
+
+  return value;
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCustomPatterns,
+  formatCustomPatterns,
+  detectSensitiveData,
+  summarizeFindings,
+  redactSensitiveData,
+  restoreRedactions,
+} from './sensitive';
+
+const detectedIds = (text, options) => detectSensitiveData(text, options).map((finding) => finding.detectorId);
+
+describe('detectSensitiveData', () => {
+  it('finds contact details with their positions', () => {
+    const text = 'Mail jane.doe@example.com or call 555-123-4567.';
+    expect(detectSensitiveData(text)).toEqual([
+      expect.objectContaining({ detectorId: 'email', value: 'jane.doe@example.com', start: 5, end: 25 }),
+      expect.objectContaining({ detectorId: 'phone', value: '555-123-4567' }),
+    ]);
+  });
+
+  it('only reports digit runs that pass the card checksum as cards', () => {
+    expect(detectedIds('Card: 4111 1111 1111 1111')).toEqual(['credit_card']);
+    expect(detectedIds('Card: 4111 1111 1111 1112')).not.toContain('credit_card');
+  });
+
+  it('redacts the passport number but not the word before it', () => {
+    const [finding] = detectSensitiveData('My passport number: X1234567 expires soon');
+    expect(finding).toMatchObject({ detectorId: 'passport', value: 'X1234567' });
+  });
+
+  it('does not report one value under two detectors', () => {
+    expect(detectedIds('Key sk-ant-REDACTED')).toEqual(['api_key']);
+  });
+
+  it('skips IP addresses with octets out of range', () => {
+    expect(detectedIds('Host 10.0.0.12 is up')).toEqual(['ip_address']);
+    expect(detectedIds('Version 999.1.1.1 is out')).toEqual([]);
+  });
+
+  it('runs custom patterns before the built-in detectors', () => {
+    const customPatterns = [{ label: 'Project name', source: 'Project \\w+', flags: 'i' }];
+    expect(detectSensitiveData('Launch of project Falcon', { customPatterns })).toEqual([
+      expect.objectContaining({ detectorId: 'custom_0', placeholder: 'PROJECT_NAME', value: 'project Falcon' }),
+    ]);
+  });
+
+  it('skips stored custom patterns that could hang the page', () => {
+    const customPatterns = [{ label: 'Bad', source: '(a+)+$', flags: '' }];
+    expect(detectSensitiveData('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!', { customPatterns })).toEqual([]);
+  });
+
+  it('returns nothing for empty or non-string input', () => {
+    expect(detectSensitiveData('')).toEqual([]);
+    expect(detectSensitiveData(null)).toEqual([]);
+  });
+});
+
+describe('summarizeFindings', () => {
+  it('groups findings by kind', () => {
+    const findings = detectSensitiveData('a@example.com, b@example.com, a@example.com, 10.0.0.1');
+    expect(summarizeFindings(findings)).toEqual(['Email address: a@example.com (+1 more)', 'IP address: 10.0.0.1']);
+  });
+});
+
+describe('redactSensitiveData', () => {
+  it('numbers placeholders and reuses them for repeated values', () => {
+    const text = 'a@example.com, b@example.com, a@example.com';
+    const { text: redacted, replacements } = redactSensitiveData(text, detectSensitiveData(text));
+    expect(redacted).toBe('[EMAIL_1], [EMAIL_2], [EMAIL_1]');
+    expect(replacements).toEqual([
+      { placeholder: '[EMAIL_1]', value: 'a@example.com' },
+      { placeholder: '[EMAIL_2]', value: 'b@example.com' },
+    ]);
+  });
+
+  it('extends an existing replacement list', () => {
+    const first = redactSensitiveData('a@example.com', detectSensitiveData('a@example.com'));
+    const text = 'b@example.com and a@example.com';
+    const second = redactSensitiveData(text, detectSensitiveData(text), first.replacements);
+    expect(second.text).toBe('[EMAIL_2] and [EMAIL_1]');
+  });
+
+  it('round-trips through restoreRedactions', () => {
+    const text = 'Ping jane@example.com from 10.0.0.12';
+    const { text: redacted, replacements } = redactSensitiveData(text, detectSensitiveData(text));
+    expect(redacted).not.toContain('jane@example.com');
+
+    const result = { rewrites: { polished: `Hi, ${redacted}` }, risks: [{ text: '[IP_1]' }], count: 2 };
+    expect(restoreRedactions(result, replacements)).toEqual({
+      rewrites: { polished: `Hi, ${text}` },
+      risks: [{ text: '10.0.0.12' }],
+      count: 2,
+    });
+  });
+});
+
+describe('parseCustomPatterns', () => {
+  it('parses labels, sources and flags, dropping the global flag', () => {
+    expect(parseCustomPatterns('Ticket: /JIRA-\\d+/gi\n\nHost: /db\\d+\\.prod/')).toEqual({
+      patterns: [
+        { label: 'Ticket', source: 'JIRA-\\d+', flags: 'i' },
+        { label: 'Host', source: 'db\\d+\\.prod', flags: '' },
+      ],
+      errors: [],
+    });
+  });
+
+  it('reports bad lines by number', () => {
+    const { patterns, errors } = parseCustomPatterns('no slashes\nBroken: /(/\nNested: /(\\w+\\s?)*$/');
+    expect(patterns).toEqual([]);
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toBe('Line 1: expected "Label: /pattern/"');
+    expect(errors[1]).toMatch(/^Line 2: /);
+    expect(errors[2]).toMatch(/^Line 3: Repeats a group/);
+  });
+
+  it('is the inverse of formatCustomPatterns', () => {
+    const text = 'Ticket: /JIRA-\\d+/i\nHost: /db\\d+/';
+    expect(formatCustomPatterns(parseCustomPatterns(text).patterns)).toBe(text);
+  });
+});
@@ -2,7 +2,8 @@
  * localStorage utilities with defensive coding and data integrity checks.
  *
  * SECURITY NOTES:
- * - API keys are stored in localStorage (client-side only, never transmitted to our servers)
+ * - API keys are stored in localStorage (client-side only, never transmitted to our servers),
+ *   or, when the user sets a passphrase, only in encrypted form (see keyVault.js)
  * - Data is validated on read to prevent corruption issues
  * - All operations are wrapped in try-catch to handle quota exceeded, private browsing, etc.
  */
@@ -15,9 +16,14 @@ const STORAGE_PREFIX = 'messageclearance_';
  */
 export const STORAGE_KEYS = {
   API_KEY: `${STORAGE_PREFIX}api_key`,
+  ENCRYPTED_API_KEY: `${STORAGE_PREFIX}api_key_encrypted`,
   SELECTED_MODEL: `${STORAGE_PREFIX}selected_model`,
+  SELECTED_PROVIDER: `${STORAGE_PREFIX}selected_provider`,
+  PROVIDER_SETTINGS: `${STORAGE_PREFIX}provider_settings`,
   CHAT_HISTORY: `${STORAGE_PREFIX}chat_history`,
   USER_PREFERENCES: `${STORAGE_PREFIX}preferences`,
+  USAGE_LOG: `${STORAGE_PREFIX}usage_log`,
+  MODEL_CATALOG: `${STORAGE_PREFIX}model_catalog`,
 };
 
 /**
@@ -26,13 +32,35 @@ export const STORAGE_KEYS = {
  */
 export const STORAGE_DEFAULTS = {
   [STORAGE_KEYS.API_KEY]: '',
+  [STORAGE_KEYS.ENCRYPTED_API_KEY]: null,
   [STORAGE_KEYS.SELECTED_MODEL]: 'anthropic/claude-3.5-sonnet',
+  [STORAGE_KEYS.SELECTED_PROVIDER]: 'openrouter',
+  [STORAGE_KEYS.PROVIDER_SETTINGS]: {},
   [STORAGE_KEYS.CHAT_HISTORY]: [],
   [STORAGE_KEYS.USER_PREFERENCES]: {
     safetyCheckEnabled: true,
+    streamResults: true,
+    heuristicPrePass: true,
+    redactSensitive: false,
+    sensitivePatterns: [],
+    historyMaxEntries: 0,
+    historyMaxAgeDays: 0,
+    autoLockMinutes: 15,
+    monthlyBudget: 0,
+    budgetMode: 'warn',
+    favoriteModels: [],
+    language: { output: 'auto', translateTo: '' },
   },
+  [STORAGE_KEYS.USAGE_LOG]: {},
+  [STORAGE_KEYS.MODEL_CATALOG]: {},
 };
 
+/**
+ * Keys written by older versions outside our prefix. The API key was
+ * duplicated here in plaintext, so they are removed on startup.
+ */
+const LEGACY_KEYS = ['openrouter_api_key', 'openrouter_model'];
+
 /**
  * Checks if localStorage is available and functional.
  * Private browsing mode and some security settings can disable it.
@@ -191,6 +219,15 @@ export function clearAll() {
   }
 }
 
+/**
+ * Removes values older versions stored under LEGACY_KEYS.
+ *
+ * @returns {boolean} True if removal succeeded
+ */
+export function removeLegacyKeys() {
+  return LEGACY_KEYS.every((key) => removeItem(key));
+}
+
 /**
  * API Key specific helpers with extra validation
  */
@@ -252,7 +289,10 @@ export const apiKeyStorage = {
 };
 
 /**
- * Chat history helpers with size management
+ * Chat history helpers with size management.
+ * History normally lives in IndexedDB (see historyStore.js); this is the
+ * fallback when IndexedDB is unavailable and the source for migrating
+ * history saved by older versions.
  */
 export const chatHistoryStorage = {
   MAX_HISTORY_ITEMS: 50, // Prevent unbounded growth
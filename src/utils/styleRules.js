@@ -0,0 +1,325 @@
+/**
+ * Team style guide rules.
+ *
+ * A rule is { id, type, pattern, when, severity, message, replacement, enabled }:
+ * - type "phrase": `pattern` is a word or phrase that must not appear
+ *   (case-insensitive, whole words)
+ * - type "regex": `pattern` is a regular expression that must not match,
+ *   with `flags` ("i" by default)
+ * - type "required": `pattern` is a regular expression the message must
+ *   match, optionally only when it matches `when` (e.g. a ticket link
+ *   whenever the message asks for a review)
+ *
+ * `message` says what the rule is for and is shown with each violation;
+ * `replacement` is the suggested wording for banned phrases. Severity
+ * sets how far a violation pulls the verdict down (see applyStyleRules).
+ *
+ * Rules are evaluated locally on the original message, so they catch
+ * what they describe even when the model misses it, and are also listed
+ * in the prompt so the rewrites follow them. Teams share them as JSON
+ * rule packs.
+ */
+
+import { checkRegexSafety } from './regexSafety';
+
+export const RULE_TYPES = {
+  PHRASE: 'phrase',
+  REGEX: 'regex',
+  REQUIRED: 'required',
+};
+
+export const RULE_TYPE_OPTIONS = [
+  { id: RULE_TYPES.PHRASE, label: 'Banned phrase' },
+  { id: RULE_TYPES.REGEX, label: 'Banned pattern (regex)' },
+  { id: RULE_TYPES.REQUIRED, label: 'Required element (regex)' },
+];
+
+export const RULE_SEVERITIES = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ERROR: 'error',
+};
+
+export const SEVERITY_OPTIONS = [
+  { id: RULE_SEVERITIES.INFO, label: 'Info', verdict: null },
+  { id: RULE_SEVERITIES.WARNING, label: 'Warning', verdict: 'needs_edit' },
+  { id: RULE_SEVERITIES.ERROR, label: 'Error', verdict: 'high_risk' },
+];
+
+export const MAX_STYLE_RULES = 50;
+
+export const RULE_PACK_FORMAT = 'message-clearance-style-rules';
+
+export const RULE_PACK_VERSION = 1;
+
+const MAX_PATTERN_LENGTH = 300;
+const MAX_TEXT_LENGTH = 200;
+const MAX_MATCHES_PER_RULE = 5;
+
+const VERDICT_ORDER = ['good_to_send', 'needs_edit', 'high_risk'];
+
+/**
+ * Example rules for the editor's "Add example rules" button.
+ */
+export const EXAMPLE_STYLE_RULES = [
+  {
+    type: RULE_TYPES.PHRASE,
+    pattern: 'ASAP',
+    severity: RULE_SEVERITIES.WARNING,
+    message: 'Give a concrete date or time instead of "ASAP"',
+    replacement: 'by <day and time>',
+  },
+  {
+    type: RULE_TYPES.PHRASE,
+    pattern: 'just checking in',
+    severity: RULE_SEVERITIES.ERROR,
+    message: 'Never "just checking in": say what you need',
+    replacement: 'Could you <specific ask> by <date>?',
+  },
+  {
+    type: RULE_TYPES.REQUIRED,
+    pattern: 'https?://\\S+|\\b[A-Z][A-Z0-9]+-\\d+\\b',
+    when: '\\breview\\b',
+    severity: RULE_SEVERITIES.WARNING,
+    message: 'Include a ticket link when asking for a review',
+  },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Checks a regex source and flags.
+ *
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {string|null} Error message, or null if it compiles and is safe to run
+ */
+export function validateRulePattern(source, flags = 'i') {
+  if (!source || !source.trim()) return 'Pattern is required';
+  if (source.length > MAX_PATTERN_LENGTH) return `Pattern is limited to ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    return error.message;
+  }
+  return checkRegexSafety(source);
+}
+
+function createRuleId(takenIds) {
+  let id;
+  do {
+    id = `rule_${Math.random().toString(36).slice(2, 8)}`;
+  } while (takenIds.has(id));
+  return id;
+}
+
+/**
+ * Validates a persisted or imported rule list, dropping malformed entries
+ * and giving rules without an id a new one.
+ *
+ * @param {*} rules - Value read from preferences or a rule pack
+ * @returns {Array} Usable rules
+ */
+export function normalizeStyleRules(rules) {
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+
+  const takenIds = new Set();
+  const valid = [];
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object') continue;
+    if (!Object.values(RULE_TYPES).includes(rule.type)) continue;
+    if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) continue;
+
+    const flags = typeof rule.flags === 'string' ? rule.flags.replace(/[^imsu]/g, '') : 'i';
+    const when = typeof rule.when === 'string' ? rule.when.trim() : '';
+    if (rule.type !== RULE_TYPES.PHRASE && validateRulePattern(rule.pattern, flags)) continue;
+    if (rule.type === RULE_TYPES.REQUIRED && when && validateRulePattern(when, 'i')) continue;
+
+    const id = typeof rule.id === 'string' && /^[a-z0-9_-]+$/i.test(rule.id) && !takenIds.has(rule.id)
+      ? rule.id
+      : createRuleId(takenIds);
+    takenIds.add(id);
+
+    valid.push({
+      id,
+      type: rule.type,
+      pattern: rule.pattern.trim().slice(0, MAX_PATTERN_LENGTH),
+      flags: rule.type === RULE_TYPES.PHRASE ? '' : flags,
+      when: rule.type === RULE_TYPES.REQUIRED ? when : '',
+      severity: Object.values(RULE_SEVERITIES).includes(rule.severity) ? rule.severity : RULE_SEVERITIES.WARNING,
+      message: typeof rule.message === 'string' && rule.message.trim()
+        ? rule.message.trim().slice(0, MAX_TEXT_LENGTH)
+        : `Breaks the style rule "${rule.pattern.trim()}"`,
+      replacement: rule.type !== RULE_TYPES.REQUIRED && typeof rule.replacement === 'string'
+        ? rule.replacement.trim().slice(0, MAX_TEXT_LENGTH)
+        : '',
+      enabled: rule.enabled !== false,
+    });
+
+    if (valid.length >= MAX_STYLE_RULES) break;
+  }
+  return valid;
+}
+
+function compileMatcher(rule) {
+  if (rule.type === RULE_TYPES.PHRASE) {
+    // \b only works next to word characters; "C++" or "?!" need looser edges
+    const start = /^\w/.test(rule.pattern) ? '\\b' : '';
+    const end = /\w$/.test(rule.pattern) ? '\\b' : '';
+    const source = rule.pattern.split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`${start}${source}${end}`, 'gi');
+  }
+  return new RegExp(rule.pattern, `${rule.flags.replace('g', '')}g`);
+}
+
+/**
+ * Checks a message against the enabled rules.
+ *
+ * @param {string} message - Message text
+ * @param {Array} rules - Style rules
+ * @returns {Array} Violations ({ ruleId, type, severity, text, message, replacement });
+ *   `text` is the offending text, or null for a missing required element
+ */
+export function evaluateStyleRules(message, rules) {
+  if (!message || typeof message !== 'string') return [];
+
+  const violations = [];
+  for (const rule of normalizeStyleRules(rules)) {
+    if (!rule.enabled) continue;
+    const base = {
+      ruleId: rule.id,
+      type: rule.type,
+      severity: rule.severity,
+      message: rule.message,
+      replacement: rule.replacement,
+    };
+
+    if (rule.type === RULE_TYPES.REQUIRED) {
+      const applies = !rule.when || new RegExp(rule.when, 'i').test(message);
+      if (applies && !new RegExp(rule.pattern, rule.flags).test(message)) {
+        violations.push({ ...base, text: null });
+      }
+      continue;
+    }
+
+    const seen = new Set();
+    for (const match of message.matchAll(compileMatcher(rule))) {
+      // Empty matches (e.g. /x*/) would repeat at every position
+      if (!match[0] || seen.has(match[0])) continue;
+      seen.add(match[0]);
+      violations.push({ ...base, text: match[0] });
+      if (seen.size >= MAX_MATCHES_PER_RULE) break;
+    }
+  }
+  return violations;
+}
+
+/**
+ * Adds style guide violations to an analysis result.
+ *
+ * Violations go in their own `styleViolations` list rather than `risks`,
+ * since a missing required element has no text to quote. A warning makes
+ * the verdict at least "needs_edit" and an error "high_risk"; info-level
+ * rules are only listed.
+ *
+ * @param {Object} result - Analysis result
+ * @param {Array} violations - Output of evaluateStyleRules
+ * @returns {Object} Result with styleViolations (and the verdict adjusted)
+ */
+export function applyStyleRules(result, violations) {
+  if (!Array.isArray(violations) || violations.length === 0) {
+    return { ...result, styleViolations: [] };
+  }
+
+  const rank = (violation) => Object.values(RULE_SEVERITIES).indexOf(violation.severity);
+  const worst = violations.reduce((top, violation) => (rank(violation) > rank(top) ? violation : top));
+  const floor = SEVERITY_OPTIONS.find((option) => option.id === worst.severity)?.verdict;
+  if (!floor || VERDICT_ORDER.indexOf(floor) <= VERDICT_ORDER.indexOf(result.verdict)) {
+    return { ...result, styleViolations: violations };
+  }
+
+  // The old reason explains a milder verdict, so it would contradict this one
+  const ruleCount = new Set(violations.map((violation) => violation.ruleId)).size;
+  return {
+    ...result,
+    verdict: floor,
+    verdictReason: ruleCount === 1
+      ? `Breaks the team style guide: ${worst.message}`
+      : `Breaks ${ruleCount} team style rules, including: ${worst.message}`,
+    styleViolations: violations,
+  };
+}
+
+/**
+ * Formats the enabled rules for the analysis prompt.
+ *
+ * @param {Array} rules - Style rules
+ * @returns {string} Prompt lines ("- " each), or '' if there are none
+ */
+export function formatStyleRulesForPrompt(rules) {
+  const lines = normalizeStyleRules(rules)
+    .filter((rule) => rule.enabled)
+    .map((rule) => {
+      if (rule.type === RULE_TYPES.REQUIRED) {
+        const condition = rule.when ? ` whenever the message matches /${rule.when}/i` : '';
+        return `- Required${condition}: ${rule.message} (must match /${rule.pattern}/${rule.flags})`;
+      }
+      const banned = rule.type === RULE_TYPES.PHRASE ? JSON.stringify(rule.pattern) : `/${rule.pattern}/${rule.flags}`;
+      const instead = rule.replacement ? `; write ${JSON.stringify(rule.replacement)} instead` : '';
+      return `- Never use ${banned}${instead}: ${rule.message}`;
+    });
+  return lines.join('\n');
+}
+
+/**
+ * Builds a shareable rule pack.
+ *
+ * @param {Array} rules - Style rules
+ * @returns {Object} Rule pack document
+ */
+export function createRulePack(rules) {
+  return {
+    format: RULE_PACK_FORMAT,
+    version: RULE_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: normalizeStyleRules(rules),
+  };
+}
+
+/**
+ * Parses a rule pack file. Accepts a pack document or a bare array of
+ * rules; invalid rules are skipped and counted.
+ *
+ * @param {string} text - File contents
+ * @returns {{ rules: Array, skipped: number }}
+ * @throws {Error} If the file isn't JSON or has no rule list
+ */
+export function parseRulePack(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const isPack = data && typeof data === 'object' && data.format === RULE_PACK_FORMAT;
+  if (isPack && data.version > RULE_PACK_VERSION) {
+    throw new Error('Rule pack was made by a newer version of Message Clearance');
+  }
+
+  const list = Array.isArray(data) ? data : isPack ? data.rules : null;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a Message Clearance rule pack or an array of rules');
+  }
+
+  // Imported ids may clash with the current rules, so every rule gets a new one
+  const rules = normalizeStyleRules(list.map((rule) => (rule && typeof rule === 'object' ? { ...rule, id: undefined } : rule)));
+  return {
+    rules,
+    skipped: list.length - rules.length,
+  };
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RULE_PACK_FORMAT,
+  RULE_PACK_VERSION,
+  MAX_STYLE_RULES,
+  validateRulePattern,
+  normalizeStyleRules,
+  evaluateStyleRules,
+  applyStyleRules,
+  formatStyleRulesForPrompt,
+  createRulePack,
+  parseRulePack,
+} from './styleRules';
+
+const phrase = (pattern, extra = {}) => ({ id: `r_${pattern.replace(/\W/g, '')}`, type: 'phrase', pattern, ...extra });
+
+describe('validateRulePattern', () => {
+  it('reports empty, invalid and unsafe patterns', () => {
+    expect(validateRulePattern('  ')).toBe('Pattern is required');
+    expect(validateRulePattern('x'.repeat(301))).toMatch(/limited to 300/);
+    expect(validateRulePattern('(')).toMatch(/Invalid regular expression/);
+    expect(validateRulePattern('(\\w+\\s?)*$')).toMatch(/^Repeats a group/);
+    expect(validateRulePattern('JIRA-\\d+')).toBeNull();
+  });
+});
+
+describe('normalizeStyleRules', () => {
+  it('drops malformed and unsafe rules', () => {
+    const rules = normalizeStyleRules([
+      null,
+      { type: 'unknown', pattern: 'x' },
+      { type: 'phrase', pattern: '  ' },
+      { type: 'regex', pattern: '(a+)+' },
+      { type: 'required', pattern: 'JIRA-\\d+', when: '(' },
+      { type: 'phrase', pattern: ' ASAP ' },
+    ]);
+
+    expect(rules).toEqual([{
+      id: expect.stringMatching(/^rule_/),
+      type: 'phrase',
+      pattern: 'ASAP',
+      flags: '',
+      when: '',
+      severity: 'warning',
+      message: 'Breaks the style rule "ASAP"',
+      replacement: '',
+      enabled: true,
+    }]);
+  });
+
+  it('keeps valid ids and replaces duplicates', () => {
+    const [first, second] = normalizeStyleRules([phrase('a', { id: 'same' }), phrase('b', { id: 'same' })]);
+    expect(first.id).toBe('same');
+    expect(second.id).not.toBe('same');
+  });
+
+  it('caps the number of rules', () => {
+    const rules = Array.from({ length: MAX_STYLE_RULES + 1 }, (_, i) => phrase(`word${i}`));
+    expect(normalizeStyleRules(rules)).toHaveLength(MAX_STYLE_RULES);
+  });
+});
+
+describe('evaluateStyleRules', () => {
+  it('matches banned phrases as whole words across whitespace', () => {
+    const rules = [phrase('just checking in', { replacement: 'Could you' })];
+    expect(evaluateStyleRules('Just  checking\nin on this', rules)).toEqual([
+      expect.objectContaining({ ruleId: 'r_justcheckingin', text: 'Just  checking\nin', replacement: 'Could you' }),
+    ]);
+    expect(evaluateStyleRules('We are adjusting interests', [phrase('just')])).toEqual([]);
+  });
+
+  it('matches phrases that start or end with punctuation', () => {
+    expect(evaluateStyleRules('We use C++ here', [phrase('C++')]).map((v) => v.text)).toEqual(['C++']);
+  });
+
+  it('reports each distinct regex match once', () => {
+    const rules = [{ id: 'emoji', type: 'regex', pattern: '!{2,}', flags: '' }];
+    expect(evaluateStyleRules('Hi!! Really!! Now!!!', rules).map((v) => v.text)).toEqual(['!!', '!!!']);
+  });
+
+  it('ignores empty regex matches', () => {
+    expect(evaluateStyleRules('abc', [{ id: 'x', type: 'regex', pattern: 'x*' }])).toEqual([]);
+  });
+
+  it('reports a missing required element only when the rule applies', () => {
+    const rules = [{ id: 'ticket', type: 'required', pattern: 'JIRA-\\d+', when: '\\breview\\b' }];
+    expect(evaluateStyleRules('Can you review my change?', rules)).toEqual([
+      expect.objectContaining({ ruleId: 'ticket', text: null }),
+    ]);
+    expect(evaluateStyleRules('Can you review JIRA-12?', rules)).toEqual([]);
+    expect(evaluateStyleRules('Lunch at noon?', rules)).toEqual([]);
+  });
+
+  it('skips disabled rules', () => {
+    expect(evaluateStyleRules('ASAP', [phrase('ASAP', { enabled: false })])).toEqual([]);
+  });
+});
+
+describe('applyStyleRules', () => {
+  const result = { verdict: 'good_to_send', verdictReason: 'Looks fine' };
+
+  it('lowers the verdict to match the worst severity', () => {
+    const violations = evaluateStyleRules('ASAP, just checking in', [
+      phrase('ASAP', { severity: 'warning', message: 'Give a date' }),
+      phrase('just checking in', { severity: 'error', message: 'Say what you need' }),
+    ]);
+    expect(applyStyleRules(result, violations)).toMatchObject({
+      verdict: 'high_risk',
+      verdictReason: 'Breaks 2 team style rules, including: Say what you need',
+    });
+  });
+
+  it('only lists info-level violations', () => {
+    const violations = evaluateStyleRules('ASAP', [phrase('ASAP', { severity: 'info' })]);
+    expect(applyStyleRules(result, violations)).toEqual({ ...result, styleViolations: violations });
+  });
+
+  it('never raises a verdict', () => {
+    const violations = evaluateStyleRules('ASAP', [phrase('ASAP', { severity: 'warning' })]);
+    expect(applyStyleRules({ verdict: 'high_risk', verdictReason: 'Rude' }, violations).verdict).toBe('high_risk');
+  });
+});
+
+describe('formatStyleRulesForPrompt', () => {
+  it('describes each enabled rule', () => {
+    expect(formatStyleRulesForPrompt([
+      phrase('ASAP', { message: 'Give a date', replacement: 'by Friday' }),
+      { type: 'required', pattern: 'JIRA-\\d+', when: 'review', message: 'Link the ticket' },
+      phrase('later', { enabled: false }),
+    ])).toBe([
+      '- Never use "ASAP"; write "by Friday" instead: Give a date',
+      '- Required whenever the message matches /review/i: Link the ticket (must match /JIRA-\\d+/i)',
+    ].join('\n'));
+  });
+});
+
+describe('rule packs', () => {
+  it('round-trips, giving imported rules new ids', () => {
+    const rules = normalizeStyleRules([phrase('ASAP'), { type: 'regex', pattern: '!{2,}', flags: '' }]);
+    const parsed = parseRulePack(JSON.stringify(createRulePack(rules)));
+
+    expect(parsed.skipped).toBe(0);
+    const withoutId = (rule) => ({ ...rule, id: null });
+    expect(parsed.rules.map(withoutId)).toEqual(rules.map(withoutId));
+    expect(parsed.rules.map((rule) => rule.id)).not.toContain('r_ASAP');
+  });
+
+  it('counts skipped rules', () => {
+    expect(parseRulePack(JSON.stringify([phrase('ASAP'), { type: 'regex', pattern: '(a*)*' }, 'x'])).skipped).toBe(2);
+  });
+
+  it('rejects files that are not rule packs', () => {
+    expect(() => parseRulePack('{')).toThrow('File is not valid JSON');
+    expect(() => parseRulePack('{"rules": []}')).toThrow('Expected a Message Clearance rule pack');
+    expect(() => parseRulePack(JSON.stringify({ format: RULE_PACK_FORMAT, version: RULE_PACK_VERSION + 1, rules: [] })))
+      .toThrow('newer version');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Conversation threads for reply analysis.
+ *
+ * A thread is the conversation the user is replying to, oldest first:
+ * an array of { author, text }. The draft reply itself is not part of it.
+ */
+
+export const MAX_THREAD_MESSAGES = 20;
+
+export const MAX_THREAD_LENGTH = 8000;
+
+export const TONE_SHIFTS = {
+  de_escalates: 'De-escalates',
+  matches: 'Matches the thread',
+  escalates: 'Escalates',
+};
+
+const UNKNOWN_AUTHOR = 'Unknown';
+
+// "Alice: text" or "Alice Smith (PM): text" - short name, no URL scheme
+const AUTHOR_LINE = /^\s*([^:\n]{1,40}?)\s*:\s+(.*)$/;
+
+function isAuthorPrefix(prefix) {
+  return prefix.split(/\s+/).length <= 4 && !/^(https?|ftp|mailto)$/i.test(prefix);
+}
+
+/**
+ * Parses a pasted conversation into messages.
+ *
+ * Lines starting with "Name:" begin a new message; the lines after it are
+ * part of that message until the next "Name:" line. Pastes without any
+ * author lines are split on blank lines instead.
+ *
+ * @param {string} text - Pasted conversation
+ * @returns {Array} Thread messages ({ author, text })
+ */
+export function parseThread(text) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const hasAuthors = lines.some((line) => {
+    const match = line.match(AUTHOR_LINE);
+    return match && isAuthorPrefix(match[1]);
+  });
+
+  if (!hasAuthors) {
+    return normalizeThread(text.split(/\n\s*\n/).map((block) => ({ author: UNKNOWN_AUTHOR, text: block })));
+  }
+
+  const messages = [];
+  for (const line of lines) {
+    const match = line.match(AUTHOR_LINE);
+    if (match && isAuthorPrefix(match[1])) {
+      messages.push({ author: match[1], text: match[2] });
+    } else if (messages.length > 0) {
+      messages[messages.length - 1].text += `\n${line}`;
+    } else if (line.trim()) {
+      // Text before the first author line
+      messages.push({ author: UNKNOWN_AUTHOR, text: line });
+    }
+  }
+
+  return normalizeThread(messages);
+}
+
+/**
+ * Trims messages, drops empty ones and keeps the most recent messages
+ * that fit in MAX_THREAD_MESSAGES and MAX_THREAD_LENGTH.
+ *
+ * @param {*} thread - Thread from the parser or history
+ * @returns {Array} Clean thread
+ */
+export function normalizeThread(thread) {
+  if (!Array.isArray(thread)) {
+    return [];
+  }
+
+  const messages = thread
+    .filter((message) => message && typeof message.text === 'string' && message.text.trim())
+    .map((message) => ({
+      author: typeof message.author === 'string' && message.author.trim()
+        ? message.author.trim()
+        : UNKNOWN_AUTHOR,
+      text: message.text.trim(),
+    }))
+    .slice(-MAX_THREAD_MESSAGES);
+
+  // Older messages matter least, so drop from the front when over budget
+  let total = messages.reduce((sum, message) => sum + message.text.length, 0);
+  while (messages.length > 1 && total > MAX_THREAD_LENGTH) {
+    total -= messages.shift().text.length;
+  }
+
+  return messages;
+}
+
+/**
+ * Formats the thread for the model, numbered oldest first.
+ *
+ * @param {Array} thread - Thread messages
+ * @returns {string} Prompt text
+ */
+export function formatThreadForPrompt(thread) {
+  return normalizeThread(thread)
+    .map((message, index) => `[${index + 1}] ${message.author}: ${message.text}`)
+    .join('\n\n');
+}
+
+/**
+ * Short description for the input form, e.g. "3 messages from Alice and Bob".
+ *
+ * @param {Array} thread - Thread messages
+ * @returns {string} Summary or an empty string
+ */
+export function describeThread(thread) {
+  const messages = normalizeThread(thread);
+  if (messages.length === 0) {
+    return '';
+  }
+
+  const authors = [...new Set(messages.map((message) => message.author))];
+  const people = authors.length > 3
+    ? `${authors.slice(0, 3).join(', ')} and ${authors.length - 3} more`
+    : authors.join(authors.length === 2 ? ' and ' : ', ');
+
+  return `${messages.length} message${messages.length === 1 ? '' : 's'} from ${people}`;
+}
+
+/**
+ * Turns a thread back into the "Name: text" form the parser reads,
+ * e.g. to refill the input when a scan is reopened from history.
+ *
+ * @param {Array} thread - Thread messages
+ * @returns {string} Pasteable conversation
+ */
+export function threadToText(thread) {
+  return normalizeThread(thread)
+    .map((message) => `${message.author}: ${message.text}`)
+    .join('\n\n');
+}
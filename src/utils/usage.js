@@ -0,0 +1,225 @@
+/**
+ * Token usage and cost tracking.
+ *
+ * Every scan that reports usage is tallied per day and per model in a
+ * compact log (counts only, never message text). The log is separate from
+ * scan history, so retention settings don't erase spending and batch
+ * scans, which aren't saved to history, still count toward the budget.
+ *
+ * Log shape: { 'YYYY-MM-DD': { 'provider|model': { provider, model, scans,
+ * promptTokens, completionTokens, cost, unpricedScans } } }
+ */
+
+// Long enough to compare against the same month last year
+export const USAGE_RETENTION_DAYS = 400;
+
+export const BUDGET_MODES = {
+  WARN: 'warn',   // Show a notice once the budget is reached
+  BLOCK: 'block', // Refuse model scans until next month (offline checks still run)
+};
+
+export const BUDGET_STATUS = {
+  NONE: 'none',         // No budget set
+  OK: 'ok',
+  WARNING: 'warning',   // Past BUDGET_WARNING_RATIO of the budget
+  EXCEEDED: 'exceeded',
+};
+
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Periods offered by the usage dashboard, in days.
+ */
+export const USAGE_PERIODS = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar day for a date, so "today" matches the user's clock.
+ *
+ * @param {Date} date - Date to convert
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function toDayKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function emptyTotals() {
+  return { scans: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedScans: 0 };
+}
+
+function addTotals(target, source) {
+  target.scans += source.scans || 0;
+  target.promptTokens += source.promptTokens || 0;
+  target.completionTokens += source.completionTokens || 0;
+  target.cost += source.cost || 0;
+  target.unpricedScans += source.unpricedScans || 0;
+  return target;
+}
+
+function isValidLog(log) {
+  return Boolean(log) && typeof log === 'object' && !Array.isArray(log);
+}
+
+/**
+ * Adds one scan to the log and drops days past USAGE_RETENTION_DAYS.
+ *
+ * @param {Object} log - Current usage log
+ * @param {Object} meta - The result's _meta ({ provider, model, usage })
+ * @param {Date} now - When the scan finished (default: now)
+ * @returns {Object} New log; the same object if the scan reported no usage
+ */
+export function recordUsage(log, meta, now = new Date()) {
+  const usage = meta?.usage;
+  if (!usage) {
+    return log;
+  }
+
+  const current = isValidLog(log) ? log : {};
+  const day = toDayKey(now);
+  const key = `${meta.provider}|${meta.model}`;
+  const previous = current[day]?.[key] || { provider: meta.provider, model: meta.model, ...emptyTotals() };
+
+  const next = {
+    ...current,
+    [day]: {
+      ...current[day],
+      [key]: addTotals({ ...previous }, {
+        scans: 1,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        cost: usage.cost,
+        unpricedScans: usage.cost === null ? 1 : 0,
+      }),
+    },
+  };
+
+  const oldest = toDayKey(new Date(now.getTime() - USAGE_RETENTION_DAYS * DAY_MS));
+  for (const existingDay of Object.keys(next)) {
+    if (existingDay < oldest) {
+      delete next[existingDay];
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Aggregates the log for the dashboard.
+ *
+ * @param {Object} log - Usage log
+ * @param {Object} options - Summary options
+ * @param {number} options.days - Days to include, counting today (default: 30)
+ * @param {Date} options.now - Reference date (default: now)
+ * @returns {{ days: Array, models: Array, totals: Object }} days holds one
+ *   row per calendar day, oldest first, including days without scans;
+ *   models holds one row per provider and model, most expensive first
+ */
+export function summarizeUsage(log, { days = 30, now = new Date() } = {}) {
+  const entries = isValidLog(log) ? log : {};
+  const dayRows = [];
+  const models = new Map();
+  const totals = emptyTotals();
+
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = toDayKey(new Date(now.getTime() - offset * DAY_MS));
+    const row = { day, ...emptyTotals() };
+
+    for (const [key, tally] of Object.entries(entries[day] || {})) {
+      addTotals(row, tally);
+      if (!models.has(key)) {
+        models.set(key, { provider: tally.provider, model: tally.model, ...emptyTotals() });
+      }
+      addTotals(models.get(key), tally);
+    }
+
+    addTotals(totals, row);
+    dayRows.push(row);
+  }
+
+  return {
+    days: dayRows,
+    models: [...models.values()].sort((a, b) => (
+      b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens)
+    )),
+    totals,
+  };
+}
+
+/**
+ * Totals for the calendar month containing `now`.
+ *
+ * @param {Object} log - Usage log
+ * @param {Date} now - Reference date (default: now)
+ * @returns {Object} { scans, promptTokens, completionTokens, cost, unpricedScans }
+ */
+export function getMonthUsage(log, now = new Date()) {
+  const prefix = toDayKey(now).slice(0, 8);
+  const totals = emptyTotals();
+
+  for (const [day, tallies] of Object.entries(isValidLog(log) ? log : {})) {
+    if (day.startsWith(prefix)) {
+      Object.values(tallies).forEach((tally) => addTotals(totals, tally));
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Compares this month's estimated spend to the budget.
+ *
+ * @param {Object} log - Usage log
+ * @param {number} monthlyBudget - Budget in USD; 0 or less means none
+ * @param {Date} now - Reference date (default: now)
+ * @returns {{ status: string, spent: number, limit: number, ratio: number }}
+ */
+export function checkBudget(log, monthlyBudget, now = new Date()) {
+  const spent = getMonthUsage(log, now).cost;
+  const limit = monthlyBudget > 0 ? monthlyBudget : 0;
+
+  if (!limit) {
+    return { status: BUDGET_STATUS.NONE, spent, limit, ratio: 0 };
+  }
+
+  const ratio = spent / limit;
+  let status = BUDGET_STATUS.OK;
+  if (ratio >= 1) {
+    status = BUDGET_STATUS.EXCEEDED;
+  } else if (ratio >= BUDGET_WARNING_RATIO) {
+    status = BUDGET_STATUS.WARNING;
+  }
+
+  return { status, spent, limit, ratio };
+}
+
+/**
+ * Formats a USD amount. Scans cost fractions of a cent, so small amounts
+ * keep more digits.
+ *
+ * @param {number|null} cost - Amount in USD, or null if unknown
+ * @returns {string}
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) {
+    return 'unknown';
+  }
+  if (cost === 0) {
+    return '$0.00';
+  }
+  if (cost < 0.01) {
+    return `$${cost.toFixed(4)}`;
+  }
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * @param {number} count - Token count
+ * @returns {string} Count with thousands separators
+ */
+export function formatTokens(count) {
+  return (count || 0).toLocaleString();
+}
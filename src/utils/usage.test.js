@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BUDGET_STATUS,
+  toDayKey,
+  recordUsage,
+  summarizeUsage,
+  getMonthUsage,
+  checkBudget,
+  formatCost,
+} from './usage';
+
+const NOW = new Date(2026, 2, 15, 12);
+
+const meta = (model, usage) => ({ provider: 'openrouter', model, usage });
+
+function logOf(...scans) {
+  return scans.reduce((log, [scanMeta, date = NOW]) => recordUsage(log, scanMeta, date), {});
+}
+
+describe('recordUsage', () => {
+  it('tallies scans per day and model', () => {
+    const log = logOf(
+      [meta('a', { promptTokens: 100, completionTokens: 20, cost: 0.01 })],
+      [meta('a', { promptTokens: 50, completionTokens: 10, cost: 0.02 })],
+      [meta('b', { promptTokens: 5, completionTokens: 5, cost: null })],
+    );
+
+    expect(log).toEqual({
+      '2026-03-15': {
+        'openrouter|a': { provider: 'openrouter', model: 'a', scans: 2, promptTokens: 150, completionTokens: 30, cost: 0.03, unpricedScans: 0 },
+        'openrouter|b': { provider: 'openrouter', model: 'b', scans: 1, promptTokens: 5, completionTokens: 5, cost: 0, unpricedScans: 1 },
+      },
+    });
+  });
+
+  it('returns the same log for scans without usage', () => {
+    const log = {};
+    expect(recordUsage(log, { provider: 'offline', model: 'heuristics' }, NOW)).toBe(log);
+  });
+
+  it('drops days past the retention window', () => {
+    const usage = { promptTokens: 1, completionTokens: 1, cost: 0 };
+    const log = logOf([meta('a', usage), new Date(2024, 0, 1, 12)], [meta('a', usage)]);
+    expect(Object.keys(log)).toEqual(['2026-03-15']);
+  });
+
+  it('starts over from a damaged log', () => {
+    expect(Object.keys(recordUsage([1, 2], meta('a', { cost: 0 }), NOW))).toEqual(['2026-03-15']);
+  });
+});
+
+describe('summarizeUsage', () => {
+  it('has a row for every day and ranks models by cost', () => {
+    const log = logOf(
+      [meta('cheap', { promptTokens: 1000, completionTokens: 0, cost: 0.001 }), new Date(2026, 2, 13, 12)],
+      [meta('dear', { promptTokens: 10, completionTokens: 0, cost: 0.5 })],
+    );
+    const summary = summarizeUsage(log, { days: 7, now: NOW });
+
+    expect(summary.days.map((row) => row.day)).toEqual([
+      '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12', '2026-03-13', '2026-03-14', '2026-03-15',
+    ]);
+    expect(summary.days[4].scans).toBe(1);
+    expect(summary.models.map((row) => row.model)).toEqual(['dear', 'cheap']);
+    expect(summary.totals).toMatchObject({ scans: 2, promptTokens: 1010 });
+  });
+});
+
+describe('checkBudget', () => {
+  const log = logOf(
+    [meta('a', { cost: 4 })],
+    [meta('a', { cost: 100 }), new Date(2026, 1, 28, 12)],
+  );
+
+  it('only counts the current month', () => {
+    expect(getMonthUsage(log, NOW).cost).toBe(4);
+  });
+
+  it('reports where spending stands against the budget', () => {
+    expect(checkBudget(log, 0, NOW).status).toBe(BUDGET_STATUS.NONE);
+    expect(checkBudget(log, 10, NOW)).toEqual({ status: BUDGET_STATUS.OK, spent: 4, limit: 10, ratio: 0.4 });
+    expect(checkBudget(log, 5, NOW).status).toBe(BUDGET_STATUS.WARNING);
+    expect(checkBudget(log, 4, NOW).status).toBe(BUDGET_STATUS.EXCEEDED);
+  });
+});
+
+describe('formatting', () => {
+  it('uses the local calendar day', () => {
+    expect(toDayKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+  });
+
+  it('keeps more digits for fractions of a cent', () => {
+    expect(formatCost(null)).toBe('unknown');
+    expect(formatCost(0)).toBe('$0.00');
+    expect(formatCost(0.00123)).toBe('$0.0012');
+    expect(formatCost(1.5)).toBe('$1.50');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * The three verdicts and how they're shown.
+ */
+
+// Mildest first
+export const VERDICTS = ['good_to_send', 'needs_edit', 'high_risk'];
+
+/**
+ * Verdict names for text (exports, filters).
+ */
+export const VERDICT_LABELS = {
+  good_to_send: 'Cleared',
+  needs_edit: 'Review',
+  high_risk: 'Flagged',
+};
+
+/**
+ * Verdict stamps shown on scan cards (history, batch and compare) and on
+ * quick-check results. Each
+ * class also has a matching .history-stamp.<class> colour in App.css.
+ */
+export const VERDICT_STAMPS = {
+  good_to_send: { class: 'cleared', label: 'CLEARED' },
+  needs_edit: { class: 'review', label: 'REVIEW' },
+  high_risk: { class: 'flagged', label: 'FLAGGED' },
+};
+
+/**
+ * Labels for scans that have no result yet (batch rows, compare columns).
+ */
+export const SCAN_STATUS_LABELS = {
+  pending: 'Queued',
+  running: 'Scanning...',
+  waiting: 'Rate limited, waiting',
+  error: 'Failed',
+  cancelled: 'Cancelled',
+};
@@ -1,7 +1,79 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const extensionRoot = fileURLToPath(new URL('./src/extension', import.meta.url))
+const extensionOutDir = fileURLToPath(new URL('./dist-extension', import.meta.url))
+const extensionPath = (file) => `${extensionRoot}/${file}`
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Background worker, options page and manifest (see src/extension)
+  if (mode === 'extension') {
+    return {
+      plugins: [react()],
+      root: extensionRoot,
+      base: './',
+      publicDir: extensionPath('public'),
+      build: {
+        outDir: extensionOutDir,
+        emptyOutDir: true,
+        rollupOptions: {
+          input: {
+            background: extensionPath('background.js'),
+            options: extensionPath('options.html'),
+          },
+          output: {
+            entryFileNames: '[name].js',
+          },
+        },
+      },
+    }
+  }
+
+  // Content scripts can't be modules, so this one is a single IIFE file
+  if (mode === 'extension-content') {
+    return {
+      plugins: [react()],
+      publicDir: false,
+      define: {
+        'process.env.NODE_ENV': JSON.stringify('production'),
+      },
+      build: {
+        outDir: extensionOutDir,
+        emptyOutDir: false,
+        lib: {
+          entry: extensionPath('content.jsx'),
+          formats: ['iife'],
+          name: 'MessageClearanceContent',
+          fileName: () => 'content.js',
+        },
+      },
+    }
+  }
+
+  // Node CLI (see src/cli): one file with the app's modules bundled in
+  if (mode === 'cli') {
+    return {
+      publicDir: false,
+      build: {
+        ssr: 'src/cli/index.js',
+        outDir: 'dist-cli',
+        target: 'node18',
+        rollupOptions: {
+          output: {
+            entryFileNames: 'messageclearance.js',
+            banner: '#!/usr/bin/env node',
+          },
+        },
+      },
+      ssr: {
+        noExternal: true,
+      },
+    }
+  }
+
+  return {
+    plugins: [react()],
+  }
 })